@@ -0,0 +1,16 @@
+// cluster.js (cluster entry point)
+// Runs server.js in CLUSTER_WORKERS worker processes behind one port.
+
+require("dotenv").config();
+const cluster = require("cluster");
+
+if (cluster.isPrimary) {
+  const { CONFIG } = require("./server/state");
+  const { startPrimary } = require("./server/cluster");
+  startPrimary({
+    WORKERS: CONFIG.CLUSTER.WORKERS,
+    PORT: process.env.PORT || 3000,
+  });
+} else {
+  require("./server");
+}
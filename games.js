@@ -1,6 +1,52 @@
 // ============================================================================
 // games.js - Server-side Game Logic
 // ============================================================================
+//
+// Every game type is a class extending BaseGame and implementing the common
+// interface: addPlayer, makeMove, getGameState, checkWinner, resetGame.
+// Classes register themselves with registerGameType(); GameManager looks
+// game types up in the registry and never needs to know about them directly.
+
+// type -> Game class
+const gameRegistry = new Map();
+
+function registerGameType(GameClass) {
+  if (!GameClass || typeof GameClass.type !== "string") {
+    throw new Error("Game classes must declare a static type");
+  }
+  for (const method of [
+    "addPlayer",
+    "makeMove",
+    "getGameState",
+    "checkWinner",
+    "resetGame",
+  ]) {
+    if (typeof GameClass.prototype[method] !== "function") {
+      throw new Error(`${GameClass.name} is missing ${method}()`);
+    }
+  }
+  gameRegistry.set(GameClass.type, GameClass);
+}
+
+// Rebuilds a game from a copy of its fields, such as another cluster
+// worker's (server/games.js)
+function restoreGame(data) {
+  const GameClass = gameRegistry.get(data?.type);
+  if (!GameClass) {
+    throw new Error(`Unknown game type: ${data?.type}`);
+  }
+  return Object.assign(Object.create(GameClass.prototype), data);
+}
+
+function getGameTypes() {
+  return Array.from(gameRegistry.values()).map((GameClass) => ({
+    type: GameClass.type,
+    name: GameClass.displayName,
+    minPlayers: GameClass.minPlayers,
+    maxPlayers: GameClass.maxPlayers,
+    options: GameClass.options || {},
+  }));
+}
 
 class GameManager {
   constructor() {
@@ -9,18 +55,21 @@ class GameManager {
     this.playerGames = new Map(); // userId -> gameId
   }
 
-  createGame(roomId, gameType, player1Id, player1Username) {
-    const gameId = this.generateGameId();
-
-    let game;
-    switch (gameType) {
-      case "tictactoe":
-        game = new TicTacToeGame(gameId, roomId, player1Id, player1Username);
-        break;
-      default:
-        throw new Error(`Unknown game type: ${gameType}`);
+  createGame(roomId, gameType, player1Id, player1Username, options = {}) {
+    const GameClass = gameRegistry.get(gameType);
+    if (!GameClass) {
+      throw new Error(`Unknown game type: ${gameType}`);
     }
 
+    const gameId = this.generateGameId();
+    const game = new GameClass(
+      gameId,
+      roomId,
+      player1Id,
+      player1Username,
+      options,
+    );
+
     this.games.set(gameId, game);
 
     // Track games by room
@@ -35,18 +84,31 @@ class GameManager {
     return game;
   }
 
+  // Adds a game made elsewhere, or replaces this manager's copy of it
+  putGame(game) {
+    this.removeGame(game.id);
+    this.games.set(game.id, game);
+    if (!this.roomGames.has(game.roomId)) {
+      this.roomGames.set(game.roomId, new Set());
+    }
+    this.roomGames.get(game.roomId).add(game.id);
+    game.players.forEach((player) => {
+      this.playerGames.set(player.id, game.id);
+    });
+  }
+
   joinGame(gameId, player2Id, player2Username) {
     const game = this.games.get(gameId);
     if (!game) {
       throw new Error("Game not found");
     }
 
-    if (game.state !== "waiting") {
-      throw new Error("Game is not accepting players");
-    }
-
-    if (game.players.length >= 2) {
-      throw new Error("Game is full");
+    if (!game.isAcceptingPlayers()) {
+      throw new Error(
+        game.players.length >= game.maxPlayers
+          ? "Game is full"
+          : "Game is not accepting players",
+      );
     }
 
     game.addPlayer(player2Id, player2Username);
@@ -55,6 +117,19 @@ class GameManager {
     return game;
   }
 
+  // Returns true if the game ended because the player left
+  leaveGame(gameId, userId) {
+    const game = this.games.get(gameId);
+    if (!game || !game.canPlayerPlay(userId)) return false;
+
+    if (game.removePlayer(userId)) {
+      this.playerGames.delete(userId);
+      return false;
+    }
+    this.removeGame(gameId);
+    return true;
+  }
+
   getGame(gameId) {
     return this.games.get(gameId);
   }
@@ -71,6 +146,10 @@ class GameManager {
       .filter(Boolean);
   }
 
+  getGameTypes() {
+    return getGameTypes();
+  }
+
   removeGame(gameId) {
     const game = this.games.get(gameId);
     if (!game) return;
@@ -93,20 +172,48 @@ class GameManager {
     this.games.delete(gameId);
   }
 
-  makeMove(gameId, playerId, move) {
+  // username is only used by games that seat players on their first move
+  // (Hangman guessers)
+  makeMove(gameId, playerId, move, username) {
     const game = this.games.get(gameId);
     if (!game) {
       throw new Error("Game not found");
     }
 
-    return game.makeMove(playerId, move);
+    const wasPlayer = game.canPlayerPlay(playerId);
+    if (!wasPlayer && this.getPlayerGame(playerId)) {
+      throw new Error("You are already in another game");
+    }
+
+    const result = game.makeMove(playerId, move, username);
+
+    if (!wasPlayer && game.canPlayerPlay(playerId)) {
+      this.playerGames.set(playerId, gameId);
+      game.removeSpectator(playerId);
+    }
+
+    return result;
+  }
+
+  // Offers a finished chat line to a game that listens to chat (e.g.
+  // Hangman guesses). Returns true if the line was taken as a move.
+  handleChatLine(gameId, userId, username, line) {
+    const move = this.games.get(gameId)?.getChatMove(userId, line);
+    if (!move) return false;
+    try {
+      this.makeMove(gameId, userId, move, username);
+      return true;
+    } catch (err) {
+      // Chat that isn't a legal move is just chat
+      return false;
+    }
   }
 
   generateGameId() {
     return "game_" + Math.random().toString(36).substr(2, 9);
   }
 
-  // Cleanup inactive games
+  // Cleanup inactive games; returns the IDs of the games removed
   cleanupGames() {
     const now = Date.now();
     const gamesToRemove = [];
@@ -123,53 +230,74 @@ class GameManager {
     if (gamesToRemove.length > 0) {
       console.log(`Cleaned up ${gamesToRemove.length} inactive games`);
     }
+    return gamesToRemove;
   }
 }
 
-class TicTacToeGame {
+// ============================================================================
+// BaseGame - shared player, spectator and turn bookkeeping
+// ============================================================================
+
+class BaseGame {
   constructor(gameId, roomId, player1Id, player1Username) {
     this.id = gameId;
     this.roomId = roomId;
-    this.type = "tictactoe";
+    this.type = this.constructor.type;
     this.state = "waiting"; // waiting, playing, finished
-    this.players = [
-      {
-        id: player1Id,
-        username: player1Username,
-        symbol: "X",
-        score: 0,
-      },
-    ];
+    this.players = [];
     this.currentPlayerIndex = 0;
-    this.board = Array(9).fill("");
     this.winner = null;
-    this.winningLine = null;
-    this.moveHistory = [];
     this.spectators = new Set();
     this.createdAt = Date.now();
     this.lastActivity = Date.now();
     this.gameNumber = 1;
+
+    this.players.push(this.createPlayer(player1Id, player1Username));
   }
 
-  addPlayer(playerId, username) {
-    if (this.players.length >= 2) {
-      throw new Error("Game is full");
-    }
+  get maxPlayers() {
+    return this.constructor.maxPlayers;
+  }
+
+  get minPlayers() {
+    return this.constructor.minPlayers;
+  }
 
-    this.players.push({
+  // Player record for the Nth seat; subclasses add per-player fields
+  createPlayer(playerId, username) {
+    const symbols = this.constructor.symbols || [];
+    return {
       id: playerId,
       username: username,
-      symbol: "O",
+      symbol: symbols[this.players.length] || String(this.players.length + 1),
       score: 0,
-    });
+    };
+  }
+
+  isAcceptingPlayers() {
+    return this.state === "waiting" && this.players.length < this.maxPlayers;
+  }
+
+  addPlayer(playerId, username) {
+    if (this.players.length >= this.maxPlayers) {
+      throw new Error("Game is full");
+    }
 
-    if (this.players.length === 2) {
+    this.players.push(this.createPlayer(playerId, username));
+
+    if (this.players.length >= this.minPlayers && this.state === "waiting") {
       this.state = "playing";
     }
 
     this.lastActivity = Date.now();
   }
 
+  // Returns true if the game can carry on without the player. Most games
+  // need every seat filled, so by default a departure ends the game.
+  removePlayer() {
+    return false;
+  }
+
   addSpectator(userId) {
     this.spectators.add(userId);
     this.lastActivity = Date.now();
@@ -180,18 +308,101 @@ class TicTacToeGame {
     this.lastActivity = Date.now();
   }
 
-  makeMove(playerId, position) {
+  // Throws unless it is the given player's turn in a running game
+  assertTurn(playerId) {
     this.lastActivity = Date.now();
 
     if (this.state !== "playing") {
       throw new Error("Game is not in playing state");
     }
 
-    if (this.players[this.currentPlayerIndex].id !== playerId) {
+    if (!this.isPlayerTurn(playerId)) {
       throw new Error("Not your turn");
     }
+  }
+
+  // Declares the winner by symbol (or "draw") and credits their score
+  finish(winnerSymbol) {
+    this.state = "finished";
+    this.winner = winnerSymbol;
+    const winningPlayer = this.players.find((p) => p.symbol === winnerSymbol);
+    if (winningPlayer) {
+      winningPlayer.score++;
+    }
+  }
+
+  nextTurn() {
+    this.currentPlayerIndex =
+      (this.currentPlayerIndex + 1) % this.players.length;
+  }
+
+  // Chat-driven games override this to turn a finished chat line into a
+  // move; null means the line is ordinary chat
+  getChatMove() {
+    return null;
+  }
+
+  canStartNewGame(userId) {
+    return this.canPlayerPlay(userId);
+  }
+
+  canPlayerPlay(userId) {
+    return this.players.some((p) => p.id === userId);
+  }
+
+  isPlayerTurn(userId) {
+    return (
+      this.state === "playing" &&
+      this.players[this.currentPlayerIndex]?.id === userId
+    );
+  }
+
+  // Fields every client renderer can rely on. viewerId lets games with
+  // hidden information (Battleship ships, RPS picks) tailor the view.
+  getGameState() {
+    return {
+      id: this.id,
+      type: this.type,
+      name: this.constructor.displayName,
+      state: this.state,
+      players: this.players.map((p) => ({
+        id: p.id,
+        username: p.username,
+        symbol: p.symbol,
+        score: p.score,
+      })),
+      minPlayers: this.minPlayers,
+      maxPlayers: this.maxPlayers,
+      currentPlayerIndex: this.currentPlayerIndex,
+      activePlayerIds: this.players
+        .filter((p) => this.isPlayerTurn(p.id))
+        .map((p) => p.id),
+      winner: this.winner,
+      spectatorCount: this.spectators.size,
+      gameNumber: this.gameNumber,
+    };
+  }
+}
 
-    if (position < 0 || position > 8) {
+// ============================================================================
+// Tic Tac Toe
+// ============================================================================
+
+class TicTacToeGame extends BaseGame {
+  constructor(gameId, roomId, player1Id, player1Username) {
+    super(gameId, roomId, player1Id, player1Username);
+    this.board = Array(9).fill("");
+    this.winningLine = null;
+    this.moveHistory = [];
+  }
+
+  // Accepts { position } or a bare position for older clients
+  makeMove(playerId, move) {
+    const position = move && typeof move === "object" ? move.position : move;
+
+    this.assertTurn(playerId);
+
+    if (!Number.isInteger(position) || position < 0 || position > 8) {
       throw new Error("Invalid position");
     }
 
@@ -215,24 +426,14 @@ class TicTacToeGame {
     // Check for winner
     const winner = this.checkWinner();
     if (winner) {
-      this.winner = winner.symbol;
       this.winningLine = winner.line;
-      this.state = "finished";
-
-      // Update score
-      const winningPlayer = this.players.find(
-        (p) => p.symbol === winner.symbol
-      );
-      if (winningPlayer) {
-        winningPlayer.score++;
-      }
+      this.finish(winner.symbol);
     } else if (this.board.every((cell) => cell !== "")) {
       // It's a draw
-      this.state = "finished";
-      this.winner = "draw";
+      this.finish("draw");
     } else {
       // Switch turns
-      this.currentPlayerIndex = 1 - this.currentPlayerIndex;
+      this.nextTurn();
     }
 
     return {
@@ -283,31 +484,554 @@ class TicTacToeGame {
 
   getGameState() {
     return {
-      id: this.id,
-      type: this.type,
-      state: this.state,
-      players: this.players,
-      currentPlayerIndex: this.currentPlayerIndex,
+      ...super.getGameState(),
       board: this.board,
-      winner: this.winner,
       winningLine: this.winningLine,
       moveHistory: this.moveHistory,
-      spectatorCount: this.spectators.size,
-      gameNumber: this.gameNumber,
     };
   }
+}
+TicTacToeGame.type = "tictactoe";
+TicTacToeGame.displayName = "Tic Tac Toe";
+TicTacToeGame.minPlayers = 2;
+TicTacToeGame.maxPlayers = 2;
+TicTacToeGame.symbols = ["X", "O"];
 
-  canPlayerPlay(userId) {
-    return this.players.some((p) => p.id === userId);
+// ============================================================================
+// Connect Four - 7 columns x 6 rows, pieces drop to the lowest free cell
+// ============================================================================
+
+const C4_COLUMNS = 7;
+const C4_ROWS = 6;
+
+class ConnectFourGame extends BaseGame {
+  constructor(gameId, roomId, player1Id, player1Username) {
+    super(gameId, roomId, player1Id, player1Username);
+    this.board = Array(C4_COLUMNS * C4_ROWS).fill(""); // row-major, row 0 on top
+    this.winningLine = null;
+    this.lastMove = null;
+  }
+
+  makeMove(playerId, move) {
+    this.assertTurn(playerId);
+
+    const column = move?.column;
+    if (!Number.isInteger(column) || column < 0 || column >= C4_COLUMNS) {
+      throw new Error("Invalid column");
+    }
+
+    let row = -1;
+    for (let r = C4_ROWS - 1; r >= 0; r--) {
+      if (this.board[r * C4_COLUMNS + column] === "") {
+        row = r;
+        break;
+      }
+    }
+    if (row === -1) {
+      throw new Error("Column is full");
+    }
+
+    const currentPlayer = this.players[this.currentPlayerIndex];
+    const index = row * C4_COLUMNS + column;
+    this.board[index] = currentPlayer.symbol;
+    this.lastMove = index;
+
+    const winner = this.checkWinner();
+    if (winner) {
+      this.winningLine = winner.line;
+      this.finish(winner.symbol);
+    } else if (this.board.every((cell) => cell !== "")) {
+      this.finish("draw");
+    } else {
+      this.nextTurn();
+    }
+
+    return {
+      valid: true,
+      gameState: this.getGameState(),
+    };
+  }
+
+  checkWinner() {
+    const directions = [
+      [0, 1], // horizontal
+      [1, 0], // vertical
+      [1, 1], // diagonal down-right
+      [1, -1], // diagonal down-left
+    ];
+
+    for (let r = 0; r < C4_ROWS; r++) {
+      for (let c = 0; c < C4_COLUMNS; c++) {
+        const symbol = this.board[r * C4_COLUMNS + c];
+        if (!symbol) continue;
+        for (const [dr, dc] of directions) {
+          const line = [];
+          for (let i = 0; i < 4; i++) {
+            const rr = r + dr * i;
+            const cc = c + dc * i;
+            if (rr < 0 || rr >= C4_ROWS || cc < 0 || cc >= C4_COLUMNS) break;
+            if (this.board[rr * C4_COLUMNS + cc] !== symbol) break;
+            line.push(rr * C4_COLUMNS + cc);
+          }
+          if (line.length === 4) {
+            return { symbol, line };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  resetGame() {
+    this.board = Array(C4_COLUMNS * C4_ROWS).fill("");
+    this.state = "playing";
+    this.winner = null;
+    this.winningLine = null;
+    this.lastMove = null;
+    this.currentPlayerIndex = this.gameNumber % 2;
+    this.gameNumber++;
+    this.lastActivity = Date.now();
   }
 
+  getGameState() {
+    return {
+      ...super.getGameState(),
+      columns: C4_COLUMNS,
+      rows: C4_ROWS,
+      board: this.board,
+      winningLine: this.winningLine,
+      lastMove: this.lastMove,
+    };
+  }
+}
+ConnectFourGame.type = "connectfour";
+ConnectFourGame.displayName = "Connect Four";
+ConnectFourGame.minPlayers = 2;
+ConnectFourGame.maxPlayers = 2;
+ConnectFourGame.symbols = ["R", "Y"];
+
+// ============================================================================
+// Rock Paper Scissors - simultaneous picks, best of N rounds
+// ============================================================================
+
+const RPS_CHOICES = ["rock", "paper", "scissors"];
+const RPS_BEATS = { rock: "scissors", paper: "rock", scissors: "paper" };
+const RPS_BEST_OF = [1, 3, 5, 7];
+
+class RockPaperScissorsGame extends BaseGame {
+  constructor(gameId, roomId, player1Id, player1Username, options = {}) {
+    super(gameId, roomId, player1Id, player1Username);
+    this.bestOf = RPS_BEST_OF.includes(options.bestOf) ? options.bestOf : 3;
+    this.choices = new Map(); // playerId -> choice for the current round
+    this.rounds = [];
+    this.roundWins = [0, 0];
+  }
+
+  get winsNeeded() {
+    return Math.floor(this.bestOf / 2) + 1;
+  }
+
+  makeMove(playerId, move) {
+    this.assertTurn(playerId);
+
+    const choice = move?.choice;
+    if (!RPS_CHOICES.includes(choice)) {
+      throw new Error("Choose rock, paper or scissors");
+    }
+
+    this.choices.set(playerId, choice);
+
+    if (this.choices.size === 2) {
+      const [p1, p2] = this.players;
+      const c1 = this.choices.get(p1.id);
+      const c2 = this.choices.get(p2.id);
+      let roundWinner = "draw";
+      if (RPS_BEATS[c1] === c2) {
+        roundWinner = p1.symbol;
+        this.roundWins[0]++;
+      } else if (RPS_BEATS[c2] === c1) {
+        roundWinner = p2.symbol;
+        this.roundWins[1]++;
+      }
+      this.rounds.push({ choices: [c1, c2], winner: roundWinner });
+      this.choices.clear();
+
+      const winner = this.checkWinner();
+      if (winner) {
+        this.finish(winner.symbol);
+      }
+    }
+
+    return {
+      valid: true,
+      gameState: this.getGameState(),
+    };
+  }
+
+  checkWinner() {
+    const index = this.roundWins.findIndex((w) => w >= this.winsNeeded);
+    return index === -1 ? null : { symbol: this.players[index].symbol };
+  }
+
+  resetGame() {
+    this.state = "playing";
+    this.winner = null;
+    this.choices.clear();
+    this.rounds = [];
+    this.roundWins = [0, 0];
+    this.gameNumber++;
+    this.lastActivity = Date.now();
+  }
+
+  // Both players pick at once: it is "your turn" until you have picked
   isPlayerTurn(userId) {
     return (
       this.state === "playing" &&
-      this.players[this.currentPlayerIndex].id === userId
+      this.canPlayerPlay(userId) &&
+      !this.choices.has(userId)
     );
   }
+
+  // Picks stay hidden until the round resolves; a player sees only their own
+  getGameState(viewerId) {
+    return {
+      ...super.getGameState(),
+      bestOf: this.bestOf,
+      roundWins: this.roundWins,
+      rounds: this.rounds,
+      hasChosen: this.players.map((p) => this.choices.has(p.id)),
+      myChoice: (viewerId && this.choices.get(viewerId)) || null,
+    };
+  }
 }
+RockPaperScissorsGame.type = "rps";
+RockPaperScissorsGame.displayName = "Rock Paper Scissors";
+RockPaperScissorsGame.minPlayers = 2;
+RockPaperScissorsGame.maxPlayers = 2;
+RockPaperScissorsGame.symbols = ["A", "B"];
+RockPaperScissorsGame.options = { bestOf: RPS_BEST_OF };
+
+// ============================================================================
+// Hangman - the creator picks a word, everyone else guesses in the chat
+// ============================================================================
+
+const HANGMAN_MAX_WRONG = 6;
+const HANGMAN_WORD_PATTERN = /^[A-Z]{3,16}$/;
+
+function normalizeHangmanWord(word) {
+  return typeof word === "string" ? word.trim().toUpperCase() : "";
+}
+
+class HangmanGame extends BaseGame {
+  constructor(gameId, roomId, player1Id, player1Username, options = {}) {
+    super(gameId, roomId, player1Id, player1Username);
+    this.setWord(options.word);
+    this.hostId = player1Id;
+    this.guessedLetters = [];
+    this.wrongGuesses = 0;
+    this.lastGuess = null;
+    // Guessers play against the host, so there's nobody to wait for
+    this.state = "playing";
+  }
+
+  setWord(word) {
+    const normalized = normalizeHangmanWord(word);
+    if (!HANGMAN_WORD_PATTERN.test(normalized)) {
+      throw new Error("Hangman words must be 3-16 letters (A-Z)");
+    }
+    this.word = normalized;
+  }
+
+  createPlayer(playerId, username) {
+    return {
+      ...super.createPlayer(playerId, username),
+      symbol: this.players.length === 0 ? "H" : "G",
+    };
+  }
+
+  isAcceptingPlayers() {
+    return this.state !== "finished" && this.players.length < this.maxPlayers;
+  }
+
+  isPlayerTurn(userId) {
+    return this.state === "playing" && userId !== this.hostId;
+  }
+
+  // Guessers can come and go; only the host leaving ends the game
+  removePlayer(userId) {
+    if (userId === this.hostId) return false;
+    this.players = this.players.filter((p) => p.id !== userId);
+    this.lastActivity = Date.now();
+    return true;
+  }
+
+  // Anyone in the room except the host may guess; guessers join on demand
+  makeMove(playerId, move, username) {
+    this.assertTurn(playerId);
+
+    const guess = normalizeHangmanWord(move?.guess);
+    if (!/^[A-Z]+$/.test(guess)) {
+      throw new Error("Guesses must be letters");
+    }
+
+    if (!this.canPlayerPlay(playerId)) {
+      if (this.players.length >= this.maxPlayers) {
+        throw new Error("Game is full");
+      }
+      this.players.push(this.createPlayer(playerId, username || "Guest"));
+    }
+
+    const guesser = this.players.find((p) => p.id === playerId);
+
+    if (guess.length === 1) {
+      if (this.guessedLetters.includes(guess)) {
+        throw new Error(`"${guess}" was already guessed`);
+      }
+      this.guessedLetters.push(guess);
+      if (!this.word.includes(guess)) this.wrongGuesses++;
+    } else if (guess === this.word) {
+      for (const letter of this.word) {
+        if (!this.guessedLetters.includes(letter)) {
+          this.guessedLetters.push(letter);
+        }
+      }
+    } else {
+      this.wrongGuesses++;
+    }
+
+    this.lastGuess = { username: guesser.username, guess };
+
+    const winner = this.checkWinner();
+    if (winner) {
+      this.finish(winner.symbol);
+    }
+
+    return {
+      valid: true,
+      gameState: this.getGameState(),
+    };
+  }
+
+  // A finished chat line that is a single letter, or a word of the same
+  // length as the secret, counts as a guess
+  getChatMove(userId, line) {
+    if (this.state !== "playing" || userId === this.hostId) return null;
+    const text = normalizeHangmanWord(line);
+    if (!/^[A-Z]+$/.test(text)) return null;
+    if (text.length !== 1 && text.length !== this.word.length) return null;
+    return { guess: text };
+  }
+
+  checkWinner() {
+    if ([...this.word].every((l) => this.guessedLetters.includes(l))) {
+      return { symbol: "G" };
+    }
+    if (this.wrongGuesses >= HANGMAN_MAX_WRONG) {
+      return { symbol: "H" };
+    }
+    return null;
+  }
+
+  // Hangman needs a fresh word, so only the host can start the next round
+  canStartNewGame(userId) {
+    return userId === this.hostId;
+  }
+
+  resetGame(options = {}) {
+    this.setWord(options.word);
+    this.state = "playing";
+    this.winner = null;
+    this.guessedLetters = [];
+    this.wrongGuesses = 0;
+    this.lastGuess = null;
+    this.gameNumber++;
+    this.lastActivity = Date.now();
+  }
+
+  // The host sees the word; guessers see blanks until the round ends
+  getGameState(viewerId) {
+    const reveal = this.state === "finished" || viewerId === this.hostId;
+    return {
+      ...super.getGameState(),
+      hostId: this.hostId,
+      maskedWord: [...this.word].map((l) =>
+        reveal || this.guessedLetters.includes(l) ? l : "_",
+      ),
+      word: reveal ? this.word : null,
+      guessedLetters: this.guessedLetters,
+      wrongGuesses: this.wrongGuesses,
+      maxWrongGuesses: HANGMAN_MAX_WRONG,
+      lastGuess: this.lastGuess,
+    };
+  }
+}
+HangmanGame.type = "hangman";
+HangmanGame.displayName = "Hangman";
+HangmanGame.minPlayers = 1;
+HangmanGame.maxPlayers = 5;
+HangmanGame.options = { word: "3-16 letters" };
+
+// ============================================================================
+// Battleship - ships placed at random, players alternate shots
+// ============================================================================
+
+const BATTLESHIP_SIZE = 8;
+const BATTLESHIP_FLEET = [4, 3, 3, 2];
+
+function placeFleetRandomly() {
+  const occupied = new Set();
+  const ships = [];
+  for (const length of BATTLESHIP_FLEET) {
+    for (let attempt = 0; attempt < 500; attempt++) {
+      const horizontal = Math.random() < 0.5;
+      const row = Math.floor(
+        Math.random() *
+          (horizontal ? BATTLESHIP_SIZE : BATTLESHIP_SIZE - length + 1),
+      );
+      const col = Math.floor(
+        Math.random() *
+          (horizontal ? BATTLESHIP_SIZE - length + 1 : BATTLESHIP_SIZE),
+      );
+      const cells = [];
+      for (let i = 0; i < length; i++) {
+        const r = horizontal ? row : row + i;
+        const c = horizontal ? col + i : col;
+        cells.push(r * BATTLESHIP_SIZE + c);
+      }
+      if (cells.some((cell) => occupied.has(cell))) continue;
+      cells.forEach((cell) => occupied.add(cell));
+      ships.push({ cells });
+      break;
+    }
+  }
+  return ships;
+}
+
+class BattleshipGame extends BaseGame {
+  constructor(gameId, roomId, player1Id, player1Username) {
+    super(gameId, roomId, player1Id, player1Username);
+    this.lastShot = null;
+  }
+
+  createPlayer(playerId, username) {
+    return {
+      ...super.createPlayer(playerId, username),
+      ships: placeFleetRandomly(),
+      // Shots received on this player's board: "" | "hit" | "miss"
+      shots: Array(BATTLESHIP_SIZE * BATTLESHIP_SIZE).fill(""),
+    };
+  }
+
+  makeMove(playerId, move) {
+    this.assertTurn(playerId);
+
+    const position = move?.position;
+    if (
+      !Number.isInteger(position) ||
+      position < 0 ||
+      position >= BATTLESHIP_SIZE * BATTLESHIP_SIZE
+    ) {
+      throw new Error("Invalid position");
+    }
+
+    const opponent = this.players[1 - this.currentPlayerIndex];
+    if (opponent.shots[position] !== "") {
+      throw new Error("You already fired there");
+    }
+
+    const hit = opponent.ships.some((s) => s.cells.includes(position));
+    opponent.shots[position] = hit ? "hit" : "miss";
+    this.lastShot = { playerId, position, hit };
+
+    const winner = this.checkWinner();
+    if (winner) {
+      this.finish(winner.symbol);
+    } else {
+      this.nextTurn();
+    }
+
+    return {
+      valid: true,
+      gameState: this.getGameState(playerId),
+    };
+  }
+
+  isSunk(player, ship) {
+    return ship.cells.every((cell) => player.shots[cell] === "hit");
+  }
+
+  checkWinner() {
+    for (const [i, player] of this.players.entries()) {
+      if (player.ships.every((ship) => this.isSunk(player, ship))) {
+        return { symbol: this.players[1 - i].symbol };
+      }
+    }
+    return null;
+  }
+
+  resetGame() {
+    for (const player of this.players) {
+      player.ships = placeFleetRandomly();
+      player.shots = Array(BATTLESHIP_SIZE * BATTLESHIP_SIZE).fill("");
+    }
+    this.state = "playing";
+    this.winner = null;
+    this.lastShot = null;
+    this.currentPlayerIndex = this.gameNumber % 2;
+    this.gameNumber++;
+    this.lastActivity = Date.now();
+  }
+
+  // Each player sees their own fleet; enemy ships appear once sunk or
+  // when the game is over
+  getGameState(viewerId) {
+    const base = super.getGameState();
+    return {
+      ...base,
+      size: BATTLESHIP_SIZE,
+      fleet: BATTLESHIP_FLEET,
+      lastShot: this.lastShot,
+      boards: this.players.map((p) => ({
+        playerId: p.id,
+        shots: p.shots,
+        ships: p.ships
+          .filter(
+            (ship) =>
+              p.id === viewerId ||
+              this.state === "finished" ||
+              this.isSunk(p, ship),
+          )
+          .map((ship) => ship.cells),
+        shipsRemaining: p.ships.filter((ship) => !this.isSunk(p, ship)).length,
+      })),
+    };
+  }
+}
+BattleshipGame.type = "battleship";
+BattleshipGame.displayName = "Battleship";
+BattleshipGame.minPlayers = 2;
+BattleshipGame.maxPlayers = 2;
+BattleshipGame.symbols = ["1", "2"];
+
+// ── Built-in Game Types ─────────────────────────────────────────────────────
+
+registerGameType(TicTacToeGame);
+registerGameType(ConnectFourGame);
+registerGameType(RockPaperScissorsGame);
+registerGameType(HangmanGame);
+registerGameType(BattleshipGame);
 
-// Export for use in server.js
-module.exports = { GameManager, TicTacToeGame };
+// Export for use in server/games.js
+module.exports = {
+  GameManager,
+  BaseGame,
+  registerGameType,
+  restoreGame,
+  getGameTypes,
+  TicTacToeGame,
+  ConnectFourGame,
+  RockPaperScissorsGame,
+  HangmanGame,
+  BattleshipGame,
+};
@@ -0,0 +1,401 @@
+// ============================================================================
+// admin.js - Operator dashboard on top of the /api/v1/admin REST API
+// ============================================================================
+// The admin key is kept in sessionStorage for this tab only and sent as an
+// x-admin-key header; the server checks it on every request.
+
+const ADMIN_API = "/api/v1/admin";
+const KEY_STORAGE = "talkomaticAdminKey";
+
+const keyInput = document.getElementById("adminKey");
+const statusEl = document.getElementById("adminStatus");
+const dashboard = document.getElementById("dashboard");
+
+// ── API ─────────────────────────────────────────────────────────────────────
+
+async function adminRequest(path, options = {}) {
+  const res = await fetch(ADMIN_API + path, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      "x-admin-key": sessionStorage.getItem(KEY_STORAGE) || "",
+    },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error?.message || `Request failed (${res.status})`);
+  }
+  return data;
+}
+
+function setStatus(message, isError = false) {
+  statusEl.textContent = message;
+  statusEl.classList.toggle("error", isError);
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "yes" : "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : "";
+}
+
+// columns: [{ label, value: (row) => any }], action: { label, run(row) }
+function renderTable(containerId, rows, columns, action) {
+  const container = document.getElementById(containerId);
+  container.textContent = "";
+  if (rows.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "admin-empty";
+    empty.textContent = "Nothing here.";
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement("table");
+  const head = table.createTHead().insertRow();
+  for (const col of columns) {
+    const th = document.createElement("th");
+    th.textContent = col.label;
+    head.appendChild(th);
+  }
+  if (action) head.appendChild(document.createElement("th"));
+
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tr = body.insertRow();
+    for (const col of columns) {
+      tr.insertCell().textContent = formatValue(col.value(row));
+    }
+    if (action) {
+      const btn = document.createElement("button");
+      btn.textContent = action.label;
+      btn.addEventListener("click", () => runAction(() => action.run(row)));
+      tr.insertCell().appendChild(btn);
+    }
+  }
+  container.appendChild(table);
+}
+
+function renderOverview(data) {
+  const stats = data.roomStatistics || {};
+  const items = [
+    ["Version", data.version],
+    ["Uptime", `${Math.floor(data.uptime / 60)} min`],
+    ["Rooms", `${stats.totalRooms} / ${stats.currentLimit}`],
+    ["Users in rooms", stats.totalUsers],
+    ["Connections", data.connections],
+    ["Blocked IPs", data.blockedIPs],
+    ["Bot tokens", data.botTokens],
+    ["Blacklist entries", data.botBlacklist],
+    ["Suspicious users", data.suspiciousUsers],
+  ];
+  const container = document.getElementById("overview");
+  container.textContent = "";
+  for (const [label, value] of items) {
+    const item = document.createElement("div");
+    const strong = document.createElement("strong");
+    strong.textContent = formatValue(value);
+    item.append(`${label}: `, strong);
+    container.appendChild(item);
+  }
+}
+
+// One row per term: { scope, roomName, list, term }
+function flattenWordLists({ deployment, rooms }) {
+  const rows = [];
+  for (const source of [{ scope: "deployment", ...deployment }, ...rooms]) {
+    for (const list of ["offensive", "whitelisted"]) {
+      for (const term of source[list]) {
+        rows.push({
+          scope: source.roomId || source.scope,
+          roomName: source.roomName,
+          list,
+          term,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+// ── Loading ─────────────────────────────────────────────────────────────────
+
+async function loadDashboard() {
+  const [
+    overview,
+    rooms,
+    users,
+    ips,
+    blockedIps,
+    suspicious,
+    offenders,
+    blacklist,
+    tokens,
+    audit,
+    announcements,
+    wordLists,
+  ] = await Promise.all([
+    adminRequest("/overview"),
+    adminRequest("/rooms"),
+    adminRequest("/users"),
+    adminRequest("/ips"),
+    adminRequest("/blocked-ips"),
+    adminRequest("/suspicious"),
+    adminRequest("/moderation"),
+    adminRequest("/bot-blacklist"),
+    adminRequest("/bot-tokens"),
+    adminRequest("/kick-audit?limit=50"),
+    adminRequest("/announcements"),
+    adminRequest("/word-lists"),
+  ]);
+
+  renderOverview(overview);
+  renderTable(
+    "rooms",
+    rooms,
+    [
+      { label: "ID", value: (r) => r.id },
+      { label: "Name", value: (r) => r.name },
+      { label: "Type", value: (r) => r.type },
+      { label: "Users", value: (r) => r.users.map((u) => u.username) },
+      { label: "Locked", value: (r) => r.locked },
+      { label: "Bans", value: (r) => r.bans },
+      { label: "Last active", value: (r) => formatTime(r.lastActiveTime) },
+    ],
+    {
+      label: "Close",
+      run: (r) =>
+        confirm(`Close "${r.name}" and remove everyone in it?`) &&
+        adminRequest(`/rooms/${encodeURIComponent(r.id)}/close`, {
+          method: "POST",
+        }),
+    },
+  );
+  renderTable("users", users, [
+    { label: "Username", value: (u) => u.username },
+    { label: "Location", value: (u) => u.location },
+    { label: "User ID", value: (u) => u.userId },
+    { label: "IP", value: (u) => u.ip },
+    { label: "Room", value: (u) => u.roomName },
+    { label: "Bot", value: (u) => u.isBot },
+    { label: "Dev", value: (u) => u.isDev },
+  ]);
+  renderTable("ips", ips, [
+    { label: "IP", value: (i) => i.ip },
+    { label: "Connections", value: (i) => i.connections },
+    { label: "Users", value: (i) => i.userIds },
+    { label: "Blocked until", value: (i) => formatTime(i.blockedUntil) },
+    { label: "Blacklisted", value: (i) => i.blacklisted },
+    { label: "Suspicious", value: (i) => i.suspicious },
+  ]);
+  renderTable(
+    "blockedIps",
+    blockedIps,
+    [
+      { label: "IP", value: (b) => b.key },
+      { label: "Expires", value: (b) => formatTime(b.expiry) },
+    ],
+    {
+      label: "Unblock",
+      run: (b) =>
+        adminRequest(`/blocked-ips/${encodeURIComponent(b.key)}`, {
+          method: "DELETE",
+        }),
+    },
+  );
+  renderTable("suspicious", suspicious, [
+    { label: "ID", value: (s) => s.id },
+    { label: "IP", value: (s) => s.ip },
+    { label: "Attempts", value: (s) => s.attempts },
+    { label: "First detected", value: (s) => formatTime(s.firstDetection) },
+  ]);
+  renderTable("offenders", offenders, [
+    { label: "Username", value: (o) => o.username },
+    { label: "User ID", value: (o) => o.userId },
+    { label: "Offenses", value: (o) => o.total },
+    { label: "Recent", value: (o) => o.recent },
+    { label: "Last room", value: (o) => o.roomName },
+    { label: "Last offense", value: (o) => formatTime(o.lastAt) },
+    { label: "Muted until", value: (o) => formatTime(o.mutedUntil) },
+  ]);
+  renderTable("botBlacklist", blacklist, [
+    { label: "User ID / IP", value: (b) => b.key },
+    { label: "Added", value: (b) => formatTime(b.addedAt) },
+  ]);
+  renderTable(
+    "botTokens",
+    tokens,
+    [
+      { label: "Token", value: (t) => `${t.key.substring(0, 10)}...` },
+      { label: "IP", value: (t) => t.ip },
+      { label: "Created", value: (t) => formatTime(t.createdAt) },
+      { label: "Last used", value: (t) => formatTime(t.lastUsed) },
+      { label: "Uses", value: (t) => t.uses },
+    ],
+    {
+      label: "Revoke",
+      run: (t) =>
+        adminRequest(`/bot-tokens/${encodeURIComponent(t.key)}`, {
+          method: "DELETE",
+        }),
+    },
+  );
+  renderTable(
+    "announcements",
+    announcements,
+    [
+      { label: "Title", value: (a) => a.title },
+      { label: "Message", value: (a) => a.message },
+      { label: "Severity", value: (a) => a.severity },
+      { label: "Target", value: (a) => a.roomId || a.target },
+      { label: "Expires", value: (a) => formatTime(a.expiresAt) },
+    ],
+    {
+      label: "Remove",
+      run: (a) =>
+        adminRequest(`/announcements/${encodeURIComponent(a.id)}`, {
+          method: "DELETE",
+        }),
+    },
+  );
+  renderTable(
+    "wordLists",
+    flattenWordLists(wordLists),
+    [
+      { label: "Term", value: (w) => w.term },
+      { label: "List", value: (w) => w.list },
+      { label: "Applies to", value: (w) => w.roomName || "everywhere" },
+    ],
+    {
+      label: "Remove",
+      run: (w) =>
+        adminRequest(
+          `/word-lists/${encodeURIComponent(w.scope)}/${w.list}/${encodeURIComponent(w.term)}`,
+          { method: "DELETE" },
+        ),
+    },
+  );
+  renderTable("kickAudit", audit, [
+    { label: "When", value: (e) => formatTime(e.at) },
+    { label: "Room", value: (e) => e.roomName || e.roomId },
+    { label: "User", value: (e) => e.targetUsername || e.targetUserId },
+    { label: "Method", value: (e) => e.method },
+    { label: "Reason", value: (e) => e.reason },
+    { label: "Banned until", value: (e) => formatTime(e.bannedUntil) },
+  ]);
+}
+
+async function refresh() {
+  if (!sessionStorage.getItem(KEY_STORAGE)) {
+    dashboard.hidden = true;
+    setStatus("Enter the admin key to continue.");
+    return;
+  }
+  try {
+    await loadDashboard();
+    dashboard.hidden = false;
+    setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+  } catch (err) {
+    dashboard.hidden = true;
+    setStatus(err.message, true);
+  }
+}
+
+// Actions refresh the dashboard afterwards; a falsy result means cancelled
+async function runAction(action) {
+  try {
+    if (await action()) await refresh();
+  } catch (err) {
+    setStatus(err.message, true);
+  }
+}
+
+// ── Events ──────────────────────────────────────────────────────────────────
+
+document.getElementById("keyForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  sessionStorage.setItem(KEY_STORAGE, keyInput.value);
+  keyInput.value = "";
+  refresh();
+});
+
+document.getElementById("signOut").addEventListener("click", () => {
+  sessionStorage.removeItem(KEY_STORAGE);
+  refresh();
+});
+
+document.getElementById("refresh").addEventListener("click", refresh);
+
+document.getElementById("noticeForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const input = document.getElementById("noticeMessage");
+  const message = input.value.trim();
+  if (!message) return;
+  runAction(async () => {
+    await adminRequest("/notice", {
+      method: "POST",
+      body: JSON.stringify({ message }),
+    });
+    input.value = "";
+    setStatus("Notice sent.");
+    return false;
+  });
+});
+
+document.getElementById("announcementForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const value = (id) => document.getElementById(id).value.trim();
+  if (!value("announcementMessage")) return;
+  runAction(async () => {
+    await adminRequest("/announcements", {
+      method: "POST",
+      body: JSON.stringify({
+        title: value("announcementTitle"),
+        message: value("announcementMessage"),
+        severity: value("announcementSeverity"),
+        target: value("announcementTarget"),
+        roomId: value("announcementRoomId"),
+        durationMinutes: Number(value("announcementDuration")) || undefined,
+      }),
+    });
+    document.getElementById("announcementTitle").value = "";
+    document.getElementById("announcementMessage").value = "";
+    return true;
+  });
+});
+
+document.getElementById("wordListForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const termInput = document.getElementById("wordListTerm");
+  const term = termInput.value.trim();
+  if (!term) return;
+  const scope =
+    document.getElementById("wordListScope").value.trim() || "deployment";
+  const list = document.getElementById("wordListList").value;
+  runAction(async () => {
+    await adminRequest(`/word-lists/${encodeURIComponent(scope)}`, {
+      method: "POST",
+      body: JSON.stringify({ [list]: [term] }),
+    });
+    termInput.value = "";
+    return true;
+  });
+});
+
+document.getElementById("reloadWordFilter").addEventListener("click", () => {
+  runAction(async () => {
+    await adminRequest("/word-lists/reload", { method: "POST" });
+    setStatus("Word filter reloaded.");
+    return false;
+  });
+});
+
+refresh();
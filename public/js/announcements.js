@@ -0,0 +1,114 @@
+// ============================================================================
+// announcements.js - Banners for operator announcements (lobby and rooms)
+// ============================================================================
+// lobby-client.js and room-client.js feed this the "announcements" and
+// "announcement" socket events. Banners disappear at their expiry; dismissed
+// ones are remembered in localStorage so a reload doesn't bring them back.
+
+const TalkomaticAnnouncements = (() => {
+  const DISMISSED_KEY = "tk_dismissed_announcements";
+  const MAX_REMEMBERED = 100;
+  const timers = new Map(); // id → expiry timeout
+  let container = null;
+
+  function getDismissed() {
+    try {
+      return JSON.parse(localStorage.getItem(DISMISSED_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function rememberDismissed(id) {
+    const ids = getDismissed().filter((d) => d !== id);
+    ids.push(id);
+    try {
+      localStorage.setItem(
+        DISMISSED_KEY,
+        JSON.stringify(ids.slice(-MAX_REMEMBERED)),
+      );
+    } catch (e) {
+      // Private mode or full storage: the banner just comes back on reload
+    }
+  }
+
+  function addStyles() {
+    const style = document.createElement("style");
+    style.textContent = `
+      .tk-announcements { position:fixed; top:10px; left:50%; transform:translateX(-50%); z-index:100000; display:flex; flex-direction:column; gap:8px; width:min(640px, calc(100% - 20px)); pointer-events:none; }
+      .tk-announcement { display:flex; align-items:flex-start; gap:10px; padding:10px 14px; border-radius:4px; border-left:4px solid #ff9800; background:#202020; color:#fff; font-family:Arial, sans-serif; font-size:14px; box-shadow:0 4px 16px rgba(0,0,0,0.5); pointer-events:auto; }
+      .tk-announcement.warning { border-left-color:#ffd54f; background:#332b00; }
+      .tk-announcement.critical { border-left-color:#ff5252; background:#3d0f0f; }
+      .tk-announcement-text { flex:1; white-space:pre-wrap; word-break:break-word; }
+      .tk-announcement-title { display:block; font-weight:bold; color:#ff9800; margin-bottom:2px; }
+      .tk-announcement.warning .tk-announcement-title { color:#ffd54f; }
+      .tk-announcement.critical .tk-announcement-title { color:#ff8a80; }
+      .tk-announcement-close { background:none; border:none; color:#aaa; font-size:18px; line-height:1; cursor:pointer; padding:0; }
+      .tk-announcement-close:hover { color:#fff; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function getContainer() {
+    if (!container) {
+      addStyles();
+      container = document.createElement("div");
+      container.className = "tk-announcements";
+      document.body.appendChild(container);
+    }
+    return container;
+  }
+
+  function remove(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    const el = container?.querySelector(`[data-announcement-id="${id}"]`);
+    if (el) el.remove();
+  }
+
+  function show(announcement) {
+    const { id, title, message, severity, expiresAt } = announcement;
+    if (!id || timers.has(id) || getDismissed().includes(id)) return;
+    const remaining = expiresAt - Date.now();
+    if (remaining <= 0) return;
+
+    const banner = document.createElement("div");
+    banner.className = `tk-announcement ${severity || "info"}`;
+    banner.dataset.announcementId = id;
+    banner.setAttribute("role", severity === "critical" ? "alert" : "status");
+
+    const text = document.createElement("div");
+    text.className = "tk-announcement-text";
+    if (title) {
+      const titleEl = document.createElement("span");
+      titleEl.className = "tk-announcement-title";
+      titleEl.textContent = title;
+      text.appendChild(titleEl);
+    }
+    text.appendChild(document.createTextNode(message));
+
+    const close = document.createElement("button");
+    close.className = "tk-announcement-close";
+    close.textContent = "×";
+    close.title = "Dismiss";
+    close.addEventListener("click", () => {
+      rememberDismissed(id);
+      remove(id);
+    });
+
+    banner.appendChild(text);
+    banner.appendChild(close);
+    getContainer().appendChild(banner);
+    // setTimeout can't wait longer than ~24.8 days
+    timers.set(
+      id,
+      setTimeout(() => remove(id), Math.min(remaining, 2147483647)),
+    );
+  }
+
+  function showAll(list) {
+    (list || []).forEach(show);
+  }
+
+  return { show, showAll, remove };
+})();
@@ -0,0 +1,203 @@
+// ╔═══════════════════════════════════════════════════════════════════════════╗
+// ║  board-codec.js — Talkoboard point encoding (server and browser)          ║
+// ║  v1.0.0                                                                   ║
+// ║                                                                           ║
+// ║  • Points travel as bytes instead of [{ x, y }] JSON: coordinates are     ║
+// ║    rounded to a quarter pixel, each one is stored as the difference from  ║
+// ║    the one before it, and differences are zigzag varints, so a typical    ║
+// ║    pen movement costs two bytes a point. Socket.IO sends the bytes as a   ║
+// ║    binary attachment.                                                     ║
+// ║  • Stroke lists are JSON metadata ({ ...stroke, n }) plus one byte run    ║
+// ║    holding every stroke's points in order.                                ║
+// ║  • simplifyPoints() thins a finished stroke (Ramer–Douglas–Peucker).      ║
+// ║    The server and the board both run it, so they keep the same points.    ║
+// ╚═══════════════════════════════════════════════════════════════════════════╝
+
+const BoardCodec = (() => {
+  const POINT_SCALE = 4; // quarter pixels
+  const MAX_COORDINATE = 2 ** 40; // quantized; far beyond any real board
+  const MAX_VARINT_BYTES = 7;
+  const SIMPLIFY_TOLERANCE = 0.5; // pixels
+  const SIMPLIFY_SPAN = 200; // points; shorter spans cost up to their square
+
+  // ── Varints ─────────────────────────────────────────────────────────────
+  // Arithmetic rather than bit operators: those stop at 32 bits.
+
+  function writeVarint(bytes, offset, value) {
+    let v = value >= 0 ? value * 2 : -value * 2 - 1; // zigzag
+    while (v >= 128) {
+      bytes[offset++] = (v % 128) + 128;
+      v = Math.floor(v / 128);
+    }
+    bytes[offset++] = v;
+    return offset;
+  }
+
+  // Bytes from a Buffer, ArrayBuffer or typed array, or null
+  function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data))
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+  }
+
+  // ── Integer Runs ────────────────────────────────────────────────────────
+
+  /**
+   * Encodes integers as zigzag varints, each the difference from the value
+   * `stride` places before it (so stride 2 deltas x against x, y against y).
+   */
+  function encodeInts(values, stride = 1) {
+    const bytes = new Uint8Array(values.length * MAX_VARINT_BYTES);
+    let offset = 0;
+    for (let i = 0; i < values.length; i++) {
+      const previous = i >= stride ? values[i - stride] : 0;
+      offset = writeVarint(bytes, offset, values[i] - previous);
+    }
+    return bytes.slice(0, offset);
+  }
+
+  // The integers encodeInts wrote, or null if `data` isn't a whole run of
+  // at most `maxCount` of them
+  function decodeInts(data, maxCount = Infinity, stride = 1) {
+    const bytes = toBytes(data);
+    if (!bytes) return null;
+    const values = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+      if (values.length >= maxCount) return null;
+      let v = 0;
+      let scale = 1;
+      for (let n = 0; ; n++) {
+        if (n === MAX_VARINT_BYTES || offset >= bytes.length) return null;
+        const byte = bytes[offset++];
+        v += (byte % 128) * scale;
+        if (byte < 128) break;
+        scale *= 128;
+      }
+      const delta = v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+      const i = values.length;
+      values.push(delta + (i >= stride ? values[i - stride] : 0));
+    }
+    return values;
+  }
+
+  // ── Points ──────────────────────────────────────────────────────────────
+
+  function quantize(value) {
+    const q = Math.round(value * POINT_SCALE);
+    return Math.min(Math.max(q, -MAX_COORDINATE), MAX_COORDINATE);
+  }
+
+  function encodePoints(points) {
+    const values = [];
+    for (const p of points) values.push(quantize(p.x), quantize(p.y));
+    return encodeInts(values, 2);
+  }
+
+  // [{ x, y }], or null if `data` isn't at most `maxPoints` encoded points
+  function decodePoints(data, maxPoints = Infinity) {
+    const values = decodeInts(data, maxPoints * 2, 2);
+    if (!values || values.length % 2 !== 0) return null;
+    const points = [];
+    for (let i = 0; i < values.length; i += 2) {
+      points.push({
+        x: values[i] / POINT_SCALE,
+        y: values[i + 1] / POINT_SCALE,
+      });
+    }
+    return points;
+  }
+
+  // ── Stroke Lists ────────────────────────────────────────────────────────
+
+  // { strokes: [{ ...stroke without points, n }], points: bytes }
+  function encodeStrokes(strokes) {
+    const all = [];
+    const metas = strokes.map(({ points, ...meta }) => {
+      all.push(...points);
+      return { ...meta, n: points.length };
+    });
+    return { strokes: metas, points: encodePoints(all) };
+  }
+
+  // The strokes encodeStrokes wrote, or null if the two parts don't match
+  function decodeStrokes(data, maxPoints = Infinity) {
+    if (!Array.isArray(data?.strokes)) return null;
+    const points = decodePoints(data.points, maxPoints);
+    if (!points) return null;
+    const strokes = [];
+    let offset = 0;
+    for (const { n, ...meta } of data.strokes) {
+      if (!Number.isInteger(n) || n < 0 || offset + n > points.length)
+        return null;
+      strokes.push({ ...meta, points: points.slice(offset, offset + n) });
+      offset += n;
+    }
+    return offset === points.length ? strokes : null;
+  }
+
+  // ── Simplification ──────────────────────────────────────────────────────
+
+  function segmentDistanceSq(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq : 0;
+    t = Math.min(Math.max(t, 0), 1);
+    const ex = a.x + t * dx - p.x;
+    const ey = a.y + t * dy - p.y;
+    return ex * ex + ey * ey;
+  }
+
+  /**
+   * Drops points that sit within `tolerance` of the line through the points
+   * kept either side of them. The first and last points always stay. Spans
+   * longer than SIMPLIFY_SPAN split at their middle rather than their
+   * farthest point, which keeps long strokes from costing n².
+   */
+  function simplifyPoints(points, tolerance = SIMPLIFY_TOLERANCE) {
+    if (points.length <= 2) return points.slice();
+    const keep = new Uint8Array(points.length);
+    const limit = tolerance * tolerance;
+    const spans = [[0, points.length - 1]];
+    keep[0] = keep[points.length - 1] = 1;
+    while (spans.length) {
+      const [first, last] = spans.pop();
+      let farthest = -1;
+      let farthestSq = limit;
+      for (let i = first + 1; i < last; i++) {
+        const d = segmentDistanceSq(points[i], points[first], points[last]);
+        if (d > farthestSq) {
+          farthest = i;
+          farthestSq = d;
+        }
+      }
+      if (farthest === -1) continue;
+      const split =
+        last - first > SIMPLIFY_SPAN ? (first + last) >> 1 : farthest;
+      keep[split] = 1;
+      spans.push([first, split], [split, last]);
+    }
+    return points.filter((_, i) => keep[i]);
+  }
+
+  return {
+    POINT_SCALE,
+    SIMPLIFY_TOLERANCE,
+    encodeInts,
+    decodeInts,
+    encodePoints,
+    decodePoints,
+    encodeStrokes,
+    decodeStrokes,
+    simplifyPoints,
+  };
+})();
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BoardCodec;
+} else {
+  window.BoardCodec = BoardCodec;
+}
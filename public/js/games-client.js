@@ -9,6 +9,9 @@ class GameClient {
     this.isPlayer = false;
     this.isSpectator = false;
     this.playerSymbol = null;
+    this.gameTypes = [];
+    this.roomGames = [];
+    this.menuOpen = false;
   }
 
   // Initialize game client
@@ -188,6 +191,12 @@ class GameClient {
     socket.on("room games updated", (data) => {
       this.updateAvailableGames(data.games);
     });
+
+    // Registered game types, used to build the game menu
+    socket.on("game types", (data) => {
+      this.gameTypes = data.types || [];
+      if (this.menuOpen) this.renderGameMenu();
+    });
   }
 
   // Show game interface
@@ -216,19 +225,27 @@ class GameClient {
     // Set title
     title.textContent = this.getGameTitle(game);
 
-    // Render game based on type
-    switch (game.type) {
-      case "tictactoe":
-        this.renderTicTacToe(game, body, footer);
-        break;
-      default:
-        body.innerHTML = "<p>Unknown game type</p>";
-    }
+    this.menuOpen = false;
+    this.renderGame(game, body, footer);
 
     // Show modal
     this.gameModal.style.display = "flex";
   }
 
+  // Picks the renderer for whichever game type the server reports; types
+  // without a dedicated renderer still get players, status and controls
+  renderGame(game, body, footer) {
+    const renderers = {
+      tictactoe: this.renderTicTacToe,
+      connectfour: this.renderConnectFour,
+      rps: this.renderRockPaperScissors,
+      hangman: this.renderHangman,
+      battleship: this.renderBattleship,
+    };
+    const render = renderers[game.type] || this.renderGenericGame;
+    render.call(this, game, body, footer);
+  }
+
   // Render Tic Tac Toe game
   renderTicTacToe(game, body, footer) {
     // Game info section
@@ -253,36 +270,33 @@ class GameClient {
     `;
 
     if (game.players.length >= 2) {
-      const player1 = game.players[0];
-      const player2 = game.players[1];
-
-      playersInfo.innerHTML = `
-        <div class="player-info ${
-          game.currentPlayerIndex === 0 ? "current-turn" : ""
-        }" 
-             style="text-align: center; ${
-               game.currentPlayerIndex === 0
-                 ? "color: #ff9800; font-weight: bold;"
-                 : ""
-             }">
-          <div>${player1.username}</div>
-          <div style="font-size: 24px; margin: 5px 0;">${player1.symbol}</div>
-          <div>Score: ${player1.score}</div>
-        </div>
-        <div style="font-size: 20px; color: #666;">VS</div>
-        <div class="player-info ${
-          game.currentPlayerIndex === 1 ? "current-turn" : ""
-        }" 
-             style="text-align: center; ${
-               game.currentPlayerIndex === 1
-                 ? "color: #ff9800; font-weight: bold;"
-                 : ""
-             }">
-          <div>${player2.username}</div>
-          <div style="font-size: 24px; margin: 5px 0;">${player2.symbol}</div>
-          <div>Score: ${player2.score}</div>
-        </div>
-      `;
+      // Usernames go through textContent, never innerHTML
+      const createPlayer = (player, index) => {
+        const current = game.currentPlayerIndex === index;
+        const info = document.createElement("div");
+        info.className = `player-info ${current ? "current-turn" : ""}`;
+        info.style.cssText = `
+          text-align: center;
+          ${current ? "color: #ff9800; font-weight: bold;" : ""}
+        `;
+        const name = document.createElement("div");
+        name.textContent = player.username;
+        const symbol = document.createElement("div");
+        symbol.style.cssText = "font-size: 24px; margin: 5px 0;";
+        symbol.textContent = player.symbol;
+        const score = document.createElement("div");
+        score.textContent = `Score: ${player.score}`;
+        info.appendChild(name);
+        info.appendChild(symbol);
+        info.appendChild(score);
+        return info;
+      };
+      const versus = document.createElement("div");
+      versus.style.cssText = "font-size: 20px; color: #666;";
+      versus.textContent = "VS";
+      playersInfo.appendChild(createPlayer(game.players[0], 0));
+      playersInfo.appendChild(versus);
+      playersInfo.appendChild(createPlayer(game.players[1], 1));
     } else {
       playersInfo.innerHTML = `
         <div class="waiting-message" style="text-align: center; width: 100%; color: #ff9800;">
@@ -442,8 +456,13 @@ class GameClient {
       align-items: center;
     `;
 
-    // New Game button (for players when game is finished)
-    if (this.isPlayer && game.state === "finished") {
+    // New Game button (for players when game is finished; Hangman rounds
+    // are restarted by the host, who picks the next word)
+    if (
+      this.isPlayer &&
+      game.state === "finished" &&
+      (game.type !== "hangman" || game.hostId === currentUserId)
+    ) {
       const newGameBtn = document.createElement("button");
       newGameBtn.textContent = "New Game";
       newGameBtn.style.cssText = `
@@ -458,7 +477,13 @@ class GameClient {
       `;
 
       newGameBtn.addEventListener("click", () => {
-        socket.emit("new game", { gameId: game.id });
+        if (game.type === "hangman") {
+          const word = this.promptHangmanWord();
+          if (!word) return;
+          socket.emit("new game", { gameId: game.id, options: { word } });
+        } else {
+          socket.emit("new game", { gameId: game.id });
+        }
       });
 
       buttonContainer.appendChild(newGameBtn);
@@ -499,6 +524,428 @@ class GameClient {
     footer.appendChild(buttonContainer);
   }
 
+  // ── Shared pieces for the non-Tic-Tac-Toe renderers ──────────────────────
+
+  isMyTurn(game) {
+    return (
+      game.state === "playing" &&
+      (game.activePlayerIds || []).includes(currentUserId)
+    );
+  }
+
+  createButton(label, background, onClick) {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.style.cssText = `
+      padding: 10px 20px;
+      background: ${background};
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+      font-size: 14px;
+      font-weight: bold;
+    `;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  // Player list with scores and the current turn highlighted, followed by
+  // the status line. Usernames go through textContent, never innerHTML.
+  createGameInfo(game) {
+    const gameInfo = document.createElement("div");
+    gameInfo.className = "game-info";
+    gameInfo.style.cssText = `
+      margin-bottom: 20px;
+      text-align: center;
+    `;
+
+    const playersInfo = document.createElement("div");
+    playersInfo.className = "players-info";
+    playersInfo.style.cssText = `
+      display: flex;
+      justify-content: space-around;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 15px;
+      padding: 10px;
+      background: #333;
+      border-radius: 5px;
+    `;
+
+    game.players.forEach((player) => {
+      const active = (game.activePlayerIds || []).includes(player.id);
+      const info = document.createElement("div");
+      info.className = `player-info ${active ? "current-turn" : ""}`;
+      info.style.cssText = `
+        text-align: center;
+        ${active ? "color: #ff9800; font-weight: bold;" : ""}
+      `;
+      const name = document.createElement("div");
+      name.textContent = player.username;
+      const score = document.createElement("div");
+      score.textContent = `Score: ${player.score}`;
+      info.appendChild(name);
+      info.appendChild(score);
+      playersInfo.appendChild(info);
+    });
+
+    if (game.players.length < game.minPlayers) {
+      const waiting = document.createElement("div");
+      waiting.className = "waiting-message";
+      waiting.style.color = "#ff9800";
+      waiting.textContent = "Waiting for another player to join...";
+      playersInfo.appendChild(waiting);
+    }
+
+    const gameStatus = document.createElement("div");
+    gameStatus.className = "game-status";
+    gameStatus.style.cssText = `
+      text-align: center;
+      margin: 10px 0;
+      font-size: 16px;
+      min-height: 20px;
+    `;
+    gameStatus.textContent = this.getGameStatusText(game);
+
+    gameInfo.appendChild(playersInfo);
+    gameInfo.appendChild(gameStatus);
+    return gameInfo;
+  }
+
+  sendMove(move) {
+    if (!this.currentGame) return;
+    socket.emit("game move", { gameId: this.currentGame.id, move });
+  }
+
+  // Fallback for game types this client has no dedicated renderer for
+  renderGenericGame(game, body, footer) {
+    body.appendChild(this.createGameInfo(game));
+    this.renderGameFooter(game, footer);
+  }
+
+  // Render Connect Four: click a column to drop a piece
+  renderConnectFour(game, body, footer) {
+    body.appendChild(this.createGameInfo(game));
+
+    const colors = { R: "#f44336", Y: "#ffeb3b" };
+    const grid = document.createElement("div");
+    grid.className = "connect-four-board";
+    grid.style.cssText = `
+      display: grid;
+      grid-template-columns: repeat(${game.columns}, 40px);
+      grid-gap: 4px;
+      justify-content: center;
+      margin: 20px auto;
+      padding: 10px;
+      background: #1565c0;
+      border-radius: 10px;
+      width: fit-content;
+    `;
+
+    const canPlay = this.isPlayer && this.isMyTurn(game);
+    game.board.forEach((cell, i) => {
+      const column = i % game.columns;
+      const slot = document.createElement("div");
+      slot.style.cssText = `
+        width: 40px;
+        height: 40px;
+        border-radius: 50%;
+        background: ${colors[cell] || "#000"};
+        cursor: ${canPlay ? "pointer" : "default"};
+        ${
+          game.winningLine && game.winningLine.includes(i)
+            ? "box-shadow: 0 0 10px #4caf50; border: 2px solid #4caf50;"
+            : ""
+        }
+      `;
+      if (canPlay) {
+        slot.addEventListener("click", () => this.sendMove({ column }));
+      }
+      grid.appendChild(slot);
+    });
+
+    body.appendChild(grid);
+    this.renderGameFooter(game, footer);
+  }
+
+  // Render Rock Paper Scissors: round score, history and the three choices
+  renderRockPaperScissors(game, body, footer) {
+    body.appendChild(this.createGameInfo(game));
+
+    const icons = { rock: "✊", paper: "✋", scissors: "✌️" };
+
+    const score = document.createElement("div");
+    score.style.cssText = "text-align: center; margin: 10px 0; color: #999;";
+    score.textContent = `Best of ${game.bestOf} — ${game.roundWins.join(" : ")}`;
+    body.appendChild(score);
+
+    const choices = document.createElement("div");
+    choices.style.cssText = `
+      display: flex;
+      gap: 15px;
+      justify-content: center;
+      margin: 20px 0;
+    `;
+    const canPlay = this.isPlayer && this.isMyTurn(game);
+    Object.entries(icons).forEach(([choice, icon]) => {
+      const btn = document.createElement("button");
+      btn.textContent = icon;
+      btn.title = choice;
+      btn.disabled = !canPlay;
+      btn.style.cssText = `
+        font-size: 36px;
+        width: 70px;
+        height: 70px;
+        border-radius: 10px;
+        border: 2px solid ${game.myChoice === choice ? "#ff9800" : "#666"};
+        background: #000;
+        cursor: ${canPlay ? "pointer" : "default"};
+        opacity: ${canPlay || game.myChoice === choice ? 1 : 0.5};
+      `;
+      if (canPlay) {
+        btn.addEventListener("click", () => this.sendMove({ choice }));
+      }
+      choices.appendChild(btn);
+    });
+    body.appendChild(choices);
+
+    const history = document.createElement("div");
+    history.style.cssText = "text-align: center; font-size: 14px;";
+    game.rounds.forEach((round, i) => {
+      const row = document.createElement("div");
+      const winner = game.players.find((p) => p.symbol === round.winner);
+      row.textContent =
+        `Round ${i + 1}: ${icons[round.choices[0]]} vs ` +
+        `${icons[round.choices[1]]} — ` +
+        (winner ? `${winner.username} wins` : "draw");
+      history.appendChild(row);
+    });
+    body.appendChild(history);
+
+    this.renderGameFooter(game, footer);
+  }
+
+  // Render Hangman: guesses arrive through the room chat, so the board is
+  // display-only apart from the host's word
+  renderHangman(game, body, footer) {
+    body.appendChild(this.createGameInfo(game));
+
+    const gallows = document.createElement("div");
+    gallows.style.cssText = `
+      text-align: center;
+      font-size: 14px;
+      color: #f44336;
+      margin: 10px 0;
+    `;
+    gallows.textContent =
+      `Wrong guesses: ${game.wrongGuesses} / ${game.maxWrongGuesses} ` +
+      "❤️".repeat(Math.max(0, game.maxWrongGuesses - game.wrongGuesses));
+    body.appendChild(gallows);
+
+    const word = document.createElement("div");
+    word.style.cssText = `
+      text-align: center;
+      font-size: 32px;
+      letter-spacing: 10px;
+      font-family: monospace;
+      margin: 20px 0;
+    `;
+    word.textContent = game.maskedWord.join("");
+    body.appendChild(word);
+
+    const guessed = document.createElement("div");
+    guessed.style.cssText = "text-align: center; color: #999;";
+    guessed.textContent = game.guessedLetters.length
+      ? `Guessed: ${game.guessedLetters.join(" ")}`
+      : "No guesses yet";
+    body.appendChild(guessed);
+
+    if (game.lastGuess) {
+      const last = document.createElement("div");
+      last.style.cssText = "text-align: center; margin-top: 10px;";
+      last.textContent = `${game.lastGuess.username} guessed "${game.lastGuess.guess}"`;
+      body.appendChild(last);
+    }
+
+    this.renderGameFooter(game, footer);
+  }
+
+  // Render Battleship: your own fleet, and the enemy waters you fire into
+  renderBattleship(game, body, footer) {
+    body.appendChild(this.createGameInfo(game));
+
+    const boards = document.createElement("div");
+    boards.style.cssText = `
+      display: flex;
+      gap: 20px;
+      justify-content: center;
+      flex-wrap: wrap;
+    `;
+
+    const myIndex = game.players.findIndex((p) => p.id === currentUserId);
+    const canPlay = this.isPlayer && this.isMyTurn(game);
+
+    game.boards.forEach((board, index) => {
+      const owner = game.players[index];
+      const isMine = index === myIndex;
+      const isTarget = myIndex !== -1 && !isMine;
+      const shipCells = new Set(board.ships.flat());
+
+      const wrapper = document.createElement("div");
+      const label = document.createElement("div");
+      label.style.cssText = "text-align: center; margin-bottom: 5px;";
+      label.textContent = isMine
+        ? `Your fleet (${board.shipsRemaining} afloat)`
+        : `${owner ? owner.username : "Opponent"} (${board.shipsRemaining} afloat)`;
+      wrapper.appendChild(label);
+
+      const grid = document.createElement("div");
+      grid.style.cssText = `
+        display: grid;
+        grid-template-columns: repeat(${game.size}, 24px);
+        grid-gap: 2px;
+        padding: 5px;
+        background: #333;
+        border: 2px solid ${isTarget && canPlay ? "#ff9800" : "#666"};
+        border-radius: 5px;
+      `;
+      board.shots.forEach((shot, cell) => {
+        const square = document.createElement("div");
+        const hasShip = shipCells.has(cell);
+        square.style.cssText = `
+          width: 24px;
+          height: 24px;
+          line-height: 24px;
+          text-align: center;
+          font-size: 12px;
+          background: ${hasShip ? "#607d8b" : "#0d47a1"};
+          cursor: ${isTarget && canPlay && !shot ? "pointer" : "default"};
+        `;
+        if (shot === "hit") square.textContent = "💥";
+        else if (shot === "miss") square.textContent = "•";
+        if (isTarget && canPlay && !shot) {
+          square.addEventListener("click", () =>
+            this.sendMove({ position: cell })
+          );
+        }
+        grid.appendChild(square);
+      });
+      wrapper.appendChild(grid);
+      boards.appendChild(wrapper);
+    });
+
+    body.appendChild(boards);
+    this.renderGameFooter(game, footer);
+  }
+
+  promptHangmanWord() {
+    const word = prompt("Choose a secret word (3-16 letters):");
+    if (!word) return null;
+    if (!/^[a-zA-Z]{3,16}$/.test(word.trim())) {
+      this.showGameError("Hangman words must be 3-16 letters (A-Z).");
+      return null;
+    }
+    return word.trim();
+  }
+
+  // ── Game Menu: start a new game or join one already in the room ─────────
+
+  showGameMenu() {
+    this.menuOpen = true;
+    socket.emit("get game types");
+    this.showAvailableGames();
+    this.renderGameMenu();
+    this.gameModal.style.display = "flex";
+  }
+
+  renderGameMenu() {
+    const title = this.gameModal.querySelector("#gameTitle");
+    const body = this.gameModal.querySelector("#gameModalBody");
+    const footer = this.gameModal.querySelector("#gameModalFooter");
+    title.textContent = "Mini Games";
+    body.innerHTML = "";
+    footer.innerHTML = "";
+
+    const heading = (text) => {
+      const h = document.createElement("h4");
+      h.style.cssText = "color: #ff9800; margin: 10px 0;";
+      h.textContent = text;
+      return h;
+    };
+
+    body.appendChild(heading("Start a game"));
+    const types = document.createElement("div");
+    types.style.cssText = "display: flex; flex-wrap: wrap; gap: 10px;";
+    this.gameTypes.forEach((type) => {
+      types.appendChild(
+        this.createButton(type.name, "#4caf50", () =>
+          this.startGameOfType(type)
+        )
+      );
+    });
+    body.appendChild(types);
+
+    body.appendChild(heading("Games in this room"));
+    if (this.roomGames.length === 0) {
+      const empty = document.createElement("div");
+      empty.style.color = "#666";
+      empty.textContent = "No games yet.";
+      body.appendChild(empty);
+    }
+    this.roomGames.forEach((game) => {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 10px;
+        padding: 8px;
+        margin-bottom: 5px;
+        background: #333;
+        border-radius: 5px;
+      `;
+      const label = document.createElement("span");
+      label.textContent =
+        `${game.name}: ${game.players.map((p) => p.username).join(", ")} ` +
+        `(${game.state})`;
+      row.appendChild(label);
+
+      const actions = document.createElement("span");
+      actions.style.cssText = "display: flex; gap: 5px;";
+      const canJoin =
+        game.players.length < game.maxPlayers &&
+        (game.state === "waiting" || game.type === "hangman") &&
+        !game.players.some((p) => p.id === currentUserId);
+      if (canJoin) {
+        actions.appendChild(
+          this.createButton("Join", "#4caf50", () => this.joinGame(game.id))
+        );
+      }
+      actions.appendChild(
+        this.createButton("Watch", "#2196f3", () => this.spectateGame(game.id))
+      );
+      row.appendChild(actions);
+      body.appendChild(row);
+    });
+  }
+
+  startGameOfType(type) {
+    if (type.type === "hangman") {
+      const word = this.promptHangmanWord();
+      if (!word) return;
+      this.createGame(type.type, { word });
+    } else if (type.type === "rps") {
+      const bestOf = parseInt(
+        prompt("Best of how many rounds? (1, 3, 5, 7)", "3"),
+        10
+      );
+      this.createGame(type.type, { bestOf: bestOf || 3 });
+    } else {
+      this.createGame(type.type);
+    }
+  }
+
   // Update game display when game state changes
   updateGameDisplay(game) {
     if (this.gameModal.style.display !== "flex") return;
@@ -511,17 +958,12 @@ class GameClient {
     footer.innerHTML = "";
 
     // Re-render the game
-    this.renderTicTacToe(game, body, footer);
+    this.renderGame(game, body, footer);
   }
 
   // Helper methods
   getGameTitle(game) {
-    switch (game.type) {
-      case "tictactoe":
-        return `Tic Tac Toe - Game ${game.gameNumber}`;
-      default:
-        return "Game";
-    }
+    return `${game.name || "Game"} - Game ${game.gameNumber}`;
   }
 
   getGameStatusText(game) {
@@ -530,10 +972,23 @@ class GameClient {
     } else if (game.state === "finished") {
       if (game.winner === "draw") {
         return "It's a draw! 🤝";
+      } else if (game.type === "hangman") {
+        return game.winner === "G"
+          ? `🎉 The word was guessed: ${game.word}`
+          : `💀 Nobody guessed it. The word was ${game.word}`;
       } else {
         const winner = game.players.find((p) => p.symbol === game.winner);
         return `🎉 ${winner ? winner.username : game.winner} wins!`;
       }
+    } else if (game.type === "hangman") {
+      return game.hostId === currentUserId
+        ? "The room is guessing your word..."
+        : "Type a letter (or the whole word) in chat and press Enter!";
+    } else if (game.type === "rps") {
+      if (!this.isPlayer) return "Players are choosing...";
+      return this.isMyTurn(game)
+        ? "Make your choice!"
+        : "Waiting for your opponent...";
     } else if (game.state === "playing") {
       const currentPlayer = game.players[game.currentPlayerIndex];
       if (this.isPlayer) {
@@ -573,10 +1028,11 @@ class GameClient {
   }
 
   // Game actions
-  createGame(gameType) {
+  createGame(gameType, options = {}) {
     socket.emit("create game", {
       roomId: currentRoomId,
       gameType: gameType,
+      options: options,
     });
   }
 
@@ -615,6 +1071,7 @@ class GameClient {
   }
 
   closeGame() {
+    this.menuOpen = false;
     this.gameModal.style.display = "none";
     this.currentGame = null;
     this.isPlayer = false;
@@ -628,9 +1085,8 @@ class GameClient {
   }
 
   updateAvailableGames(games) {
-    // This could be used to show a list of available games
-    // For now, we'll just log them
-    console.log("Available games in room:", games);
+    this.roomGames = games || [];
+    if (this.menuOpen) this.renderGameMenu();
   }
 
   showGameError(message) {
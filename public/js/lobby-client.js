@@ -433,6 +433,8 @@ const usernameInput = logForm.querySelector('input[placeholder="Your Name"]');
 const locationInput = logForm.querySelector(
   'input[placeholder="Location (optional)"]',
 );
+const passwordInput = logForm.querySelector('input[type="password"]');
+const registerNameCheckbox = document.getElementById("registerName");
 const roomNameInput = createRoomForm.querySelector(
   'input[placeholder="Room Name"]',
 );
@@ -455,6 +457,8 @@ const MAX_LOCATION_LENGTH = 20;
 const MAX_ROOM_NAME_LENGTH = 25;
 let devLobbyCodes = {};
 let statsModal = null;
+let serverLimits = null; // the server's CONFIG.LIMITS, from /api/v1/config
+let lobbyRooms = [];
 
 // ============================================================================
 // 6. SIGN-IN HELPERS
@@ -522,6 +526,7 @@ socket.on("connect", () => {
   console.log("Socket connected successfully");
   connectionRetryCount = 0;
   updateConnectionStatus();
+  socket.emit("get announcements");
 });
 
 socket.on("disconnect", (reason) => {
@@ -607,17 +612,19 @@ logForm.addEventListener("submit", (e) => {
     currentLocation = newLocation;
     isSignedIn = true;
 
+    // A password signs in to a registered name (or registers this one);
+    // it is never kept on the client
+    const payload = { username: currentUsername, location: currentLocation };
+    if (passwordInput.value) payload.password = passwordInput.value;
+    if (registerNameCheckbox.checked) payload.register = true;
+    passwordInput.value = "";
+    registerNameCheckbox.checked = false;
+
     if (socket.connected) {
-      socket.emit("join lobby", {
-        username: currentUsername,
-        location: currentLocation,
-      });
+      socket.emit("join lobby", payload);
     } else {
       socket.once("connect", () => {
-        socket.emit("join lobby", {
-          username: currentUsername,
-          location: currentLocation,
-        });
+        socket.emit("join lobby", payload);
       });
     }
 
@@ -627,6 +634,59 @@ logForm.addEventListener("submit", (e) => {
   }
 });
 
+// Only what the creator changed; the server fills in the defaults
+function getRoomPolicyInput() {
+  const policy = {
+    allowLinks: document.getElementById("policyAllowLinks").checked,
+    emojiOnly: document.getElementById("policyEmojiOnly").checked,
+  };
+  const wordFilter = document.getElementById("policyWordFilter").value;
+  if (wordFilter) policy.wordFilter = wordFilter;
+  const languages = document.getElementById("policyLanguages").value;
+  if (languages) policy.languages = languages === "none" ? [] : [languages];
+  const maxLength = parseInt(
+    document.getElementById("policyMaxLength").value,
+    10,
+  );
+  if (maxLength) policy.maxMessageLength = maxLength;
+  const minAccountAge = parseInt(
+    document.getElementById("policyMinAccountAge").value,
+    10,
+  );
+  if (minAccountAge) policy.minAccountAge = minAccountAge;
+  return policy;
+}
+
+// Loads the server's limits into the create-room form, which only offers
+// room sizes the server accepts (MAX_ROOM_CAPACITY may be below the 10 the
+// page lists), and redraws the room cards, whose policy lines use them
+async function loadServerLimits() {
+  try {
+    const response = await fetch("/api/v1/config", {
+      method: "GET",
+      headers: { "Content-Type": "application/json" },
+    });
+    if (!response.ok) return;
+    const { limits } = await response.json();
+    serverLimits = limits;
+    if (lobbyRooms.length > 0) updateLobby(lobbyRooms);
+    const maxLength = document.getElementById("policyMaxLength");
+    maxLength.max = limits.MAX_MESSAGE_LENGTH;
+    maxLength.placeholder = limits.MAX_MESSAGE_LENGTH;
+    const select = document.getElementById("roomCapacity");
+    select.replaceChildren();
+    for (let n = limits.MIN_ROOM_CAPACITY; n <= limits.MAX_ROOM_CAPACITY; n++) {
+      const option = document.createElement("option");
+      option.value = n;
+      option.textContent = `${n} people`;
+      option.selected = n === limits.DEFAULT_ROOM_CAPACITY;
+      select.appendChild(option);
+    }
+  } catch (error) {
+    console.error("Error loading server limits:", error);
+  }
+}
+
 goChatButton.addEventListener("click", () => {
   if (!socket.connected) {
     window.showErrorModal(
@@ -662,7 +722,11 @@ goChatButton.addEventListener("click", () => {
       name: roomName,
       type: roomType,
       layout: roomLayout,
+      capacity: parseInt(document.getElementById("roomCapacity").value, 10),
       accessCode,
+      recordTranscript: !!document.getElementById("recordTranscript")?.checked,
+      recordReplay: !!document.getElementById("recordReplay")?.checked,
+      policy: getRoomPolicyInput(),
     });
   } else {
     window.showErrorModal("Please fill in all room details.");
@@ -769,9 +833,11 @@ socket.on("signin status", (data) => {
     createRoomForm.classList.remove("hidden");
 
     showRoomList();
+    showFriends(true);
   } else {
     signInMessage.style.display = "block";
     roomListContainer.style.display = "none";
+    showFriends(false);
   }
 });
 
@@ -794,6 +860,7 @@ function signOut() {
   createRoomForm.classList.add("hidden");
   signInMessage.style.display = "block";
   roomListContainer.style.display = "none";
+  showFriends(false);
 
   if (socket.connected) {
     socket.emit("leave lobby");
@@ -808,8 +875,29 @@ socket.on("lobby update", (rooms) => {
   updateLobby(rooms);
 });
 
+socket.on("server notice", ({ message }) => {
+  window.showInfoModal(`Server notice: ${message}`);
+});
+
+// Operator announcements, rendered by js/announcements.js
+socket.on("announcements", TalkomaticAnnouncements.showAll);
+socket.on("announcement", (announcement) => {
+  if (announcement.target === "lobby") {
+    TalkomaticAnnouncements.show(announcement);
+  }
+});
+socket.on("announcement removed", ({ id }) =>
+  TalkomaticAnnouncements.remove(id),
+);
+
+socket.on("validation_error", (errors) => {
+  window.showErrorModal(Object.values(errors).join(" "), "VALIDATION_ERROR");
+});
+
 socket.on("error", (error) => {
   console.log(error);
+  // The name is registered to someone: ask for its password
+  if (error.error.code === "NAME_RESERVED") passwordInput.focus();
   window.showErrorModal(
     (error.error.replaceDefaultText ? "" : `An error occurred: `) +
       error.error.message,
@@ -817,6 +905,14 @@ socket.on("error", (error) => {
   );
 });
 
+function createVerifiedBadge() {
+  const badge = document.createElement("span");
+  badge.className = "verified-badge";
+  badge.textContent = "\u2713";
+  badge.title = "Registered name";
+  return badge;
+}
+
 function getJoinableCount(room) {
   if (!room) return 0;
   if (typeof room.userCount === "number") return room.userCount;
@@ -831,7 +927,8 @@ function createRoomElement(room) {
   roomElement.dataset.roomType = room.type;
 
   const joinableCount = getJoinableCount(room);
-  const isFull = !!room.isFull || joinableCount >= 5;
+  const capacity = room.capacity || 5;
+  const isFull = !!room.isFull || joinableCount >= capacity;
 
   const enterButton = document.createElement("button");
   enterButton.classList.add("enter-button");
@@ -851,11 +948,21 @@ function createRoomElement(room) {
 
   const roomNameDiv = document.createElement("div");
   roomNameDiv.classList.add("room-name");
-  roomNameDiv.textContent = `${room.name} (${joinableCount}/5 People)`;
+  roomNameDiv.textContent = `${room.name} (${joinableCount}/${capacity} People)`;
 
   const roomDetailsDiv = document.createElement("div");
   roomDetailsDiv.classList.add("room-details");
   roomDetailsDiv.textContent = `${getRoomTypeDisplay(room.type)} Room`;
+  if (room.recordTranscript) {
+    roomDetailsDiv.textContent += " \u2022 Transcript recorded";
+  }
+  if (room.recordReplay) {
+    roomDetailsDiv.textContent += " \u2022 Keystrokes recorded";
+  }
+
+  const policyDiv = document.createElement("div");
+  policyDiv.classList.add("room-policy");
+  policyDiv.textContent = describeRoomPolicy(room.policy);
 
   const usersDetailDiv = document.createElement("div");
   usersDetailDiv.classList.add("users-detail");
@@ -882,13 +989,18 @@ function createRoomElement(room) {
     }
 
     userDiv.appendChild(userNameSpan);
+    if (user.isVerified) userDiv.appendChild(createVerifiedBadge());
     userDiv.append(` / ${user.location}`);
+    if (user.id !== currentUserId) {
+      userDiv.appendChild(createChatRequestButton(user));
+    }
 
     usersDetailDiv.appendChild(userDiv);
   });
 
   roomInfo.appendChild(roomNameDiv);
   roomInfo.appendChild(roomDetailsDiv);
+  if (policyDiv.textContent) roomInfo.appendChild(policyDiv);
 
   if (devLobbyCodes[room.id]) {
     const codeDiv = document.createElement("div");
@@ -906,6 +1018,38 @@ function createRoomElement(room) {
   return roomElement;
 }
 
+// The room's content policy in a line for its lobby card; a length limit
+// only shows when it's below the server's
+function describeRoomPolicy(policy) {
+  if (!policy) return "";
+  const rules = [
+    {
+      mask: "Offensive words masked",
+      block: "Offensive words blocked",
+      flag: "Offensive words allowed with a warning",
+    }[policy.wordFilter],
+  ];
+  if (!policy.allowLinks) rules.push("No links");
+  if (policy.emojiOnly) rules.push("Emoji only");
+  if (
+    serverLimits &&
+    policy.maxMessageLength < serverLimits.MAX_MESSAGE_LENGTH
+  ) {
+    rules.push(`Max ${policy.maxMessageLength} characters`);
+  }
+  if (policy.minAccountAge > 0) {
+    rules.push(`Users ${policy.minAccountAge}+ minutes old`);
+  }
+  if (Array.isArray(policy.languages)) {
+    rules.push(
+      policy.languages.length > 0
+        ? `Filter: English, ${policy.languages.join(", ")}`
+        : "Filter: English only",
+    );
+  }
+  return rules.filter(Boolean).join(" \u2022 ");
+}
+
 function getRoomTypeDisplay(type) {
   switch (type) {
     case "public":
@@ -920,7 +1064,198 @@ function getRoomTypeDisplay(type) {
 }
 
 // ============================================================================
-// 12. ANTI-SPAM: ACTIVITY-BASED ROOM SORTING
+// 12. FRIENDS
+// ============================================================================
+
+const friendsSection = document.getElementById("friendsSection");
+const friendsPanel = document.getElementById("friendsPanel");
+const friendCode = document.getElementById("friendCode");
+const addFriendForm = document.getElementById("addFriendForm");
+const friendList = document.getElementById("friendList");
+const noFriendsMessage = document.getElementById("noFriendsMessage");
+
+// userId → latest status, so a toast only shows when a friend comes online
+const friendStatuses = new Map();
+
+// Toasts carry usernames, so never let toastr render them as HTML
+const FRIEND_TOAST_OPTIONS = { escapeHtml: true, timeOut: 8000 };
+
+function showFriends(visible) {
+  friendsSection.style.display = visible ? "block" : "none";
+  friendsPanel.style.display = visible ? "block" : "none";
+  if (visible) {
+    socket.emit("get friends");
+  } else {
+    friendStatuses.clear();
+    friendList.replaceChildren();
+  }
+}
+
+function describeFriendStatus(friend) {
+  if (!friend.online) return "Offline";
+  if (!friend.room) return "In the lobby";
+  if (friend.room.type === "private") return "In a private room";
+  return `In "${friend.room.name}"`;
+}
+
+function createFriendElement(friend) {
+  const item = document.createElement("li");
+  item.classList.add("friend");
+  if (friend.online) item.classList.add("online");
+
+  const name = document.createElement("span");
+  name.classList.add("friend-name");
+  name.textContent = friend.username;
+
+  const status = document.createElement("span");
+  status.classList.add("friend-status");
+  status.textContent = describeFriendStatus(friend);
+
+  item.append(name, status);
+
+  if (friend.room?.id) {
+    const joinButton = document.createElement("button");
+    joinButton.type = "button";
+    joinButton.textContent = "Join";
+    joinButton.addEventListener("click", () => joinRoom(friend.room.id));
+    item.appendChild(joinButton);
+  }
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.classList.add("remove-friend");
+  removeButton.textContent = "\u00D7";
+  removeButton.title = "Remove friend";
+  removeButton.addEventListener("click", () => {
+    window.showConfirmModal(
+      `Remove ${friend.username} from your friends?`,
+      (confirmed) => {
+        if (confirmed) socket.emit("remove friend", { userId: friend.userId });
+      },
+    );
+  });
+  item.appendChild(removeButton);
+
+  return item;
+}
+
+// Online friends first, then by name
+function renderFriends() {
+  const friends = Array.from(friendStatuses.values()).sort(
+    (a, b) => b.online - a.online || a.username.localeCompare(b.username),
+  );
+  friendList.replaceChildren(...friends.map(createFriendElement));
+  noFriendsMessage.style.display = friends.length ? "none" : "block";
+}
+
+addFriendForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const input = addFriendForm.querySelector("input");
+  const code = input.value.trim();
+  if (!code) return;
+  socket.emit("add friend", { code });
+  input.value = "";
+});
+
+document.getElementById("copyFriendCode").addEventListener("click", () => {
+  navigator.clipboard
+    .writeText(friendCode.textContent)
+    .then(() => toastr.success("Friend code copied.", "", FRIEND_TOAST_OPTIONS))
+    .catch(() => window.showErrorModal("Failed to copy your friend code."));
+});
+
+socket.on("friends list", ({ code, friends }) => {
+  friendCode.textContent = code;
+  friendStatuses.clear();
+  friends.forEach((friend) => friendStatuses.set(friend.userId, friend));
+  renderFriends();
+});
+
+socket.on("friend status", (status) => {
+  const known = friendStatuses.get(status.userId);
+  if (!known) return;
+  const friend = {
+    ...known,
+    ...status,
+    username: status.username || known.username,
+  };
+  if (friend.online && !known.online) {
+    toastr.info(
+      `${friend.username} is online.`,
+      "Friends",
+      FRIEND_TOAST_OPTIONS,
+    );
+  }
+  friendStatuses.set(friend.userId, friend);
+  renderFriends();
+});
+
+// The pass lets us into a semi-private room without its access code
+socket.on("room invite", ({ roomId, roomName, from, pass }) => {
+  toastr.info(
+    `${from.username} invited you to "${roomName}". Click to join.`,
+    "Room invite",
+    {
+      ...FRIEND_TOAST_OPTIONS,
+      timeOut: 30000,
+      onclick: () => socket.emit("join room", { roomId, invite: pass }),
+    },
+  );
+});
+
+// ============================================================================
+// 13. DIRECT CHATS
+// ============================================================================
+
+// Asks someone for a one-on-one chat in a private room of their own
+function createChatRequestButton(user) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("chat-request-button");
+  button.textContent = "\uD83D\uDCAC";
+  button.title = `Request a chat with ${user.username}`;
+  button.addEventListener("click", () =>
+    socket.emit("request chat", { userId: user.id }),
+  );
+  return button;
+}
+
+socket.on("chat request", ({ from, token }) => {
+  window.showConfirmModal(
+    `${from.username} from ${from.location} would like a one-on-one chat. Accept?`,
+    (accept) => {
+      socket.emit("answer chat", {
+        fromUserId: from.userId,
+        fromSocketId: from.socketId,
+        token,
+        accept,
+      });
+    },
+  );
+});
+
+socket.on("chat requested", ({ username }) => {
+  toastr.info(
+    `Asked ${username || "them"} to chat. Waiting for an answer...`,
+    "",
+    FRIEND_TOAST_OPTIONS,
+  );
+});
+
+socket.on("chat declined", ({ username }) => {
+  toastr.info(
+    `${username} declined your chat request.`,
+    "",
+    FRIEND_TOAST_OPTIONS,
+  );
+});
+
+socket.on("chat started", ({ roomId }) => {
+  window.location.href = `/room.html?roomId=${roomId}`;
+});
+
+// ============================================================================
+// 14. ANTI-SPAM: ACTIVITY-BASED ROOM SORTING
 // ============================================================================
 
 function sortRoomsByActivity(rooms) {
@@ -945,6 +1280,7 @@ function sortRoomsByActivity(rooms) {
 }
 
 function updateLobby(rooms) {
+  lobbyRooms = rooms;
   dynamicRoomList.innerHTML = "";
   const publicRooms = rooms.filter((room) => room.type !== "private");
 
@@ -977,7 +1313,7 @@ function showRoomList() {
 }
 
 // ============================================================================
-// 13. INITIALIZATION
+// 15. INITIALIZATION
 // ============================================================================
 
 function initLobby() {
@@ -988,6 +1324,7 @@ function initLobby() {
   ).checked = true;
 
   statsModal = new StatsModal();
+  loadServerLimits();
 
   document
     .getElementById("statsForNerdsButton")
@@ -0,0 +1,328 @@
+// ============================================================================
+// replay.js - Keystroke replay viewer for rooms recorded with "recordReplay"
+// ============================================================================
+//
+// The server sends the whole recording once ("room replay"); everything
+// after that - play/pause, scrubbing and speed - happens locally by
+// re-applying the recorded edits to each user's panel.
+
+class ReplayViewer {
+  constructor(socketRef, formatText) {
+    this.socket = socketRef;
+    this.formatText = formatText || ((text) => text);
+    this.overlay = null;
+
+    this.events = [];
+    this.duration = 0;
+    this.truncated = false;
+
+    // Panel state at `currentTime`, built by applying events in order
+    this.panels = new Map(); // userId → { username, text, present }
+    this.appliedIndex = 0;
+
+    this.currentTime = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.lastFrame = null;
+    this.frameId = null;
+
+    this.onReplay = (data) => this.load(data);
+  }
+
+  open() {
+    if (!this.overlay) this.createOverlay();
+    this.overlay.style.display = "flex";
+    this.socket.off("room replay", this.onReplay);
+    this.socket.on("room replay", this.onReplay);
+    this.socket.emit("get replay");
+  }
+
+  close() {
+    this.pause();
+    this.socket.off("room replay", this.onReplay);
+    if (this.overlay) this.overlay.style.display = "none";
+  }
+
+  // ── DOM ─────────────────────────────────────────────────────────────────
+
+  createOverlay() {
+    this.overlay = document.createElement("div");
+    this.overlay.id = "replayOverlay";
+    this.overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.85);
+      z-index: 10000;
+      display: none;
+      justify-content: center;
+      align-items: center;
+    `;
+
+    const content = document.createElement("div");
+    content.style.cssText = `
+      background: #1a1a1a;
+      border: 2px solid #ff9800;
+      border-radius: 10px;
+      width: min(900px, 95vw);
+      max-height: 90vh;
+      display: flex;
+      flex-direction: column;
+      color: white;
+      overflow: hidden;
+    `;
+
+    const header = document.createElement("div");
+    header.style.cssText = `
+      padding: 12px 20px;
+      border-bottom: 1px solid #ff9800;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      background: #000;
+    `;
+    const title = document.createElement("h3");
+    title.textContent = "Session Replay";
+    title.style.cssText = "margin: 0; color: #ff9800; font-size: 18px;";
+    const closeBtn = document.createElement("button");
+    closeBtn.innerHTML = "&times;";
+    closeBtn.style.cssText = `
+      background: none;
+      border: none;
+      color: #ff9800;
+      font-size: 24px;
+      cursor: pointer;
+    `;
+    closeBtn.addEventListener("click", () => this.close());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    this.panelContainer = document.createElement("div");
+    this.panelContainer.style.cssText = `
+      flex: 1;
+      overflow-y: auto;
+      padding: 15px 20px;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      min-height: 300px;
+    `;
+
+    const controls = document.createElement("div");
+    controls.style.cssText = `
+      padding: 12px 20px;
+      border-top: 1px solid #333;
+      background: #000;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    `;
+
+    this.playBtn = this.createControlButton("▶", () =>
+      this.playing ? this.pause() : this.play(),
+    );
+    controls.appendChild(this.playBtn);
+
+    this.scrubber = document.createElement("input");
+    this.scrubber.type = "range";
+    this.scrubber.min = "0";
+    this.scrubber.max = "0";
+    this.scrubber.value = "0";
+    this.scrubber.style.cssText = "flex: 1; accent-color: #ff9800;";
+    this.scrubber.addEventListener("input", () =>
+      this.seek(Number(this.scrubber.value)),
+    );
+    controls.appendChild(this.scrubber);
+
+    this.timeLabel = document.createElement("span");
+    this.timeLabel.style.cssText =
+      "font-family: monospace; min-width: 110px; text-align: center;";
+    controls.appendChild(this.timeLabel);
+
+    this.speedButtons = [1, 2, 4].map((speed) => {
+      const btn = this.createControlButton(`${speed}x`, () =>
+        this.setSpeed(speed),
+      );
+      controls.appendChild(btn);
+      return { speed, btn };
+    });
+
+    content.appendChild(header);
+    content.appendChild(this.panelContainer);
+    content.appendChild(controls);
+    this.overlay.appendChild(content);
+
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.overlay.style.display === "flex") {
+        this.close();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.setSpeed(1);
+  }
+
+  createControlButton(label, onClick) {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.style.cssText = `
+      padding: 6px 12px;
+      background: #444;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 4px;
+      cursor: pointer;
+    `;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  // ── Playback ────────────────────────────────────────────────────────────
+
+  load(data) {
+    this.pause();
+    this.events = Array.isArray(data?.events) ? data.events : [];
+    this.duration = Math.max(
+      data?.duration || 0,
+      this.events.length ? this.events[this.events.length - 1].t : 0,
+    );
+    this.truncated = !!data?.truncated;
+    this.scrubber.max = String(this.duration);
+    this.panels = new Map();
+    this.appliedIndex = 0;
+    this.currentTime = 0;
+    this.seek(0);
+    if (this.events.length > 0) this.play();
+  }
+
+  play() {
+    if (this.currentTime >= this.duration) this.seek(0);
+    this.playing = true;
+    this.playBtn.textContent = "❚❚";
+    this.lastFrame = performance.now();
+    this.frameId = requestAnimationFrame((now) => this.tick(now));
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.playBtn) this.playBtn.textContent = "▶";
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this.speedButtons.forEach(({ speed: s, btn }) => {
+      btn.style.borderColor = s === speed ? "#ff9800" : "#666";
+      btn.style.color = s === speed ? "#ff9800" : "white";
+    });
+  }
+
+  tick(now) {
+    if (!this.playing) return;
+    const elapsed = (now - this.lastFrame) * this.speed;
+    this.lastFrame = now;
+    this.seek(Math.min(this.duration, this.currentTime + elapsed));
+    if (this.currentTime >= this.duration) {
+      this.pause();
+      return;
+    }
+    this.frameId = requestAnimationFrame((n) => this.tick(n));
+  }
+
+  // Moving forward applies only the new events; moving backward rebuilds
+  // from the start, since edits can only be applied in order
+  seek(time) {
+    if (time < this.currentTime) {
+      this.panels = new Map();
+      this.appliedIndex = 0;
+    }
+    this.currentTime = time;
+
+    while (
+      this.appliedIndex < this.events.length &&
+      this.events[this.appliedIndex].t <= time
+    ) {
+      this.applyEvent(this.events[this.appliedIndex]);
+      this.appliedIndex++;
+    }
+
+    this.scrubber.value = String(Math.round(time));
+    this.timeLabel.textContent = `${this.formatTime(time)} / ${this.formatTime(
+      this.duration,
+    )}`;
+    this.renderPanels();
+  }
+
+  applyEvent(event) {
+    if (event.type === "join") {
+      this.panels.set(event.userId, {
+        username: event.username,
+        text: event.text || "",
+        present: true,
+      });
+    } else if (event.type === "leave") {
+      const panel = this.panels.get(event.userId);
+      if (panel) panel.present = false;
+    } else if (event.type === "edit") {
+      const panel = this.panels.get(event.userId);
+      if (!panel) return;
+      panel.text =
+        panel.text.slice(0, event.index) +
+        event.text +
+        panel.text.slice(event.index + event.remove);
+    }
+  }
+
+  renderPanels() {
+    this.panelContainer.innerHTML = "";
+
+    if (this.events.length === 0) {
+      const empty = document.createElement("div");
+      empty.style.color = "#666";
+      empty.textContent = "Nothing has been recorded yet.";
+      this.panelContainer.appendChild(empty);
+      return;
+    }
+
+    for (const panel of this.panels.values()) {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        border: 1px solid #333;
+        border-radius: 5px;
+        overflow: hidden;
+        opacity: ${panel.present ? 1 : 0.5};
+      `;
+      const name = document.createElement("div");
+      name.style.cssText =
+        "padding: 4px 10px; background: #333; color: #ff9800;";
+      name.textContent = panel.present
+        ? panel.username
+        : `${panel.username} (left)`;
+      const text = document.createElement("div");
+      text.className = "chat-input";
+      text.style.cssText = "padding: 8px 10px; min-height: 40px;";
+      text.textContent = this.formatText(panel.text);
+      row.appendChild(name);
+      row.appendChild(text);
+      this.panelContainer.appendChild(row);
+    }
+
+    if (this.truncated) {
+      const note = document.createElement("div");
+      note.style.cssText = "color: #999; font-size: 12px;";
+      note.textContent =
+        "The recording reached its size limit; later typing was not saved.";
+      this.panelContainer.appendChild(note);
+    }
+  }
+
+  formatTime(ms) {
+    const total = Math.floor(ms / 1000);
+    const minutes = Math.floor(total / 60);
+    const seconds = String(total % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+}
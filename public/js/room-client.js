@@ -1,6 +1,7 @@
 // public/js/room-client.js
 // Talkomatic chat room client: real-time diff-based chat, emote system,
-// word filter integration, vote-kick UI, link safety, dev mode UI, layout.
+// word filter integration, vote-kick and room owner UI, link safety, dev
+// mode UI, layout.
 
 // ── 1. CONSTANTS & STATE ────────────────────────────────────────────────────
 
@@ -20,6 +21,7 @@ let currentRoomName = "";
 let lastSentMessage = "";
 let chatInput = null;
 let talkoboardInstance = null;
+let replayInstance = null;
 
 // Dev mode state
 let currentUserIsDev = false;
@@ -40,9 +42,33 @@ const MAX_MESSAGE_LENGTH = 5000;
 // cleanup only; the server remains the authority on votes
 const MIN_USERS_FOR_VOTING = 3;
 
+// Mirrors the server's VOTE_REASONS; every ballot names one
+const VOTE_REASONS = [
+  { id: "spam", label: "Spam" },
+  { id: "harassment", label: "Harassment" },
+  { id: "bot", label: "Bot" },
+];
+
 // Last vote state from the server, re-rendered after local DOM changes
 let currentVotes = {};
 
+// Room owner state from the server, which enforces every owner action; the
+// client only decides which controls to show
+let currentOwnerId = null;
+let currentRoomLocked = false;
+let currentRoomType = "";
+let currentRoomIsDirect = false;
+let roomMutedUserIds = new Set();
+
+// The room's content policy (enforced by the server) and until when the
+// server's word filter mutes us
+const CHAT_FILTER_ACTIONS = ["mask", "block", "flag"];
+let currentRoomPolicy = {
+  wordFilter: "mask",
+  maxMessageLength: MAX_MESSAGE_LENGTH,
+};
+let chatFilterMutedUntil = 0;
+
 const ERROR_CODES = {
   VALIDATION_ERROR: "Validation Error",
   SERVER_ERROR: "Server Error",
@@ -878,12 +904,13 @@ const APPS_DATA = {
   },
   minigames: {
     name: "Mini Games",
-    description: "Uno, Hangman, Tic Tac Toe & more",
+    description: "Tic Tac Toe, Connect Four, Hangman & more",
     icon: "\uD83C\uDFAE",
     iconClass: "placeholder",
-    status: "coming-soon",
+    status: "available",
     url: null,
     openInNewTab: false,
+    action: "games",
   },
   fileshare: {
     name: "File Share",
@@ -945,6 +972,8 @@ function createAppDirectoryDropdown() {
         hideAppDirectory();
         if (app.action === "talkoboard") {
           openTalkoboard();
+        } else if (app.action === "games") {
+          window.gameClient?.showGameMenu();
         } else if (app.openInNewTab) {
           window.open(app.url, "_blank", "noopener,noreferrer");
         } else {
@@ -1023,7 +1052,14 @@ function openTalkoboard() {
   talkoboardInstance.open();
 }
 
-// ── 9. VOTING UI ────────────────────────────────────────────────────────────
+function openReplay() {
+  if (!replayInstance) {
+    replayInstance = new ReplayViewer(socket, applyWordFilter);
+  }
+  replayInstance.open();
+}
+
+// ── 9. VOTING & MODERATION UI ───────────────────────────────────────────────
 
 // Renders vote counters and button states. Below MIN_USERS_FOR_VOTING all
 // counters are removed and highlights cleared (matching server behavior).
@@ -1067,6 +1103,39 @@ function updateVotesUI(votes) {
   });
 }
 
+// A ballot needs a reason, so a first click opens a small picker next to
+// the button; clicking the button of the user you voted for withdraws it
+function handleVoteClick(voteBtn, targetUserId) {
+  closeVoteReasonMenu();
+  if (currentVotes[currentUserId] === targetUserId) {
+    socket.emit("vote", { targetUserId });
+    return;
+  }
+  const menu = document.createElement("div");
+  menu.className = "vote-reason-menu";
+  VOTE_REASONS.forEach(({ id, label }) => {
+    const option = document.createElement("button");
+    option.textContent = label;
+    option.addEventListener("click", (e) => {
+      e.stopPropagation();
+      closeVoteReasonMenu();
+      socket.emit("vote", { targetUserId, reason: id });
+    });
+    menu.appendChild(option);
+  });
+  voteBtn.insertAdjacentElement("afterend", menu);
+}
+
+function closeVoteReasonMenu() {
+  document.querySelectorAll(".vote-reason-menu").forEach((m) => m.remove());
+}
+
+document.addEventListener("click", (e) => {
+  if (!e.target.closest(".vote-reason-menu, .vote-button")) {
+    closeVoteReasonMenu();
+  }
+});
+
 function adjustVoteButtonVisibility() {
   const userCount = document.querySelectorAll(".chat-row").length;
   document.querySelectorAll(".chat-row").forEach((row) => {
@@ -1096,6 +1165,202 @@ function adjustMuteButtonVisibility() {
   });
 }
 
+function applyModerationState(data) {
+  currentOwnerId = data.ownerId || null;
+  currentRoomLocked = !!data.locked;
+  currentRoomType = data.roomType || data.type || currentRoomType;
+  roomMutedUserIds = new Set(data.mutedUserIds || []);
+  currentRoomPolicy = data.policy || currentRoomPolicy;
+  updateModerationUI();
+  updateOwnerRoomControls();
+}
+
+function isRoomOwner() {
+  return !!currentOwnerId && currentOwnerId === currentUserId;
+}
+
+function createOwnerButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.className = "owner-button";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function createOwnerRowControls(userId, username) {
+  const controls = document.createElement("span");
+  controls.className = "owner-controls";
+
+  const muteBtn = createOwnerButton("\uD83E\uDD10", "Mute for everyone", () =>
+    socket.emit("owner mute", {
+      targetUserId: userId,
+      muted: !roomMutedUserIds.has(userId),
+    }),
+  );
+  muteBtn.classList.add("owner-mute-button");
+  controls.appendChild(muteBtn);
+
+  controls.appendChild(
+    createOwnerButton("\uD83D\uDC62", "Kick", () => {
+      if (confirm(`Kick ${username}?`)) {
+        socket.emit("owner kick", { targetUserId: userId });
+      }
+    }),
+  );
+  controls.appendChild(
+    createOwnerButton("\u26D4", "Ban", () => {
+      if (confirm(`Ban ${username} from this room?`)) {
+        socket.emit("owner ban", { targetUserId: userId });
+      }
+    }),
+  );
+  controls.appendChild(
+    createOwnerButton("\u2B50", "Make room owner", () => {
+      if (confirm(`Make ${username} the room owner?`)) {
+        socket.emit("owner transfer", { targetUserId: userId });
+      }
+    }),
+  );
+  return controls;
+}
+
+// Owner badge, "muted" labels and the owner's buttons on other users' rows
+function updateModerationUI() {
+  document.querySelectorAll(".chat-row").forEach((row) => {
+    const uid = row.dataset.userId;
+    const info = row.querySelector(".user-info");
+    if (!info) return;
+    const anchor = info.querySelector(".mute-button");
+
+    let badge = info.querySelector(".owner-badge");
+    if (uid === currentOwnerId && !badge) {
+      badge = document.createElement("span");
+      badge.className = "owner-badge";
+      badge.textContent = "\u2605";
+      badge.title = "Room owner";
+      info.insertBefore(badge, anchor);
+    } else if (uid !== currentOwnerId && badge) badge.remove();
+
+    const muted = roomMutedUserIds.has(uid);
+    let label = info.querySelector(".room-muted-label");
+    if (muted && !label) {
+      label = document.createElement("span");
+      label.className = "room-muted-label";
+      label.textContent = "muted";
+      label.title = "Muted for everyone by the room owner";
+      info.insertBefore(label, anchor);
+    } else if (!muted && label) label.remove();
+
+    let controls = info.querySelector(".owner-controls");
+    const showControls =
+      isRoomOwner() &&
+      uid !== currentUserId &&
+      !row.classList.contains("dev-user");
+    if (showControls && !controls) {
+      controls = createOwnerRowControls(uid, row.dataset.username);
+      info.appendChild(controls);
+    } else if (!showControls && controls) {
+      controls.remove();
+      controls = null;
+    }
+    controls
+      ?.querySelector(".owner-mute-button")
+      .classList.toggle("muted", muted);
+  });
+
+  // The server drops a muted user's updates; don't let them type into a void
+  if (chatInput) {
+    const ownerMuted = roomMutedUserIds.has(currentUserId);
+    const filterMuted = chatFilterMutedUntil > Date.now();
+    chatInput.contentEditable = !ownerMuted && !filterMuted;
+    chatInput.title = ownerMuted
+      ? "The room owner has muted you."
+      : filterMuted
+        ? "You are muted for offensive language."
+        : "";
+  }
+}
+
+// Lock / access-code buttons next to Emoticons, for the owner only
+function updateOwnerRoomControls() {
+  let wrapper = document.getElementById("ownerControls");
+  if (!isRoomOwner()) {
+    if (wrapper) wrapper.remove();
+    return;
+  }
+  const group = document.querySelector(".room-type-group");
+  if (!group) return;
+
+  if (!wrapper) {
+    wrapper = document.createElement("span");
+    wrapper.id = "ownerControls";
+    const buttons = [
+      ["ownerLockButton", "", toggleRoomLock],
+      ["ownerFilterButton", "", cycleChatFilter],
+    ];
+    if (currentRoomType === "semi-private") {
+      buttons.push(["ownerCodeButton", "Change Code", promptAccessCodeChange]);
+    }
+    buttons.forEach(([id, label, onClick]) => {
+      const button = document.createElement("button");
+      button.id = id;
+      button.className = "emotes-button";
+      button.style.marginLeft = "5px";
+      button.textContent = label;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        onClick();
+      });
+      wrapper.appendChild(button);
+    });
+    group.appendChild(wrapper);
+  }
+
+  document.getElementById("ownerLockButton").textContent = currentRoomLocked
+    ? "Unlock Room"
+    : "Lock Room";
+  const filterButton = document.getElementById("ownerFilterButton");
+  filterButton.textContent = `Filter: ${currentRoomPolicy.wordFilter}`;
+  filterButton.title =
+    "What the server does with offensive words: mask them, block the " +
+    "message, or let it through and warn the sender";
+}
+
+function toggleRoomLock() {
+  socket.emit("owner lock", { locked: !currentRoomLocked });
+}
+
+function cycleChatFilter() {
+  const next =
+    CHAT_FILTER_ACTIONS[
+      (CHAT_FILTER_ACTIONS.indexOf(currentRoomPolicy.wordFilter) + 1) %
+        CHAT_FILTER_ACTIONS.length
+    ];
+  socket.emit("owner set chat filter", { action: next });
+}
+
+function promptAccessCodeChange() {
+  showInputModal(
+    "Change Access Code",
+    "Enter a new 6-digit access code. People already in the room stay; " +
+      "anyone joining later needs the new code.",
+    {
+      placeholder: "6-digit code",
+      maxLength: "6",
+      validate: (v) =>
+        !v || v.length !== 6 || !/^\d+$/.test(v)
+          ? "Access code must be a 6-digit number."
+          : true,
+    },
+    (confirmed, code) => {
+      if (confirmed && code) {
+        socket.emit("owner set access code", { accessCode: code });
+      }
+    },
+  );
+}
+
 // ── 10. CHAT PROCESSING ─────────────────────────────────────────────────────
 
 // Renders another user's message: filter, emotes, then link detection
@@ -1644,6 +1909,7 @@ function createUserRow(user, container) {
   row.classList.add("chat-row");
   if (user.id === currentUserId) row.classList.add("current-user");
   row.dataset.userId = user.id;
+  row.dataset.username = user.username;
 
   if (user.isDev && !user.isHidden) {
     row.classList.add("dev-user");
@@ -1660,9 +1926,15 @@ function createUserRow(user, container) {
     info.appendChild(crown);
   }
 
-  info.appendChild(
-    document.createTextNode(`${user.username} / ${user.location}`),
-  );
+  info.appendChild(document.createTextNode(user.username));
+  if (user.isVerified) {
+    const badge = document.createElement("span");
+    badge.className = "verified-badge";
+    badge.textContent = "\u2713";
+    badge.title = "Registered name";
+    info.appendChild(badge);
+  }
+  info.appendChild(document.createTextNode(` / ${user.location}`));
 
   // Mute button
   const muteBtn = document.createElement("button");
@@ -1696,14 +1968,24 @@ function createUserRow(user, container) {
   voteBtn.innerHTML = "\uD83D\uDC4E 0";
   voteBtn.style.display = "none";
   if (user.id !== currentUserId) {
-    voteBtn.addEventListener("click", () =>
-      socket.emit("vote", { targetUserId: user.id }),
-    );
+    voteBtn.addEventListener("click", () => handleVoteClick(voteBtn, user.id));
   }
 
   info.appendChild(muteBtn);
   info.appendChild(voteBtn);
 
+  // One-on-one chat request, except where it already is one
+  if (user.id !== currentUserId && !currentRoomIsDirect) {
+    const chatBtn = document.createElement("button");
+    chatBtn.className = "chat-request-button";
+    chatBtn.innerHTML = "\uD83D\uDCAC";
+    chatBtn.title = `Request a chat with ${user.username}`;
+    chatBtn.addEventListener("click", () =>
+      socket.emit("request chat", { userId: user.id }),
+    );
+    info.appendChild(chatBtn);
+  }
+
   // Dev force-kick button (visible to devs, not on themselves)
   if (currentUserIsDev && user.id !== currentUserId) {
     const kickBtn = document.createElement("button");
@@ -1764,7 +2046,7 @@ function createUserRow(user, container) {
       if (handleEmoteNavigation(e)) return;
       if (e.ctrlKey || e.metaKey) return;
       if (
-        getPlainText(div).length >= MAX_MESSAGE_LENGTH &&
+        getPlainText(div).length >= currentRoomPolicy.maxMessageLength &&
         ![
           "Backspace",
           "Delete",
@@ -1787,6 +2069,7 @@ function createUserRow(user, container) {
   container.appendChild(row);
   adjustVoteButtonVisibility();
   adjustMuteButtonVisibility();
+  updateModerationUI();
   return row;
 }
 
@@ -1830,13 +2113,86 @@ function updateRoomInfo(data) {
 
   // "room joined" sends roomType, "room update" sends type
   const roomType = data.roomType || data.type;
-  if (typeEl && roomType) {
-    typeEl.textContent = `${getRoomTypeDisplay(roomType)} Room`;
+  if (typeEl && data.isDirect) {
+    typeEl.textContent = "Direct Chat";
+  } else if (typeEl && roomType) {
+    typeEl.textContent = `${getRoomTypeDisplay(roomType)} Room${
+      data.locked ? " (Locked)" : ""
+    }`;
   }
 
   if (!document.getElementById("emotesButton")) createEmotesDropdown();
 }
 
+// Recorded rooms get transcript downloads and/or a replay button next to
+// Emoticons. The server drops both recordings together with the room.
+function createRecordingButtons(data) {
+  if (document.getElementById("recordingButtons")) return;
+  const group = document.querySelector(".room-type-group");
+  if (!group) return;
+
+  const buttons = [];
+  if (data.recordTranscript) {
+    buttons.push([
+      "Transcript .txt",
+      () => socket.emit("get transcript", { format: "text" }),
+    ]);
+    buttons.push([
+      "Transcript .json",
+      () => socket.emit("get transcript", { format: "json" }),
+    ]);
+  }
+  if (data.recordReplay) buttons.push(["Replay", openReplay]);
+
+  const wrapper = document.createElement("span");
+  wrapper.id = "recordingButtons";
+  buttons.forEach(([label, onClick]) => {
+    const button = document.createElement("button");
+    button.className = "emotes-button";
+    button.style.marginLeft = "5px";
+    button.textContent = label;
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    wrapper.appendChild(button);
+  });
+  group.appendChild(wrapper);
+}
+
+function getRecordingNotice(data) {
+  if (data.recordTranscript && data.recordReplay)
+    return (
+      "This room records a transcript and a keystroke replay. Everything " +
+      "you type, including unfinished text, can be replayed by anyone in " +
+      "the room, and finished lines can be downloaded with your username " +
+      "and a timestamp. Leave the room if you do not agree."
+    );
+  if (data.recordReplay)
+    return (
+      "This room records a keystroke replay. Everything you type, including " +
+      "unfinished text, can be replayed by anyone in the room. Leave the " +
+      "room if you do not agree."
+    );
+  return (
+    "This room records a transcript. Every line you finish with Enter " +
+    "is saved with your username and a timestamp, and anyone in the " +
+    "room can download it. Leave the room if you do not agree."
+  );
+}
+
+function downloadTranscript({ format, filename, content }) {
+  const type = format === "json" ? "application/json" : "text/plain";
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ── 14. LAYOUT ──────────────────────────────────────────────────────────────
 
 let _stylesInjected = false;
@@ -1909,6 +2265,10 @@ function getAvailableViewportHeight() {
   return window.innerHeight;
 }
 
+// Rooms can hold up to ten; past five, rows or columns of panels get too
+// thin, so the room switches to a grid whatever its chosen layout
+const GRID_LAYOUT_THRESHOLD = 5;
+
 function adjustLayout() {
   injectStyles();
   const container = document.querySelector(".chat-container");
@@ -1921,8 +2281,28 @@ function adjustLayout() {
     activeUserId = activeEl.closest(".chat-row")?.dataset.userId;
   }
 
-  const layout = isMobile() ? "horizontal" : currentRoomLayout;
-  if (layout === "horizontal") {
+  let layout = isMobile() ? "horizontal" : currentRoomLayout;
+  if (rows.length > GRID_LAYOUT_THRESHOLD) layout = "grid";
+  container.classList.toggle("grid-layout", layout === "grid");
+
+  if (layout === "grid") {
+    // Two columns on phones, two rows of panels on wider screens
+    const columns = isMobile() ? 2 : Math.ceil(rows.length / 2);
+    const gridRows = Math.ceil(rows.length / columns);
+    container.style.flexDirection = "row";
+    const containerTop = container.getBoundingClientRect().top;
+    const availH = getAvailableViewportHeight() - containerTop;
+    const w = `calc((100% - ${(columns - 1) * 10}px) / ${columns})`;
+    const h = Math.floor((availH - (gridRows - 1) * 10) / gridRows);
+    rows.forEach((row) => {
+      row.style.width = w;
+      row.style.height = `${h}px`;
+      row.style.minHeight = "100px";
+      const ui = row.querySelector(".user-info");
+      const iw = row.querySelector(".chat-input-wrapper");
+      iw.style.height = `${h - ui.offsetHeight - 2}px`;
+    });
+  } else if (layout === "horizontal") {
     container.style.flexDirection = "column";
     const containerTop = container.getBoundingClientRect().top;
     const avail = getAvailableViewportHeight() - containerTop;
@@ -1979,7 +2359,7 @@ function handleViewportChange() {
   adjustLayout();
 }
 
-// ── 15. INVITE LINKS & DATE/TIME ────────────────────────────────────────────
+// ── 15. INVITES & DATE/TIME ─────────────────────────────────────────────────
 
 function generateInviteLink() {
   const url = new URL(window.location.href);
@@ -2010,6 +2390,32 @@ function copyInviteLink() {
     .catch(() => showErrorModal("Failed to copy invite link."));
 }
 
+// Friends (server/friends.js) by userId, for inviting them in
+const roomFriends = new Map();
+
+// Lists the friends who are online and not already in this room
+function updateFriendInvites() {
+  const container = document.getElementById("inviteFriend");
+  const select = document.getElementById("inviteFriendSelect");
+  const invitable = Array.from(roomFriends.values()).filter(
+    (friend) => friend.online && friend.room?.id !== currentRoomId,
+  );
+  select.replaceChildren(
+    ...invitable.map((friend) => {
+      const option = document.createElement("option");
+      option.value = friend.userId;
+      option.textContent = friend.username;
+      return option;
+    }),
+  );
+  container.style.display = invitable.length ? "" : "none";
+}
+
+function inviteSelectedFriend() {
+  const userId = document.getElementById("inviteFriendSelect").value;
+  if (userId) socket.emit("invite friend", { userId });
+}
+
 const dateTimeElement = document.querySelector("#dateTime");
 function updateDateTime() {
   const now = new Date();
@@ -2029,12 +2435,60 @@ socket.on("chat update", displayChatMessage);
 
 socket.on("update votes", updateVotesUI);
 
-socket.on("kicked", () => {
+socket.on("kicked", (data) => {
+  const category = VOTE_REASONS.find((r) => r.id === data?.category);
+  const message =
+    data?.reason === "closed"
+      ? "This room has been closed by an administrator."
+      : data?.reason === "moderation"
+        ? "You have been removed from the room for repeated offensive language."
+        : data?.reason !== "owner"
+          ? "You have been removed from the room by a majority vote" +
+            (category ? ` (${category.label.toLowerCase()})` : "") +
+            " and can't rejoin it for a while."
+          : data.banned
+            ? "You have been banned from this room by the room owner for a while."
+            : "You have been removed from the room by the room owner.";
+  showInfoModal(message, () => {
+    window.location.href = "/index.html";
+  });
+});
+
+// The server's moderation caught us: a room policy rule holding our message
+// back, a word filter warning, or a mute that clears our message and locks
+// the input for a while
+socket.on("chat moderation", ({ action, step, rule, mutedUntil }) => {
+  if (step === "held") {
+    showInfoModal(
+      rule === "links"
+        ? "Links aren't allowed in this room. Others won't see your " +
+            "message until you remove them."
+        : "This room is emoji only. Others won't see your message until " +
+            "it's only emoji.",
+    );
+    return;
+  }
+  if (step === "mute") {
+    chatFilterMutedUntil = mutedUntil;
+    selfRawText = "";
+    lastSentMessage = "";
+    if (chatInput) chatInput.textContent = "";
+    updateModerationUI();
+    setTimeout(updateModerationUI, mutedUntil - Date.now() + 100);
+    showInfoModal(
+      "You have been muted for a couple of minutes for repeated offensive " +
+        "language.",
+    );
+    return;
+  }
   showInfoModal(
-    "You have been removed from the room by a majority vote.",
-    () => {
-      window.location.href = "/index.html";
-    },
+    action === "block"
+      ? "Offensive words are blocked in this room. Others won't see your " +
+          "message until you remove them."
+      : action === "mask"
+        ? "Offensive words are hidden from others in this room. Keep it " +
+          "up and you'll be muted."
+        : "Please keep it civil. Keep it up and you'll be muted.",
   );
 });
 
@@ -2049,6 +2503,7 @@ socket.on("room full", () => {
 
 socket.on("room joined", (data) => {
   currentUserId = data.userId;
+  currentRoomIsDirect = !!data.isDirect;
   currentRoomId = data.roomId;
   currentUsername = data.username;
   currentLocation = data.location;
@@ -2061,10 +2516,12 @@ socket.on("room joined", (data) => {
 
   updateRoomInfo(data);
   updateRoomUI(data);
+  applyModerationState(data);
   if (data.votes) updateVotesUI(data.votes);
   if (data.currentMessages) updateCurrentMessages(data.currentMessages);
   updateInviteLink();
   createEmotesDropdown();
+  socket.emit("get friends");
 
   if (currentUserIsDev) {
     createDevColorPicker();
@@ -2079,6 +2536,13 @@ socket.on("room joined", (data) => {
   renderDevContext();
   updateDevHideButton(document.getElementById("devHideToggle"));
 
+  if (data.recordTranscript || data.recordReplay) {
+    createRecordingButtons(data);
+    showInfoModal(getRecordingNotice(data));
+  }
+
+  socket.emit("get announcements");
+
   setTimeout(() => {
     if (chatInput) {
       chatInput.focus();
@@ -2087,6 +2551,77 @@ socket.on("room joined", (data) => {
   }, 100);
 });
 
+socket.on("friends list", ({ friends }) => {
+  roomFriends.clear();
+  friends.forEach((friend) => roomFriends.set(friend.userId, friend));
+  updateFriendInvites();
+});
+
+socket.on("friend status", (status) => {
+  const known = roomFriends.get(status.userId);
+  if (!known) return;
+  roomFriends.set(status.userId, {
+    ...known,
+    ...status,
+    username: status.username || known.username,
+  });
+  updateFriendInvites();
+});
+
+socket.on("friend invited", ({ username }) => {
+  showInfoModal(`Invited ${username} to this room.`);
+});
+
+// Accepting leaves this room; the pass stands in for an access code
+socket.on("room invite", ({ roomId, roomName, from, pass }) => {
+  showConfirmModal(
+    `${from.username} invited you to "${roomName}". Leave this room and join?`,
+    (confirmed) => {
+      if (!confirmed) return;
+      socket.emit("leave room");
+      const params = new URLSearchParams({ roomId, invite: pass });
+      window.location.href = `/room.html?${params}`;
+    },
+  );
+});
+
+socket.on("chat request", ({ from, token }) => {
+  showConfirmModal(
+    `${from.username} from ${from.location} would like a one-on-one chat. Leave this room and accept?`,
+    (accept) => {
+      socket.emit("answer chat", {
+        fromUserId: from.userId,
+        fromSocketId: from.socketId,
+        token,
+        accept,
+      });
+    },
+  );
+});
+
+socket.on("chat requested", ({ username }) => {
+  showInfoModal(
+    `Asked ${username || "them"} to chat. Waiting for an answer...`,
+  );
+});
+
+socket.on("chat declined", ({ username }) => {
+  showInfoModal(`${username} declined your chat request.`);
+});
+
+socket.on("chat started", ({ roomId }) => {
+  socket.emit("leave room");
+  window.location.href = `/room.html?roomId=${roomId}`;
+});
+
+socket.on("access code changed", (data) => {
+  showInfoModal(`The access code is now ${data.accessCode}.`);
+});
+
+socket.on("room transcript", (data) => {
+  if (data && typeof data.content === "string") downloadTranscript(data);
+});
+
 socket.on("room not found", () => {
   showInfoModal(
     "The room does not exist or has been deleted. Redirecting to lobby.",
@@ -2216,6 +2751,7 @@ socket.on("room update", (roomData) => {
   // Re-render vote UI after the row set may have changed
   adjustVoteButtonVisibility();
   updateVotesUI(roomData.votes || currentVotes);
+  applyModerationState(roomData);
   adjustLayout();
 
   renderDevContext();
@@ -2259,25 +2795,43 @@ socket.on("error", (error) => {
   );
 });
 
+socket.on("server notice", ({ message }) => {
+  showInfoModal(`Server notice: ${message}`);
+});
+
+// Operator announcements (js/announcements.js); lobby ones belong to the
+// lobby page, even if one arrives before this socket has joined its room
+socket.on("announcements", TalkomaticAnnouncements.showAll);
+socket.on("announcement", (announcement) => {
+  if (announcement.target !== "lobby") {
+    TalkomaticAnnouncements.show(announcement);
+  }
+});
+socket.on("announcement removed", ({ id }) =>
+  TalkomaticAnnouncements.remove(id),
+);
+
 socket.on("dev kick success", (data) => {
   console.log(`[DEV] Kicked "${data.targetUsername}" from "${data.roomName}"`);
 });
 
 // ── 17. INITIALIZATION ──────────────────────────────────────────────────────
 
-function joinRoom(roomId, accessCode = null) {
-  socket.emit("join room", { roomId, accessCode });
+function joinRoom(roomId, accessCode = null, invite = null) {
+  socket.emit("join room", { roomId, accessCode, invite });
 }
 
 // Reads roomId from the URL and scrubs any legacy ?accessCode= parameter
-// from the address bar and browser history
+// and friend invite pass from the address bar and browser history
 function readAndScrubUrlParams() {
   const params = new URLSearchParams(window.location.search);
   const roomId = params.get("roomId");
   const accessCode = params.get("accessCode"); // legacy fallback only
+  const invite = params.get("invite");
 
-  if (accessCode !== null) {
+  if (accessCode !== null || invite !== null) {
     params.delete("accessCode");
+    params.delete("invite");
     const query = params.toString();
     const cleanUrl = window.location.pathname + (query ? `?${query}` : "");
     try {
@@ -2287,11 +2841,11 @@ function readAndScrubUrlParams() {
     }
   }
 
-  return { roomId, accessCode };
+  return { roomId, accessCode, invite };
 }
 
 async function initRoom() {
-  const filter = new ClientWordFilter();
+  const filter = new WordFilter(WordFilter.fetchLoader("/js/"));
   await Promise.all([loadEmotes(), filter.init()]);
   if (filter.ready) clientWordFilter = filter;
   else console.warn("[WordFilter] Not available.");
@@ -2300,11 +2854,11 @@ async function initRoom() {
   wordFilterEnabled = saved !== "false";
   updateFilterToggleUI();
 
-  const { roomId, accessCode } = readAndScrubUrlParams();
+  const { roomId, accessCode, invite } = readAndScrubUrlParams();
 
   if (roomId) {
     currentRoomId = roomId;
-    joinRoom(roomId, accessCode);
+    joinRoom(roomId, accessCode, invite);
   } else {
     showInfoModal("No room ID provided. Redirecting to lobby.", () => {
       window.location.href = "/index.html";
@@ -2323,6 +2877,9 @@ window.addEventListener("load", () => {
   document
     .getElementById("copyInviteLink")
     .addEventListener("click", copyInviteLink);
+  document
+    .getElementById("inviteFriendButton")
+    .addEventListener("click", inviteSelectedFriend);
 
   // Sound
   const savedMute = localStorage.getItem("soundEnabled");
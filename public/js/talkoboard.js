@@ -1,5 +1,26 @@
 // ╔═══════════════════════════════════════════════════════════════════════════╗
-// ║  talkoboard.js v2.1 — Collaborative Infinite Whiteboard for Talkomatic  ║
+// ║  talkoboard.js v2.6 — Collaborative Infinite Whiteboard for Talkomatic  ║
+// ║                                                                         ║
+// ║  v2.6 changes:                                                          ║
+// ║  • Points travel as compact binary (board-codec.js), not JSON objects   ║
+// ║  • Finished strokes are simplified, here and on the server              ║
+// ║  • Returning to a page only downloads what changed since                ║
+// ║                                                                         ║
+// ║  v2.5 changes:                                                          ║
+// ║  • Multiple named pages per room, with a page switcher                  ║
+// ║  • Page backgrounds: grid, blank, lined paper, tic-tac-toe, world map   ║
+// ║                                                                         ║
+// ║  v2.4 changes:                                                          ║
+// ║  • Lines, arrows, rectangles, ellipses, text labels and sticky notes    ║
+// ║  • Select tool: move or delete your own shapes (the owner, any shape)   ║
+// ║                                                                         ║
+// ║  v2.3 changes:                                                          ║
+// ║  • Server-assigned stroke IDs; undo/redo your own strokes (Ctrl+Z/Y)    ║
+// ║  • Clear is back: the owner clears, anyone else votes to clear          ║
+// ║                                                                         ║
+// ║  v2.2 changes:                                                          ║
+// ║  • Export the board as PNG or as a JSON stroke document                 ║
+// ║  • Import a saved stroke document into the room's board                 ║
 // ║                                                                         ║
 // ║  v2.1 changes:                                                          ║
 // ║  • Removed "Clear board" button                                         ║
@@ -13,6 +34,89 @@
 // ║  • Distance-based point filtering to reduce network traffic             ║
 // ╚═══════════════════════════════════════════════════════════════════════════╝
 
+// Coarse continent outlines for the world map template, as flat
+// [lon, lat, lon, lat, ...] lists
+const WORLD_MAP_OUTLINES = [
+  // North America
+  [
+    -168, 66, -162, 70, -156, 71, -140, 70, -128, 70, -115, 68, -95, 72, -82,
+    73, -80, 63, -94, 59, -90, 57, -82, 55, -79, 52, -77, 60, -70, 61, -64, 60,
+    -61, 56, -56, 52, -60, 47, -66, 45, -70, 42, -74, 40, -76, 35, -81, 31, -80,
+    26, -82, 27, -84, 30, -90, 29, -97, 27, -97, 22, -94, 18, -88, 21, -87, 16,
+    -83, 10, -79, 9, -82, 8, -86, 12, -92, 14, -100, 17, -105, 20, -110, 24,
+    -112, 29, -115, 31, -110, 23, -115, 28, -117, 32, -121, 35, -124, 40, -124,
+    47, -130, 54, -137, 59, -147, 61, -153, 59, -160, 56, -165, 60,
+  ],
+  // Greenland
+  [
+    -73, 78, -60, 82, -30, 83, -20, 80, -20, 75, -22, 70, -32, 68, -42, 60, -48,
+    61, -53, 66, -55, 70, -60, 76,
+  ],
+  // Iceland
+  [-24, 64, -22, 66, -15, 66.5, -13, 65, -18, 63.5],
+  // South America
+  [
+    -80, 9, -77, 8, -72, 12, -62, 11, -52, 5, -50, 0, -44, -2, -35, -5, -35, -9,
+    -39, -15, -41, -22, -48, -26, -53, -34, -58, -38, -62, -39, -65, -45, -68,
+    -50, -69, -55, -74, -53, -74, -45, -73, -37, -71, -30, -70, -18, -76, -14,
+    -81, -6, -80, -1, -78, 2, -77, 7,
+  ],
+  // Eurasia
+  [
+    -9, 43, -9, 37, -6, 36, -2, 37, 0, 39, 3, 42, 6, 43, 9, 44, 12, 42, 16, 38,
+    16, 40, 18, 40, 13, 44, 14, 45, 19, 42, 20, 39, 23, 37, 24, 40, 26, 41, 29,
+    41, 36, 41, 41, 41, 36, 37, 35, 34, 34.5, 31, 35, 29.5, 39, 22, 43, 13, 45,
+    13, 52, 16, 57, 19, 59, 22, 56, 26, 51, 24, 50, 26, 48, 30, 50, 30, 54, 27,
+    57, 26, 62, 25, 67, 24, 70, 21, 73, 16, 77, 8, 80, 13, 80, 16, 87, 21, 90,
+    22, 92, 22, 94, 18, 98, 16, 98, 8, 100, 4, 104, 1, 103, 5, 101, 13, 105, 9,
+    109, 12, 109, 16, 106, 20, 110, 21, 114, 22, 120, 26, 122, 31, 121, 33, 119,
+    35, 122, 37, 118, 38, 121, 40, 122, 40, 125, 40, 127, 35, 129, 35, 130, 43,
+    135, 44, 141, 52, 138, 54, 143, 59, 155, 59, 156, 51, 162, 56, 163, 60, 170,
+    60, 180, 65, 180, 69, 170, 70, 160, 70, 150, 72, 140, 72, 130, 71, 113, 74,
+    105, 78, 95, 76, 80, 73, 70, 73, 68, 69, 60, 69, 50, 68, 44, 68, 40, 66, 33,
+    70, 25, 71, 15, 69, 5, 62, 5, 58, 8, 58, 11, 59, 12, 56, 10, 55, 8, 54, 5,
+    53, 2, 51, -1, 50, -5, 48, -2, 47, -1, 44,
+  ],
+  // Great Britain and Ireland
+  [
+    -5, 50, 1, 51, 2, 53, 0, 54, -2, 56, -2, 58, -5, 59, -6, 56, -5, 55, -3, 54,
+    -4, 53, -5, 52,
+  ],
+  [-6, 52, -6, 54, -8, 55, -10, 54, -10, 52],
+  // Africa and Madagascar
+  [
+    -17, 21, -16, 28, -10, 30, -6, 36, 10, 37, 11, 33, 20, 31, 25, 32, 32, 31,
+    34, 28, 38, 20, 43, 12, 51, 12, 51, 10, 48, 5, 40, -3, 40, -10, 41, -15, 35,
+    -24, 33, -28, 27, -34, 20, -35, 18, -32, 15, -27, 12, -17, 13, -9, 9, -1,
+    10, 4, 5, 4, -4, 5, -8, 4, -13, 8, -17, 14,
+  ],
+  [44, -25, 47, -25, 50, -15, 49, -12, 44, -17],
+  // Japan, Sumatra, Java, Borneo, New Guinea
+  [
+    130, 31, 131, 34, 135, 34, 140, 35, 141, 38, 142, 41, 140, 41, 139, 38, 136,
+    36, 132, 35, 130, 33,
+  ],
+  [95, 5, 98, 4, 104, -2, 106, -6, 102, -4],
+  [105, -6, 114, -7, 114, -8, 106, -7],
+  [109, 2, 113, 3, 117, 7, 119, 5, 118, 1, 116, -4, 111, -3],
+  [131, -1, 138, -2, 146, -6, 150, -10, 143, -9, 138, -8, 132, -4],
+  // Australia and New Zealand
+  [
+    114, -22, 114, -26, 115, -34, 118, -35, 124, -34, 131, -31, 138, -35, 140,
+    -38, 147, -38, 150, -37, 153, -31, 153, -25, 146, -19, 142, -11, 141, -17,
+    136, -12, 131, -12, 126, -14, 122, -18,
+  ],
+  [
+    172, -34, 175, -37, 178, -38, 175, -41, 172, -44, 167, -46, 169, -44, 172,
+    -41, 174, -39,
+  ],
+  // Antarctica
+  [
+    -180, -90, 180, -90, 180, -70, 150, -68, 110, -66, 70, -68, 30, -69, 0, -70,
+    -30, -75, -60, -64, -70, -70, -100, -73, -140, -75, -180, -78,
+  ],
+];
+
 class Talkoboard {
   constructor(socketRef, userId, username) {
     this.socket = socketRef;
@@ -44,10 +148,36 @@ class Talkoboard {
     // ── Remote active strokes: userId → stroke object ───────────────
     this.remoteActiveStrokes = new Map();
 
+    // ── Pages (the server's list; pageId is the one shown) ───────────
+    this.pages = [];
+    this.pageId = null;
+    this.syncId = null; // the shown page's syncId and rev from "board state"
+    this.rev = 0;
+    this.pageCache = new Map(); // pageId → { syncId, rev, strokes } seen before
+    this.TEMPLATES = [
+      ["grid", "Grid"],
+      ["blank", "Blank"],
+      ["lined", "Lined paper"],
+      ["tictactoe", "Tic-tac-toe"],
+      ["map", "World map"],
+    ];
+    this.MAP_SCALE = 4; // world px per degree
+
     // ── Tools ───────────────────────────────────────────────────────
     this.color = "#000000";
     this.size = 3;
     this.eraser = false;
+    this.tool = "pen"; // pen, select, or a shape type
+
+    // ── Shapes ──────────────────────────────────────────────────────
+    this.previewShape = null; // the shape being dragged out
+    this.selectedId = null;
+    this.dragging = null; // { start, dx, dy } while moving the selection
+    this.NOTE_COLOR = "#fff59d";
+    this.NOTE_SIZE = { w: 160, h: 120 }; // a note placed with a click
+    this.NOTE_PADDING = 8;
+    this.MAX_TEXT_LENGTH = 500;
+    this.ARROW_HEAD_ANGLE = Math.PI / 7;
 
     // ── Network batching ────────────────────────────────────────────
     this.pointBuffer = [];
@@ -76,6 +206,11 @@ class Talkoboard {
     // ── Saved chat text ─────────────────────────────────────────────
     this.savedChatText = "";
 
+    // ── Export / import ─────────────────────────────────────────────
+    this.EXPORT_PADDING = 20;
+    this.EXPORT_MAX_SIDE = 4096; // PNGs of huge boards are scaled down
+    this.IMPORT_MAX_BYTES = 2 * 1024 * 1024; // the server's socket buffer
+
     // ── Display dimensions (set in resizeCanvas) ────────────────────
     this.displayWidth = 0;
     this.displayHeight = 0;
@@ -126,16 +261,7 @@ class Talkoboard {
     if (this.chatCooldownActive) return;
     this.chatCooldownActive = true;
 
-    const msg = document.createElement("div");
-    msg.className = "tb-chat-msg tb-chat-system";
-    const span = document.createElement("span");
-    span.className = "tb-chat-text";
-    span.style.color = "#ff6b6b";
-    span.style.fontStyle = "italic";
-    span.textContent = text;
-    msg.appendChild(span);
-    this.chatLog.appendChild(msg);
-    this.chatLog.scrollTop = this.chatLog.scrollHeight;
+    this.addSystemMessage(text, true);
 
     setTimeout(() => {
       this.chatCooldownActive = false;
@@ -165,6 +291,36 @@ class Talkoboard {
     const tools = document.createElement("div");
     tools.className = "tb-tools";
 
+    // Tool picker
+    this.toolSelect = document.createElement("select");
+    this.toolSelect.className = "tb-tool-select";
+    this.toolSelect.title = "Tool";
+    for (const [value, label] of [
+      ["pen", "Pen"],
+      ["line", "Line"],
+      ["arrow", "Arrow"],
+      ["rect", "Rectangle"],
+      ["ellipse", "Ellipse"],
+      ["text", "Text"],
+      ["note", "Sticky note"],
+      ["select", "Select"],
+    ]) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      this.toolSelect.appendChild(option);
+    }
+    this.toolSelect.addEventListener("change", () =>
+      this.setTool(this.toolSelect.value),
+    );
+
+    this.deleteBtn = document.createElement("button");
+    this.deleteBtn.className = "tb-tool-btn";
+    this.deleteBtn.textContent = "Delete";
+    this.deleteBtn.title = "Delete the selected shape (Delete)";
+    this.deleteBtn.disabled = true;
+    this.deleteBtn.addEventListener("click", () => this.deleteSelected());
+
     // Color picker
     const colorWrap = document.createElement("label");
     colorWrap.className = "tb-color-wrap";
@@ -216,6 +372,7 @@ class Talkoboard {
     this.eraserBtn.textContent = "Eraser";
     this.eraserBtn.title = "Toggle eraser";
     this.eraserBtn.addEventListener("click", () => {
+      if (this.tool !== "pen") this.setTool("pen");
       this.eraser = !this.eraser;
       this.eraserBtn.classList.toggle("active", this.eraser);
       this.updateCursor();
@@ -244,14 +401,124 @@ class Talkoboard {
     zoomIn.addEventListener("click", () => this.adjustZoom(0.15));
     zoomReset.addEventListener("click", () => this.resetView());
 
+    // Undo / redo / clear
+    const historyWrap = document.createElement("div");
+    historyWrap.className = "tb-history-wrap";
+    const undoBtn = document.createElement("button");
+    undoBtn.className = "tb-tool-btn";
+    undoBtn.textContent = "\u21B6";
+    undoBtn.title = "Undo your last stroke (Ctrl+Z)";
+    const redoBtn = document.createElement("button");
+    redoBtn.className = "tb-tool-btn";
+    redoBtn.textContent = "\u21B7";
+    redoBtn.title = "Redo (Ctrl+Y)";
+    const clearBtn = document.createElement("button");
+    clearBtn.className = "tb-tool-btn";
+    clearBtn.textContent = "Clear";
+    clearBtn.title = "Clear this page (others vote on it)";
+
+    undoBtn.addEventListener("click", () => this.undo());
+    redoBtn.addEventListener("click", () => this.redo());
+    clearBtn.addEventListener("click", () => this.requestClear());
+
+    historyWrap.appendChild(undoBtn);
+    historyWrap.appendChild(redoBtn);
+    historyWrap.appendChild(clearBtn);
+
+    // Pages: everyone switches, the owner adds, renames, restyles, removes
+    const pageWrap = document.createElement("div");
+    pageWrap.className = "tb-page-wrap";
+    this.pageSelect = document.createElement("select");
+    this.pageSelect.className = "tb-tool-select";
+    this.pageSelect.title = "Page";
+    this.templateSelect = document.createElement("select");
+    this.templateSelect.className = "tb-tool-select";
+    this.templateSelect.title = "Page background";
+    for (const [value, label] of this.TEMPLATES) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      this.templateSelect.appendChild(option);
+    }
+    this.addPageBtn = document.createElement("button");
+    this.addPageBtn.className = "tb-tool-btn";
+    this.addPageBtn.textContent = "+ Page";
+    this.addPageBtn.title = "Add a page";
+    this.renamePageBtn = document.createElement("button");
+    this.renamePageBtn.className = "tb-tool-btn";
+    this.renamePageBtn.textContent = "Rename";
+    this.renamePageBtn.title = "Rename this page";
+    this.removePageBtn = document.createElement("button");
+    this.removePageBtn.className = "tb-tool-btn";
+    this.removePageBtn.textContent = "Remove";
+    this.removePageBtn.title = "Remove this page for everyone";
+
+    this.pageSelect.addEventListener("change", () =>
+      this.switchPage(Number(this.pageSelect.value)),
+    );
+    this.templateSelect.addEventListener("change", () =>
+      this.socket.emit("board page update", {
+        pageId: this.pageId,
+        template: this.templateSelect.value,
+      }),
+    );
+    this.addPageBtn.addEventListener("click", () => this.addPage());
+    this.renamePageBtn.addEventListener("click", () => this.renamePage());
+    this.removePageBtn.addEventListener("click", () => this.removePage());
+
+    pageWrap.appendChild(this.pageSelect);
+    pageWrap.appendChild(this.templateSelect);
+    pageWrap.appendChild(this.addPageBtn);
+    pageWrap.appendChild(this.renamePageBtn);
+    pageWrap.appendChild(this.removePageBtn);
+
+    // Export / import
+    const fileWrap = document.createElement("div");
+    fileWrap.className = "tb-file-wrap";
+    const exportPng = document.createElement("button");
+    exportPng.className = "tb-tool-btn";
+    exportPng.textContent = "PNG";
+    exportPng.title = "Download the board as an image";
+    const exportJson = document.createElement("button");
+    exportJson.className = "tb-tool-btn";
+    exportJson.textContent = "Save";
+    exportJson.title = "Download the strokes to import later";
+    const importBtn = document.createElement("button");
+    importBtn.className = "tb-tool-btn";
+    importBtn.textContent = "Import";
+    importBtn.title = "Add a saved board to this one";
+    this.importInput = document.createElement("input");
+    this.importInput.type = "file";
+    this.importInput.accept = ".json,application/json";
+    this.importInput.hidden = true;
+
+    exportPng.addEventListener("click", () => this.exportPng());
+    exportJson.addEventListener("click", () => this.exportJson());
+    importBtn.addEventListener("click", () => this.importInput.click());
+    this.importInput.addEventListener("change", () => {
+      const file = this.importInput.files[0];
+      this.importInput.value = "";
+      if (file) this.importFile(file);
+    });
+
+    fileWrap.appendChild(exportPng);
+    fileWrap.appendChild(exportJson);
+    fileWrap.appendChild(importBtn);
+    fileWrap.appendChild(this.importInput);
+
     zoomWrap.appendChild(zoomOut);
     zoomWrap.appendChild(this.zoomLabel);
     zoomWrap.appendChild(zoomIn);
     zoomWrap.appendChild(zoomReset);
 
+    tools.appendChild(pageWrap);
+    tools.appendChild(this.toolSelect);
     tools.appendChild(colorWrap);
     tools.appendChild(sizeWrap);
     tools.appendChild(this.eraserBtn);
+    tools.appendChild(this.deleteBtn);
+    tools.appendChild(historyWrap);
+    tools.appendChild(fileWrap);
     tools.appendChild(zoomWrap);
 
     // Close button
@@ -427,6 +694,28 @@ class Talkoboard {
     document.addEventListener("keydown", this._spaceHandler);
     document.addEventListener("keyup", this._spaceHandler);
 
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo, Delete
+    // or Backspace to delete the selected shape
+    this._shortcutHandler = (e) => {
+      if (!this.isOpen || e.target === this.chatInput) return;
+      if (
+        (e.key === "Delete" || e.key === "Backspace") &&
+        this.selectedId !== null
+      ) {
+        e.preventDefault();
+        this.deleteSelected();
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" || key === "y") {
+        e.preventDefault();
+        if (key === "y" || e.shiftKey) this.redo();
+        else this.undo();
+      }
+    };
+    document.addEventListener("keydown", this._shortcutHandler);
+
     // Resize
     this._resizeHandler = () => {
       if (this.isOpen) {
@@ -456,7 +745,12 @@ class Talkoboard {
     this.redraw();
     this.updateCursor();
 
-    this.socket.emit("board open");
+    this.selectItem(null);
+    this.updatePageControls();
+    this.socket.emit("board open", {
+      pageId: this.pageId,
+      ...this.getKnownPage(this.pageId),
+    });
 
     this.savedChatText = typeof selfRawText === "string" ? selfRawText : "";
     if (typeof socket !== "undefined") {
@@ -477,13 +771,13 @@ class Talkoboard {
     if (this.drawing) {
       this.flush();
       this.socket.emit("board stroke end");
-      if (this.currentStroke) {
-        this.strokes.push(this.currentStroke);
-        this.currentStroke = null;
-      }
+      this.finishLocalStroke();
       this.drawing = false;
       this.lastPoint = null;
     }
+    this.previewShape = null;
+    this.dragging = null;
+    this.rememberPage();
 
     if (this.flushTimer) {
       clearInterval(this.flushTimer);
@@ -526,7 +820,25 @@ class Talkoboard {
 
   updateCursor() {
     if (!this.canvas) return;
-    this.canvas.style.cursor = this._spaceDown ? "grab" : "crosshair";
+    if (this._spaceDown) this.canvas.style.cursor = "grab";
+    else if (this.tool === "select") this.canvas.style.cursor = "default";
+    else if (this.tool === "text") this.canvas.style.cursor = "text";
+    else this.canvas.style.cursor = "crosshair";
+  }
+
+  /**
+   * Switches tools. The eraser only applies to the pen, and leaving the
+   * select tool drops the selection.
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.toolSelect.value = tool;
+    if (tool !== "pen" && this.eraser) {
+      this.eraser = false;
+      this.eraserBtn.classList.remove("active");
+    }
+    if (tool !== "select") this.selectItem(null);
+    this.updateCursor();
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -606,12 +918,25 @@ class Talkoboard {
     ctx.translate(this.panX, this.panY);
     ctx.scale(this.zoom, this.zoom);
 
-    // Grid
-    this.drawGrid(ctx, w, h);
+    // Page background
+    this.drawTemplate(
+      ctx,
+      this.getPage()?.template,
+      this.screenToWorld(0, 0),
+      this.screenToWorld(w, h),
+    );
 
-    // All completed strokes (bezier-smoothed)
+    // All completed strokes (bezier-smoothed) and shapes; the shape being
+    // moved is drawn where it's being dragged to
     for (const stroke of this.strokes) {
-      this.renderStrokeSmooth(ctx, stroke);
+      if (this.dragging && stroke.id === this.selectedId) {
+        ctx.save();
+        ctx.translate(this.dragging.dx, this.dragging.dy);
+        this.renderItem(ctx, stroke);
+        ctx.restore();
+      } else {
+        this.renderItem(ctx, stroke);
+      }
     }
 
     // Remote active strokes (bezier-smoothed)
@@ -624,13 +949,35 @@ class Talkoboard {
       this.renderStrokeSmooth(ctx, this.currentStroke);
     }
 
+    if (this.previewShape) this.renderShape(ctx, this.previewShape);
+    this.drawSelection(ctx);
+
     ctx.restore();
   }
 
-  drawGrid(ctx, screenW, screenH) {
+  /**
+   * Draws a page background over the world-space box tl–br.
+   */
+  drawTemplate(ctx, template, tl, br) {
+    switch (template) {
+      case "blank":
+        break;
+      case "lined":
+        this.drawLinedPaper(ctx, tl, br);
+        break;
+      case "tictactoe":
+        this.drawTicTacToe(ctx);
+        break;
+      case "map":
+        this.drawWorldMap(ctx);
+        break;
+      default:
+        this.drawGrid(ctx, tl, br);
+    }
+  }
+
+  drawGrid(ctx, tl, br) {
     const spacing = 40;
-    const tl = this.screenToWorld(0, 0);
-    const br = this.screenToWorld(screenW, screenH);
 
     ctx.fillStyle = "#ddd";
     const startX = Math.floor(tl.x / spacing) * spacing;
@@ -645,6 +992,85 @@ class Talkoboard {
     }
   }
 
+  /**
+   * Ruled lines every 32px with a margin line at x = 0.
+   */
+  drawLinedPaper(ctx, tl, br) {
+    const spacing = 32;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "#c5d8ef";
+    ctx.beginPath();
+    for (let y = Math.floor(tl.y / spacing) * spacing; y < br.y; y += spacing) {
+      ctx.moveTo(tl.x, y);
+      ctx.lineTo(br.x, y);
+    }
+    ctx.stroke();
+    if (tl.x <= 0 && br.x >= 0) {
+      ctx.strokeStyle = "#f2a5a5";
+      ctx.beginPath();
+      ctx.moveTo(0, tl.y);
+      ctx.lineTo(0, br.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * A 3×3 board of 120px cells centred on the origin.
+   */
+  drawTicTacToe(ctx) {
+    const cell = 120;
+    ctx.save();
+    ctx.lineWidth = 6;
+    ctx.lineCap = "round";
+    ctx.strokeStyle = "#555";
+    ctx.beginPath();
+    for (const offset of [-cell / 2, cell / 2]) {
+      ctx.moveTo(offset, -cell * 1.5);
+      ctx.lineTo(offset, cell * 1.5);
+      ctx.moveTo(-cell * 1.5, offset);
+      ctx.lineTo(cell * 1.5, offset);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Equirectangular world map centred on the origin, MAP_SCALE px per
+   * degree, with a 30° graticule.
+   */
+  drawWorldMap(ctx) {
+    const k = this.MAP_SCALE;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "#dde3ea";
+    ctx.beginPath();
+    for (let lon = -180; lon <= 180; lon += 30) {
+      ctx.moveTo(lon * k, -90 * k);
+      ctx.lineTo(lon * k, 90 * k);
+    }
+    for (let lat = -90; lat <= 90; lat += 30) {
+      ctx.moveTo(-180 * k, -lat * k);
+      ctx.lineTo(180 * k, -lat * k);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = "#e6efdc";
+    ctx.strokeStyle = "#9bb08a";
+    ctx.lineJoin = "round";
+    for (const outline of WORLD_MAP_OUTLINES) {
+      ctx.beginPath();
+      for (let i = 0; i < outline.length; i += 2) {
+        ctx.lineTo(outline[i] * k, -outline[i + 1] * k);
+      }
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // STROKE RENDERING — BEZIER SMOOTH (used in full redraws)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -696,6 +1122,160 @@ class Talkoboard {
     ctx.restore();
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SHAPE RENDERING
+  // Shapes are { type, points, color, size, text? }: two corners for line,
+  // arrow, rect, ellipse and note, and the top-left anchor for text. For text
+  // and notes, size is the font size.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  renderItem(ctx, item) {
+    if (item.type) this.renderShape(ctx, item);
+    else this.renderStrokeSmooth(ctx, item);
+  }
+
+  /**
+   * The box between a shape's two corners, whichever way it was dragged.
+   */
+  getShapeBox(shape) {
+    const [a, b] = shape.points;
+    return {
+      x: Math.min(a.x, b.x),
+      y: Math.min(a.y, b.y),
+      w: Math.abs(b.x - a.x),
+      h: Math.abs(b.y - a.y),
+    };
+  }
+
+  getArrowHeadLength(shape) {
+    return Math.max(10, shape.size * 3);
+  }
+
+  renderShape(ctx, shape) {
+    const [a, b] = shape.points;
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.size;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+
+    switch (shape.type) {
+      case "line":
+      case "arrow": {
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        if (shape.type === "arrow") {
+          const angle = Math.atan2(b.y - a.y, b.x - a.x);
+          const head = this.getArrowHeadLength(shape);
+          for (const side of [-1, 1]) {
+            const t = angle + Math.PI + side * this.ARROW_HEAD_ANGLE;
+            ctx.moveTo(b.x, b.y);
+            ctx.lineTo(b.x + Math.cos(t) * head, b.y + Math.sin(t) * head);
+          }
+        }
+        ctx.stroke();
+        break;
+      }
+      case "rect": {
+        const box = this.getShapeBox(shape);
+        ctx.strokeRect(box.x, box.y, box.w, box.h);
+        break;
+      }
+      case "ellipse": {
+        const box = this.getShapeBox(shape);
+        ctx.beginPath();
+        ctx.ellipse(
+          box.x + box.w / 2,
+          box.y + box.h / 2,
+          box.w / 2,
+          box.h / 2,
+          0,
+          0,
+          Math.PI * 2,
+        );
+        ctx.stroke();
+        break;
+      }
+      case "text":
+        ctx.font = `${shape.size}px sans-serif`;
+        ctx.textBaseline = "top";
+        ctx.fillText(shape.text, a.x, a.y);
+        break;
+      case "note": {
+        const box = this.getShapeBox(shape);
+        const pad = this.NOTE_PADDING;
+        ctx.shadowColor = "rgba(0,0,0,0.2)";
+        ctx.shadowBlur = 6;
+        ctx.shadowOffsetY = 2;
+        ctx.fillRect(box.x, box.y, box.w, box.h);
+        ctx.shadowColor = "transparent";
+
+        ctx.beginPath();
+        ctx.rect(box.x, box.y, box.w, box.h);
+        ctx.clip();
+        ctx.fillStyle = "#333";
+        ctx.font = `${shape.size}px sans-serif`;
+        ctx.textBaseline = "top";
+        const lineHeight = shape.size * 1.25;
+        const lines = this.wrapText(ctx, shape.text, box.w - pad * 2);
+        lines.forEach((line, i) => {
+          ctx.fillText(line, box.x + pad, box.y + pad + i * lineHeight);
+        });
+        break;
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Splits text into lines no wider than maxWidth, at spaces. Words wider
+   * than a line get a line of their own (the note clips them).
+   */
+  wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    for (const paragraph of text.split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(" ")) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Dashed box around the selected shape.
+   */
+  drawSelection(ctx) {
+    const item = this.getSelectedItem();
+    if (!item) return;
+    const bounds = this.getItemBounds(item);
+    const pad = 4 / this.zoom;
+    const dx = this.dragging ? this.dragging.dx : 0;
+    const dy = this.dragging ? this.dragging.dy : 0;
+    ctx.save();
+    ctx.strokeStyle = "#2196f3";
+    ctx.lineWidth = 1 / this.zoom;
+    ctx.setLineDash([6 / this.zoom, 4 / this.zoom]);
+    ctx.strokeRect(
+      bounds.minX - pad + dx,
+      bounds.minY - pad + dy,
+      bounds.maxX - bounds.minX + pad * 2,
+      bounds.maxY - bounds.minY + pad * 2,
+    );
+    ctx.restore();
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // STROKE RENDERING — INCREMENTAL (used during live drawing, no full redraw)
   // Draws only from fromIndex onward, connecting to existing canvas content.
@@ -760,8 +1340,27 @@ class Talkoboard {
 
     if (e.button !== 0) return;
 
-    this.drawing = true;
     const pt = this.getCanvasPoint(e);
+    if (this.tool === "select") {
+      this.startMove(pt);
+      return;
+    }
+    if (this.tool === "text") {
+      this.placeText(pt);
+      return;
+    }
+    if (this.tool !== "pen") {
+      this.previewShape = {
+        type: this.tool,
+        points: [pt, pt],
+        color: this.tool === "note" ? this.NOTE_COLOR : this.color,
+        size: this.tool === "note" ? this.getFontSize() : this.size,
+        text: "",
+      };
+      return;
+    }
+
+    this.drawing = true;
     this.lastPoint = pt;
 
     // Start a new local stroke
@@ -770,15 +1369,17 @@ class Talkoboard {
       color: this.color,
       size: this.size,
       eraser: this.eraser,
+      userId: this.userId,
     };
-
-    // Emit stroke start to server
-    this.socket.emit("board stroke start", {
-      point: pt,
-      color: this.color,
-      size: this.size,
-      eraser: this.eraser,
-    });
+    // Emit stroke start to server; its answer carries the stroke's ID
+    const stroke = this.currentStroke;
+    this.socket.emit(
+      "board stroke start",
+      { point: pt, color: this.color, size: this.size, eraser: this.eraser },
+      (res) => {
+        if (res?.strokeId != null) stroke.id = res.strokeId;
+      },
+    );
 
     // Begin network flush timer
     this.pointBuffer = [];
@@ -798,6 +1399,20 @@ class Talkoboard {
       return;
     }
 
+    if (this.previewShape) {
+      this.previewShape.points[1] = this.getCanvasPoint(e);
+      this.redraw();
+      return;
+    }
+
+    if (this.dragging) {
+      const pt = this.getCanvasPoint(e);
+      this.dragging.dx = pt.x - this.dragging.start.x;
+      this.dragging.dy = pt.y - this.dragging.start.y;
+      this.redraw();
+      return;
+    }
+
     if (!this.drawing) return;
     e.preventDefault();
 
@@ -841,6 +1456,16 @@ class Talkoboard {
       return;
     }
 
+    if (this.previewShape) {
+      this.finishShape();
+      return;
+    }
+
+    if (this.dragging) {
+      this.finishMove();
+      return;
+    }
+
     if (!this.drawing) return;
     this.drawing = false;
     this.lastPoint = null;
@@ -856,11 +1481,323 @@ class Talkoboard {
     // Tell server the stroke is done
     this.socket.emit("board stroke end");
 
-    // Move completed stroke to storage
-    if (this.currentStroke) {
-      this.strokes.push(this.currentStroke);
-      this.currentStroke = null;
+    this.finishLocalStroke();
+  }
+
+  /**
+   * Moves the completed local stroke to storage, simplified the same way
+   * the server simplifies its copy.
+   */
+  finishLocalStroke() {
+    if (!this.currentStroke) return;
+    const stroke = this.currentStroke;
+    stroke.points = BoardCodec.simplifyPoints(stroke.points);
+    this.strokes.push(stroke);
+    this.currentStroke = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SHAPES, TEXT & STICKY NOTES
+  // Shapes go to the server whole ("board shape add") and appear when it
+  // sends them back with an ID, like undo and redo.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  getFontSize() {
+    return this.size * 2 + 10;
+  }
+
+  /**
+   * Asks for the text of a label or note; null if cancelled or empty.
+   */
+  promptText(message) {
+    const text = window.prompt(message);
+    const trimmed = text ? text.trim().slice(0, this.MAX_TEXT_LENGTH) : "";
+    return trimmed || null;
+  }
+
+  sendShape(shape) {
+    this.socket.emit("board shape add", { shape });
+  }
+
+  placeText(pt) {
+    // Prompt once the pointer events for this click are done
+    setTimeout(() => {
+      const text = this.promptText("Text:");
+      if (!text) return;
+      this.sendShape({
+        type: "text",
+        points: [pt],
+        color: this.color,
+        size: this.getFontSize(),
+        text,
+      });
+    }, 0);
+  }
+
+  finishShape() {
+    const shape = this.previewShape;
+    this.previewShape = null;
+    const [a, b] = shape.points;
+    const tiny = Math.abs(b.x - a.x) < 3 && Math.abs(b.y - a.y) < 3;
+
+    if (shape.type !== "note") {
+      this.redraw();
+      if (!tiny) this.sendShape(shape);
+      return;
+    }
+
+    // A click places a note of the default size
+    if (tiny) {
+      shape.points[1] = {
+        x: a.x + this.NOTE_SIZE.w,
+        y: a.y + this.NOTE_SIZE.h,
+      };
+    }
+    this.redraw();
+    setTimeout(() => {
+      const text = this.promptText("Sticky note:");
+      if (!text) return;
+      this.sendShape({ ...shape, text });
+    }, 0);
+  }
+
+  /**
+   * World-space box around an item, including its line width.
+   */
+  getItemBounds(item) {
+    if (item.type === "text") {
+      const ctx = this.ctx;
+      ctx.save();
+      ctx.font = `${item.size}px sans-serif`;
+      const width = ctx.measureText(item.text).width;
+      ctx.restore();
+      const { x, y } = item.points[0];
+      return { minX: x, minY: y, maxX: x + width, maxY: y + item.size * 1.2 };
+    }
+    let r = item.type === "note" ? 0 : item.size / 2;
+    if (item.type === "arrow") r += this.getArrowHeadLength(item);
+    const xs = item.points.map((p) => p.x);
+    const ys = item.points.map((p) => p.y);
+    return {
+      minX: Math.min(...xs) - r,
+      minY: Math.min(...ys) - r,
+      maxX: Math.max(...xs) + r,
+      maxY: Math.max(...ys) + r,
+    };
+  }
+
+  /**
+   * Whether this user may move or delete a shape: the server allows its
+   * author, the room owner and devs.
+   */
+  canEditShape(shape) {
+    if (shape.userId === this.userId) return true;
+    return typeof isRoomOwner === "function" && isRoomOwner();
+  }
+
+  /**
+   * The topmost shape under a point that this user can edit.
+   */
+  hitTestShape(pt) {
+    const slack = 4 / this.zoom;
+    for (let i = this.strokes.length - 1; i >= 0; i--) {
+      const item = this.strokes[i];
+      if (!item.type || item.id === undefined || !this.canEditShape(item))
+        continue;
+      const b = this.getItemBounds(item);
+      if (
+        pt.x >= b.minX - slack &&
+        pt.x <= b.maxX + slack &&
+        pt.y >= b.minY - slack &&
+        pt.y <= b.maxY + slack
+      )
+        return item;
+    }
+    return null;
+  }
+
+  getSelectedItem() {
+    if (this.selectedId === null) return null;
+    return this.strokes.find((s) => s.id === this.selectedId) || null;
+  }
+
+  selectItem(id) {
+    this.selectedId = id;
+    this.deleteBtn.disabled = id === null;
+    if (this.isOpen) this.redraw();
+  }
+
+  startMove(pt) {
+    const shape = this.hitTestShape(pt);
+    this.selectItem(shape ? shape.id : null);
+    if (shape) this.dragging = { start: pt, dx: 0, dy: 0 };
+  }
+
+  /**
+   * Moves the shape here right away so it doesn't jump back while the
+   * server confirms; "board shape move" then sets where it really is.
+   */
+  finishMove() {
+    const { dx, dy } = this.dragging;
+    this.dragging = null;
+    const shape = this.getSelectedItem();
+    if (shape && (dx || dy)) {
+      for (const p of shape.points) {
+        p.x += dx;
+        p.y += dy;
+      }
+      this.socket.emit("board shape move", { id: shape.id, dx, dy });
+    }
+    this.redraw();
+  }
+
+  deleteSelected() {
+    if (this.selectedId === null) return;
+    this.socket.emit("board shape delete", { id: this.selectedId });
+  }
+
+  handleShapeAdd(data) {
+    const [shape] = BoardCodec.decodeStrokes(data) || [];
+    if (!shape) return;
+    this.strokes.push(shape);
+    if (this.isOpen) this.redraw();
+  }
+
+  // IDs come from the server worker that drew the stroke, so they're
+  // matched together with the owner
+  findItem(id, userId) {
+    return this.strokes.find((s) => s.id === id && s.userId === userId);
+  }
+
+  handleShapeMove(data) {
+    const shape = this.findItem(data.id, data.userId);
+    const points = BoardCodec.decodePoints(data.points);
+    if (!shape || !points) return;
+    shape.points = points;
+    if (this.isOpen) this.redraw();
+  }
+
+  handleShapeDelete(data) {
+    const item = this.findItem(data.id, data.userId);
+    if (!item) return;
+    this.strokes = this.strokes.filter((s) => s !== item);
+    if (this.selectedId === data.id) this.selectItem(null);
+    else if (this.isOpen) this.redraw();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PAGES
+  // The server sends the page list ("board pages") to the whole room and a
+  // page's strokes ("board state") to whoever opens it; drawing events only
+  // come from the page you're on. Pages we leave stay in pageCache, so
+  // coming back only downloads what changed.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  getPage() {
+    return this.pages.find((p) => p.id === this.pageId) || null;
+  }
+
+  canManagePages() {
+    return typeof isRoomOwner === "function" && isRoomOwner();
+  }
+
+  setPages(pages) {
+    this.pages = pages;
+    this.pageSelect.textContent = "";
+    pages.forEach((page, i) => {
+      const option = document.createElement("option");
+      option.value = String(page.id);
+      option.textContent = `${i + 1}. ${page.name}`;
+      this.pageSelect.appendChild(option);
+    });
+    const page = this.getPage();
+    if (page) {
+      this.pageSelect.value = String(page.id);
+      this.templateSelect.value = page.template;
+    }
+    this.updatePageControls();
+  }
+
+  /**
+   * Page changes are the owner's; everyone else just sees the background.
+   */
+  updatePageControls() {
+    const canManage = this.canManagePages();
+    this.templateSelect.disabled = !canManage;
+    this.addPageBtn.hidden = !canManage;
+    this.renamePageBtn.hidden = !canManage;
+    this.removePageBtn.hidden = !canManage || this.pages.length <= 1;
+  }
+
+  // What to tell the server about our copy of a page ("board open",
+  // "board page")
+  getKnownPage(pageId) {
+    const cached = this.pageCache.get(pageId);
+    return cached ? { syncId: cached.syncId, rev: cached.rev } : {};
+  }
+
+  rememberPage() {
+    if (this.pageId === null || !this.syncId) return;
+    this.pageCache.set(this.pageId, {
+      syncId: this.syncId,
+      rev: this.rev,
+      strokes: this.strokes,
+    });
+  }
+
+  switchPage(pageId) {
+    if (pageId === this.pageId || this.drawing) return;
+    this.socket.emit("board page", { pageId, ...this.getKnownPage(pageId) });
+  }
+
+  addPage() {
+    const name = window.prompt(
+      "Name the new page:",
+      `Page ${this.pages.length + 1}`,
+    );
+    if (name === null) return;
+    this.socket.emit("board page add", {
+      name,
+      template: this.getPage()?.template,
+    });
+  }
+
+  renamePage() {
+    const page = this.getPage();
+    if (!page) return;
+    const name = window.prompt("Rename this page:", page.name);
+    if (name && name.trim()) {
+      this.socket.emit("board page update", { pageId: page.id, name });
+    }
+  }
+
+  removePage() {
+    const page = this.getPage();
+    if (!page) return;
+    if (window.confirm(`Remove "${page.name}" and everything on it?`)) {
+      this.socket.emit("board page delete", { pageId: page.id });
+    }
+  }
+
+  handleBoardPages(data) {
+    if (!Array.isArray(data.pages) || data.pages.length === 0) return;
+    this.setPages(data.pages);
+    for (const pageId of this.pageCache.keys()) {
+      if (!this.pages.some((p) => p.id === pageId))
+        this.pageCache.delete(pageId);
+    }
+    // Our page was removed: go to the first one
+    if (!this.getPage()) {
+      const pageId = data.pages[0].id;
+      if (this.isOpen)
+        this.socket.emit("board page", {
+          pageId,
+          ...this.getKnownPage(pageId),
+        });
+      else this.pageId = null;
+      return;
     }
+    if (this.isOpen) this.redraw();
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -869,7 +1806,7 @@ class Talkoboard {
 
   flush() {
     if (this.pointBuffer.length === 0) return;
-    const points = this.pointBuffer.splice(0);
+    const points = BoardCodec.encodePoints(this.pointBuffer.splice(0));
     this.socket.emit("board stroke move", { points });
   }
 
@@ -890,6 +1827,8 @@ class Talkoboard {
 
     // Create a new active stroke for this remote user
     const stroke = {
+      id: data.strokeId,
+      userId: data.userId,
       points: [data.point],
       color: data.color || "#000000",
       size: data.size || 3,
@@ -927,10 +1866,11 @@ class Talkoboard {
     if (data.userId === this.userId) return;
 
     const stroke = this.remoteActiveStrokes.get(data.userId);
-    if (!stroke) return;
+    const points = BoardCodec.decodePoints(data.points);
+    if (!stroke || !points) return;
 
     const prevLen = stroke.points.length;
-    for (const p of data.points) {
+    for (const p of points) {
       stroke.points.push(p);
     }
 
@@ -952,38 +1892,249 @@ class Talkoboard {
   finalizeRemoteStroke(userId) {
     const stroke = this.remoteActiveStrokes.get(userId);
     if (stroke && stroke.points.length > 0) {
+      stroke.points = BoardCodec.simplifyPoints(stroke.points);
       this.strokes.push(stroke);
     }
     this.remoteActiveStrokes.delete(userId);
   }
 
   /**
-   * Load full board state from server (on open or reconnect).
+   * Load a page from the server (on open, page switch or reconnect). If we
+   * had the page cached, only strokes changed since come, with `ids` (every
+   * stroke ID on the page, in order) to rebuild it from the cache.
    */
   handleBoardState(data) {
+    this.rememberPage();
+
     // Replace local state with server truth
     this.strokes = [];
     this.remoteActiveStrokes.clear();
+    this.selectedId = null;
+    this.deleteBtn.disabled = true;
 
-    if (data.strokes && Array.isArray(data.strokes)) {
-      for (const s of data.strokes) {
-        if (s && s.points && s.points.length > 0) {
-          this.strokes.push(s);
-        }
+    if (data.pageId !== this.pageId) {
+      for (const userId of [...this.remoteCursors.keys()]) {
+        this.removeRemoteCursor(userId);
+      }
+    }
+    this.pageId = data.pageId;
+    this.syncId = data.syncId;
+    this.rev = data.rev;
+    if (Array.isArray(data.pages)) this.setPages(data.pages);
+
+    const changed = BoardCodec.decodeStrokes(data.strokes);
+    let strokes = changed || [];
+    if (data.ids) {
+      const ids = BoardCodec.decodeInts(data.ids);
+      const cached = this.pageCache.get(data.pageId);
+      if (!changed || !ids || cached?.syncId !== data.syncId) {
+        // Can't rebuild the page: ask for all of it
+        this.syncId = null;
+        this.pageCache.delete(data.pageId);
+        this.socket.emit("board page", { pageId: data.pageId });
+        return;
       }
+      const byId = new Map(cached.strokes.map((s) => [s.id, s]));
+      for (const s of changed) byId.set(s.id, s);
+      strokes = ids.map((id) => byId.get(id)).filter(Boolean);
     }
+    this.strokes = strokes.filter((s) => s.points.length > 0);
 
-    if (data.active && typeof data.active === "object") {
-      for (const [uid, s] of Object.entries(data.active)) {
-        if (uid !== this.userId && s && s.points && s.points.length > 0) {
-          this.remoteActiveStrokes.set(uid, s);
-        }
+    for (const s of BoardCodec.decodeStrokes(data.active) || []) {
+      if (s.userId !== this.userId && s.points.length > 0) {
+        this.remoteActiveStrokes.set(s.userId, s);
       }
     }
 
     if (this.isOpen) this.redraw();
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // UNDO / REDO / CLEAR
+  // The server keeps each user's history; these only ask, and the board
+  // changes when "board undo" / "board redo" / "board clear" come back.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  undo() {
+    if (!this.drawing) this.socket.emit("board undo");
+  }
+
+  redo() {
+    if (!this.drawing) this.socket.emit("board redo");
+  }
+
+  requestClear() {
+    const isOwner = typeof isRoomOwner === "function" && isRoomOwner();
+    const question = isOwner
+      ? "Clear this page for everyone?"
+      : "Vote to clear this page? It clears once most of the room agrees.";
+    if (window.confirm(question)) this.socket.emit("board clear");
+  }
+
+  handleUndo(data) {
+    this.handleShapeDelete({ id: data.strokeId, userId: data.userId });
+  }
+
+  /**
+   * Same placement as the server: before the first stroke with a later ID.
+   */
+  handleRedo(data) {
+    const [stroke] = BoardCodec.decodeStrokes(data) || [];
+    if (!stroke) return;
+    const i = this.strokes.findIndex((s) => s.id > stroke.id);
+    this.strokes.splice(i === -1 ? this.strokes.length : i, 0, stroke);
+    if (this.isOpen) this.redraw();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EXPORT / IMPORT
+  // A saved board is a JSON document of finished strokes in world
+  // coordinates: { format: "talkoboard", version: 1, exportedAt, strokes }.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * World-space box around everything drawn (erasers only remove ink, so
+   * they don't count), or null for an empty board.
+   */
+  getStrokeBounds() {
+    let bounds = null;
+    for (const stroke of this.strokes) {
+      if (stroke.eraser) continue;
+      const b = this.getItemBounds(stroke);
+      if (!bounds) {
+        bounds = b;
+        continue;
+      }
+      bounds.minX = Math.min(bounds.minX, b.minX);
+      bounds.minY = Math.min(bounds.minY, b.minY);
+      bounds.maxX = Math.max(bounds.maxX, b.maxX);
+      bounds.maxY = Math.max(bounds.maxY, b.maxY);
+    }
+    return bounds;
+  }
+
+  getExportName() {
+    const roomId = typeof currentRoomId === "string" ? currentRoomId : "";
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+    return ["talkoboard", roomId, stamp].filter(Boolean).join("-");
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Renders the drawn area of this page, not the current view, on white
+   * with its background (without the grid).
+   */
+  exportPng() {
+    const bounds = this.getStrokeBounds();
+    if (!bounds) {
+      this.addSystemMessage("Nothing to export yet.", true);
+      return;
+    }
+    const pad = this.EXPORT_PADDING;
+    const width = bounds.maxX - bounds.minX + pad * 2;
+    const height = bounds.maxY - bounds.minY + pad * 2;
+    const scale = Math.min(1, this.EXPORT_MAX_SIDE / Math.max(width, height));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.translate(pad - bounds.minX, pad - bounds.minY);
+    for (const stroke of this.strokes) {
+      this.renderItem(ctx, stroke);
+    }
+
+    // The page background (but not the dot grid) and then paper go in
+    // underneath, so erased areas come out as background
+    ctx.globalCompositeOperation = "destination-over";
+    const template = this.getPage()?.template;
+    if (template !== "grid") {
+      this.drawTemplate(
+        ctx,
+        template,
+        { x: bounds.minX - pad, y: bounds.minY - pad },
+        { x: bounds.maxX + pad, y: bounds.maxY + pad },
+      );
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob((blob) => {
+      if (blob) this.downloadBlob(blob, `${this.getExportName()}.png`);
+    }, "image/png");
+  }
+
+  exportJson() {
+    if (this.strokes.length === 0) {
+      this.addSystemMessage("Nothing to save yet.", true);
+      return;
+    }
+    const round = (n) => Math.round(n * 100) / 100;
+    const doc = {
+      format: "talkoboard",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      strokes: this.strokes.map((s) => {
+        const item = {
+          points: s.points.map((p) => ({ x: round(p.x), y: round(p.y) })),
+          color: s.color,
+          size: s.size,
+        };
+        if (!s.type) return { ...item, eraser: !!s.eraser };
+        return s.text
+          ? { type: s.type, ...item, text: s.text }
+          : { type: s.type, ...item };
+      }),
+    };
+    this.downloadBlob(
+      new Blob([JSON.stringify(doc)], { type: "application/json" }),
+      `${this.getExportName()}.json`,
+    );
+  }
+
+  /**
+   * Reads a saved board and sends its strokes to the server, which checks
+   * them and adds them for everyone ("board import").
+   */
+  async importFile(file) {
+    if (file.size > this.IMPORT_MAX_BYTES) {
+      this.addSystemMessage("That file is too large to import.", true);
+      return;
+    }
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch {
+      doc = null;
+    }
+    if (doc?.format !== "talkoboard" || !Array.isArray(doc.strokes)) {
+      this.addSystemMessage("That file isn't a saved Talkoboard.", true);
+      return;
+    }
+    this.socket.emit("board import", { strokes: doc.strokes });
+  }
+
+  handleBoardImport(data) {
+    const strokes = BoardCodec.decodeStrokes(data);
+    if (!strokes) return;
+    this.strokes.push(...strokes);
+    const who = data.userId === this.userId ? "You" : data.username;
+    this.addSystemMessage(`${who} imported a drawing.`);
+    if (this.isOpen) this.redraw();
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // LIVE CURSORS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -1047,6 +2198,19 @@ class Talkoboard {
     this.socket.emit("board chat", { text });
   }
 
+  addSystemMessage(text, isWarning = false) {
+    const msg = document.createElement("div");
+    msg.className = "tb-chat-msg tb-chat-system";
+    const span = document.createElement("span");
+    span.className = "tb-chat-text";
+    if (isWarning) span.style.color = "#ff6b6b";
+    span.style.fontStyle = "italic";
+    span.textContent = text;
+    msg.appendChild(span);
+    this.chatLog.appendChild(msg);
+    this.chatLog.scrollTop = this.chatLog.scrollHeight;
+  }
+
   addChatMessage(data) {
     this.chatMessages.push(data);
     if (this.chatMessages.length > this.MAX_CHAT_MESSAGES) {
@@ -1091,14 +2255,42 @@ class Talkoboard {
 
     // ── Full state sync ─────────────────────────────────────────────
     this.socket.on("board state", (data) => this.handleBoardState(data));
+    this.socket.on("board pages", (data) => this.handleBoardPages(data));
+
+    // ── Undo / redo ──────────────────────────────────────────────────
+    this.socket.on("board undo", (data) => this.handleUndo(data));
+    this.socket.on("board redo", (data) => this.handleRedo(data));
+
+    // ── Shapes ───────────────────────────────────────────────────────
+    this.socket.on("board shape add", (data) => this.handleShapeAdd(data));
+    this.socket.on("board shape error", (err) => {
+      this.addSystemMessage(err.error.message, true);
+    });
+    this.socket.on("board shape move", (data) => this.handleShapeMove(data));
+    this.socket.on("board shape delete", (data) =>
+      this.handleShapeDelete(data),
+    );
 
     // ── Clear ────────────────────────────────────────────────────────
     this.socket.on("board clear", () => {
+      this.selectItem(null);
       this.strokes = [];
       this.currentStroke = null;
       this.remoteActiveStrokes.clear();
       if (this.isOpen) this.redraw();
     });
+    this.socket.on("board clear vote", (data) => {
+      const who = data.userId === this.userId ? "You" : data.username;
+      this.addSystemMessage(
+        `${who} voted to clear this page (${data.votes}/${data.needed}). Press Clear to agree.`,
+      );
+    });
+
+    // ── Import ───────────────────────────────────────────────────────
+    this.socket.on("board import", (data) => this.handleBoardImport(data));
+    this.socket.on("board import error", (err) => {
+      this.addSystemMessage(err.error.message, true);
+    });
 
     // ── Cursors ──────────────────────────────────────────────────────
     this.socket.on("board cursor", (data) => {
@@ -1118,7 +2310,7 @@ class Talkoboard {
     });
 
     this.socket.on("board user status", (data) => {
-      if (!data.open) {
+      if (!data.open || data.pageId !== this.pageId) {
         this.removeRemoteCursor(data.userId);
       }
     });
@@ -1134,6 +2326,7 @@ class Talkoboard {
     document.removeEventListener("keydown", this._escHandler);
     document.removeEventListener("keydown", this._spaceHandler);
     document.removeEventListener("keyup", this._spaceHandler);
+    document.removeEventListener("keydown", this._shortcutHandler);
     window.removeEventListener("resize", this._resizeHandler);
     for (const [, cursor] of this.remoteCursors) {
       if (cursor.timeout) clearTimeout(cursor.timeout);
@@ -1,8 +1,8 @@
 // ╔═══════════════════════════════════════════════════════════════════════════╗
-// ║  word-filter.js — Talkomatic word filter (server)                        ║
-// ║  v2.1.0 — June 2026 anniversary batch                                    ║
+// ║  word-filter.js — Talkomatic word filter (server and browser)            ║
+// ║  v3.0.0 — one module for both sides (v2.3.0: script-aware folding)       ║
 // ║                                                                           ║
-// ║  HARDENING (this version):                                                ║
+// ║  HARDENING:                                                              ║
 // ║  • Cross-newline detection: a whole-text scan supplements the per-line   ║
 // ║    scan, so "f\nu\nc\nk" no longer bypasses the filter.                  ║
 // ║  • Digit-padding detection: a digit-dropping variant scan catches        ║
@@ -21,13 +21,27 @@
 // ║  • Per-line result cache: while a user types on one line, every other    ║
 // ║    line is a cache hit. The old full-text cache had a ~0% hit rate.      ║
 // ║                                                                           ║
-// ║  PARITY RULE: the algorithm in this file and in word-filter-client.js    ║
-// ║  must remain IDENTICAL. Only the loading mechanism differs               ║
-// ║  (fs.readFileSync here, fetch in the client).                            ║
+// ║  LAYERS (v2.2.0):                                                        ║
+// ║  • setLayer() adds named offensive/whitelist word lists on top of the    ║
+// ║    JSON files, each with its own four tries. Global layers apply to      ║
+// ║    every check; others only to checks that name them (checkText(text,    ║
+// ║    layers)). Results are cached per layer combination.                   ║
+// ║  • reload() re-reads the JSON files (hot reload) and keeps the layers.   ║
+// ║                                                                           ║
+// ║  SCRIPTS (v2.3.0):                                                       ║
+// ║  • Words written wholly in Cyrillic or Greek are genuine text and are    ║
+// ║    no longer folded into Latin look-alikes (Russian "сосиска" was being  ║
+// ║    masked). Mixed-script words, and words made only of letters drawn     ║
+// ║    exactly like Latin ones, are still folded.                            ║
+// ║                                                                           ║
+// ║  ONE MODULE (v3.0.0):                                                    ║
+// ║  • The server requires this file and room.html loads it as a script,     ║
+// ║    so what the server masks and what the room client masks can't drift   ║
+// ║    apart (word-filter-client.js, a hand-kept copy, is gone).             ║
+// ║  • The JSON files come through an injected loader: fs on the server      ║
+// ║    (server/state.js), WordFilter.fetchLoader() in the browser.           ║
 // ╚═══════════════════════════════════════════════════════════════════════════╝
 
-const fs = require("fs");
-
 // ── Trie ────────────────────────────────────────────────────────────────────
 
 class TrieNode {
@@ -65,52 +79,133 @@ class Trie {
   }
 }
 
+// ── Scripts ─────────────────────────────────────────────────────────────────
+
+// A word written wholly in Cyrillic or Greek is genuine text in that script,
+// so its letters are not folded into Latin look-alikes (Russian "сука" is
+// not "cyka") — unless every letter is one of these, which are drawn the
+// same as a Latin letter and only show up together to spoof one.
+const NATIVE_SCRIPT_WORD = /^[\p{Script=Cyrillic}\p{Script=Greek}\p{M}]+$/u;
+const NON_LATIN_SCRIPT = /[\p{Script=Cyrillic}\p{Script=Greek}]/u;
+const STRICT_HOMOGLYPHS = new Set(
+  "аеорсухѕіјһԁԛԝӏАВЕКМНОРСТУХЅІЈҺԀԚԜӀ" + "αικνορυχϲϳΑΒΕΖΗΙΚΜΝΟΡΤΥΧϹͿ",
+);
+
 // ── WordFilter ──────────────────────────────────────────────────────────────
 
-class WordFilter {
-  constructor(wordsFilePath, substitutionsFilePath) {
-    try {
-      // Load offensive and whitelisted words
-      const data = JSON.parse(fs.readFileSync(wordsFilePath, "utf8"));
-      if (
-        !Array.isArray(data.offensive_words) ||
-        !Array.isArray(data.whitelisted_words)
-      ) {
-        throw new Error(
-          "Invalid JSON structure: offensive_words and whitelisted_words must be arrays",
-        );
-      }
+// The JSON files a loader is asked for
+const WORDS_FILE = "offensive_words.json";
+const SUBSTITUTIONS_FILE = "character_substitutions.json";
 
-      this.buildTries(data.offensive_words, data.whitelisted_words);
+function isPromise(value) {
+  return typeof value?.then === "function";
+}
 
-      console.log(
-        `Loaded ${data.offensive_words.length} offensive words and ${data.whitelisted_words.length} whitelisted words`,
-      );
+class WordFilter {
+  /**
+   * `loader(name)` returns the parsed JSON file `name` (WordFilter.FILES), or
+   * a promise of it. Nothing is loaded until reload() or init(); until then
+   * no text is flagged.
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.ready = false;
+
+    this.buildTries([], []);
+    this.obfuscationMap = {};
+
+    // Extra word lists on top of the JSON files (see setLayer)
+    this.layers = new Map();
+
+    // Caches:
+    // - cache: full-text results (helps repeated renders of the same text)
+    // - lineCache: per-line results (helps live typing — unchanged lines hit)
+    this.cache = new Map();
+    this.cacheSize = 1000;
+    this.lineCache = new Map();
+    this.lineCacheSize = 2000;
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+  }
 
-      // Caches:
-      // - cache: full-text results (helps repeated renders of the same text)
-      // - lineCache: per-line results (helps live typing — unchanged lines hit)
-      this.cache = new Map();
-      this.cacheSize = 1000;
-      this.lineCache = new Map();
-      this.lineCacheSize = 2000;
-      this.cacheHits = 0;
-      this.cacheMisses = 0;
-
-      // Build comprehensive obfuscation mapping
-      this.obfuscationMap = this.buildComprehensiveObfuscationMap(
-        substitutionsFilePath,
+  /**
+   * (Re)loads the word lists and substitutions through the loader. Used at
+   * startup and for hot reloads; layers are kept. Throws without changing
+   * anything if the word list file is invalid. Synchronous with a
+   * synchronous loader, otherwise returns a promise.
+   */
+  reload() {
+    const words = this.loader(WORDS_FILE);
+    const substitutions = this.loadSubstitutions();
+    if (isPromise(words) || isPromise(substitutions)) {
+      return Promise.all([words, substitutions]).then(([w, subs]) =>
+        this.load(w, subs),
       );
+    }
+    this.load(words, substitutions);
+  }
 
-      console.log(
-        `WordFilter v2.1.0 initialized with ${
-          Object.keys(this.obfuscationMap).length
-        } character mappings`,
+  /**
+   * For browsers: loads through the loader and never throws. Check `ready`
+   * afterwards.
+   */
+  async init() {
+    try {
+      await this.reload();
+    } catch (err) {
+      console.error("[WordFilter] Init failed:", err.message);
+    }
+    return this.ready;
+  }
+
+  /** The substitutions file is optional: without it, built-ins only. */
+  loadSubstitutions() {
+    const fallback = (error) => {
+      console.warn(
+        "Could not load substitutions file, using built-in mappings only:",
+        error.message,
       );
+      return {};
+    };
+    try {
+      const substitutions = this.loader(SUBSTITUTIONS_FILE);
+      return isPromise(substitutions)
+        ? Promise.resolve(substitutions).catch(fallback)
+        : substitutions;
     } catch (error) {
-      console.error("Error initializing WordFilter:", error);
-      throw error;
+      return fallback(error);
+    }
+  }
+
+  load(data, substitutions) {
+    if (
+      !Array.isArray(data?.offensive_words) ||
+      !Array.isArray(data?.whitelisted_words)
+    ) {
+      throw new Error(
+        "Invalid JSON structure: offensive_words and whitelisted_words must be arrays",
+      );
     }
+
+    this.buildTries(data.offensive_words, data.whitelisted_words);
+
+    console.log(
+      `Loaded ${data.offensive_words.length} offensive words and ${data.whitelisted_words.length} whitelisted words`,
+    );
+
+    // Build comprehensive obfuscation mapping
+    this.obfuscationMap = this.buildComprehensiveObfuscationMap(substitutions);
+
+    // Layer words were normalized with the old mapping
+    for (const [name, layer] of this.layers) this.setLayer(name, layer);
+    this.clearCache();
+    this.ready = true;
+
+    console.log(
+      `WordFilter v3.0.0 initialized with ${
+        Object.keys(this.obfuscationMap).length
+      } character mappings`,
+    );
   }
 
   /**
@@ -144,31 +239,88 @@ class WordFilter {
     return str.replace(/(.)\1+/g, "$1");
   }
 
+  // ── Layers ─────────────────────────────────────────────────────────────────
+
   /**
-   * Builds a comprehensive obfuscation map by combining the substitutions
-   * file with built-in Unicode mappings.
-   * (Server-only difference: reads from disk. The client receives the parsed
-   * JSON object instead.)
+   * Adds or replaces a named layer: extra offensive/whitelisted words on top
+   * of the JSON word lists (a deployment's own terms, one room's terms...).
+   * A layer applies to checks that name it, or to every check if `global`.
+   * Its words are normalized like the text they're matched against, so
+   * "São Paulo" whitelists "saopaulo".
    */
-  buildComprehensiveObfuscationMap(substitutionsFilePath) {
-    let mappings = {};
+  setLayer(name, { offensive = [], whitelisted = [], global = false } = {}) {
+    const layer = {
+      offensive: [...new Set(offensive)],
+      whitelisted: [...new Set(whitelisted)],
+      global: global === true,
+      offensiveTrie: new Trie(),
+      whitelistTrie: new Trie(),
+      offensiveTrieCollapsed: new Trie(),
+      whitelistTrieCollapsed: new Trie(),
+    };
+    for (const word of layer.offensive) {
+      const w = this.stringToAlphanumeric(word);
+      if (!w) continue;
+      layer.offensiveTrie.insert(w);
+      layer.offensiveTrieCollapsed.insert(this.collapseRuns(w));
+    }
+    for (const word of layer.whitelisted) {
+      const w = this.stringToAlphanumeric(word);
+      if (!w) continue;
+      layer.whitelistTrie.insert(w);
+      layer.whitelistTrieCollapsed.insert(this.collapseRuns(w));
+    }
+    this.layers.set(name, layer);
+    this.clearCache();
+  }
 
-    try {
-      const fileSubstitutions = JSON.parse(
-        fs.readFileSync(substitutionsFilePath, "utf8"),
-      );
-      mappings = { ...fileSubstitutions };
-      console.log(
-        `Loaded ${
-          Object.keys(fileSubstitutions).length
-        } substitutions from file`,
-      );
-    } catch (error) {
-      console.warn(
-        "Could not load substitutions file, using built-in mappings only:",
-        error.message,
-      );
+  deleteLayer(name) {
+    if (this.layers.delete(name)) this.clearCache();
+  }
+
+  /** A layer's words, or null. */
+  getLayer(name) {
+    const layer = this.layers.get(name);
+    if (!layer) return null;
+    const { offensive, whitelisted, global } = layer;
+    return { offensive, whitelisted, global };
+  }
+
+  /**
+   * The tries one check runs against: the base tries plus those of every
+   * global layer and every layer in `layerNames`. `key` tells cached results
+   * for different layer combinations apart.
+   */
+  getTrieSet(layerNames = []) {
+    const set = {
+      key: "",
+      offensive: [this.offensiveTrie],
+      whitelist: [this.whitelistTrie],
+      offensiveCollapsed: [this.offensiveTrieCollapsed],
+      whitelistCollapsed: [this.whitelistTrieCollapsed],
+    };
+    const applied = [];
+    for (const [name, layer] of this.layers) {
+      if (!layer.global && !layerNames.includes(name)) continue;
+      applied.push(name);
+      set.offensive.push(layer.offensiveTrie);
+      set.whitelist.push(layer.whitelistTrie);
+      set.offensiveCollapsed.push(layer.offensiveTrieCollapsed);
+      set.whitelistCollapsed.push(layer.whitelistTrieCollapsed);
     }
+    set.key = applied.join(",");
+    return set;
+  }
+
+  /**
+   * Builds a comprehensive obfuscation map by combining the substitutions
+   * file with built-in Unicode mappings.
+   */
+  buildComprehensiveObfuscationMap(fileSubstitutions) {
+    const mappings = { ...fileSubstitutions };
+    console.log(
+      `Loaded ${Object.keys(mappings).length} substitutions from file`,
+    );
 
     const builtInMappings = this.createBuiltInUnicodeMappings();
     return { ...builtInMappings, ...mappings };
@@ -718,6 +870,24 @@ class WordFilter {
 
   // ── Normalization with index mapping ──────────────────────────────────────
 
+  /**
+   * [start, end) code-unit ranges of the words in `text` that are genuine
+   * Cyrillic or Greek (see STRICT_HOMOGLYPHS). Normalization leaves them out
+   * instead of folding them into Latin letters.
+   */
+  findNativeScriptWords(text) {
+    if (!NON_LATIN_SCRIPT.test(text)) return [];
+    const ranges = [];
+    for (const match of text.matchAll(/[\p{L}\p{M}]+/gu)) {
+      const word = match[0];
+      if (!NATIVE_SCRIPT_WORD.test(word)) continue;
+      if ([...word].every((c) => STRICT_HOMOGLYPHS.has(c) || /\p{M}/u.test(c)))
+        continue;
+      ranges.push([match.index, match.index + word.length]);
+    }
+    return ranges;
+  }
+
   /**
    * Normalizes text to lowercase alphanumeric AND builds the index map back
    * to the original string, in a single code-point-aware pass.
@@ -745,10 +915,26 @@ class WordFilter {
     let codeUnitIndex = 0;
     let lastChar = "";
     let runLength = 0;
+    const nativeWords = this.findNativeScriptWords(text);
+    let nativeIndex = 0;
 
     for (const char of text) {
       const unitLen = char.length; // 1, or 2 for surrogate pairs
 
+      while (
+        nativeIndex < nativeWords.length &&
+        nativeWords[nativeIndex][1] <= codeUnitIndex
+      ) {
+        nativeIndex++;
+      }
+      if (
+        nativeIndex < nativeWords.length &&
+        nativeWords[nativeIndex][0] <= codeUnitIndex
+      ) {
+        codeUnitIndex += unitLen;
+        continue;
+      }
+
       let lowerChar = char.toLowerCase();
       lowerChar = lowerChar.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
 
@@ -793,33 +979,40 @@ class WordFilter {
 
   // ── Scanning ───────────────────────────────────────────────────────────────
 
-  /**
-   * Walks normalized text against an offensive/whitelist trie pair.
-   * Returns matches as [startNorm, endNorm) index pairs into `normalized`.
-   */
-  scanNormalized(normalized, offensiveTrie, whitelistTrie) {
-    const matches = [];
-    let i = 0;
-
-    while (i < normalized.length) {
-      let maxOffensiveMatchLength = 0;
-      let maxWhitelistMatchLength = 0;
-
-      let node = offensiveTrie.root;
+  /** Length of the longest word in any of `tries` starting at `i`. */
+  longestMatch(normalized, i, tries) {
+    let longest = 0;
+    for (const trie of tries) {
+      let node = trie.root;
       let j = i;
       while (j < normalized.length && node.children[normalized[j]]) {
         node = node.children[normalized[j]];
         j++;
-        if (node.isEndOfWord) maxOffensiveMatchLength = j - i;
+        if (node.isEndOfWord && j - i > longest) longest = j - i;
       }
+    }
+    return longest;
+  }
 
-      node = whitelistTrie.root;
-      j = i;
-      while (j < normalized.length && node.children[normalized[j]]) {
-        node = node.children[normalized[j]];
-        j++;
-        if (node.isEndOfWord) maxWhitelistMatchLength = j - i;
-      }
+  /**
+   * Walks normalized text against offensive/whitelist tries (the base
+   * tries plus any layers'). Returns matches as [startNorm, endNorm) index
+   * pairs into `normalized`.
+   */
+  scanNormalized(normalized, offensiveTries, whitelistTries) {
+    const matches = [];
+    let i = 0;
+
+    while (i < normalized.length) {
+      const maxOffensiveMatchLength = this.longestMatch(
+        normalized,
+        i,
+        offensiveTries,
+      );
+      const maxWhitelistMatchLength =
+        maxOffensiveMatchLength > 0
+          ? this.longestMatch(normalized, i, whitelistTries)
+          : 0;
 
       if (
         maxOffensiveMatchLength > 0 &&
@@ -865,7 +1058,7 @@ class WordFilter {
 
   /**
    * Runs one full scan of `text` under the given normalization options and
-   * trie pair, returning ranges as [start, end) code-unit indices into the
+   * tries, returning ranges as [start, end) code-unit indices into the
    * ORIGINAL text.
    *
    * gate=true → span gate: only accept a match whose original-text region is
@@ -875,14 +1068,14 @@ class WordFilter {
    * left to the primary per-line scan, so variant scans can never flag a
    * word the primary scan considers clean (e.g. "Bob" vs a collapsed "boob").
    */
-  scanVariant(text, options, offensiveTrie, whitelistTrie, gate) {
+  scanVariant(text, options, offensiveTries, whitelistTries, gate) {
     const { normalized, map } = this.buildNormalizedWithMap(text, options);
     if (normalized.length === 0) return [];
 
     const matches = this.scanNormalized(
       normalized,
-      offensiveTrie,
-      whitelistTrie,
+      offensiveTries,
+      whitelistTries,
     );
     const ranges = [];
 
@@ -895,23 +1088,24 @@ class WordFilter {
     return ranges;
   }
 
-  /** Per-line primary scan, cached by line text. */
-  checkLine(line) {
-    if (this.lineCache.has(line)) {
+  /** Per-line primary scan, cached by line text and layers. */
+  checkLine(line, tries = this.getTrieSet()) {
+    const cacheKey = `${tries.key}\u0000${line}`;
+    if (this.lineCache.has(cacheKey)) {
       this.cacheHits++;
-      return this.lineCache.get(line);
+      return this.lineCache.get(cacheKey);
     }
     this.cacheMisses++;
 
     const ranges = this.scanVariant(
       line,
       {},
-      this.offensiveTrie,
-      this.whitelistTrie,
+      tries.offensive,
+      tries.whitelist,
       false, // primary scan: no gate
     );
 
-    this.lineCache.set(line, ranges);
+    this.lineCache.set(cacheKey, ranges);
     if (this.lineCache.size > this.lineCacheSize) {
       const oldestKey = this.lineCache.keys().next().value;
       this.lineCache.delete(oldestKey);
@@ -945,13 +1139,17 @@ class WordFilter {
    *   a) standard normalization across newlines  → catches "f\nu\nc\nk"
    *   b) digits dropped                          → catches "fu1ck"
    *   c) repeats fully collapsed + collapsed tries → catches "fuuck"
+   *
+   * `layers` names the non-global layers to apply on top of the base lists.
    */
-  checkText(text) {
+  checkText(text, layers = []) {
     if (!text || typeof text !== "string") {
       return { hasOffensiveWord: false, offensiveRanges: [] };
     }
 
-    const cached = this.cache.get(text);
+    const tries = this.getTrieSet(layers);
+    const cacheKey = `${tries.key}\u0000${text}`;
+    const cached = this.cache.get(cacheKey);
     if (cached) {
       this.cacheHits++;
       return cached;
@@ -964,7 +1162,7 @@ class WordFilter {
     const lines = text.split(/\r?\n/);
     let offset = 0;
     for (const line of lines) {
-      const lineRanges = this.checkLine(line);
+      const lineRanges = this.checkLine(line, tries);
       for (const [s, e] of lineRanges) {
         ranges.push([s + offset, e + offset]);
       }
@@ -976,13 +1174,7 @@ class WordFilter {
     // (a) cross-newline — only useful when there IS more than one line
     if (lines.length > 1) {
       ranges.push(
-        ...this.scanVariant(
-          text,
-          {},
-          this.offensiveTrie,
-          this.whitelistTrie,
-          true,
-        ),
+        ...this.scanVariant(text, {}, tries.offensive, tries.whitelist, true),
       );
     }
 
@@ -992,8 +1184,8 @@ class WordFilter {
         ...this.scanVariant(
           text,
           { dropDigits: true },
-          this.offensiveTrie,
-          this.whitelistTrie,
+          tries.offensive,
+          tries.whitelist,
           true,
         ),
       );
@@ -1004,8 +1196,8 @@ class WordFilter {
       ...this.scanVariant(
         text,
         { maxRun: 1 },
-        this.offensiveTrieCollapsed,
-        this.whitelistTrieCollapsed,
+        tries.offensiveCollapsed,
+        tries.whitelistCollapsed,
         true,
       ),
     );
@@ -1017,7 +1209,7 @@ class WordFilter {
       offensiveRanges: ranges,
     };
 
-    this.cache.set(text, result);
+    this.cache.set(cacheKey, result);
     if (this.cache.size > this.cacheSize) {
       const oldestKey = this.cache.keys().next().value;
       this.cache.delete(oldestKey);
@@ -1030,8 +1222,8 @@ class WordFilter {
    * Replaces detected ranges with asterisks. Ranges arrive sorted and
    * non-overlapping from checkText (mergeRanges).
    */
-  filterText(text) {
-    const { offensiveRanges } = this.checkText(text);
+  filterText(text, layers = []) {
+    const { offensiveRanges } = this.checkText(text, layers);
     if (offensiveRanges.length === 0) return text;
 
     let filteredText = "";
@@ -1112,7 +1304,7 @@ class WordFilter {
 
   getFilterStats() {
     return {
-      version: "2.1.0-hardened",
+      version: "3.0.0-hardened",
       cache: this.getCacheStats(),
       mappings: {
         totalMappings: Object.keys(this.obfuscationMap).length,
@@ -1126,6 +1318,12 @@ class WordFilter {
         whitelistCollapsed: this.whitelistTrieCollapsed
           ? "loaded"
           : "not loaded",
+        layers: Array.from(this.layers, ([name, layer]) => ({
+          name,
+          global: layer.global,
+          offensive: layer.offensive.length,
+          whitelisted: layer.whitelisted.length,
+        })),
       },
       hardening: {
         crossNewlineScan: true,
@@ -1158,4 +1356,41 @@ class WordFilter {
   }
 }
 
-module.exports = WordFilter;
+// ── Loaders ─────────────────────────────────────────────────────────────────
+
+WordFilter.FILES = [WORDS_FILE, SUBSTITUTIONS_FILE];
+
+/**
+ * Browser loader: fetches the files from `baseUrl`, retrying with backoff
+ * on 429s and network errors.
+ */
+WordFilter.fetchLoader = function (baseUrl = "/js/", retries = 5) {
+  const baseDelay = 800;
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  return async (name) => {
+    const url = baseUrl + name;
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        const resp = await fetch(url);
+        if (resp.ok) return resp.json();
+        if (resp.status === 429) {
+          const delay = baseDelay * Math.pow(2, attempt);
+          console.warn(`[WordFilter] 429 on ${url}, retry in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+        throw new Error(`HTTP ${resp.status} for ${url}`);
+      } catch (err) {
+        if (attempt === retries - 1) throw err;
+        await sleep(baseDelay * Math.pow(2, attempt));
+      }
+    }
+    throw new Error(`Failed to fetch ${url} after ${retries} retries`);
+  };
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WordFilter;
+} else {
+  window.WordFilter = WordFilter;
+}
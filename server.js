@@ -16,6 +16,7 @@ const rateLimit = require("express-rate-limit");
 const xss = require("xss-clean");
 const hpp = require("hpp");
 const crypto = require("crypto");
+const cluster = require("cluster");
 
 const {
   CONFIG,
@@ -39,8 +40,20 @@ const {
   ipRateLimiter,
   enhancedRateLimiters,
   validateObject,
+  loadSecurityState,
 } = require("./server/security");
+const { createStorage, persistDelete } = require("./server/storage");
 const rooms = require("./server/rooms");
+const { getRoomPolicy } = require("./server/moderation");
+const { initWordLists } = require("./server/wordlists");
+const { createAdminRouter } = require("./server/admin");
+const { IpcSharedState, SharedSessionStore } = require("./server/cluster");
+
+// Started by cluster.js as one of several workers (see server/cluster.js)
+if (cluster.isWorker) {
+  state.shared = new IpcSharedState();
+  state.workerId = cluster.worker.id;
+}
 
 // ── Global Error Handlers ───────────────────────────────────────────────────
 
@@ -193,6 +206,8 @@ const sessionMiddleware = session({
   secret: SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
   resave: false,
   saveUninitialized: true,
+  // Workers share sessions through the primary; one process keeps them in memory
+  store: state.shared ? new SharedSessionStore(state.shared) : undefined,
   cookie: {
     secure: process.env.NODE_ENV === "production",
     httpOnly: true,
@@ -245,8 +260,25 @@ const io = socketIo(server, {
 // Store io reference in shared state
 state.io = io;
 
+// Broadcasts and rooms span all workers in cluster mode
+if (state.shared) {
+  const { createAdapter } = require("@socket.io/cluster-adapter");
+  io.adapter(createAdapter());
+}
+
 io.use(sharedsession(sessionMiddleware, { autoSave: true }));
 
+// fetchSockets() clones handshakes to other workers; the session store and
+// its listeners can't be cloned, so keep it out of the copy
+if (state.shared) {
+  io.use((socket, next) => {
+    Object.defineProperty(socket.handshake, "sessionStore", {
+      enumerable: false,
+    });
+    next();
+  });
+}
+
 // Socket.IO security middleware: IP blocks, dev key validation, antibot,
 // connection caps, and per-socket event rate limiting
 io.use((socket, next) => {
@@ -263,6 +295,7 @@ io.use((socket, next) => {
       const block = state.blockedIPs.get(clientIp);
       if (Date.now() < block.expiry) return next(new Error("IP blocked"));
       state.blockedIPs.delete(clientIp);
+      persistDelete("blockedIPs", clientIp);
     }
 
     // Dev mode: validate devKey from socket auth before bot/browser checks
@@ -299,6 +332,10 @@ io.use((socket, next) => {
           return next(new Error("Too many connections"));
         state.ipConnections.set(clientIp, count + 1);
         socket.clientIp = clientIp;
+        // socket.data travels with fetchSockets() (admin API, all workers)
+        socket.data.clientIp = clientIp;
+        socket.data.isBot = !!socket.isBot;
+        socket.data.isDev = !!socket.isDev;
         socket.browserDetection = browser;
 
         socket.use((packet, nextMw) => {
@@ -366,6 +403,8 @@ const API = `/api/${CONFIG.VERSIONS.API}`;
 
 app.post(`${API}/bot-tokens/request`, handleBotTokenRequest);
 app.get(`${API}/bot-tokens/info`, handleBotTokenInfo);
+// Admin key instead of the antibot checks, so operators can script it
+app.use(`${API}/admin`, createAdminRouter());
 app.use("/api", antibotMiddleware);
 app.use("/api", enhancedRateLimit);
 
@@ -395,7 +434,7 @@ app.get(`${API}/health`, (req, res) => {
 });
 
 app.get(`${API}/me`, (req, res) => {
-  const { username, location, userId, isIPBased } = req.session;
+  const { username, location, userId, isIPBased, isVerified } = req.session;
   if (username && location && userId)
     res.json({
       isSignedIn: true,
@@ -403,6 +442,7 @@ app.get(`${API}/me`, (req, res) => {
       location,
       userId,
       isIPBased: !!isIPBased,
+      isVerified: !!isVerified,
       isBot: !!req.isBot,
     });
   else res.json({ isSignedIn: false, isBot: !!req.isBot });
@@ -440,16 +480,17 @@ app.get(`${API}/rooms`, apiAuth, (req, res) => {
         id: r.id,
         name: r.name,
         type: r.type,
+        policy: getRoomPolicy(r),
         users: (r.users || [])
           .filter((u) => !u.isDev || !u.isVanished)
           .map((u) => ({
             id: u.id,
             username: u.username,
             location: u.location,
+            ...(u.isVerified && { isVerified: true }),
           })),
-        isFull:
-          (r.users || []).filter((u) => !u.isDev || !u.isVanished).length >=
-          CONFIG.LIMITS.MAX_ROOM_CAPACITY,
+        capacity: rooms.getRoomCapacity(r),
+        isFull: rooms.isRoomFull(r),
       }));
     state.apiCache.set("public_rooms", { timestamp: Date.now(), data });
     res.json(data);
@@ -466,16 +507,17 @@ app.get(`${API}/rooms/:id`, apiAuth, (req, res) => {
     id: room.id,
     name: room.name,
     type: room.type,
+    policy: getRoomPolicy(room),
     users: (room.users || [])
       .filter((u) => !u.isDev || !u.isVanished)
       .map((u) => ({
         id: u.id,
         username: u.username,
         location: u.location,
+        ...(u.isVerified && { isVerified: true }),
       })),
-    isFull:
-      (room.users || []).filter((u) => !u.isDev || !u.isVanished).length >=
-      CONFIG.LIMITS.MAX_ROOM_CAPACITY,
+    capacity: rooms.getRoomCapacity(room),
+    isFull: rooms.isRoomFull(room),
   });
 });
 
@@ -486,7 +528,9 @@ app.post(`${API}/rooms`, apiAuth, async (req, res) => {
       name: { rule: "roomName" },
       type: { rule: "roomType" },
       layout: { rule: "layout" },
+      capacity: { rule: "capacity" },
       accessCode: { rule: "accessCode", context: data.type },
+      policy: { rule: "roomPolicy" },
     });
     if (valErr)
       return sendErrorResponse(
@@ -554,10 +598,13 @@ app.post(`${API}/rooms`, apiAuth, async (req, res) => {
       name,
       type: data.type,
       layout: data.layout,
+      capacity: data.capacity || CONFIG.LIMITS.DEFAULT_ROOM_CAPACITY,
       users: [],
       accessCode: data.type === "semi-private" ? data.accessCode : null,
       votes: {},
-      bannedUserIds: new Set(),
+      bans: {},
+      voteCooldowns: {},
+      policy: getRoomPolicy({ policy: data.policy }),
       lastActiveTime: Date.now(),
     });
     if (req.session && data.type === "semi-private" && data.accessCode) {
@@ -583,14 +630,12 @@ app.post(`${API}/rooms/:id/join`, apiAuth, async (req, res) => {
   const room = state.rooms.get(req.params.id);
   if (!room)
     return sendErrorResponse(res, ERROR_CODES.NOT_FOUND, "Room not found", 404);
-  if (
-    (room.users || []).filter((u) => !u.isDev || !u.isVanished).length >=
-    CONFIG.LIMITS.MAX_ROOM_CAPACITY
-  )
+  if (rooms.isRoomFull(room))
     return sendErrorResponse(res, ERROR_CODES.ROOM_FULL, "Full", 400);
   if (room.type === "semi-private") {
+    // A code saved before the owner changed it no longer counts
     const validated = req.session?.validatedRooms?.[req.params.id];
-    if (!validated) {
+    if (validated !== room.accessCode) {
       if (!req.body.accessCode)
         return sendErrorResponse(
           res,
@@ -616,7 +661,12 @@ app.post(`${API}/rooms/:id/join`, apiAuth, async (req, res) => {
 // ── Startup ─────────────────────────────────────────────────────────────────
 
 async function start() {
+  state.storage = createStorage(CONFIG.STORAGE);
+  await state.storage.init();
+  await loadSecurityState();
+  await initWordLists();
   await rooms.loadRooms();
+  if (state.shared) await rooms.startClusterSync();
   rooms.registerSocketHandlers();
   rooms.startCleanupIntervals();
 
@@ -626,6 +676,17 @@ async function start() {
   }, 2000);
 
   const PORT = process.env.PORT || 3000;
+
+  // The primary owns the port and hands connections to workers
+  if (state.shared) {
+    const { setupWorker } = require("@socket.io/sticky");
+    setupWorker(io);
+    console.log(
+      `Talkomatic worker ${state.workerId} (pid ${process.pid}) ready`,
+    );
+    return;
+  }
+
   server.listen(PORT, () => {
     const stats = rooms.getRoomStatistics();
     console.log(`
@@ -635,6 +696,7 @@ async function start() {
   Rooms: ${stats.totalRooms}/${stats.currentLimit} | Users: ${stats.totalUsers}
   Antibot: ${CONFIG.FEATURES.ENABLE_STRICT_ANTIBOT ? "ON" : "OFF"} | Bot Tokens: ${CONFIG.FEATURES.ENABLE_BOT_TOKENS ? "ON" : "OFF"}
   Dev Mode: ${CONFIG.DEV.KEY_HASH ? "CONFIGURED" : "NOT SET"}
+  Storage: ${CONFIG.STORAGE.BACKEND}
   Session Secret: ${SESSION_SECRET ? "SET (persistent)" : "MISSING (ephemeral — sessions reset on restart)"}
 ══════════════════════════════════════════════════════`);
   });
@@ -667,6 +729,8 @@ async function shutdown(signal) {
   console.log(`${signal} received. Saving rooms and shutting down...`);
   try {
     await rooms.saveRooms();
+    if (state.storage) await state.storage.close();
+    if (state.shared) state.shared.close();
   } catch (e) {
     console.error("Shutdown save failed:", e);
   }
@@ -0,0 +1,222 @@
+// server/accounts.js
+// Optional registered accounts. Joining under any free name stays the
+// default; a password on "join lobby" registers the name or signs in to it.
+// A registered name is reserved: nobody else can join under it. Its owner
+// gets a stable user ID instead of the session's, so room bans and account
+// age follow them across sessions and devices, and a verified badge
+// (formatUserForSocket in rooms.js). Accounts live in storage, keyed by
+// name; passwords are hashed with scrypt.
+
+const crypto = require("crypto");
+const util = require("util");
+const { CONFIG, ERROR_CODES, state } = require("./state");
+const { persistSet, persistDelete } = require("./storage");
+
+const scrypt = util.promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Names nobody can register
+const UNREGISTRABLE = new Set(["anonymous"]);
+
+// name key → { count, since }, per worker
+const failedLogins = new Map();
+
+// ── Names ───────────────────────────────────────────────────────────────────
+
+// Case, spacing and punctuation don't tell names apart, so "Alice",
+// "alice" and "a.lice" are one account
+function nameKey(username) {
+  return username
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+async function getAccount(username) {
+  if (!state.storage) return null;
+  const key = nameKey(username);
+  return key ? state.storage.get("accounts", key) : null;
+}
+
+// ── Passwords ───────────────────────────────────────────────────────────────
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, "hex");
+  if (expectedHash.length !== hash.length) return false;
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function isLockedOut(key) {
+  const entry = failedLogins.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.since >= CONFIG.ACCOUNTS.LOGIN_LOCKOUT) {
+    failedLogins.delete(key);
+    return false;
+  }
+  return entry.count >= CONFIG.ACCOUNTS.MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(key) {
+  for (const old of failedLogins.keys()) isLockedOut(old); // drops expired
+  const entry = failedLogins.get(key) || { count: 0, since: Date.now() };
+  entry.count++;
+  failedLogins.set(key, entry);
+}
+
+// ── Sign In ─────────────────────────────────────────────────────────────────
+
+function failure(code, message) {
+  return { error: { code, message } };
+}
+
+async function createAccount(username, password, session) {
+  const key = nameKey(username);
+  if (key.length < 2 || UNREGISTRABLE.has(key))
+    return failure(
+      ERROR_CODES.VALIDATION_ERROR,
+      "That name can't be registered.",
+    );
+  const now = Date.now();
+  const account = {
+    id: `acct_${crypto.randomBytes(12).toString("hex")}`,
+    username,
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+    lastLoginAt: now,
+    // Registering keeps the age the session already had
+    firstSeenAt: session.firstSeenAt || now,
+  };
+  // Someone may have registered the name while the password was hashing
+  if (!(await state.storage.add("accounts", key, account)))
+    return failure(ERROR_CODES.NAME_RESERVED, "That name is already taken.");
+  return { account };
+}
+
+/**
+ * Decides which account, if any, `username` joins as. `password` and
+ * `register` come from "join lobby"; call validateObject on them first.
+ * Resolves to { account } (null for an anonymous join) or { error }.
+ */
+async function resolveAccount(session, { username, password, register }) {
+  if (!CONFIG.FEATURES.ENABLE_ACCOUNTS || !state.storage) {
+    return password || register
+      ? failure(ERROR_CODES.FORBIDDEN, "Accounts are disabled.")
+      : { account: null };
+  }
+
+  const key = nameKey(username);
+  const account = await getAccount(username);
+  if (!account) {
+    if (register) {
+      if (!password)
+        return failure(
+          ERROR_CODES.VALIDATION_ERROR,
+          "Choose a password to register this name.",
+        );
+      return createAccount(username, password, session);
+    }
+    if (password)
+      return failure(
+        ERROR_CODES.NOT_FOUND,
+        "No account is registered under that name.",
+      );
+    return { account: null };
+  }
+
+  if (register)
+    return failure(ERROR_CODES.NAME_RESERVED, "That name is already taken.");
+  // Already signed in to it on this session (a reload, a second tab)
+  if (session.accountId === account.id && !password) return { account };
+  if (!password)
+    return failure(
+      ERROR_CODES.NAME_RESERVED,
+      "That name is registered. Enter its password to use it.",
+    );
+  if (isLockedOut(key))
+    return failure(
+      ERROR_CODES.RATE_LIMITED,
+      "Too many wrong passwords. Try again later.",
+    );
+  if (!(await verifyPassword(password, account.passwordHash))) {
+    recordFailedLogin(key);
+    return failure(ERROR_CODES.FORBIDDEN, "Wrong password.");
+  }
+
+  failedLogins.delete(key);
+  account.lastLoginAt = Date.now();
+  persistSet("accounts", key, account);
+  return { account };
+}
+
+// The identity fields "join lobby" stores on the session
+function getSessionIdentity(session, sessionID, account) {
+  if (!account) {
+    return {
+      userId: sessionID,
+      accountId: null,
+      isVerified: false,
+      firstSeenAt: session.firstSeenAt || Date.now(),
+    };
+  }
+  return {
+    userId: account.id,
+    accountId: account.id,
+    isVerified: true,
+    firstSeenAt: account.firstSeenAt,
+  };
+}
+
+// Clears a session's account if the account was deleted since. Returns
+// whether anything changed.
+async function checkSessionAccount(session) {
+  if (!session?.accountId) return false;
+  const account = session.username ? await getAccount(session.username) : null;
+  if (account?.id === session.accountId) return false;
+  Object.assign(session, {
+    username: null,
+    location: null,
+    userId: null,
+    accountId: null,
+    isVerified: false,
+  });
+  return true;
+}
+
+// ── Admin ───────────────────────────────────────────────────────────────────
+
+// Every account, without password hashes
+async function listAccounts() {
+  if (!state.storage) return [];
+  return (await state.storage.load("accounts"))
+    .map(([, { passwordHash, ...account }]) => account)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Frees the name; sessions signed in to it drop it when they next sign in
+async function deleteAccount(username) {
+  const account = await getAccount(username);
+  if (!account) return null;
+  persistDelete("accounts", nameKey(username));
+  failedLogins.delete(nameKey(username));
+  const { passwordHash, ...rest } = account;
+  return rest;
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  resolveAccount,
+  getSessionIdentity,
+  checkSessionAccount,
+  listAccounts,
+  deleteAccount,
+};
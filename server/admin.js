@@ -0,0 +1,514 @@
+// server/admin.js
+// Operator API under /api/v1/admin: lists rooms, users, IPs, suspicious
+// users, chat filter offenders, the bot blacklist, IP blocks, bot tokens and
+// the kick audit log, and can close rooms, unblock IPs, revoke bot tokens,
+// broadcast a server notice, post announcements, edit custom word lists,
+// reload the word filter and list or delete registered accounts. Requests
+// carry the admin key in an x-admin-key header; public/admin.html is the
+// dashboard on top of it.
+
+const express = require("express");
+const crypto = require("crypto");
+const {
+  CONFIG,
+  ERROR_CODES,
+  state,
+  getClientIP,
+  sendErrorResponse,
+  sanitizeMessage,
+} = require("./state");
+const { persistDelete } = require("./storage");
+const {
+  closeRoom,
+  getRoomStatistics,
+  updateRoom,
+  debouncedSaveRooms,
+} = require("./rooms");
+const { getKickAudit } = require("./audit");
+const { getModerationReport } = require("./moderation");
+const {
+  listAnnouncements,
+  validateAnnouncement,
+  createAnnouncement,
+  removeAnnouncement,
+} = require("./announcements");
+const {
+  DEPLOYMENT,
+  LISTS,
+  validateWordListTerms,
+  getWordLists,
+  updateWordList,
+  reloadWordFilter,
+} = require("./wordlists");
+const { listAccounts, deleteAccount } = require("./accounts");
+const { enhancedRateLimiters } = require("./security");
+
+const MAX_NOTICE_LENGTH = 500;
+
+// ── Auth ────────────────────────────────────────────────────────────────────
+
+// Each wrong key counts against the IP; once they're used up, even the right
+// key waits out the block
+async function adminAuth(req, res, next) {
+  if (!CONFIG.ADMIN.KEY_HASH) {
+    return sendErrorResponse(res, ERROR_CODES.NOT_FOUND, "Not found.", 404);
+  }
+  const clientIp = getClientIP(req);
+  const limiter = enhancedRateLimiters.adminKey;
+  const attempts = await limiter.get(clientIp).catch(() => null);
+  if (attempts && attempts.remainingPoints <= 0) {
+    res.set({ "Retry-After": Math.ceil(attempts.msBeforeNext / 1000) || 1 });
+    return sendErrorResponse(
+      res,
+      ERROR_CODES.RATE_LIMITED,
+      "Too many wrong admin keys. Try again later.",
+      429,
+    );
+  }
+  const key = req.header("x-admin-key");
+  const hash = crypto
+    .createHash("sha256")
+    .update(String(key || ""))
+    .digest();
+  const expected = Buffer.from(CONFIG.ADMIN.KEY_HASH, "hex");
+  if (
+    !key ||
+    hash.length !== expected.length ||
+    !crypto.timingSafeEqual(hash, expected)
+  ) {
+    console.warn(`[ADMIN] Rejected admin key from IP:${clientIp}`);
+    await limiter.consume(clientIp).catch(() => {});
+    return sendErrorResponse(
+      res,
+      ERROR_CODES.UNAUTHORIZED,
+      "Invalid or missing x-admin-key.",
+      401,
+    );
+  }
+  next();
+}
+
+// ── Cluster Sync ────────────────────────────────────────────────────────────
+
+// Tokens and IP blocks are cached in every worker's memory; storage is the
+// shared source of truth, so lists read from there and removals are also
+// published for the other workers to drop from their caches
+
+function unblockIP(ip) {
+  state.blockedIPs.delete(ip);
+  state.suspiciousUsers.delete(ip);
+}
+
+function revokeBotToken(token) {
+  const data = state.botTokens.get(token);
+  if (!data) return;
+  state.botTokens.delete(token);
+  const count = state.ipBotTokenCounts.get(data.ip) || 0;
+  if (count > 1) state.ipBotTokenCounts.set(data.ip, count - 1);
+  else state.ipBotTokenCounts.delete(data.ip);
+}
+
+function handlePeerMessage(message) {
+  if (message.type === "adminUnblockIP") unblockIP(message.ip);
+  else if (message.type === "adminRevokeToken") revokeBotToken(message.token);
+}
+
+function publish(message) {
+  if (state.shared) state.shared.publish(message);
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+
+function formatRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    type: room.type,
+    ownerId: room.ownerId || null,
+    locked: !!room.locked,
+    users: (room.users || []).map((u) => ({
+      id: u.id,
+      username: u.username,
+      location: u.location,
+      isDev: !!u.isDev,
+      isVanished: !!u.isVanished,
+    })),
+    bans: Object.keys(room.bans || {}).length,
+    recordTranscript: !!room.recordTranscript,
+    recordReplay: !!room.recordReplay,
+    createdAt: room.createdAt || null,
+    lastActiveTime: room.lastActiveTime || null,
+  };
+}
+
+// Every connected socket on every worker, with the room it sits in
+async function listConnections() {
+  const roomOf = new Map();
+  for (const [, room] of state.rooms) {
+    for (const u of room.users || []) roomOf.set(u.id, room);
+  }
+  const sockets = await state.io.fetchSockets();
+  return sockets.map((s) => {
+    const session = s.handshake?.session || {};
+    const room = session.userId ? roomOf.get(session.userId) : null;
+    return {
+      socketId: s.id,
+      ip: s.data.clientIp || null,
+      userId: session.userId || null,
+      username: session.username || null,
+      location: session.location || null,
+      isVerified: !!session.isVerified,
+      isBot: !!s.data.isBot,
+      isDev: !!s.data.isDev,
+      roomId: room?.id || null,
+      roomName: room?.name || null,
+    };
+  });
+}
+
+async function loadCollection(collection) {
+  return (await state.storage.load(collection)).map(([key, value]) => ({
+    key,
+    ...value,
+  }));
+}
+
+// ── Router ──────────────────────────────────────────────────────────────────
+
+function createAdminRouter() {
+  if (state.shared) state.shared.onMessage(handlePeerMessage);
+
+  const router = express.Router();
+  router.use(adminAuth);
+
+  // Async handlers report failures instead of leaving the request hanging
+  const safe = (fn) => (req, res) =>
+    fn(req, res).catch((err) => {
+      console.error("Admin API error:", err);
+      sendErrorResponse(res, ERROR_CODES.SERVER_ERROR, "Internal error", 500);
+    });
+
+  router.get(
+    "/overview",
+    safe(async (req, res) => {
+      res.json({
+        uptime: process.uptime(),
+        version: CONFIG.VERSIONS.SERVER,
+        workerId: state.workerId,
+        roomStatistics: getRoomStatistics(),
+        connections: (await state.io.fetchSockets()).length,
+        blockedIPs: state.blockedIPs.size,
+        botTokens: state.botTokens.size,
+        botBlacklist: state.botBlacklist.size,
+        suspiciousUsers: state.suspiciousUsers.size,
+      });
+    }),
+  );
+
+  router.get(
+    "/rooms",
+    safe(async (req, res) => {
+      res.json(Array.from(state.rooms.values()).map(formatRoom));
+    }),
+  );
+
+  router.post(
+    "/rooms/:id/close",
+    safe(async (req, res) => {
+      const room = state.rooms.get(req.params.id);
+      if (!room || !(await closeRoom(room.id))) {
+        return sendErrorResponse(
+          res,
+          ERROR_CODES.NOT_FOUND,
+          "Room not found",
+          404,
+        );
+      }
+      console.log(`[ADMIN] Closed room "${room.name}" (${room.id})`);
+      res.json({ success: true });
+    }),
+  );
+
+  router.get(
+    "/users",
+    safe(async (req, res) => {
+      res.json(await listConnections());
+    }),
+  );
+
+  // Connections grouped by IP, with block and blacklist status
+  router.get(
+    "/ips",
+    safe(async (req, res) => {
+      const byIp = new Map();
+      for (const c of await listConnections()) {
+        if (!c.ip) continue;
+        if (!byIp.has(c.ip)) byIp.set(c.ip, { connections: 0, userIds: [] });
+        const entry = byIp.get(c.ip);
+        entry.connections++;
+        if (c.userId && !entry.userIds.includes(c.userId)) {
+          entry.userIds.push(c.userId);
+        }
+      }
+      res.json(
+        Array.from(byIp, ([ip, entry]) => ({
+          ip,
+          ...entry,
+          blockedUntil: state.blockedIPs.get(ip)?.expiry || null,
+          blacklisted: state.botBlacklist.has(ip),
+          suspicious: state.suspiciousUsers.has(ip),
+        })),
+      );
+    }),
+  );
+
+  // Detection data lives in memory, so this is the answering worker's view
+  router.get(
+    "/suspicious",
+    safe(async (req, res) => {
+      res.json(
+        Array.from(state.suspiciousUsers, ([id, data]) => ({ id, ...data })),
+      );
+    }),
+  );
+
+  // Chat filter offense counts, also kept in memory per worker
+  router.get(
+    "/moderation",
+    safe(async (req, res) => {
+      res.json(getModerationReport());
+    }),
+  );
+
+  router.get(
+    "/bot-blacklist",
+    safe(async (req, res) => {
+      res.json(await loadCollection("botBlacklist"));
+    }),
+  );
+
+  router.get(
+    "/blocked-ips",
+    safe(async (req, res) => {
+      res.json(await loadCollection("blockedIPs"));
+    }),
+  );
+
+  router.delete(
+    "/blocked-ips/:ip",
+    safe(async (req, res) => {
+      const { ip } = req.params;
+      unblockIP(ip);
+      persistDelete("blockedIPs", ip);
+      publish({ type: "adminUnblockIP", ip });
+      console.log(`[ADMIN] Unblocked IP:${ip}`);
+      res.json({ success: true });
+    }),
+  );
+
+  router.get(
+    "/bot-tokens",
+    safe(async (req, res) => {
+      res.json(await loadCollection("botTokens"));
+    }),
+  );
+
+  router.delete(
+    "/bot-tokens/:token",
+    safe(async (req, res) => {
+      const { token } = req.params;
+      revokeBotToken(token);
+      persistDelete("botTokens", token);
+      publish({ type: "adminRevokeToken", token });
+      console.log(`[ADMIN] Revoked bot token ${token.substring(0, 10)}...`);
+      res.json({ success: true });
+    }),
+  );
+
+  // Registered accounts (server/accounts.js), without password hashes
+  router.get(
+    "/accounts",
+    safe(async (req, res) => {
+      res.json(await listAccounts());
+    }),
+  );
+
+  // Frees a registered name. Its owner is signed out of it the next time
+  // they load the lobby.
+  router.delete(
+    "/accounts/:username",
+    safe(async (req, res) => {
+      const account = await deleteAccount(req.params.username);
+      if (!account) {
+        return sendErrorResponse(
+          res,
+          ERROR_CODES.NOT_FOUND,
+          "Account not found",
+          404,
+        );
+      }
+      console.log(`[ADMIN] Deleted account "${account.username}"`);
+      res.json({ success: true, account });
+    }),
+  );
+
+  router.get(
+    "/kick-audit",
+    safe(async (req, res) => {
+      res.json(
+        await getKickAudit({
+          roomId: req.query.roomId,
+          userId: req.query.userId,
+          limit: req.query.limit,
+        }),
+      );
+    }),
+  );
+
+  // Shown to every connected client, lobby and rooms alike
+  router.post(
+    "/notice",
+    safe(async (req, res) => {
+      const message =
+        typeof req.body?.message === "string"
+          ? sanitizeMessage(req.body.message.trim()).slice(0, MAX_NOTICE_LENGTH)
+          : "";
+      if (!message) {
+        return sendErrorResponse(
+          res,
+          ERROR_CODES.VALIDATION_ERROR,
+          "message required",
+          400,
+        );
+      }
+      state.io.emit("server notice", { message, sentAt: Date.now() });
+      console.log(`[ADMIN] Server notice: ${message}`);
+      res.json({ success: true });
+    }),
+  );
+
+  router.get(
+    "/announcements",
+    safe(async (req, res) => {
+      res.json(await listAnnouncements());
+    }),
+  );
+
+  router.post(
+    "/announcements",
+    safe(async (req, res) => {
+      const error = validateAnnouncement(req.body);
+      if (error) {
+        return sendErrorResponse(res, ERROR_CODES.VALIDATION_ERROR, error, 400);
+      }
+      const announcement = createAnnouncement(req.body);
+      console.log(
+        `[ADMIN] Announcement ${announcement.id} (${announcement.target}): ${announcement.message}`,
+      );
+      res.status(201).json(announcement);
+    }),
+  );
+
+  router.delete(
+    "/announcements/:id",
+    safe(async (req, res) => {
+      if (!(await removeAnnouncement(req.params.id))) {
+        return sendErrorResponse(
+          res,
+          ERROR_CODES.NOT_FOUND,
+          "Announcement not found",
+          404,
+        );
+      }
+      res.json({ success: true });
+    }),
+  );
+
+  router.get(
+    "/word-lists",
+    safe(async (req, res) => {
+      res.json(await getWordLists());
+    }),
+  );
+
+  // Re-reads offensive_words.json and character_substitutions.json on every
+  // worker (they also reload by themselves when the files change)
+  router.post(
+    "/word-lists/reload",
+    safe(async (req, res) => {
+      if (!reloadWordFilter()) {
+        return sendErrorResponse(
+          res,
+          ERROR_CODES.SERVER_ERROR,
+          "Reload failed; the current word lists are still in use.",
+          500,
+        );
+      }
+      publish({ type: "wordFilterReload" });
+      console.log("[ADMIN] Reloaded word filter");
+      res.json({ success: true });
+    }),
+  );
+
+  // :scope is "deployment" or a room ID
+  async function changeWordList(req, res, terms, remove) {
+    const { scope } = req.params;
+    const room = scope === DEPLOYMENT ? null : state.rooms.get(scope);
+    if (scope !== DEPLOYMENT && !room) {
+      return sendErrorResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        "Room not found",
+        404,
+      );
+    }
+    const error = validateWordListTerms(terms);
+    if (error) {
+      return sendErrorResponse(res, ERROR_CODES.VALIDATION_ERROR, error, 400);
+    }
+    const list = await updateWordList(room || DEPLOYMENT, terms, remove);
+    if (!list) {
+      return sendErrorResponse(
+        res,
+        ERROR_CODES.VALIDATION_ERROR,
+        `Word lists hold at most ${CONFIG.LIMITS.MAX_CUSTOM_WORDS} terms each`,
+        400,
+      );
+    }
+    if (room) {
+      updateRoom(room.id);
+      await debouncedSaveRooms();
+    }
+    console.log(
+      `[ADMIN] ${remove ? "Removed" : "Added"} word list terms (${scope})`,
+    );
+    res.json(list);
+  }
+
+  router.post(
+    "/word-lists/:scope",
+    safe(async (req, res) => changeWordList(req, res, req.body, false)),
+  );
+
+  router.delete(
+    "/word-lists/:scope/:list/:term",
+    safe(async (req, res) => {
+      const { list, term } = req.params;
+      if (!LISTS.includes(list)) {
+        return sendErrorResponse(
+          res,
+          ERROR_CODES.NOT_FOUND,
+          "Word list not found",
+          404,
+        );
+      }
+      await changeWordList(req, res, { [list]: [term] }, true);
+    }),
+  );
+
+  return router;
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = { createAdminRouter };
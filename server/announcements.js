@@ -0,0 +1,133 @@
+// server/announcements.js
+// Operator announcements pushed live to the lobby, every room or one room.
+// Each has a severity and an expiry; they live in storage, so they survive
+// restarts and every cluster worker serves the same set. Posted and removed
+// through the admin API (server/admin.js).
+
+const crypto = require("crypto");
+const { state, sanitizeMessage } = require("./state");
+const { persistSet, persistDelete } = require("./storage");
+
+const SEVERITIES = ["info", "warning", "critical"];
+const TARGETS = ["lobby", "rooms", "room"];
+const MAX_TITLE_LENGTH = 80;
+const MAX_MESSAGE_LENGTH = 500;
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 30 * 24 * 60;
+
+function io() {
+  return state.io;
+}
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+
+// Active announcements, oldest first; expired ones are dropped on the way
+async function listAnnouncements() {
+  if (!state.storage) return [];
+  const now = Date.now();
+  const active = [];
+  for (const [id, announcement] of await state.storage.load("announcements")) {
+    if (announcement.expiresAt <= now) persistDelete("announcements", id);
+    else active.push(announcement);
+  }
+  return active.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function isForRoom(announcement, roomId) {
+  if (!roomId) return announcement.target === "lobby";
+  return (
+    announcement.target === "rooms" ||
+    (announcement.target === "room" && announcement.roomId === roomId)
+  );
+}
+
+// ── Create / Remove ─────────────────────────────────────────────────────────
+
+// Returns an error message, or null if `data` is a valid announcement
+function validateAnnouncement(data) {
+  if (typeof data?.message !== "string" || !data.message.trim())
+    return "message required";
+  if (data.title !== undefined && typeof data.title !== "string")
+    return "title must be a string";
+  if (data.severity !== undefined && !SEVERITIES.includes(data.severity))
+    return `severity must be one of: ${SEVERITIES.join(", ")}`;
+  if (!TARGETS.includes(data.target))
+    return `target must be one of: ${TARGETS.join(", ")}`;
+  if (data.target === "room" && !state.rooms.has(data.roomId))
+    return "roomId must name an existing room";
+  if (data.durationMinutes !== undefined) {
+    const minutes = Number(data.durationMinutes);
+    if (!(minutes > 0 && minutes <= MAX_DURATION_MINUTES))
+      return `durationMinutes must be between 1 and ${MAX_DURATION_MINUTES}`;
+  }
+  return null;
+}
+
+// Call validateAnnouncement first
+function createAnnouncement(data) {
+  const now = Date.now();
+  const minutes = Number(data.durationMinutes) || DEFAULT_DURATION_MINUTES;
+  const announcement = {
+    id: crypto.randomBytes(8).toString("hex"),
+    title: sanitizeMessage((data.title || "").trim()).slice(
+      0,
+      MAX_TITLE_LENGTH,
+    ),
+    message: sanitizeMessage(data.message.trim()).slice(0, MAX_MESSAGE_LENGTH),
+    severity: data.severity || "info",
+    target: data.target,
+    roomId: data.target === "room" ? data.roomId : null,
+    createdAt: now,
+    expiresAt: now + minutes * 60000,
+  };
+  persistSet("announcements", announcement.id, announcement);
+  pushAnnouncement(announcement);
+  return announcement;
+}
+
+async function removeAnnouncement(id) {
+  const exists = (await listAnnouncements()).some((a) => a.id === id);
+  if (!exists) return false;
+  persistDelete("announcements", id);
+  io().emit("announcement removed", { id });
+  return true;
+}
+
+// ── Delivery ────────────────────────────────────────────────────────────────
+
+// Socket.IO rooms reach sockets on every cluster worker. Lobby means every
+// socket that isn't in a chat room, signed in or not.
+function pushAnnouncement(announcement) {
+  const roomIds = Array.from(state.rooms.keys());
+  if (announcement.target === "lobby") {
+    io().except(roomIds).emit("announcement", announcement);
+  } else if (announcement.target === "rooms") {
+    if (roomIds.length > 0) io().to(roomIds).emit("announcement", announcement);
+  } else {
+    io().to(announcement.roomId).emit("announcement", announcement);
+  }
+}
+
+function registerAnnouncementHandlers(socket, safe) {
+  // Sent by clients once they're settled in the lobby or a room
+  socket.on(
+    "get announcements",
+    safe(async () => {
+      const list = await listAnnouncements();
+      socket.emit(
+        "announcements",
+        list.filter((a) => isForRoom(a, socket.roomId)),
+      );
+    }),
+  );
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  listAnnouncements,
+  validateAnnouncement,
+  createAnnouncement,
+  removeAnnouncement,
+  registerAnnouncementHandlers,
+};
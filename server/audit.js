@@ -0,0 +1,58 @@
+// server/audit.js
+// Kick audit log: one entry per moderation kick (vote, room owner or dev),
+// kept in storage so it survives restarts and every cluster worker sees the
+// same history.
+
+const crypto = require("crypto");
+const { CONFIG, state } = require("./state");
+
+// ── Recording ───────────────────────────────────────────────────────────────
+
+// entry: { roomId, roomName, targetUserId, targetUsername, method,
+//          reason, voters, bannedUntil }
+async function recordKickAudit(entry) {
+  if (!state.storage) return;
+  const at = Date.now();
+  const id = `${at}-${crypto.randomBytes(4).toString("hex")}`;
+  try {
+    await state.storage.set("kickAudit", id, { id, at, ...entry });
+    await trimKickAudit();
+  } catch (err) {
+    console.error("Kick audit error:", err);
+  }
+}
+
+// Kicks are rare, so reloading the collection to trim it is cheap enough
+async function trimKickAudit() {
+  const entries = await state.storage.load("kickAudit");
+  const excess = entries.length - CONFIG.LIMITS.MAX_KICK_AUDIT_ENTRIES;
+  if (excess <= 0) return;
+  entries.sort((a, b) => a[1].at - b[1].at);
+  for (const [id] of entries.slice(0, excess)) {
+    await state.storage.delete("kickAudit", id);
+  }
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+
+// Newest first, optionally narrowed to one room and/or one kicked user
+async function getKickAudit({ roomId, userId, limit = 100 } = {}) {
+  if (!state.storage) return [];
+  const max = Math.min(
+    Math.max(parseInt(limit, 10) || 100, 1),
+    CONFIG.LIMITS.MAX_KICK_AUDIT_ENTRIES,
+  );
+  return (await state.storage.load("kickAudit"))
+    .map(([, entry]) => entry)
+    .filter(
+      (e) =>
+        (!roomId || e.roomId === roomId) &&
+        (!userId || e.targetUserId === userId),
+    )
+    .sort((a, b) => b.at - a.at)
+    .slice(0, max);
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = { recordKickAudit, getKickAudit };
@@ -0,0 +1,398 @@
+// server/cluster.js
+// Cluster mode: several worker processes (each running server.js) behind
+// one port. The primary forks the workers, routes Socket.IO connections
+// stickily, keeps rate-limit counters, and hosts the shared state workers
+// reach through a SharedState:
+//
+//   publish(message)        deliver to every *other* member
+//   onMessage(handler)      receive peers' (and the primary's) messages
+//   get(ns, key)            → value | undefined
+//   set(ns, key, value)
+//   delete(ns, key)
+//   entries(ns)             → [[key, value], ...]
+//   claim(ns, key, expiresAt) → true for the first caller until expiresAt
+//
+// MemorySharedState is the in-process stand-in: on its own it makes a
+// single process behave like a one-worker cluster, and several instances
+// on one MemorySharedHub behave like several workers (handy in tests).
+// IpcSharedState is the real thing, talking to the primary over the
+// cluster IPC channel.
+
+const cluster = require("cluster");
+const crypto = require("crypto");
+const http = require("http");
+const session = require("express-session");
+const v8 = require("v8");
+
+const CHANNEL = "talkomatic:shared";
+const REQUEST_TIMEOUT = 5000;
+const SESSION_PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Values cross a process boundary in the real cluster, so the stand-in
+// copies them the way "advanced" IPC does; nobody gets to share object
+// references by accident
+function clone(value) {
+  return value === undefined ? undefined : v8.deserialize(v8.serialize(value));
+}
+
+// ── Key/Value Namespaces (shared by the hub and the primary) ────────────────
+
+class NamespaceStore {
+  constructor() {
+    this.namespaces = new Map(); // ns → Map<key, value>
+    this.claimNamespaces = new Set();
+  }
+
+  ns(name) {
+    if (!this.namespaces.has(name)) this.namespaces.set(name, new Map());
+    return this.namespaces.get(name);
+  }
+
+  get(ns, key) {
+    return this.ns(ns).get(key);
+  }
+
+  set(ns, key, value) {
+    this.ns(ns).set(key, value);
+  }
+
+  delete(ns, key) {
+    this.ns(ns).delete(key);
+  }
+
+  entries(ns) {
+    return Array.from(this.ns(ns).entries());
+  }
+
+  // Only one worker gets a key until its claim expires
+  claim(ns, key, expiresAt) {
+    if (this.ns(ns).get(key) > Date.now()) return false;
+    this.claimNamespaces.add(ns);
+    this.set(ns, key, expiresAt);
+    return true;
+  }
+
+  // Sessions and claims carry their own expiry; drop the stale ones
+  prune() {
+    const now = Date.now();
+    for (const [sid, sess] of this.ns("sessions")) {
+      const expires = sess?.cookie?.expires;
+      if (expires && new Date(expires).getTime() <= now) {
+        this.delete("sessions", sid);
+      }
+    }
+    for (const ns of this.claimNamespaces) {
+      for (const [key, expiresAt] of this.ns(ns)) {
+        if (expiresAt <= now) this.delete(ns, key);
+      }
+    }
+  }
+}
+
+// ── In-Process Stand-In ─────────────────────────────────────────────────────
+
+class MemorySharedHub {
+  constructor() {
+    this.store = new NamespaceStore();
+    this.members = new Set();
+  }
+}
+
+class MemorySharedState {
+  constructor(hub = new MemorySharedHub()) {
+    this.hub = hub;
+    this.handlers = [];
+    hub.members.add(this);
+  }
+
+  // Delivered asynchronously, like IPC, but in publish order
+  publish(message) {
+    const copy = clone(message);
+    for (const member of this.hub.members) {
+      if (member === this) continue;
+      setImmediate(() => member.deliver(copy));
+    }
+  }
+
+  deliver(message) {
+    for (const handler of this.handlers) handler(message);
+  }
+
+  onMessage(handler) {
+    this.handlers.push(handler);
+  }
+
+  async get(ns, key) {
+    return clone(this.hub.store.get(ns, key));
+  }
+
+  async set(ns, key, value) {
+    this.hub.store.set(ns, key, clone(value));
+  }
+
+  async delete(ns, key) {
+    this.hub.store.delete(ns, key);
+  }
+
+  async entries(ns) {
+    return clone(this.hub.store.entries(ns));
+  }
+
+  async claim(ns, key, expiresAt) {
+    return this.hub.store.claim(ns, key, expiresAt);
+  }
+
+  close() {
+    this.hub.members.delete(this);
+  }
+}
+
+// ── Worker Side: IPC to the Primary ─────────────────────────────────────────
+
+class IpcSharedState {
+  constructor() {
+    this.handlers = [];
+    this.pending = new Map(); // request id → { resolve, reject, timer }
+    this.nextId = 1;
+
+    process.on("message", (msg) => {
+      if (!msg || msg.channel !== CHANNEL) return;
+      if (msg.op === "message") {
+        for (const handler of this.handlers) handler(msg.message);
+      } else if (msg.op === "response") {
+        const request = this.pending.get(msg.id);
+        if (!request) return;
+        clearTimeout(request.timer);
+        this.pending.delete(msg.id);
+        if (msg.error) request.reject(new Error(msg.error));
+        else request.resolve(msg.result);
+      }
+    });
+  }
+
+  request(op, args) {
+    if (!process.connected) {
+      return Promise.reject(new Error("Shared state disconnected"));
+    }
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Shared state ${op} timed out`));
+      }, REQUEST_TIMEOUT);
+      this.pending.set(id, { resolve, reject, timer });
+      process.send({ channel: CHANNEL, op, id, args });
+    });
+  }
+
+  // Dropped once the primary is gone (the worker is shutting down)
+  publish(message) {
+    if (!process.connected) return;
+    process.send({ channel: CHANNEL, op: "publish", message });
+  }
+
+  onMessage(handler) {
+    this.handlers.push(handler);
+  }
+
+  get(ns, key) {
+    return this.request("get", [ns, key]);
+  }
+
+  set(ns, key, value) {
+    return this.request("set", [ns, key, value]);
+  }
+
+  delete(ns, key) {
+    return this.request("delete", [ns, key]);
+  }
+
+  entries(ns) {
+    return this.request("entries", [ns]);
+  }
+
+  claim(ns, key, expiresAt) {
+    return this.request("claim", [ns, key, expiresAt]);
+  }
+
+  close() {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error("Shared state closed"));
+    }
+    this.pending.clear();
+  }
+}
+
+// ── Sessions ────────────────────────────────────────────────────────────────
+
+// express-session store on top of a SharedState, so a session created by
+// whichever worker served the page is visible to the worker that ends up
+// holding the socket
+class SharedSessionStore extends session.Store {
+  constructor(shared) {
+    super();
+    this.shared = shared;
+  }
+
+  get(sid, callback) {
+    this.shared
+      .get("sessions", sid)
+      .then((sess) => {
+        const expires = sess?.cookie?.expires;
+        if (expires && new Date(expires).getTime() <= Date.now()) {
+          return this.destroy(sid, () => callback(null, null));
+        }
+        callback(null, sess || null);
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.shared
+      .set("sessions", sid, sess)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.set(sid, sess, callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.shared
+      .delete("sessions", sid)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+}
+
+// ── Primary ─────────────────────────────────────────────────────────────────
+
+function handleWorkerMessage(store, worker, msg) {
+  if (!msg || msg.channel !== CHANNEL) return;
+
+  if (msg.op === "publish") {
+    for (const other of Object.values(cluster.workers)) {
+      if (other && other !== worker && other.isConnected()) {
+        other.send({ channel: CHANNEL, op: "message", message: msg.message });
+      }
+    }
+    return;
+  }
+
+  let result;
+  let error = null;
+  try {
+    const [ns, key, value] = msg.args || [];
+    if (msg.op === "get") result = store.get(ns, key);
+    else if (msg.op === "set") store.set(ns, key, value);
+    else if (msg.op === "delete") store.delete(ns, key);
+    else if (msg.op === "entries") result = store.entries(ns);
+    else if (msg.op === "claim") result = store.claim(ns, key, value);
+    else error = `Unknown shared state op: ${msg.op}`;
+  } catch (err) {
+    error = err.message;
+  }
+  if (worker.isConnected()) {
+    worker.send({
+      channel: CHANNEL,
+      op: "response",
+      id: msg.id,
+      result,
+      error,
+    });
+  }
+}
+
+function startPrimary({ WORKERS, PORT }) {
+  const { setupMaster } = require("@socket.io/sticky");
+  const { setupPrimary } = require("@socket.io/cluster-adapter");
+  const { RateLimiterClusterMaster } = require("rate-limiter-flexible");
+
+  // JSON files can't take writes from several processes at once
+  if (!process.env.STORAGE_BACKEND) process.env.STORAGE_BACKEND = "sqlite";
+  if (process.env.STORAGE_BACKEND === "json") {
+    console.error("Cluster mode needs STORAGE_BACKEND=sqlite.");
+    process.exit(1);
+  }
+
+  // Every worker must sign cookies with the same secret
+  if (!process.env.SESSION_SECRET) {
+    console.warn(
+      "SESSION_SECRET is not set; workers share a temporary secret " +
+        "(every restart signs out all users).",
+    );
+    process.env.SESSION_SECRET = crypto.randomBytes(32).toString("hex");
+  }
+
+  const store = new NamespaceStore();
+  const httpServer = http.createServer();
+
+  // Structured clone keeps Buffers (board points) intact between workers
+  cluster.setupPrimary({ serialization: "advanced" });
+
+  setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+  setupPrimary();
+  new RateLimiterClusterMaster();
+
+  cluster.on("message", (worker, msg) =>
+    handleWorkerMessage(store, worker, msg),
+  );
+
+  // Workers save rooms on SIGTERM/SIGINT; wait for them before exiting
+  let stopping = false;
+  const stop = (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received. Stopping workers...`);
+    for (const worker of Object.values(cluster.workers)) {
+      worker?.process.kill(signal);
+    }
+  };
+  process.on("SIGTERM", () => stop("SIGTERM"));
+  process.on("SIGINT", () => stop("SIGINT"));
+
+  // A dead worker's users are ghosts on every other worker: tell them, then
+  // replace the worker
+  cluster.on("exit", (worker, code, signal) => {
+    if (stopping) {
+      if (Object.keys(cluster.workers).length === 0) process.exit(0);
+      return;
+    }
+    console.warn(
+      `Worker ${worker.id} exited (${signal || code}). Starting a new one.`,
+    );
+    for (const other of Object.values(cluster.workers)) {
+      if (other && other.isConnected()) {
+        other.send({
+          channel: CHANNEL,
+          op: "message",
+          message: { type: "workerExit", workerId: worker.id },
+        });
+      }
+    }
+    cluster.fork();
+  });
+
+  setInterval(() => store.prune(), SESSION_PRUNE_INTERVAL);
+
+  for (let i = 0; i < WORKERS; i++) cluster.fork();
+
+  httpServer.listen(PORT, () => {
+    console.log(
+      `Talkomatic cluster primary ${process.pid}: ${WORKERS} worker(s) on port ${PORT}`,
+    );
+  });
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  NamespaceStore,
+  MemorySharedHub,
+  MemorySharedState,
+  IpcSharedState,
+  SharedSessionStore,
+  startPrimary,
+};
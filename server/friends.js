@@ -0,0 +1,351 @@
+// server/friends.js
+// Friend lists and presence. Every user has a friend code, a signed token
+// for their user ID; adding someone's code puts them on your list (one way,
+// like following, so sharing the code is the consent). Your friends' online
+// status and room show in the lobby, you get "friend status" when it
+// changes, and you can invite a friend straight into your room.
+//
+// Presence is read from Socket.IO itself: each signed-in socket joins
+// "user:<id>" and carries its room in socket.data, and sockets watching a
+// friend join "friends:<id>". fetchSockets() and room emits reach every
+// cluster worker, so nothing else has to be replicated. Vanished devs are
+// offline to everyone, hidden devs show like anyone else, and a friend in a
+// private room shows as "in a private room" without its ID or name.
+//
+// Lists are stored with the account for registered users and in the
+// session otherwise; session user IDs (and their codes) end with the
+// session, account ones don't.
+
+const {
+  CONFIG,
+  ERROR_CODES,
+  state,
+  createErrorResponse,
+  promisifySessionSave,
+} = require("./state");
+const { persistSet } = require("./storage");
+const {
+  signValue,
+  verifySignedValue,
+  createExpiringToken,
+  checkExpiringToken,
+} = require("./security");
+
+// "inviterId:friendId" → last invite time, per worker
+const lastInvites = new Map();
+
+function io() {
+  return state.io;
+}
+
+// ── Codes and Passes ────────────────────────────────────────────────────────
+
+function getFriendCode(userId) {
+  const id = Buffer.from(userId).toString("base64url");
+  return `${id}.${signValue(`friend:${userId}`)}`;
+}
+
+// The user ID a code was issued for, or null if it's not one of ours
+function resolveFriendCode(code) {
+  if (typeof code !== "string" || code.length > 128) return null;
+  const [id, signature] = code.trim().split(".");
+  if (!id || !signature) return null;
+  const userId = Buffer.from(id, "base64url").toString();
+  return verifySignedValue(`friend:${userId}`, signature) ? userId : null;
+}
+
+// Lets one user into one room without its access code, for INVITE_TTL
+function createInvitePass(roomId, userId) {
+  return createExpiringToken(
+    `invite:${roomId}:${userId}`,
+    CONFIG.FRIENDS.INVITE_TTL,
+  );
+}
+
+function checkInvitePass(pass, roomId, userId) {
+  return checkExpiringToken(pass, `invite:${roomId}:${userId}`);
+}
+
+// ── Friend Lists ────────────────────────────────────────────────────────────
+
+// [{ userId, username, addedAt }]; username is the name last seen online
+async function loadFriends(session) {
+  if (session.accountId && state.storage)
+    return (await state.storage.get("friends", session.accountId)) || [];
+  return session.friends || [];
+}
+
+async function saveFriends(session, friends) {
+  if (session.accountId && state.storage) {
+    persistSet("friends", session.accountId, friends);
+  } else {
+    session.friends = friends;
+    await promisifySessionSave(session);
+  }
+}
+
+// ── Presence ────────────────────────────────────────────────────────────────
+
+function formatPresenceRoom(roomId) {
+  const room = roomId ? state.rooms.get(roomId) : null;
+  if (!room) return null;
+  if (room.type === "private") return { type: "private" };
+  return { id: room.id, name: room.name, type: room.type };
+}
+
+// What friends see of a user: { online, username, room }. room is null in
+// the lobby, { type: "private" } in a private room, else { id, name, type }.
+async function getPresence(userId) {
+  const sockets = (await io().in(`user:${userId}`).fetchSockets()).filter(
+    (s) => s.data.presence?.userId === userId && !s.data.presence.isVanished,
+  );
+  if (!sockets.length) return { online: false, username: null, room: null };
+  const inRoom = sockets.find((s) => s.data.presence.roomId);
+  return {
+    online: true,
+    username: sockets[0].data.presence.username,
+    room: formatPresenceRoom(inRoom?.data.presence.roomId),
+  };
+}
+
+async function notifyFriends(userId) {
+  if (!CONFIG.FEATURES.ENABLE_FRIENDS || !io() || !userId) return;
+  const presence = await getPresence(userId);
+  io()
+    .to(`friends:${userId}`)
+    .emit("friend status", { userId, ...presence });
+}
+
+function leaveWatchRooms(socket) {
+  for (const room of socket.rooms) {
+    if (room.startsWith("friends:") || room.startsWith("user:"))
+      socket.leave(room);
+  }
+}
+
+/**
+ * Records where a socket's user is (signed in, which room, vanished) and
+ * tells their friends. Call after sign-in, joining or leaving a room and
+ * dev vanish changes; it also switches the socket over when its session
+ * signs in as someone else. Direct chat requests (rooms.js) find users
+ * through this too, so it runs with friends turned off.
+ */
+async function trackPresence(socket) {
+  if (!socket.connected) return;
+  const session = socket.handshake.session;
+  const userId = session?.userId;
+  const previous = socket.data.presence?.userId;
+  if (previous && previous !== userId) await untrackPresence(socket);
+  if (!userId) return;
+
+  socket.data.presence = {
+    userId,
+    username: session.username || "Anonymous",
+    roomId: socket.roomId || null,
+    isVanished: !!(socket.isDev && socket.isVanished),
+  };
+  if (previous !== userId) {
+    socket.join(`user:${userId}`);
+    if (CONFIG.FEATURES.ENABLE_FRIENDS) {
+      const friends = await loadFriends(session);
+      socket.join(friends.map((f) => `friends:${f.userId}`));
+    }
+  }
+  await notifyFriends(userId);
+}
+
+// Sign-out and disconnect: the socket stops counting as its user
+async function untrackPresence(socket) {
+  const userId = socket.data.presence?.userId;
+  if (!userId) return;
+  delete socket.data.presence;
+  leaveWatchRooms(socket);
+  await notifyFriends(userId);
+}
+
+// ── Socket Events ───────────────────────────────────────────────────────────
+
+async function emitFriendList(socket) {
+  const session = socket.handshake.session;
+  const friends = await loadFriends(session);
+  const presences = await Promise.all(
+    friends.map((f) => getPresence(f.userId)),
+  );
+
+  // Keep stored names current for when they're offline
+  let renamed = false;
+  const list = friends.map((friend, i) => {
+    const presence = presences[i];
+    if (presence.username && presence.username !== friend.username) {
+      friend.username = presence.username;
+      renamed = true;
+    }
+    return { ...presence, userId: friend.userId, username: friend.username };
+  });
+  if (renamed) await saveFriends(session, friends);
+
+  socket.emit("friends list", {
+    code: getFriendCode(session.userId),
+    friends: list,
+  });
+}
+
+function sendError(socket, code, message) {
+  socket.emit("error", createErrorResponse(code, message));
+}
+
+function registerFriendHandlers(socket, safe) {
+  // Everything here needs a signed-in session
+  const session = () => {
+    const s = socket.handshake.session;
+    if (CONFIG.FEATURES.ENABLE_FRIENDS && s?.userId) return s;
+    sendError(
+      socket,
+      ERROR_CODES.FORBIDDEN,
+      CONFIG.FEATURES.ENABLE_FRIENDS
+        ? "Sign in to use friends."
+        : "Friends are disabled.",
+    );
+    return null;
+  };
+
+  socket.on(
+    "get friends",
+    safe(async () => {
+      if (session()) await emitFriendList(socket);
+    }),
+  );
+
+  socket.on(
+    "add friend",
+    safe(async (data) => {
+      const s = session();
+      if (!s) return;
+      const friendId = resolveFriendCode(data?.code);
+      if (!friendId)
+        return sendError(
+          socket,
+          ERROR_CODES.VALIDATION_ERROR,
+          "That friend code isn't valid.",
+        );
+      if (friendId === s.userId)
+        return sendError(
+          socket,
+          ERROR_CODES.BAD_REQUEST,
+          "That's your own friend code.",
+        );
+
+      const friends = await loadFriends(s);
+      if (!friends.some((f) => f.userId === friendId)) {
+        if (friends.length >= CONFIG.FRIENDS.MAX_FRIENDS)
+          return sendError(
+            socket,
+            ERROR_CODES.FORBIDDEN,
+            `You can have at most ${CONFIG.FRIENDS.MAX_FRIENDS} friends.`,
+          );
+        const { username } = await getPresence(friendId);
+        friends.push({
+          userId: friendId,
+          username: username || "Unknown",
+          addedAt: Date.now(),
+        });
+        await saveFriends(s, friends);
+        // Every tab of this user starts watching them
+        io().in(`user:${s.userId}`).socketsJoin(`friends:${friendId}`);
+      }
+      await emitFriendList(socket);
+    }),
+  );
+
+  socket.on(
+    "remove friend",
+    safe(async (data) => {
+      const s = session();
+      if (!s || typeof data?.userId !== "string") return;
+      const friends = await loadFriends(s);
+      const remaining = friends.filter((f) => f.userId !== data.userId);
+      if (remaining.length !== friends.length) {
+        await saveFriends(s, remaining);
+        io().in(`user:${s.userId}`).socketsLeave(`friends:${data.userId}`);
+      }
+      await emitFriendList(socket);
+    }),
+  );
+
+  // Sends "room invite" to every tab of a friend. The pass in it lets them
+  // into a semi-private room without the access code ("join room").
+  socket.on(
+    "invite friend",
+    safe(async (data) => {
+      const s = session();
+      if (!s || typeof data?.userId !== "string") return;
+      const room = socket.roomId ? state.rooms.get(socket.roomId) : null;
+      if (!room)
+        return sendError(
+          socket,
+          ERROR_CODES.BAD_REQUEST,
+          "Join a room to invite friends.",
+        );
+      const friend = (await loadFriends(s)).find(
+        (f) => f.userId === data.userId,
+      );
+      if (!friend)
+        return sendError(
+          socket,
+          ERROR_CODES.NOT_FOUND,
+          "That user isn't on your friend list.",
+        );
+
+      const key = `${s.userId}:${friend.userId}`;
+      const now = Date.now();
+      for (const [k, at] of lastInvites) {
+        if (now - at >= CONFIG.FRIENDS.INVITE_COOLDOWN) lastInvites.delete(k);
+      }
+      if (lastInvites.has(key))
+        return sendError(
+          socket,
+          ERROR_CODES.RATE_LIMITED,
+          `You just invited ${friend.username}. Try again shortly.`,
+        );
+
+      const presence = await getPresence(friend.userId);
+      if (!presence.online)
+        return sendError(
+          socket,
+          ERROR_CODES.NOT_FOUND,
+          `${friend.username} is offline.`,
+        );
+      if (presence.room?.id === room.id)
+        return sendError(
+          socket,
+          ERROR_CODES.BAD_REQUEST,
+          `${friend.username} is already here.`,
+        );
+
+      lastInvites.set(key, now);
+      io()
+        .to(`user:${friend.userId}`)
+        .emit("room invite", {
+          roomId: room.id,
+          roomName: room.name,
+          roomType: room.type,
+          from: { userId: s.userId, username: s.username || "Anonymous" },
+          pass: createInvitePass(room.id, friend.userId),
+        });
+      socket.emit("friend invited", {
+        userId: friend.userId,
+        username: friend.username,
+      });
+    }),
+  );
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  registerFriendHandlers,
+  trackPresence,
+  untrackPresence,
+  getPresence,
+  checkInvitePass,
+};
@@ -0,0 +1,495 @@
+// server/games.js
+// In-room games: binds GameManager (../games.js) to Socket.IO rooms, relays
+// moves between players and spectators, and cleans up when players leave.
+
+const { CONFIG, state, wordFilter } = require("./state");
+const { GameManager, restoreGame } = require("../games");
+
+const gameManager = new GameManager();
+
+const GAME_INACTIVITY_CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+function io() {
+  return state.io;
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// Replies go to the socket's own Socket.IO room, which reaches it from any
+// cluster worker
+function emitGameError(socketId, message) {
+  if (socketId && message) io().to(socketId).emit("game error", { message });
+}
+
+function getPlayerSymbol(game, userId) {
+  const player = game.players.find((p) => p.id === userId);
+  return player ? player.symbol : null;
+}
+
+// Game state can hide information per viewer (Battleship fleets, Hangman
+// words), so every recipient gets their own view. `local` keeps to this
+// worker's sockets, for changes every worker makes at once.
+async function forEachRoomSocket(roomId, fn, local = false) {
+  if (!io() || !roomId) return;
+  const target = local ? io().local : io();
+  for (const s of await target.in(roomId).fetchSockets()) {
+    fn(s, s.handshake?.session?.userId || null);
+  }
+}
+
+function getRoomGameStates(roomId, viewerId) {
+  return gameManager.getRoomGames(roomId).map((g) => g.getGameState(viewerId));
+}
+
+function emitRoomGames(roomId, local = false) {
+  return forEachRoomSocket(
+    roomId,
+    (s, viewerId) => {
+      s.emit("room games updated", {
+        games: getRoomGameStates(roomId, viewerId),
+      });
+    },
+    local,
+  );
+}
+
+function emitGameUpdated(game) {
+  return forEachRoomSocket(game.roomId, (s, viewerId) => {
+    s.emit("game updated", { game: game.getGameState(viewerId) });
+  });
+}
+
+function endGame(game, reason) {
+  if (!io()) return;
+  io().to(game.roomId).emit("game ended", {
+    gameId: game.id,
+    reason,
+    winner: game.winner,
+  });
+}
+
+// Game options are small flat objects of strings/numbers (e.g. a Hangman
+// word or an RPS best-of count); strings go through the word filter
+function sanitizeGameOptions(options) {
+  if (!options || typeof options !== "object") return { options: {} };
+  const clean = {};
+  for (const [key, value] of Object.entries(options).slice(0, 10)) {
+    if (typeof value === "number") clean[key] = value;
+    else if (typeof value === "string") {
+      const text = value.slice(0, 50);
+      if (
+        CONFIG.FEATURES.ENABLE_WORD_FILTER &&
+        wordFilter.checkText(text).hasOffensiveWord
+      )
+        return { error: "Game options contain forbidden words." };
+      clean[key] = text;
+    }
+  }
+  return { options: clean };
+}
+
+// Read before sending: another request may change the game meanwhile
+async function announceMove(game) {
+  const finished = game.state === "finished";
+  await emitGameUpdated(game);
+  if (finished) endGame(game, "finished");
+}
+
+// A departing player either ends the game for everyone or, in games that
+// tolerate it, just gives up their seat
+async function leaveGame(game, userId) {
+  if (gameManager.leaveGame(game.id, userId)) endGame(game, "player left");
+  else await emitGameUpdated(game);
+  publishGame(game);
+}
+
+// Resolves the game referenced by a client payload, but only if it belongs
+// to the room the socket is currently in
+function getSocketGame(socket, data) {
+  if (!data || typeof data.gameId !== "string") return null;
+  const game = gameManager.getGame(data.gameId);
+  if (!game || game.roomId !== socket.roomId) return null;
+  return game;
+}
+
+// ── Game Actions ────────────────────────────────────────────────────────────
+// Everything that changes an existing game runs on the worker that owns it
+// (see Cluster Sync) as gameActions[name](game, request), where request is
+// { socketId, roomId, user: { id, username }, data } for the asking socket.
+
+const gameActions = {
+  async join(game, { socketId, user }) {
+    if (game.canPlayerPlay(user.id))
+      return emitGameError(socketId, "You are already in this game.");
+    if (gameManager.getPlayerGame(user.id))
+      return emitGameError(socketId, "You are already in a game.");
+
+    try {
+      gameManager.joinGame(game.id, user.id, user.username);
+    } catch (err) {
+      return emitGameError(socketId, err.message);
+    }
+    game.removeSpectator(user.id);
+    publishGame(game);
+
+    io()
+      .to(socketId)
+      .emit("game joined", {
+        game: game.getGameState(user.id),
+        playerSymbol: getPlayerSymbol(game, user.id),
+      });
+    await emitGameUpdated(game);
+    await emitRoomGames(game.roomId);
+  },
+
+  async spectate(game, { socketId, user }) {
+    if (game.canPlayerPlay(user.id))
+      return emitGameError(socketId, "You are playing in this game.");
+
+    game.addSpectator(user.id);
+    publishGame(game);
+    io()
+      .to(socketId)
+      .emit("game spectate", { game: game.getGameState(user.id) });
+    await emitGameUpdated(game);
+  },
+
+  async move(game, { socketId, user, data }) {
+    if (!game.isPlayerTurn(user.id))
+      return emitGameError(
+        socketId,
+        game.canPlayerPlay(user.id)
+          ? "It's not your turn."
+          : "You are not a player in this game.",
+      );
+
+    try {
+      gameManager.makeMove(game.id, user.id, data.move, user.username);
+    } catch (err) {
+      return emitGameError(socketId, err.message);
+    }
+    publishGame(game);
+
+    await announceMove(game);
+  },
+
+  async chatLine(game, { user, data }) {
+    if (!gameManager.handleChatLine(game.id, user.id, user.username, data.line))
+      return;
+    publishGame(game);
+    await announceMove(game);
+  },
+
+  async newGame(game, { socketId, user, data }) {
+    if (!game.canStartNewGame(user.id))
+      return emitGameError(socketId, "You can't start the next round.");
+    if (game.state !== "finished")
+      return emitGameError(socketId, "The current game is still going.");
+
+    try {
+      game.resetGame(data.options);
+    } catch (err) {
+      return emitGameError(socketId, err.message);
+    }
+    publishGame(game);
+    await emitGameUpdated(game);
+    await emitRoomGames(game.roomId);
+  },
+
+  // A player leaves (usually ending the game), a spectator stops watching
+  async leave(game, { user }) {
+    if (game.canPlayerPlay(user.id)) {
+      await leaveGame(game, user.id);
+      await emitRoomGames(game.roomId);
+    } else if (game.spectators.has(user.id)) {
+      game.removeSpectator(user.id);
+      publishGame(game);
+      await emitGameUpdated(game);
+    }
+  },
+};
+
+// Runs an action here if this worker owns the game, or hands it to the
+// owner
+async function requestGameAction(game, name, request) {
+  if (isOwnGame(game)) return gameActions[name](game, request);
+  state.shared.publish({
+    type: "gameAction",
+    workerId: game.workerId,
+    gameId: game.id,
+    name,
+    request,
+  });
+}
+
+// ── Cleanup ─────────────────────────────────────────────────────────────────
+
+// Called from leaveRoom: a departing player leaves their game (usually
+// ending it), a departing spectator just stops watching
+function handleUserLeftRoom(roomId, userId) {
+  const request = { socketId: null, roomId, user: { id: userId }, data: {} };
+  for (const game of gameManager.getRoomGames(roomId)) {
+    if (game.canPlayerPlay(userId) || game.spectators.has(userId)) {
+      requestGameAction(game, "leave", request).catch((err) =>
+        console.error("Game leave error:", err),
+      );
+    }
+  }
+}
+
+// Called from rooms.js whenever a user finishes a line of chat, so games
+// like Hangman can take guesses straight from the chat panels
+function handleChatLine(roomId, userId, username, line) {
+  const request = {
+    socketId: null,
+    roomId,
+    user: { id: userId, username },
+    data: { line },
+  };
+  for (const game of gameManager.getRoomGames(roomId)) {
+    if (!game.getChatMove(userId, line)) continue;
+    requestGameAction(game, "chatLine", request).catch((err) =>
+      console.error("Game chat error:", err),
+    );
+  }
+}
+
+// Every worker drops a deleted room's games from its own copy
+function cleanupRoomGames(roomId) {
+  for (const game of gameManager.getRoomGames(roomId)) {
+    gameManager.removeGame(game.id);
+    if (isOwnGame(game)) storeSharedGame(game);
+  }
+}
+
+function startGameCleanupInterval() {
+  setInterval(() => {
+    try {
+      for (const gameId of gameManager.cleanupGames()) {
+        if (state.shared) state.shared.delete("games", gameId).catch(() => {});
+      }
+      for (const [roomId] of gameManager.roomGames) {
+        if (!state.rooms.has(roomId)) cleanupRoomGames(roomId);
+      }
+    } catch (err) {
+      console.error("Game cleanup error:", err);
+    }
+  }, GAME_INACTIVITY_CLEANUP_INTERVAL);
+}
+
+// ── Cluster Sync ────────────────────────────────────────────────────────────
+// With state.shared set every worker keeps a copy of every game, so any of
+// them can list games and check requests against them. Only the worker
+// that created a game (game.workerId) changes it: other workers publish
+// their sockets' requests for it as "gameAction", and after every change
+// the owner publishes the game and keeps a copy in the shared "games"
+// namespace for workers that start later.
+
+function isOwnGame(game) {
+  return !state.shared || game.workerId === state.workerId;
+}
+
+function storeSharedGame(game) {
+  if (!state.shared) return;
+  const write = gameManager.getGame(game.id)
+    ? state.shared.set("games", game.id, game)
+    : state.shared.delete("games", game.id);
+  write.catch((err) => console.error("Shared game store error:", err));
+}
+
+// Called by the owner after every change, removals included
+function publishGame(game) {
+  if (!state.shared) return;
+  const live = gameManager.getGame(game.id) === game;
+  state.shared.publish({
+    type: "game",
+    gameId: game.id,
+    game: live ? game : null,
+  });
+  storeSharedGame(game);
+}
+
+function handlePeerMessage(message) {
+  if (message.type === "game") {
+    if (message.game) gameManager.putGame(restoreGame(message.game));
+    else gameManager.removeGame(message.gameId);
+  } else if (
+    message.type === "gameAction" &&
+    message.workerId === state.workerId
+  ) {
+    const { request } = message;
+    const game = gameManager.getGame(message.gameId);
+    if (!game || game.roomId !== request.roomId || !isOwnGame(game)) {
+      emitGameError(request.socketId, "Game not found.");
+      return;
+    }
+    gameActions[message.name](game, request).catch((err) =>
+      console.error("Game action error:", err),
+    );
+  }
+}
+
+// Called from rooms.js once a dead worker's users are gone. Its games go
+// with it; the games this worker owns lose the players and spectators it
+// held.
+async function handleWorkerExit(workerId) {
+  const orphanedRooms = new Set();
+  for (const game of [...gameManager.games.values()]) {
+    if (game.workerId === workerId) {
+      gameManager.removeGame(game.id);
+      storeSharedGame(game);
+      io().local.to(game.roomId).emit("game ended", {
+        gameId: game.id,
+        reason: "player left",
+        winner: game.winner,
+      });
+      orphanedRooms.add(game.roomId);
+      continue;
+    }
+    if (!isOwnGame(game)) continue;
+    const present = new Set(
+      (state.rooms.get(game.roomId)?.users || []).map((u) => u.id),
+    );
+    const gone = [...game.players.map((p) => p.id), ...game.spectators];
+    for (const userId of gone.filter((id) => !present.has(id))) {
+      if (!gameManager.getGame(game.id)) break;
+      await gameActions.leave(game, { user: { id: userId } });
+    }
+  }
+  for (const roomId of orphanedRooms) await emitRoomGames(roomId, true);
+}
+
+// Called once at worker startup, after the rooms are in sync
+async function startGameSync() {
+  for (const [, data] of await state.shared.entries("games")) {
+    if (state.rooms.has(data.roomId)) gameManager.putGame(restoreGame(data));
+  }
+  state.shared.onMessage(handlePeerMessage);
+}
+
+// ── Socket Events ───────────────────────────────────────────────────────────
+
+// Registered per connection from rooms.js; `safe` is that file's handler
+// wrapper so game errors get the same logging and error-count treatment
+function registerGameHandlers(socket, safe) {
+  function getUser() {
+    const userId = socket.handshake.session?.userId;
+    if (!userId || !socket.roomId) return null;
+    const room = state.rooms.get(socket.roomId);
+    const user = room?.users?.find((u) => u.id === userId);
+    return user || null;
+  }
+
+  // Passes a request for an existing game on to gameActions. `signedOut`
+  // and `missing` are the errors for a socket outside a room and for an
+  // unknown game (none if null); `check` returns an error for bad data.
+  function onGameAction(event, name, options = {}) {
+    const {
+      signedOut = null,
+      missing = "Game not found.",
+      check = () => null,
+    } = options;
+    socket.on(
+      event,
+      safe(async (data) => {
+        const user = getUser();
+        if (!user) return emitGameError(socket.id, signedOut);
+        const game = getSocketGame(socket, data);
+        if (!game) return emitGameError(socket.id, missing);
+        const error = check(data);
+        if (error) return emitGameError(socket.id, error);
+        await requestGameAction(game, name, {
+          socketId: socket.id,
+          roomId: socket.roomId,
+          user: { id: user.id, username: user.username },
+          data,
+        });
+      }),
+    );
+  }
+
+  socket.on(
+    "create game",
+    safe(async (data) => {
+      const user = getUser();
+      if (!user) return emitGameError(socket.id, "Join a room to play games.");
+      if (!data || typeof data.gameType !== "string")
+        return emitGameError(socket.id, "Game type required.");
+      if (gameManager.getPlayerGame(user.id))
+        return emitGameError(socket.id, "You are already in a game.");
+      const { options, error } = sanitizeGameOptions(data.options);
+      if (error) return emitGameError(socket.id, error);
+
+      let game;
+      try {
+        game = gameManager.createGame(
+          socket.roomId,
+          data.gameType,
+          user.id,
+          user.username,
+          options,
+        );
+      } catch (err) {
+        return emitGameError(socket.id, err.message);
+      }
+      game.workerId = state.workerId;
+      publishGame(game);
+
+      socket.emit("game created", {
+        game: game.getGameState(user.id),
+        playerSymbol: getPlayerSymbol(game, user.id),
+      });
+      await emitRoomGames(socket.roomId);
+    }),
+  );
+
+  onGameAction("join game", "join", {
+    signedOut: "Join a room to play games.",
+  });
+  onGameAction("spectate game", "spectate", {
+    signedOut: "Join a room to watch games.",
+  });
+  onGameAction("game move", "move", {
+    check: (data) =>
+      !data.move || typeof data.move !== "object" ? "Invalid move." : null,
+  });
+  onGameAction("new game", "newGame", {
+    check: (data) => {
+      const { options, error } = sanitizeGameOptions(data.options);
+      data.options = options;
+      return error;
+    },
+  });
+  onGameAction("leave game", "leave", { missing: null });
+
+  socket.on(
+    "get room games",
+    safe(async () => {
+      const user = getUser();
+      if (!user) return;
+      socket.emit("room games updated", {
+        games: getRoomGameStates(socket.roomId, user.id),
+      });
+    }),
+  );
+
+  socket.on(
+    "get game types",
+    safe(async () => {
+      socket.emit("game types", { types: gameManager.getGameTypes() });
+    }),
+  );
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  gameManager,
+  registerGameHandlers,
+  handleUserLeftRoom,
+  handleChatLine,
+  handleWorkerExit,
+  cleanupRoomGames,
+  startGameCleanupInterval,
+  startGameSync,
+};
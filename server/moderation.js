@@ -0,0 +1,192 @@
+// server/moderation.js
+// Server-side chat moderation and room content policies. Every chat buffer
+// goes through WordFilter before the room sees it, so a modified client
+// can't skip the filter. Each room's policy picks the action for offensive
+// words (CONFIG.MODERATION):
+//   mask   the words reach the room as asterisks (default)
+//   block  the update is held back until the words are removed
+//   flag   the text goes out unchanged and the sender is warned
+// and may also forbid links, allow only emoji, cap the message length,
+// require a minimum account age to join or pick word filter language packs.
+// Offenses are counted per user whatever the action; rooms.js warns, mutes
+// or kicks based on the step recordOffense returns. Counts are kept in
+// memory by the worker that holds the user's socket.
+
+const { CONFIG, state, wordFilter } = require("./state");
+const { getRoomFilterLayers, getLanguageLayers } = require("./wordlists");
+
+// userId → { userId, username, total, recent: [at], lastAt, lastRoomId,
+//            mutedUntil }
+const offenders = new Map();
+
+// Same pattern room-client.js turns into links
+const URL_PATTERN = new RegExp(
+  "(?:https?:\\/\\/[^\\s<>\"']+)" +
+    "|(?:www\\.[^\\s<>\"']+)" +
+    "|(?:\\b[a-z0-9](?:[a-z0-9-]*[a-z0-9])?" +
+    "(?:\\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*" +
+    "\\.(?:com|net|org|io|gg|co|me|app|dev|xyz|info|link|site|online|club|live|stream|fun|top|cc|tv|to|gl|ly|us|uk|ca|eu|de|fr|es|it|nl|jp|kr|in|br|au|ru|cn)" +
+    "(?:\\/[^\\s<>\"']*)?)",
+  "i",
+);
+
+// Emoji, emote codes (":smile:", or one still being typed) and whitespace
+const EMOJI_ONLY_STRIP =
+  /:[\w+-]+:|:[\w+-]*$|[\s\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200d\ufe0f\u20e3]/gu;
+
+// ── Room Policy ─────────────────────────────────────────────────────────────
+
+// The room's policy with defaults filled in. Rooms created before policies
+// existed get the defaults.
+function getRoomPolicy(room) {
+  const policy = room?.policy || {};
+  return {
+    wordFilter: CONFIG.MODERATION.ACTIONS.includes(policy.wordFilter)
+      ? policy.wordFilter
+      : CONFIG.MODERATION.ACTION,
+    allowLinks: policy.allowLinks !== false,
+    emojiOnly: policy.emojiOnly === true,
+    maxMessageLength:
+      policy.maxMessageLength || CONFIG.LIMITS.MAX_MESSAGE_LENGTH,
+    minAccountAge: policy.minAccountAge || 0,
+    // Language pack codes, or "auto" (see server/wordlists.js)
+    languages: Array.isArray(policy.languages)
+      ? policy.languages.filter((code) =>
+          CONFIG.MODERATION.LANGUAGES.includes(code),
+        )
+      : "auto",
+  };
+}
+
+// The rule `text` breaks ("links" or "emojiOnly"), or null
+function checkRoomPolicy(policy, text) {
+  if (!policy.allowLinks && URL_PATTERN.test(text)) return "links";
+  if (policy.emojiOnly && text.replace(EMOJI_ONLY_STRIP, "")) {
+    return "emojiOnly";
+  }
+  return null;
+}
+
+// Age counts from when the session first got a user ID, or for registered
+// accounts from when the account's first session did (server/accounts.js)
+function meetsAccountAge(policy, session) {
+  if (!policy.minAccountAge) return true;
+  const firstSeenAt = session?.firstSeenAt || Date.now();
+  return Date.now() - firstSeenAt >= policy.minAccountAge * 60000;
+}
+
+// ── Filtering ───────────────────────────────────────────────────────────────
+
+// Offensive words the user has finished typing: a space or punctuation
+// inside or right after the match. A word still being typed may turn out
+// clean ("ass" → "assistant").
+function countFinishedWords(text, ranges) {
+  return ranges.filter(([start, end]) =>
+    /[^\p{L}\p{N}]/u.test(text.slice(start, end + 1)),
+  ).length;
+}
+
+// Returns { text, action, offenses, rule }: `text` is what the room should
+// see (null to hold the update back), `offenses` the offensive words added
+// since `previous`, `rule` a policy rule that `current` newly breaks.
+// `acceptLanguage` is the sender's, for language detection.
+function moderateChatText(room, previous, current, acceptLanguage) {
+  const policy = getRoomPolicy(room);
+  const action = policy.wordFilter;
+  const rule = checkRoomPolicy(policy, current);
+  if (rule) {
+    const newRule = rule !== checkRoomPolicy(policy, previous) ? rule : null;
+    return { text: null, action, offenses: 0, rule: newRule };
+  }
+  if (!CONFIG.FEATURES.ENABLE_WORD_FILTER || !current) {
+    return { text: current, action, offenses: 0 };
+  }
+  // The room's own word list and language packs on top of the global lists
+  const layers = [
+    ...getRoomFilterLayers(room),
+    ...getLanguageLayers(room, policy.languages, current, acceptLanguage),
+  ];
+  const ranges = wordFilter.checkText(current, layers).offensiveRanges || [];
+  if (ranges.length === 0) return { text: current, action, offenses: 0 };
+
+  const before = wordFilter.checkText(previous, layers).offensiveRanges || [];
+  const offenses = Math.max(
+    0,
+    countFinishedWords(current, ranges) - countFinishedWords(previous, before),
+  );
+  let text = current;
+  if (action === "mask") text = wordFilter.filterText(current, layers);
+  else if (action === "block") text = null;
+  return { text, action, offenses };
+}
+
+// ── Offenses ────────────────────────────────────────────────────────────────
+
+function isChatMuted(userId) {
+  return (offenders.get(userId)?.mutedUntil || 0) > Date.now();
+}
+
+// Returns the escalation step: "warn", "mute" or "kick"
+function recordOffense(userId, username, roomId, count) {
+  const now = Date.now();
+  const entry = offenders.get(userId) || {
+    userId,
+    total: 0,
+    recent: [],
+    mutedUntil: 0,
+  };
+  entry.username = username;
+  entry.total += count;
+  entry.lastAt = now;
+  entry.lastRoomId = roomId;
+  entry.recent = entry.recent.filter(
+    (at) => now - at < CONFIG.MODERATION.OFFENSE_WINDOW,
+  );
+  for (let i = 0; i < count; i++) entry.recent.push(now);
+
+  // Most recent offender last, so the oldest is dropped first
+  offenders.delete(userId);
+  offenders.set(userId, entry);
+  if (offenders.size > CONFIG.MODERATION.MAX_TRACKED_USERS) {
+    offenders.delete(offenders.keys().next().value);
+  }
+
+  if (entry.recent.length >= CONFIG.MODERATION.KICK_AFTER) {
+    entry.recent = [];
+    return "kick";
+  }
+  if (entry.recent.length >= CONFIG.MODERATION.MUTE_AFTER) {
+    entry.mutedUntil = now + CONFIG.MODERATION.MUTE_DURATION;
+    return "mute";
+  }
+  return "warn";
+}
+
+// Per-user counts, most recent offender first
+function getModerationReport() {
+  const now = Date.now();
+  return Array.from(offenders.values())
+    .reverse()
+    .map((entry) => ({
+      userId: entry.userId,
+      username: entry.username,
+      total: entry.total,
+      recent: entry.recent.filter(
+        (at) => now - at < CONFIG.MODERATION.OFFENSE_WINDOW,
+      ).length,
+      lastAt: entry.lastAt,
+      roomName: state.rooms.get(entry.lastRoomId)?.name || null,
+      mutedUntil: entry.mutedUntil > now ? entry.mutedUntil : null,
+    }));
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  getRoomPolicy,
+  meetsAccountAge,
+  moderateChatText,
+  isChatMuted,
+  recordOffense,
+  getModerationReport,
+};
@@ -0,0 +1,120 @@
+// server/replay.js
+// Keystroke replay: in rooms that opted in, records every panel edit with
+// its timing so participants can watch the session being typed again.
+
+const { state } = require("./state");
+
+const replayState = new Map(); // roomId → { startedAt, truncated, events: [] }
+const MAX_REPLAY_EVENTS = 20000;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// Returns the recording for a room, or null if the room did not opt in or
+// the user is a vanished dev (invisible to the room, so kept off the record)
+function getRecording(roomId, userId) {
+  const room = state.rooms.get(roomId);
+  if (!room || !room.recordReplay) return null;
+  const user = room.users?.find((u) => u.id === userId);
+  if (user?.isDev && user.isVanished) return null;
+
+  if (!replayState.has(roomId)) {
+    replayState.set(roomId, {
+      startedAt: Date.now(),
+      truncated: false,
+      events: [],
+    });
+  }
+  return replayState.get(roomId);
+}
+
+// Events are relative to the start of the recording. Once the cap is hit
+// recording stops rather than dropping old events, since every edit is
+// relative to the text before it.
+function pushEvent(recording, event) {
+  if (recording.truncated) return;
+  if (recording.events.length >= MAX_REPLAY_EVENTS) {
+    recording.truncated = true;
+    return;
+  }
+  recording.events.push({ t: Date.now() - recording.startedAt, ...event });
+}
+
+// Smallest single splice turning `previous` into `current`: the batched
+// chat diffs are collapsed into one edit after sanitization, so the replay
+// matches exactly what the room saw.
+function computeEdit(previous, current) {
+  let start = 0;
+  const maxStart = Math.min(previous.length, current.length);
+  while (start < maxStart && previous[start] === current[start]) start++;
+
+  let end = 0;
+  const maxEnd = Math.min(previous.length, current.length) - start;
+  while (
+    end < maxEnd &&
+    previous[previous.length - 1 - end] === current[current.length - 1 - end]
+  )
+    end++;
+
+  return {
+    index: start,
+    remove: previous.length - start - end,
+    text: current.slice(start, current.length - end),
+  };
+}
+
+// ── Recording ───────────────────────────────────────────────────────────────
+
+function recordReplayJoin(roomId, userId, username) {
+  const recording = getRecording(roomId, userId);
+  if (!recording) return;
+  pushEvent(recording, {
+    type: "join",
+    userId,
+    username,
+    text: state.userMessageBuffers.get(userId) || "",
+  });
+}
+
+function recordReplayEdit(roomId, userId, previous, current) {
+  if (previous === current) return;
+  const recording = getRecording(roomId, userId);
+  if (!recording) return;
+  pushEvent(recording, {
+    type: "edit",
+    userId,
+    ...computeEdit(previous, current),
+  });
+}
+
+function recordReplayLeave(roomId, userId) {
+  const recording = getRecording(roomId, userId);
+  if (!recording) return;
+  pushEvent(recording, { type: "leave", userId });
+}
+
+function getReplay(roomId) {
+  const recording = replayState.get(roomId);
+  if (!recording) {
+    return { startedAt: Date.now(), duration: 0, truncated: false, events: [] };
+  }
+  return {
+    startedAt: recording.startedAt,
+    duration: Date.now() - recording.startedAt,
+    truncated: recording.truncated,
+    events: recording.events,
+  };
+}
+
+function cleanupReplay(roomId) {
+  replayState.delete(roomId);
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  recordReplayJoin,
+  recordReplayEdit,
+  recordReplayLeave,
+  getReplay,
+  cleanupReplay,
+};
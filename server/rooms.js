@@ -1,10 +1,12 @@
 // server/rooms.js
 // Room management, chat processing, AFK handling, socket events, cleanup.
-// Includes anti-spam (pressure cleanup, per-IP limits), vote-kick, dev mode
-// (force-kick, vanish, hide, color), and Talkoboard stroke storage.
+// Includes anti-spam (pressure cleanup, per-IP limits), vote-kick, room
+// owner moderation, dev mode (force-kick, vanish, hide, color), Talkoboard
+// stroke storage, room replication between cluster workers, and direct
+// one-on-one chats. Sign-in to registered names is decided in
+// server/accounts.js, friend presence in server/friends.js.
 
-const path = require("path");
-const fs = require("fs").promises;
+const crypto = require("crypto");
 const {
   CONFIG,
   ERROR_CODES,
@@ -27,41 +29,649 @@ const {
   isBlacklisted,
   createIPBasedUser,
   validateObject,
+  createExpiringToken,
+  checkExpiringToken,
 } = require("./security");
+const {
+  registerGameHandlers,
+  handleUserLeftRoom: handleGameUserLeftRoom,
+  handleChatLine: handleGameChatLine,
+  handleWorkerExit: handleGameWorkerExit,
+  cleanupRoomGames,
+  startGameCleanupInterval,
+  startGameSync,
+} = require("./games");
+const {
+  recordReplayJoin,
+  recordReplayEdit,
+  recordReplayLeave,
+  getReplay,
+  cleanupReplay,
+} = require("./replay");
+const { persistDelete } = require("./storage");
+const { recordKickAudit, getKickAudit } = require("./audit");
+const { registerAnnouncementHandlers } = require("./announcements");
+const {
+  resolveAccount,
+  getSessionIdentity,
+  checkSessionAccount,
+} = require("./accounts");
+const {
+  registerFriendHandlers,
+  trackPresence,
+  untrackPresence,
+  getPresence,
+  checkInvitePass,
+} = require("./friends");
+const {
+  getRoomPolicy,
+  meetsAccountAge,
+  moderateChatText,
+  isChatMuted,
+  recordOffense,
+} = require("./moderation");
+const BoardCodec = require("../public/js/board-codec.js");
 
 // io is accessed through state so it is available after server.js init
 function io() {
   return state.io;
 }
 
-// ── Talkoboard: Server-Side Stroke Storage (ephemeral) ──────────────────────
-
-const boardState = new Map(); // roomId → { strokes: [], active: Map<userId, stroke> }
-const MAX_BOARD_STROKES = 500;
+// ── Talkoboard: Server-Side Stroke Storage ──────────────────────────────────
+// Boards live as long as their room. With FEATURES.PERSIST_BOARDS on,
+// saveRooms stores the pages with the room and loadRooms puts them back.
+//
+// A board is a list of named pages, each its own infinite canvas with a
+// background template, strokes, undo history and limits. Each socket has
+// one page open (socket.boardPageId) and is in that page's Socket.IO room
+// (boardChannel), so drawing only reaches people on the same page. The
+// owner and devs add, rename, restyle and delete pages.
+//
+// Every stroke gets a page-wide ID, in drawing order, and remembers who
+// drew it, so users can undo and redo their own strokes. "Strokes" covers
+// everything on a page: freehand strokes have no type, the rest are
+// { type, points, color, size, text? } with BOARD_SHAPES giving each type's
+// point count (two corners, or a text anchor). Shapes can be moved and
+// deleted by whoever drew them, the owner and devs.
+//
+// Points go over the wire encoded by public/js/board-codec.js, and strokes
+// are simplified when they're finished. Every change to a stroke stamps it
+// with the page's next revision, so a client coming back to a page it has
+// seen (same syncId) gets only what changed since its revision.
+//
+// In cluster mode every worker keeps a copy of each board. A change is
+// broadcast to the page as usual and published to the other workers, which
+// apply it to their copy without emitting anything; a snapshot in the
+// shared "boards" namespace lets workers that start later catch up. syncId
+// and rev stay per worker, so a client moved to another worker just gets
+// the whole page again.
+
+// roomId → { pages: Map<pageId, page>, nextPageId }, where a page is
+// { id, name, template, syncId, rev, strokes, active: Map<userId, stroke>,
+//   nextStrokeId, undone: Map<userId, stroke[]>,
+//   clearVotes: Map<userId, castAt> }
+const boardState = new Map();
+const MAX_BOARD_PAGES = 20;
+const MAX_BOARD_PAGE_NAME_LENGTH = 40;
+const BOARD_TEMPLATES = ["grid", "blank", "lined", "tictactoe", "map"];
+const DEFAULT_BOARD_TEMPLATE = "grid";
+const MAX_BOARD_STROKES = 500; // per page
 const MAX_POINTS_PER_STROKE = 10000;
+const MAX_POINTS_PER_MOVE = 200;
+const MAX_IMPORT_POINTS = 50000; // keeps a "board import" under the socket buffer
+const BOARD_IMPORT_COOLDOWN = 10000;
+const MAX_UNDO_STEPS = 50; // undone strokes kept for redo, per user
+const BOARD_SHAPES = {
+  line: 2,
+  arrow: 2,
+  rect: 2,
+  ellipse: 2,
+  text: 1,
+  note: 2,
+};
+const MAX_BOARD_TEXT_LENGTH = 500;
+const MAX_BOARD_COORDINATE = 100000; // pixels either way from the origin
+const BOARD_CLEAR_VOTE_TTL = 60000;
+// Cluster workers number strokes and added pages on their own, and undo,
+// redo and deletes reach every worker's sockets, so the worker id goes in
+// the low digits
+const BOARD_ID_STRIDE = 2 ** 20;
+const BOARD_STORE_DELAY = 2000; // batches snapshot writes to the primary
+const boardStoreTimers = new Map(); // roomId → timeout
+
+function createBoardPage(
+  board,
+  name,
+  template = DEFAULT_BOARD_TEMPLATE,
+  id = board.nextPageId++,
+) {
+  const page = {
+    id,
+    name: name || `Page ${id}`,
+    template,
+    syncId: crypto.randomBytes(6).toString("hex"),
+    rev: 0,
+    strokes: [],
+    active: new Map(),
+    nextStrokeId: 1,
+    undone: new Map(),
+    clearVotes: new Map(),
+  };
+  board.pages.set(id, page);
+  return page;
+}
+
+// Pages a board starts with are numbered alike on every worker; pages
+// added later are numbered like strokes, so two workers adding one at the
+// same time can't pick the same ID
+function addBoardPage(board, name, template) {
+  const n = board.nextPageId++;
+  return createBoardPage(board, name || `Page ${n}`, template, boardItemId(n));
+}
 
 function getBoardState(roomId) {
   if (!boardState.has(roomId)) {
-    boardState.set(roomId, { strokes: [], active: new Map() });
+    const board = { pages: new Map(), nextPageId: 1 };
+    createBoardPage(board);
+    boardState.set(roomId, board);
   }
   return boardState.get(roomId);
 }
 
+function boardChannel(roomId, pageId) {
+  return `board:${roomId}:${pageId}`;
+}
+
+// The page a socket has open, or null (none yet, or it was deleted)
+function getSocketBoardPage(socket) {
+  const board = boardState.get(socket.roomId);
+  return board?.pages.get(socket.boardPageId) || null;
+}
+
+function formatBoardPages(board) {
+  return Array.from(board.pages.values(), ({ id, name, template }) => ({
+    id,
+    name,
+    template,
+  }));
+}
+
+function cleanBoardPageName(name) {
+  if (typeof name !== "string") return "";
+  return name.trim().slice(0, MAX_BOARD_PAGE_NAME_LENGTH);
+}
+
+function emitBoardPages(roomId) {
+  const board = boardState.get(roomId);
+  if (board)
+    io()
+      .to(roomId)
+      .emit("board pages", { pages: formatBoardPages(board) });
+}
+
+// The nth stroke or page, with the worker id in the low digits in cluster
+// mode
+function boardItemId(n) {
+  return state.shared
+    ? n * BOARD_ID_STRIDE + (state.workerId % BOARD_ID_STRIDE)
+    : n;
+}
+
+function claimStroke(page, stroke, userId) {
+  stroke.id = boardItemId(page.nextStrokeId++);
+  stroke.userId = userId;
+  return stroke;
+}
+
+// Adds finished strokes to the end of a page, newest last
+function appendBoardStrokes(page, strokes) {
+  for (const stroke of strokes) page.strokes.push(touchStroke(page, stroke));
+  trimBoardStrokes(page);
+}
+
+// Marks a stroke as changed for incremental "board state"
+function touchStroke(page, stroke) {
+  stroke.rev = ++page.rev;
+  return stroke;
+}
+
+function trimBoardStrokes(page) {
+  if (page.strokes.length > MAX_BOARD_STROKES) {
+    page.strokes = page.strokes.slice(-MAX_BOARD_STROKES);
+  }
+}
+
+// Removes the user's latest stroke and keeps it for redo
+function undoBoardStroke(page, userId) {
+  for (let i = page.strokes.length - 1; i >= 0; i--) {
+    if (page.strokes[i].userId !== userId) continue;
+    const [stroke] = page.strokes.splice(i, 1);
+    const undone = page.undone.get(userId) || [];
+    undone.push(stroke);
+    if (undone.length > MAX_UNDO_STEPS) undone.shift();
+    page.undone.set(userId, undone);
+    return stroke;
+  }
+  return null;
+}
+
+// Puts a stroke back where its ID places it, so it stacks with erasers
+// and other strokes as it did before
+function insertBoardStroke(page, stroke) {
+  const i = page.strokes.findIndex((s) => s.id > stroke.id);
+  page.strokes.splice(i === -1 ? page.strokes.length : i, 0, stroke);
+  touchStroke(page, stroke);
+  trimBoardStrokes(page);
+}
+
+function redoBoardStroke(page, userId) {
+  const stroke = page.undone.get(userId)?.pop();
+  if (!stroke) return null;
+  insertBoardStroke(page, stroke);
+  return stroke;
+}
+
+function resetBoardPage(page) {
+  page.strokes = [];
+  page.active.clear();
+  page.undone.clear();
+  page.clearVotes.clear();
+}
+
+function clearBoardPage(roomId, page) {
+  resetBoardPage(page);
+  io().to(boardChannel(roomId, page.id)).emit("board clear");
+  publishBoard(roomId, "clear", { pageId: page.id });
+  saveBoardsSoon();
+}
+
 function cleanupBoardState(roomId) {
   boardState.delete(roomId);
+  clearTimeout(boardStoreTimers.get(roomId));
+  boardStoreTimers.delete(roomId);
 }
 
 function finalizeBoardUserStroke(roomId, userId) {
-  const bs = boardState.get(roomId);
-  if (!bs) return;
-  const active = bs.active.get(userId);
-  if (active && active.points && active.points.length > 0) {
-    bs.strokes.push(active);
-    if (bs.strokes.length > MAX_BOARD_STROKES) {
-      bs.strokes = bs.strokes.slice(-MAX_BOARD_STROKES);
+  const board = boardState.get(roomId);
+  if (!board) return;
+  for (const page of board.pages.values()) {
+    const active = page.active.get(userId);
+    if (active && active.points && active.points.length > 0) {
+      active.points = BoardCodec.simplifyPoints(active.points);
+      appendBoardStrokes(page, [active]);
+      publishBoard(roomId, "add", { pageId: page.id, strokes: [active] });
     }
+    page.active.delete(userId);
+  }
+}
+
+/**
+ * Switches a socket to a page and sends it the page's strokes. `known` is
+ * the { syncId, rev } of the copy the client kept from an earlier "board
+ * state"; if it's still this page's, only strokes changed since come, with
+ * `ids` (every stroke ID in order) so the client can drop removed ones.
+ */
+function showBoardPage(socket, page, known) {
+  const userId = socket.handshake.session.userId;
+  finalizeBoardUserStroke(socket.roomId, userId);
+  leaveBoardPage(socket);
+  socket.boardPageId = page.id;
+  socket.join(boardChannel(socket.roomId, page.id));
+  const since =
+    known?.syncId === page.syncId &&
+    Number.isInteger(known.rev) &&
+    known.rev >= 0 &&
+    known.rev <= page.rev
+      ? known.rev
+      : null;
+  const strokes =
+    since === null
+      ? page.strokes
+      : page.strokes.filter((stroke) => stroke.rev > since);
+  socket.emit("board state", {
+    pageId: page.id,
+    pages: formatBoardPages(getBoardState(socket.roomId)),
+    syncId: page.syncId,
+    rev: page.rev,
+    ...(since !== null && {
+      since,
+      ids: BoardCodec.encodeInts(page.strokes.map((stroke) => stroke.id)),
+    }),
+    strokes: BoardCodec.encodeStrokes(strokes),
+    active: BoardCodec.encodeStrokes([...page.active.values()]),
+  });
+  socket.to(socket.roomId).emit("board user status", {
+    userId,
+    open: true,
+    pageId: page.id,
+  });
+}
+
+// Starts the socket's next stroke on its page; returns its ID, or null
+function startBoardStroke(socket, data) {
+  const userId = socket.handshake.session?.userId;
+  if (!socket.roomId || !userId) return null;
+  if (
+    !data ||
+    typeof data.color !== "string" ||
+    typeof data.size !== "number" ||
+    typeof data.point?.x !== "number" ||
+    typeof data.point?.y !== "number"
+  )
+    return null;
+  const page = getSocketBoardPage(socket);
+  if (!page) return null;
+
+  const stroke = {
+    points: [{ x: data.point.x, y: data.point.y }],
+    color: data.color.slice(0, 7),
+    size: Math.min(Math.max(data.size, 1), 50),
+    eraser: !!data.eraser,
+  };
+  finalizeBoardUserStroke(socket.roomId, userId);
+  claimStroke(page, stroke, userId);
+  page.active.set(userId, stroke);
+  page.undone.delete(userId); // a new stroke ends the redo history
+
+  socket.to(boardChannel(socket.roomId, page.id)).emit("board stroke start", {
+    userId,
+    strokeId: stroke.id,
+    color: stroke.color,
+    size: stroke.size,
+    eraser: stroke.eraser,
+    point: stroke.points[0],
+  });
+  return stroke.id;
+}
+
+function leaveBoardPage(socket) {
+  if (socket.boardPageId == null) return;
+  socket.leave(boardChannel(socket.roomId, socket.boardPageId));
+  socket.boardPageId = null;
+}
+
+// The owner and devs manage pages and clear them outright
+function canManageBoard(socket) {
+  const room = state.rooms.get(socket.roomId);
+  const userId = socket.handshake.session.userId;
+  return socket.isDev || (!!room?.ownerId && room.ownerId === userId);
+}
+
+// Saved boards are { pages: [{ name, template, strokes }] }, or null when
+// there's nothing worth keeping
+function serializeBoard(roomId) {
+  const board = boardState.get(roomId);
+  if (!board) return null;
+  const pages = Array.from(board.pages.values());
+  if (
+    pages.length === 1 &&
+    pages[0].strokes.length === 0 &&
+    pages[0].template === DEFAULT_BOARD_TEMPLATE
+  )
+    return null;
+  return {
+    pages: pages.map(({ name, template, strokes }) => ({
+      name,
+      template,
+      strokes: strokes.map(({ rev, ...stroke }) => stroke),
+    })),
+  };
+}
+
+// Boards saved before pages were a single { strokes } list
+function restoreBoard(roomId, saved) {
+  const savedPages = Array.isArray(saved?.pages)
+    ? saved.pages.slice(0, MAX_BOARD_PAGES)
+    : [{ strokes: saved?.strokes }];
+  const board = { pages: new Map(), nextPageId: 1 };
+  for (const savedPage of savedPages) {
+    const strokes = sanitizeBoardStrokes(savedPage?.strokes || []);
+    if (!strokes) continue;
+    const template = BOARD_TEMPLATES.includes(savedPage.template)
+      ? savedPage.template
+      : DEFAULT_BOARD_TEMPLATE;
+    const page = createBoardPage(
+      board,
+      cleanBoardPageName(savedPage.name),
+      template,
+    );
+    strokes.forEach((stroke, i) => {
+      const owner = savedPage.strokes[i].userId;
+      claimStroke(page, stroke, typeof owner === "string" ? owner : null);
+      touchStroke(page, stroke);
+    });
+    page.strokes = strokes;
+  }
+  if (board.pages.size > 0) boardState.set(roomId, board);
+}
+
+function clampBoardCoordinate(value) {
+  return Math.min(Math.max(value, -MAX_BOARD_COORDINATE), MAX_BOARD_COORDINATE);
+}
+
+// `delta` cut down so none of `values` (all on the board) moves off it
+function clampBoardDelta(values, delta) {
+  const low = -MAX_BOARD_COORDINATE - Math.min(...values);
+  const high = MAX_BOARD_COORDINATE - Math.max(...values);
+  return Math.min(Math.max(delta, low), high);
+}
+
+// A clean copy of one stroke or shape, or null if it's malformed
+function sanitizeBoardItem(item) {
+  if (
+    !item ||
+    typeof item.color !== "string" ||
+    typeof item.size !== "number" ||
+    !Array.isArray(item.points)
+  )
+    return null;
+  const type = item.type ?? "stroke";
+  const count = item.points.length;
+  if (type === "stroke") {
+    if (count === 0 || count > MAX_POINTS_PER_STROKE) return null;
+  } else if (BOARD_SHAPES[type] !== count) {
+    return null;
+  }
+
+  const points = [];
+  for (const p of item.points) {
+    if (!Number.isFinite(p?.x) || !Number.isFinite(p?.y)) return null;
+    points.push({ x: clampBoardCoordinate(p.x), y: clampBoardCoordinate(p.y) });
+  }
+  const color = item.color.slice(0, 7);
+  if (type === "stroke") {
+    const size = Math.min(Math.max(item.size, 1), 50);
+    return { points, color, size, eraser: !!item.eraser };
+  }
+  if (type === "text" || type === "note") {
+    const text =
+      typeof item.text === "string"
+        ? item.text.trim().slice(0, MAX_BOARD_TEXT_LENGTH)
+        : "";
+    if (!text) return null;
+    // Text size is the font size
+    const size = Math.min(Math.max(item.size, 8), 96);
+    return { type, points, color, size, text };
+  }
+  return { type, points, color, size: Math.min(Math.max(item.size, 1), 50) };
+}
+
+// Clean copies of strokes from an imported document or a saved room, or
+// null if any stroke is malformed or the set is over the limits
+function sanitizeBoardStrokes(strokes, maxPoints = Infinity) {
+  if (!Array.isArray(strokes) || strokes.length > MAX_BOARD_STROKES)
+    return null;
+  const clean = [];
+  let total = 0;
+  for (const stroke of strokes) {
+    const item = sanitizeBoardItem(stroke);
+    if (!item) return null;
+    total += item.points.length;
+    if (total > maxPoints) return null;
+    clean.push(item);
+  }
+  return clean;
+}
+
+// The shape on a socket's page it may move or delete, or null
+function getEditableBoardShape(socket, id) {
+  const page = getSocketBoardPage(socket);
+  const shape = page?.strokes.find((s) => s.id === id && s.type);
+  if (!shape) return null;
+  const userId = socket.handshake.session.userId;
+  return shape.userId === userId || canManageBoard(socket) ? shape : null;
+}
+
+// Runs the text of labels and notes through the chat word filter and room
+// policy, masking in place. Offenses across `items` count once, like one
+// chat update. False when any text is held back or the sender is muted.
+async function moderateBoardItems(socket, items) {
+  const texts = items.filter((item) => item.text);
+  if (texts.length === 0) return true;
+  const userId = socket.handshake.session.userId;
+  if (isMutedInRoom(socket.roomId, userId) || isChatMuted(userId)) return false;
+  const room = state.rooms.get(socket.roomId);
+  let allowed = true;
+  const total = { action: null, offenses: 0 };
+  for (const item of texts) {
+    // Sent whole, so a trailing space marks every word as finished
+    const verdict = moderateChatText(
+      room,
+      "",
+      `${item.text} `,
+      socket.handshake.headers["accept-language"],
+    );
+    total.action = verdict.action;
+    total.offenses += verdict.offenses;
+    if (verdict.text === null) allowed = false;
+    else item.text = verdict.text.trimEnd();
+  }
+  if (total.offenses > 0) {
+    const username = socket.handshake.session.username || "Anonymous";
+    const step = await handleChatOffense(socket, userId, username, total);
+    if (step !== "warn") return false;
+  }
+  return allowed;
+}
+
+function saveBoardsSoon() {
+  if (CONFIG.FEATURES.PERSIST_BOARDS) debouncedSaveRooms();
+}
+
+// ── Talkoboard: Cluster Copies ──────────────────────────────────────────────
+
+// { nextPageId, pages: [{ id, name, template, nextStrokeId, strokes }] }
+function snapshotBoard(roomId) {
+  const board = boardState.get(roomId);
+  if (!board) return null;
+  return {
+    nextPageId: board.nextPageId,
+    pages: Array.from(
+      board.pages.values(),
+      ({ id, name, template, nextStrokeId, strokes }) => ({
+        id,
+        name,
+        template,
+        nextStrokeId,
+        strokes,
+      }),
+    ),
+  };
+}
+
+function adoptBoardSnapshot(roomId, snapshot) {
+  const board = { pages: new Map(), nextPageId: snapshot.nextPageId };
+  for (const saved of snapshot.pages) {
+    const page = createBoardPage(board, saved.name, saved.template, saved.id);
+    page.nextStrokeId = saved.nextStrokeId;
+    appendBoardStrokes(page, saved.strokes);
+  }
+  boardState.set(roomId, board);
+}
+
+// Tells the other workers about a change to a board they have a copy of.
+// Their copies take it without emitting: the broadcast that went with it
+// already reached their sockets.
+function publishBoard(roomId, op, data) {
+  if (!state.shared || applyingPeerMessage) return;
+  state.shared.publish({ type: "board", roomId, op, ...data });
+  storeSharedBoardSoon(roomId);
+}
+
+function storeSharedBoardSoon(roomId) {
+  if (boardStoreTimers.has(roomId)) return;
+  const timer = setTimeout(() => {
+    boardStoreTimers.delete(roomId);
+    const snapshot = snapshotBoard(roomId);
+    if (!snapshot) return;
+    state.shared
+      .set("boards", roomId, snapshot)
+      .catch((err) => console.error("Shared board store error:", err));
+  }, BOARD_STORE_DELAY);
+  boardStoreTimers.set(roomId, timer);
+}
+
+// ── Chat Transcripts (opt-in per room, ephemeral) ───────────────────────────
+
+const transcriptState = new Map(); // roomId → [{ userId, username, text, timestamp }]
+const MAX_TRANSCRIPT_LINES = 2000;
+
+// Only finished lines are kept, never the live buffer. Vanished devs are
+// invisible to the room, so their lines stay out of the record too.
+function recordTranscriptLines(roomId, userId, username, lines) {
+  const room = state.rooms.get(roomId);
+  if (!room || !room.recordTranscript) return;
+  const user = room.users?.find((u) => u.id === userId);
+  if (user?.isDev && user.isVanished) return;
+
+  if (!transcriptState.has(roomId)) transcriptState.set(roomId, []);
+  const transcript = transcriptState.get(roomId);
+  const timestamp = Date.now();
+  for (const text of lines) {
+    transcript.push({ userId, username, text, timestamp });
+  }
+  if (transcript.length > MAX_TRANSCRIPT_LINES) {
+    transcript.splice(0, transcript.length - MAX_TRANSCRIPT_LINES);
+  }
+}
+
+function cleanupTranscript(roomId) {
+  transcriptState.delete(roomId);
+}
+
+function formatTranscript(room, format) {
+  const lines = transcriptState.get(room.id) || [];
+  const date = new Date().toISOString().slice(0, 10);
+  const base = `talkomatic-${room.id}-${date}`;
+
+  if (format === "json") {
+    return {
+      filename: `${base}.json`,
+      content: JSON.stringify(
+        {
+          roomId: room.id,
+          roomName: room.name,
+          exportedAt: new Date().toISOString(),
+          lines: lines.map((l) => ({
+            username: l.username,
+            text: l.text,
+            timestamp: new Date(l.timestamp).toISOString(),
+          })),
+        },
+        null,
+        2,
+      ),
+    };
   }
-  bs.active.delete(userId);
+
+  const header = `Talkomatic transcript: ${room.name} (${room.id})\n\n`;
+  const body = lines
+    .map(
+      (l) =>
+        `[${new Date(l.timestamp).toISOString()}] ${l.username}: ${l.text}`,
+    )
+    .join("\n");
+  return { filename: `${base}.txt`, content: header + body + "\n" };
 }
 
 // ── User Counting ───────────────────────────────────────────────────────────
@@ -159,27 +769,18 @@ async function pressureCleanup() {
     if (!room) continue;
 
     if (room.users && room.users.length === 1) {
-      const soloUser = room.users[0];
-      const soloSocket = findSocketByUserId(soloUser.id, roomId);
-      if (soloSocket) {
-        soloSocket.emit("afk timeout", {
+      await kickUserFromRoom(roomId, room.users[0].id, {
+        event: "afk timeout",
+        payload: {
           message:
             "Your room was closed due to extended single-occupancy. " +
             "You can create a new room anytime.",
           redirectTo: "/",
-        });
-        await leaveRoom(soloSocket, soloUser.id);
-      }
+        },
+      });
     }
 
-    state.rooms.delete(roomId);
-    state.roomSoloSince.delete(roomId);
-    state.roomLastChatActivity.delete(roomId);
-    cleanupBoardState(roomId);
-    if (state.roomDeletionTimers.has(roomId)) {
-      clearTimeout(state.roomDeletionTimers.get(roomId));
-      state.roomDeletionTimers.delete(roomId);
-    }
+    destroyRoomState(roomId);
   }
 
   updateLobby();
@@ -219,6 +820,151 @@ function findSocketByUserId(userId, roomId) {
   return null;
 }
 
+// Removes a user from a room wherever their socket lives: here if this
+// process holds it, otherwise the peer that does. Returns false if nobody
+// can (no local socket and no cluster). `audit` ({ method, reason, ... })
+// records the kick in the audit log once it actually happens.
+async function kickUserFromRoom(
+  roomId,
+  userId,
+  { ban = false, event = "kicked", payload, audit } = {},
+) {
+  const target = findSocketByUserId(userId, roomId);
+  if (!target) {
+    if (!state.shared) return false;
+    publishToPeers({
+      type: "kick",
+      roomId,
+      userId,
+      ban,
+      event,
+      payload,
+      audit,
+    });
+    return true;
+  }
+  if (payload === undefined) target.emit(event);
+  else target.emit(event, payload);
+  const room = state.rooms.get(roomId);
+  const bannedUntil = ban && room ? banFromRoom(room, userId) : null;
+  if (audit) {
+    recordKickAudit({
+      roomId,
+      roomName: room?.name || null,
+      targetUserId: userId,
+      targetUsername: room?.users.find((u) => u.id === userId)?.username,
+      bannedUntil,
+      ...audit,
+    });
+  }
+  await leaveRoom(target, userId);
+  return true;
+}
+
+// Admin action: removes everyone, then deletes the room
+async function closeRoom(roomId) {
+  const room = state.rooms.get(roomId);
+  if (!room) return false;
+  for (const user of [...(room.users || [])]) {
+    await kickUserFromRoom(roomId, user.id, { payload: { reason: "closed" } });
+  }
+  destroyRoomState(roomId);
+  updateLobby();
+  await debouncedSaveRooms();
+  return true;
+}
+
+// ── Vote Kick ───────────────────────────────────────────────────────────────
+// room.votes maps voterId → { targetId, reason, castAt }; ballots expire
+// after VOTE_BALLOT_TTL. room.voteCooldowns (userId → until) shields users
+// whose ballots ran out without a kick, and room.bans (userId → until)
+// keeps kicked users out for ROOM_BAN_DURATION.
+
+function ballotsAgainst(room, targetUserId) {
+  return Object.entries(room?.votes || {}).filter(
+    ([, ballot]) => ballot.targetId === targetUserId,
+  );
+}
+
+// Drops the user's own ballot and every ballot cast against them
+function removeVotesInvolving(room, userId) {
+  if (!room.votes) return;
+  delete room.votes[userId];
+  for (const vid in room.votes) {
+    if (room.votes[vid].targetId === userId) delete room.votes[vid];
+  }
+}
+
+function isBannedFromRoom(room, userId) {
+  return (room?.bans?.[userId] || 0) > Date.now();
+}
+
+function banFromRoom(room, userId) {
+  if (!room.bans) room.bans = {};
+  room.bans[userId] = Date.now() + CONFIG.TIMING.ROOM_BAN_DURATION;
+  return room.bans[userId];
+}
+
+// Bans and removes a user once a majority of the room voted against them
+async function enforceVoteKick(roomId, targetUserId) {
+  const room = state.rooms.get(roomId);
+  if (!room?.votes || !room.users.some((u) => u.id === targetUserId)) return;
+  const ballots = ballotsAgainst(room, targetUserId);
+  if (ballots.length <= Math.floor(room.users.length / 2)) return;
+
+  // The most common reason goes on the record, with the full tally
+  const reasons = {};
+  for (const [, ballot] of ballots) {
+    reasons[ballot.reason] = (reasons[ballot.reason] || 0) + 1;
+  }
+  const reason = Object.keys(reasons).sort(
+    (a, b) => reasons[b] - reasons[a],
+  )[0];
+  await kickUserFromRoom(roomId, targetUserId, {
+    ban: true,
+    payload: { reason: "vote", category: reason, banned: true },
+    audit: {
+      method: "vote",
+      reason,
+      reasons,
+      voters: ballots.map(([voterId]) => voterId),
+    },
+  });
+}
+
+// Expiry is a pure function of the replicated castAt/until times, so every
+// cluster worker can run it on its own copy and arrive at the same state
+function expireVoteState() {
+  const now = Date.now();
+  for (const [roomId, room] of state.rooms) {
+    for (const key of ["bans", "voteCooldowns"]) {
+      for (const [userId, until] of Object.entries(room[key] || {})) {
+        if (until <= now) delete room[key][userId];
+      }
+    }
+
+    const expiredAt = new Map(); // targetId → when its last ballot expired
+    for (const [voterId, ballot] of Object.entries(room.votes || {})) {
+      const expiry = ballot.castAt + CONFIG.TIMING.VOTE_BALLOT_TTL;
+      if (expiry > now) continue;
+      delete room.votes[voterId];
+      expiredAt.set(
+        ballot.targetId,
+        Math.max(expiry, expiredAt.get(ballot.targetId) || 0),
+      );
+    }
+    if (expiredAt.size === 0) continue;
+
+    for (const [targetId, expiry] of expiredAt) {
+      if (ballotsAgainst(room, targetId).length > 0) continue;
+      if (!room.voteCooldowns) room.voteCooldowns = {};
+      room.voteCooldowns[targetId] =
+        expiry + CONFIG.TIMING.VOTE_TARGET_COOLDOWN;
+    }
+    emitRoomVoteUpdates(roomId);
+  }
+}
+
 // ── Room Utilities ──────────────────────────────────────────────────────────
 
 function calculateCurrentRoomLimit() {
@@ -226,7 +972,7 @@ function calculateCurrentRoomLimit() {
     return CONFIG.LIMITS.BASE_MAX_ROOMS;
   const total = getTotalUserCount();
   const perCycle =
-    CONFIG.LIMITS.BASE_MAX_ROOMS * CONFIG.LIMITS.MAX_ROOM_CAPACITY;
+    CONFIG.LIMITS.BASE_MAX_ROOMS * CONFIG.LIMITS.DEFAULT_ROOM_CAPACITY;
   const cycles = Math.floor(total / perCycle);
   return Math.max(
     CONFIG.LIMITS.BASE_MAX_ROOMS +
@@ -259,9 +1005,11 @@ function getRoomStatistics() {
   let roomsWithUsers = 0;
   let soloRooms = 0;
   let totalUsers = 0;
+  let totalCapacity = 0;
 
   for (const [, room] of state.rooms) {
     if (types[room.type] !== undefined) types[room.type]++;
+    totalCapacity += getRoomCapacity(room);
     // Count only visible users for public stats
     const visibleUsers = (room.users || []).filter(
       (u) => !(u.isDev && u.isVanished),
@@ -283,11 +1031,7 @@ function getRoomStatistics() {
     currentSoloTTL: Math.round(getSoloRoomTTL() / 1000),
     hardCap: CONFIG.LIMITS.HARD_MAX_ROOMS,
     utilizationPercentage:
-      totalRooms > 0
-        ? Math.round(
-            (totalUsers / (totalRooms * CONFIG.LIMITS.MAX_ROOM_CAPACITY)) * 100,
-          )
-        : 0,
+      totalCapacity > 0 ? Math.round((totalUsers / totalCapacity) * 100) : 0,
   };
 }
 
@@ -312,6 +1056,15 @@ function getJoinableUserCount(room) {
   return (room?.users || []).filter((u) => !(u.isDev && u.isVanished)).length;
 }
 
+// Chosen by the creator; direct chats hold two
+function getRoomCapacity(room) {
+  return room?.capacity || CONFIG.LIMITS.DEFAULT_ROOM_CAPACITY;
+}
+
+function isRoomFull(room) {
+  return getJoinableUserCount(room) >= getRoomCapacity(room);
+}
+
 function getRecipientUserId(socket) {
   return socket?.handshake?.session?.userId || null;
 }
@@ -341,6 +1094,8 @@ function formatUserForSocket(user, recipientSocket) {
     location: user.location,
   };
 
+  if (user.isVerified) formatted.isVerified = true;
+
   if (user.isHidden) {
     return formatted;
   }
@@ -367,13 +1122,13 @@ function filterVotesForSocket(room, recipientSocket) {
   const byId = new Map(roomUsers.map((u) => [u.id, u]));
   const filtered = {};
 
-  for (const [voterId, targetId] of Object.entries(votes)) {
+  for (const [voterId, ballot] of Object.entries(votes)) {
     const voter = byId.get(voterId);
-    const target = byId.get(targetId);
+    const target = byId.get(ballot.targetId);
     if (!voter || !target) continue;
     if (!canRecipientSeeDevUser(recipientSocket, voter)) continue;
     if (!canRecipientSeeDevUser(recipientSocket, target)) continue;
-    filtered[voterId] = targetId;
+    filtered[voterId] = ballot.targetId;
   }
   return filtered;
 }
@@ -387,6 +1142,16 @@ function filterCurrentMessagesForSocket(room, recipientSocket) {
   return messages;
 }
 
+// Owner and moderation state shown inside the room
+function formatModerationForSocket(room) {
+  return {
+    ownerId: room.ownerId || null,
+    locked: !!room.locked,
+    mutedUserIds: room.mutedUserIds || [],
+    policy: getRoomPolicy(room),
+  };
+}
+
 // Lobby-list view of a room, tailored to one recipient
 function formatRoomForSocket(room, recipientSocket) {
   const users = filterUsersForSocket(room.users || [], recipientSocket);
@@ -396,7 +1161,11 @@ function formatRoomForSocket(room, recipientSocket) {
     name: room.name,
     type: room.type,
     layout: room.layout,
-    isFull: joinableCount >= CONFIG.LIMITS.MAX_ROOM_CAPACITY,
+    recordTranscript: !!room.recordTranscript,
+    recordReplay: !!room.recordReplay,
+    policy: getRoomPolicy(room),
+    capacity: getRoomCapacity(room),
+    isFull: joinableCount >= getRoomCapacity(room),
     userCount: joinableCount,
     visibleUserCount: users.length,
     lastChatActivity: state.roomLastChatActivity.get(room.id) || 0,
@@ -414,10 +1183,15 @@ function formatRoomStateForSocket(room, recipientSocket) {
     name: room.name,
     type: room.type,
     layout: room.layout,
+    recordTranscript: !!room.recordTranscript,
+    recordReplay: !!room.recordReplay,
+    isDirect: !!room.direct,
+    ...formatModerationForSocket(room),
     users,
     votes: filterVotesForSocket(room, recipientSocket),
     currentMessages: filterCurrentMessagesForSocket(room, recipientSocket),
-    isFull: joinableCount >= CONFIG.LIMITS.MAX_ROOM_CAPACITY,
+    capacity: getRoomCapacity(room),
+    isFull: joinableCount >= getRoomCapacity(room),
     userCount: joinableCount,
     visibleUserCount: users.length,
   };
@@ -455,6 +1229,7 @@ function emitRoomVoteUpdates(roomId) {
     if (!recipient.connected || recipient.roomId !== roomId) continue;
     recipient.emit("update votes", filterVotesForSocket(room, recipient));
   }
+  publishRoom("votes", roomId);
 }
 
 function emitRoomUserLeft(roomId, userId, leftUser) {
@@ -464,6 +1239,7 @@ function emitRoomUserLeft(roomId, userId, leftUser) {
     if (!canRecipientSeeDevUser(recipient, leftUser)) continue;
     recipient.emit("user left", userId);
   }
+  publishToPeers({ type: "userLeft", roomId, userId, user: leftUser || null });
 }
 
 function emitRoomUserJoined(room, joinedUser) {
@@ -482,40 +1258,43 @@ function emitRoomUserJoined(room, joinedUser) {
       roomType: room.type,
     });
   }
+  publishRoom("userJoined", room.id, { user: joinedUser });
 }
 
-function emitRoomTyping(socket, userId, username, isTyping) {
-  if (!socket.roomId || !io()) return;
-  const room = state.rooms.get(socket.roomId);
+function emitRoomTyping(roomId, senderSocketId, userId, username, isTyping) {
+  if (!roomId || !io()) return;
+  const room = state.rooms.get(roomId);
   if (!room) return;
   const senderUser = room.users?.find((u) => u.id === userId);
   for (const [, recipient] of io().sockets.sockets) {
     if (
       !recipient.connected ||
-      recipient.roomId !== socket.roomId ||
-      recipient.id === socket.id
+      recipient.roomId !== roomId ||
+      recipient.id === senderSocketId
     )
       continue;
     if (!canRecipientSeeDevUser(recipient, senderUser)) continue;
     recipient.emit("user typing", { userId, username, isTyping });
   }
+  publishToPeers({ type: "typing", roomId, userId, username, isTyping });
 }
 
-function emitRoomChatUpdate(socket, payload) {
-  if (!socket.roomId || !io()) return;
-  const room = state.rooms.get(socket.roomId);
+function emitRoomChatUpdate(roomId, senderSocketId, payload) {
+  if (!roomId || !io()) return;
+  const room = state.rooms.get(roomId);
   if (!room) return;
   const senderUser = room.users?.find((u) => u.id === payload.userId);
   for (const [, recipient] of io().sockets.sockets) {
     if (
       !recipient.connected ||
-      recipient.roomId !== socket.roomId ||
-      recipient.id === socket.id
+      recipient.roomId !== roomId ||
+      recipient.id === senderSocketId
     )
       continue;
     if (!canRecipientSeeDevUser(recipient, senderUser)) continue;
     recipient.emit("chat update", payload);
   }
+  publishToPeers({ type: "chat", roomId, payload });
 }
 
 // ── Dev Mode: Room / Lobby Context ──────────────────────────────────────────
@@ -571,7 +1350,12 @@ async function saveRooms() {
   const now = Date.now();
   if (now - state.lastSaveTimestamp < state.SAVE_INTERVAL_MIN) return;
   try {
-    const data = Array.from(state.rooms.entries()).map(([id, room]) => {
+    // Direct chats are never saved
+    const saved = Array.from(state.rooms.entries()).filter(
+      ([, room]) => !room.direct,
+    );
+    const data = saved.map(([id, room]) => {
+      const board = CONFIG.FEATURES.PERSIST_BOARDS ? serializeBoard(id) : null;
       return [
         id,
         {
@@ -581,21 +1365,15 @@ async function saveRooms() {
             delete clean.isVanished; // ephemeral, never persisted
             return clean;
           }),
-          bannedUserIds: Array.from(room.bannedUserIds || []),
+          ...(board && { board }),
         },
       ];
     });
-    const tmp = path.join(__dirname, "..", "rooms.json.tmp");
-    const final = path.join(__dirname, "..", "rooms.json");
-    await fs.writeFile(tmp, JSON.stringify(data), "utf8");
-    await fs.rename(tmp, final);
+    await state.storage.replace("rooms", data);
     state.lastSaveTimestamp = now;
     console.log("Rooms saved successfully.");
   } catch (err) {
     console.error("Error saving rooms:", err);
-    try {
-      await fs.unlink(path.join(__dirname, "..", "rooms.json.tmp"));
-    } catch (_) {}
   }
 }
 
@@ -620,12 +1398,9 @@ async function loadRooms() {
     return;
   }
   try {
-    const raw = await fs.readFile(
-      path.join(__dirname, "..", "rooms.json"),
-      "utf8",
-    );
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) {
+    const arr = await state.storage.load("rooms");
+    if (arr.length === 0) {
+      console.log("No saved rooms. Starting fresh.");
       state.rooms = new Map();
       return;
     }
@@ -639,32 +1414,62 @@ async function loadRooms() {
             );
           }
           item[1].users = [];
+          item[1].votes = {};
           item[1].lastActiveTime = Date.now();
-          item[1].bannedUserIds = new Set(
-            Array.isArray(item[1].bannedUserIds)
-              ? item[1].bannedUserIds
-              : typeof item[1].bannedUserIds === "object"
-                ? Object.values(item[1].bannedUserIds)
-                : [],
-          );
+          // Rooms saved before bans were timed kept a permanent ban list;
+          // those bans now run for one ban period from startup
+          if (item[1].bannedUserIds) {
+            const until = Date.now() + CONFIG.TIMING.ROOM_BAN_DURATION;
+            item[1].bans = item[1].bans || {};
+            for (const id of Object.values(item[1].bannedUserIds)) {
+              item[1].bans[id] = until;
+            }
+            delete item[1].bannedUserIds;
+          }
+          // Saved boards go back to boardState; room objects don't carry them
+          if (item[1].board) {
+            restoreBoard(item[0], item[1].board);
+            delete item[1].board;
+          }
         }
         return item;
       }),
     );
-    console.log(`Loaded ${state.rooms.size} rooms from disk (users cleared).`);
+    console.log(
+      `Loaded ${state.rooms.size} rooms from storage (users cleared).`,
+    );
     for (const [roomId] of state.rooms) {
       startRoomDeletionTimer(roomId);
     }
   } catch (err) {
-    if (err.code === "ENOENT")
-      console.log("rooms.json not found. Starting fresh.");
-    else console.error("Error loading rooms:", err);
+    console.error("Error loading rooms:", err);
     state.rooms = new Map();
   }
 }
 
 // ── Room Timers ─────────────────────────────────────────────────────────────
 
+// Drops everything kept for a room apart from the room itself: its board,
+// transcript, replay, games, activity tracking and deletion timer
+function clearRoomState(roomId) {
+  state.roomSoloSince.delete(roomId);
+  state.roomLastChatActivity.delete(roomId);
+  cleanupBoardState(roomId);
+  cleanupTranscript(roomId);
+  cleanupReplay(roomId);
+  cleanupRoomGames(roomId);
+  if (state.roomDeletionTimers.has(roomId)) {
+    clearTimeout(state.roomDeletionTimers.get(roomId));
+    state.roomDeletionTimers.delete(roomId);
+  }
+}
+
+// Deletes a room and everything kept for it
+function destroyRoomState(roomId) {
+  state.rooms.delete(roomId);
+  clearRoomState(roomId);
+}
+
 function startRoomDeletionTimer(roomId) {
   if (state.roomDeletionTimers.has(roomId)) {
     clearTimeout(state.roomDeletionTimers.get(roomId));
@@ -672,11 +1477,7 @@ function startRoomDeletionTimer(roomId) {
   const timer = setTimeout(async () => {
     const room = state.rooms.get(roomId);
     if (room && room.users.length === 0) {
-      state.rooms.delete(roomId);
-      state.roomDeletionTimers.delete(roomId);
-      state.roomSoloSince.delete(roomId);
-      state.roomLastChatActivity.delete(roomId);
-      cleanupBoardState(roomId);
+      destroyRoomState(roomId);
       updateLobby();
       await debouncedSaveRooms();
       console.log(`Room ${roomId} deleted (empty timeout).`);
@@ -694,6 +1495,7 @@ function updateLobby() {
     state.apiCache.delete("socket_rooms_normal");
     emitLobbySnapshot();
     sendDevLobbyContext();
+    publishToPeers({ type: "updateLobby" });
   } catch (err) {
     console.error("updateLobby error:", err);
   }
@@ -704,64 +1506,381 @@ function updateRoom(roomId) {
   const room = state.rooms.get(roomId);
   if (room) {
     emitRoomSnapshot(roomId);
+    publishRoom("updateRoom", roomId);
   }
 }
 
-// ── AFK ─────────────────────────────────────────────────────────────────────
+// ── Cluster Sync ────────────────────────────────────────────────────────────
+// With state.shared set (see server/cluster.js) every worker keeps a replica
+// of state.rooms, but each socket lives on exactly one worker. The
+// visibility-aware emitters above publish what they did and peers replay it
+// for their own sockets; messages that change a room carry a copy of it.
+// Each worker is the authority on the users whose sockets it holds.
 
-function clearAFKTimers(userId) {
-  if (state.afkWarningTimers.has(userId)) {
-    clearTimeout(state.afkWarningTimers.get(userId));
-    state.afkWarningTimers.delete(userId);
-  }
-  if (state.afkTimers.has(userId)) {
-    clearTimeout(state.afkTimers.get(userId));
-    state.afkTimers.delete(userId);
-  }
-}
+let applyingPeerMessage = false;
 
-function setupAFKTimers(socket, userId) {
-  clearAFKTimers(userId);
-  if (!socket || !socket.roomId) return;
-  if (socket.isDev) return; // devs bypass AFK
-  if (socket.boardOpen) return; // drawing on the board counts as active
+// In a single process every user is local
+function isLocalUser(user) {
+  return !state.shared || user.workerId === state.workerId;
+}
 
-  state.afkWarningTimers.set(
-    userId,
-    setTimeout(() => {
-      if (socket.connected)
-        socket.emit("afk warning", {
-          message: "You have been inactive.",
-          secondsRemaining: 30,
-        });
-    }, CONFIG.TIMING.AFK_WARNING_TIME),
-  );
-  state.afkTimers.set(
-    userId,
-    setTimeout(
-      () => handleAFKTimeout(socket, userId),
-      CONFIG.LIMITS.MAX_AFK_TIME,
-    ),
-  );
+function publishToPeers(message) {
+  if (!state.shared || applyingPeerMessage) return;
+  state.shared.publish(message);
 }
 
-async function handleAFKTimeout(socket, userId) {
-  if (!socket || !socket.roomId) return;
-  console.log(`AFK timeout: ${userId} in room ${socket.roomId}`);
-  socket.emit("afk timeout", {
-    message: "Removed from room due to inactivity.",
-    redirectTo: "/",
+// Also keeps the primary's copy current for workers that start later
+function publishRoom(type, roomId, extra = {}) {
+  if (!state.shared || applyingPeerMessage) return;
+  const room = state.rooms.get(roomId);
+  state.shared.publish({
+    type,
+    roomId,
+    room: room || null,
+    ...extra,
   });
-  await leaveRoom(socket, userId);
-  clearAFKTimers(userId);
+  storeSharedRoom(roomId);
 }
 
-// ── Chat Processing ─────────────────────────────────────────────────────────
+function storeSharedRoom(roomId) {
+  const room = state.rooms.get(roomId);
+  const write = room
+    ? state.shared.set("rooms", roomId, room)
+    : Promise.all([
+        state.shared.delete("rooms", roomId),
+        state.shared.delete("boards", roomId),
+      ]);
+  write.catch((err) => console.error("Shared room store error:", err));
+}
 
-function checkChatCircuit() {
-  const now = Date.now();
-  const cs = state.chatCircuitState;
-  if (cs.isOpen && now - cs.lastFailure > cs.resetTimeout) {
+// state.rooms in cluster mode: creating or deleting a room is published
+class ReplicatedRoomMap extends Map {
+  set(roomId, room) {
+    super.set(roomId, room);
+    publishRoom("room", roomId);
+    return this;
+  }
+
+  delete(roomId) {
+    const existed = super.delete(roomId);
+    if (existed) publishRoom("room", roomId);
+    return existed;
+  }
+}
+
+// Keeps the local room object (handlers may hold a reference), this
+// worker's own users and the votes they cast, so a snapshot that raced a
+// local join, leave or vote can't drop or resurrect them
+function applyPeerRoom(roomId, room, allowCreate) {
+  const existing = state.rooms.get(roomId);
+  if (!room) {
+    if (existing) destroyRoomState(roomId);
+    return;
+  }
+
+  if (!existing) {
+    if (allowCreate) state.rooms.set(roomId, room);
+    return;
+  }
+  const localUsers = new Map(
+    (existing.users || []).filter(isLocalUser).map((u) => [u.id, u]),
+  );
+  const users = [];
+  for (const u of room.users || []) {
+    if (!isLocalUser(u)) users.push(u);
+    else if (localUsers.has(u.id)) {
+      users.push(localUsers.get(u.id));
+      localUsers.delete(u.id);
+    }
+  }
+  for (const u of localUsers.values()) {
+    if (!users.some((other) => other.id === u.id)) users.push(u);
+  }
+
+  const present = new Set(users.map((u) => u.id));
+  const votes = {};
+  const castHere = (voterId) =>
+    users.some((u) => u.id === voterId && isLocalUser(u));
+  for (const [voterId, ballot] of Object.entries(room.votes || {})) {
+    if (!castHere(voterId)) votes[voterId] = ballot;
+  }
+  for (const [voterId, ballot] of Object.entries(existing.votes || {})) {
+    if (castHere(voterId)) votes[voterId] = ballot;
+  }
+  for (const voterId of Object.keys(votes)) {
+    if (!present.has(voterId) || !present.has(votes[voterId].targetId)) {
+      delete votes[voterId];
+    }
+  }
+
+  for (const key of Object.keys(existing)) {
+    if (!(key in room)) delete existing[key];
+  }
+  Object.assign(existing, room, { users, votes });
+  updateRoomSoloTracking(roomId);
+  if (users.length > 0 && state.roomDeletionTimers.has(roomId)) {
+    clearTimeout(state.roomDeletionTimers.get(roomId));
+    state.roomDeletionTimers.delete(roomId);
+  }
+}
+
+function applyPeerChat({ roomId, payload }) {
+  const { userId, username } = payload;
+  const text = payload.diff?.text || "";
+  const previous = state.userMessageBuffers.get(userId) || "";
+  state.userMessageBuffers.set(userId, text);
+  state.roomLastChatActivity.set(roomId, Date.now());
+  recordChatHistory(roomId, userId, username, previous, text);
+  emitRoomChatUpdate(roomId, null, payload);
+}
+
+// Applies another worker's board change (see publishBoard) to this
+// worker's copy
+function applyPeerBoard({ roomId, op, pageId, ...data }) {
+  if (!state.rooms.has(roomId)) return;
+  const board = getBoardState(roomId);
+  if (op === "addPage") {
+    if (board.pages.has(pageId)) return;
+    createBoardPage(board, data.name, data.template, pageId);
+    // Keeps default page names counting up across workers
+    board.nextPageId = Math.max(
+      board.nextPageId,
+      Math.floor(pageId / BOARD_ID_STRIDE) + 1,
+    );
+    return;
+  }
+  const page = board.pages.get(pageId);
+  if (!page) return;
+  switch (op) {
+    case "updatePage":
+      page.name = data.name;
+      page.template = data.template;
+      break;
+    case "deletePage":
+      board.pages.delete(pageId);
+      break;
+    case "add":
+      appendBoardStrokes(page, data.strokes);
+      break;
+    case "redo":
+      insertBoardStroke(page, data.stroke);
+      break;
+    case "remove":
+      page.strokes = page.strokes.filter((s) => s.id !== data.strokeId);
+      break;
+    case "move": {
+      const shape = page.strokes.find((s) => s.id === data.strokeId);
+      if (!shape) break;
+      shape.points = data.points;
+      touchStroke(page, shape);
+      break;
+    }
+    case "vote":
+      page.clearVotes.set(data.userId, data.castAt);
+      break;
+    case "clear":
+      resetBoardPage(page);
+      break;
+  }
+}
+
+// The primary reports a dead worker; its users are gone for good
+function removeWorkerUsers(workerId) {
+  for (const [roomId, room] of state.rooms) {
+    const gone = (room.users || []).filter((u) => u.workerId === workerId);
+    if (gone.length === 0) continue;
+    room.users = room.users.filter((u) => u.workerId !== workerId);
+    for (const u of gone) {
+      recordReplayLeave(roomId, u.id);
+      state.userMessageBuffers.delete(u.id);
+      removeVotesInvolving(room, u.id);
+      emitRoomUserLeft(roomId, u.id, u);
+    }
+    emitRoomVoteUpdates(roomId);
+    updateRoom(roomId);
+    updateRoomSoloTracking(roomId);
+    if (room.users.length === 0) startRoomDeletionTimer(roomId);
+    storeSharedRoom(roomId);
+  }
+  updateLobby();
+  handleGameWorkerExit(workerId).catch((err) =>
+    console.error("Cluster game cleanup error:", err),
+  );
+}
+
+function handlePeerMessage(message) {
+  // A kick runs the full leave on the worker holding the socket, which then
+  // publishes it like any local leave
+  if (message.type === "kick") {
+    if (!findSocketByUserId(message.userId, message.roomId)) return;
+    kickUserFromRoom(message.roomId, message.userId, message).catch((err) =>
+      console.error("Cluster kick error:", err),
+    );
+    return;
+  }
+
+  applyingPeerMessage = true;
+  try {
+    if ("room" in message) {
+      applyPeerRoom(message.roomId, message.room, message.type === "room");
+    }
+    switch (message.type) {
+      case "updateLobby":
+        updateLobby();
+        break;
+      case "updateRoom":
+        updateRoom(message.roomId);
+        sendDevRoomContext(message.roomId);
+        break;
+      case "votes": {
+        emitRoomVoteUpdates(message.roomId);
+        // Votes cast on different workers can only add up here; the
+        // worker holding a target's socket decides on the kick
+        const room = state.rooms.get(message.roomId);
+        for (const u of (room?.users || []).filter(isLocalUser)) {
+          setImmediate(() =>
+            enforceVoteKick(message.roomId, u.id).catch((err) =>
+              console.error("Cluster vote kick error:", err),
+            ),
+          );
+        }
+        break;
+      }
+      case "userJoined": {
+        const room = state.rooms.get(message.roomId);
+        if (!room) break;
+        recordReplayJoin(room.id, message.user.id, message.user.username);
+        emitRoomUserJoined(room, message.user);
+        break;
+      }
+      case "userLeft":
+        recordReplayLeave(message.roomId, message.userId);
+        state.userMessageBuffers.delete(message.userId);
+        emitRoomUserLeft(message.roomId, message.userId, message.user);
+        break;
+      case "typing":
+        emitRoomTyping(
+          message.roomId,
+          null,
+          message.userId,
+          message.username,
+          message.isTyping,
+        );
+        break;
+      case "chat":
+        applyPeerChat(message);
+        break;
+      case "board":
+        applyPeerBoard(message);
+        break;
+      case "workerExit":
+        removeWorkerUsers(message.workerId);
+        break;
+    }
+  } catch (err) {
+    console.error("Cluster sync error:", err);
+  } finally {
+    applyingPeerMessage = false;
+  }
+}
+
+// Called once at worker startup, after loadRooms. The first worker seeds
+// the cluster with the rooms and boards it loaded; later ones adopt the
+// live set.
+async function startClusterSync() {
+  const replica = new ReplicatedRoomMap();
+  const live = await state.shared.entries("rooms");
+  const boards = await state.shared.entries("boards");
+  const seeded = await state.shared.get("cluster", "roomsSeeded");
+
+  for (const [roomId, room] of live) {
+    Map.prototype.set.call(replica, roomId, room);
+  }
+  const loaded = state.rooms;
+  state.rooms = replica;
+
+  if (!seeded) {
+    await state.shared.set("cluster", "roomsSeeded", true);
+    for (const [roomId, room] of loaded) {
+      if (!replica.has(roomId)) replica.set(roomId, room);
+    }
+    for (const roomId of boardState.keys()) {
+      await state.shared.set("boards", roomId, snapshotBoard(roomId));
+    }
+  } else {
+    for (const [roomId, timer] of state.roomDeletionTimers) {
+      if (!replica.has(roomId)) {
+        clearTimeout(timer);
+        state.roomDeletionTimers.delete(roomId);
+      }
+    }
+    // Stroke IDs differ from one worker's load to the next
+    boardState.clear();
+    for (const [roomId, snapshot] of boards) {
+      if (replica.has(roomId)) adoptBoardSnapshot(roomId, snapshot);
+    }
+  }
+
+  state.shared.onMessage(handlePeerMessage);
+  await startGameSync();
+  console.log(`Cluster sync: worker ${state.workerId}, ${replica.size} rooms`);
+}
+
+// ── AFK ─────────────────────────────────────────────────────────────────────
+
+function clearAFKTimers(userId) {
+  if (state.afkWarningTimers.has(userId)) {
+    clearTimeout(state.afkWarningTimers.get(userId));
+    state.afkWarningTimers.delete(userId);
+  }
+  if (state.afkTimers.has(userId)) {
+    clearTimeout(state.afkTimers.get(userId));
+    state.afkTimers.delete(userId);
+  }
+}
+
+function setupAFKTimers(socket, userId) {
+  clearAFKTimers(userId);
+  if (!socket || !socket.roomId) return;
+  if (socket.isDev) return; // devs bypass AFK
+  if (socket.boardOpen) return; // drawing on the board counts as active
+
+  state.afkWarningTimers.set(
+    userId,
+    setTimeout(() => {
+      if (socket.connected)
+        socket.emit("afk warning", {
+          message: "You have been inactive.",
+          secondsRemaining: 30,
+        });
+    }, CONFIG.TIMING.AFK_WARNING_TIME),
+  );
+  state.afkTimers.set(
+    userId,
+    setTimeout(
+      () => handleAFKTimeout(socket, userId),
+      CONFIG.LIMITS.MAX_AFK_TIME,
+    ),
+  );
+}
+
+async function handleAFKTimeout(socket, userId) {
+  if (!socket || !socket.roomId) return;
+  console.log(`AFK timeout: ${userId} in room ${socket.roomId}`);
+  socket.emit("afk timeout", {
+    message: "Removed from room due to inactivity.",
+    redirectTo: "/",
+  });
+  await leaveRoom(socket, userId);
+  clearAFKTimers(userId);
+}
+
+// ── Chat Processing ─────────────────────────────────────────────────────────
+
+function checkChatCircuit() {
+  const now = Date.now();
+  const cs = state.chatCircuitState;
+  if (cs.isOpen && now - cs.lastFailure > cs.resetTimeout) {
     cs.isOpen = false;
     cs.failures = 0;
   }
@@ -773,12 +1892,77 @@ function checkChatCircuit() {
   return !cs.isOpen;
 }
 
+// Returns the lines the user just finished (by pressing Enter or pasting).
+// Talkomatic has no "send", so a new line break is the closest thing to
+// a finished message.
+function getCompletedLines(previous, current) {
+  const before = (previous.match(/\n/g) || []).length;
+  const lines = current.split("\n");
+  if (lines.length - 1 <= before) return [];
+  return lines
+    .slice(before, -1)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+// Transcript and replay see every edit, whichever worker it was typed on.
+// Returns the lines the edit completed.
+function recordChatHistory(roomId, userId, username, previous, current) {
+  recordReplayEdit(roomId, userId, previous, current);
+  const completedLines = getCompletedLines(previous, current);
+  if (completedLines.length > 0) {
+    recordTranscriptLines(roomId, userId, username, completedLines);
+  }
+  return completedLines;
+}
+
+// Diffs apply to what the user typed. That differs from userMessageBuffers
+// (what the room sees) once moderation has masked or held text back; it is
+// only trusted while the room still sees what moderation last produced.
+function getTypedMessage(userId) {
+  const shown = state.userMessageBuffers.get(userId) || "";
+  const raw = state.rawMessageBuffers.get(userId);
+  return raw && raw.shown === shown ? raw.text : shown;
+}
+
+// Warns, mutes or kicks the sender and returns the step taken. A muted
+// user's panel is cleared (the client clears its own input).
+async function handleChatOffense(socket, userId, username, verdict) {
+  const roomId = socket.roomId;
+  const step = recordOffense(userId, username, roomId, verdict.offenses);
+  if (step === "kick") {
+    await kickUserFromRoom(roomId, userId, {
+      payload: { reason: "moderation" },
+      audit: { method: "moderation", reason: "offensive language" },
+    });
+    return step;
+  }
+  if (step === "mute") {
+    state.pendingChatUpdates.delete(userId);
+    state.rawMessageBuffers.delete(userId);
+    const user = state.rooms.get(roomId)?.users.find((u) => u.id === userId);
+    if (user) clearUserMessage(roomId, user);
+  }
+  socket.emit("chat moderation", {
+    action: verdict.action,
+    step,
+    mutedUntil:
+      step === "mute" ? Date.now() + CONFIG.MODERATION.MUTE_DURATION : null,
+  });
+  return step;
+}
+
 // Applies queued diffs to the user's message buffer in rate-limited batches,
-// sanitizes the result, and broadcasts a full-replace to the room.
+// sanitizes and moderates the result, and broadcasts a full-replace to the
+// room.
 async function processPendingChatUpdates(userId, socket) {
   try {
     if (!state.pendingChatUpdates.has(userId) || !socket || !socket.roomId)
       return;
+    if (isMutedInRoom(socket.roomId, userId) || isChatMuted(userId)) {
+      state.pendingChatUpdates.delete(userId);
+      return;
+    }
     const pending = state.pendingChatUpdates.get(userId);
     if (!pending || pending.diffs.length === 0) return;
 
@@ -787,7 +1971,10 @@ async function processPendingChatUpdates(userId, socket) {
       state.batchProcessingTimers.delete(userId);
     }
 
-    let msg = state.userMessageBuffers.get(userId) || "";
+    const room = state.rooms.get(socket.roomId);
+    const maxLength = getRoomPolicy(room).maxMessageLength;
+    const typedMsg = getTypedMessage(userId);
+    let msg = typedMsg;
     const username = socket.handshake.session.username || "Anonymous";
 
     let shouldRateLimit = false;
@@ -812,7 +1999,7 @@ async function processPendingChatUpdates(userId, socket) {
         msg = diff.text || "";
       } else if (diff.type === "add") {
         diff.index = Math.min(diff.index, msg.length);
-        const space = CONFIG.LIMITS.MAX_MESSAGE_LENGTH - msg.length;
+        const space = maxLength - msg.length;
         diff.text = (diff.text || "").substring(0, space);
         msg = msg.slice(0, diff.index) + diff.text + msg.slice(diff.index);
       } else if (diff.type === "delete") {
@@ -827,18 +2014,51 @@ async function processPendingChatUpdates(userId, socket) {
       }
     }
 
-    msg = sanitizeMessage(msg);
-    state.userMessageBuffers.set(userId, msg);
+    msg = sanitizeMessage(msg).slice(0, maxLength);
+    const previousMsg = state.userMessageBuffers.get(userId) || "";
+    const verdict = moderateChatText(
+      room,
+      typedMsg,
+      msg,
+      socket.handshake.headers["accept-language"],
+    );
+    if (verdict.offenses > 0) {
+      const step = await handleChatOffense(socket, userId, username, verdict);
+      if (step !== "warn") return;
+    }
+    if (verdict.rule) {
+      socket.emit("chat moderation", {
+        action: verdict.action,
+        step: "held",
+        rule: verdict.rule,
+      });
+    }
 
-    if (socket.roomId) {
+    const shownMsg = verdict.text ?? previousMsg;
+    state.userMessageBuffers.set(userId, shownMsg);
+    if (shownMsg === msg) state.rawMessageBuffers.delete(userId);
+    else state.rawMessageBuffers.set(userId, { text: msg, shown: shownMsg });
+
+    if (socket.roomId && verdict.text !== null) {
       state.roomLastChatActivity.set(socket.roomId, Date.now());
-    }
 
-    emitRoomChatUpdate(socket, {
-      userId,
-      username,
-      diff: { type: "full-replace", text: msg },
-    });
+      emitRoomChatUpdate(socket.roomId, socket.id, {
+        userId,
+        username,
+        diff: { type: "full-replace", text: shownMsg },
+      });
+
+      const completedLines = recordChatHistory(
+        socket.roomId,
+        userId,
+        username,
+        previousMsg,
+        shownMsg,
+      );
+      for (const line of completedLines) {
+        handleGameChatLine(socket.roomId, userId, username, line);
+      }
+    }
 
     setupAFKTimers(socket, userId);
 
@@ -869,6 +2089,9 @@ async function leaveRoom(socket, userId) {
     clearAFKTimers(userId);
 
     finalizeBoardUserStroke(roomId, userId);
+    leaveBoardPage(socket);
+    handleGameUserLeftRoom(roomId, userId);
+    recordReplayLeave(roomId, userId);
 
     const room = state.rooms.get(roomId);
     if (room) {
@@ -877,10 +2100,7 @@ async function leaveRoom(socket, userId) {
       room.lastActiveTime = Date.now();
 
       if (room.votes) {
-        delete room.votes[userId];
-        for (const vid in room.votes) {
-          if (room.votes[vid] === userId) delete room.votes[vid];
-        }
+        removeVotesInvolving(room, userId);
         emitRoomVoteUpdates(roomId);
       }
 
@@ -890,7 +2110,14 @@ async function leaveRoom(socket, userId) {
       sendDevRoomContext(roomId);
       updateRoomSoloTracking(roomId);
 
-      if (room.users.length === 0) startRoomDeletionTimer(roomId);
+      if (room.users.length === 0) {
+        // A direct chat is over once both people have been and gone
+        const directDone = room.direct?.userIds.every((id) =>
+          room.direct.joined.includes(id),
+        );
+        if (directDone) await closeRoom(roomId);
+        else startRoomDeletionTimer(roomId);
+      }
     }
 
     if (socket.handshake.session) {
@@ -902,11 +2129,13 @@ async function leaveRoom(socket, userId) {
       );
     }
     state.userMessageBuffers.delete(userId);
+    state.rawMessageBuffers.delete(userId);
     state.devUsers.delete(userId);
 
     socket.roomId = null;
     socket.join("lobby");
     updateLobby();
+    await trackPresence(socket);
     await debouncedSaveRooms();
   } catch (err) {
     console.error("leaveRoom error:", err);
@@ -935,7 +2164,15 @@ function joinRoom(socket, roomId, userId) {
         "error",
         createErrorResponse(ERROR_CODES.NOT_FOUND, "Room not found."),
       );
-    if (room.bannedUserIds?.has(userId))
+    if (room.direct && !room.direct.userIds.includes(userId))
+      return socket.emit(
+        "error",
+        createErrorResponse(
+          ERROR_CODES.FORBIDDEN,
+          "This is a private chat between two other people.",
+        ),
+      );
+    if (isBannedFromRoom(room, userId))
       return socket.emit(
         "error",
         createErrorResponse(
@@ -943,6 +2180,29 @@ function joinRoom(socket, roomId, userId) {
           "You are banned from this room.",
         ),
       );
+    if (
+      room.locked &&
+      room.ownerId !== userId &&
+      !socket.isDev &&
+      !room.users?.some((u) => u.id === userId)
+    )
+      return socket.emit(
+        "error",
+        createErrorResponse(ERROR_CODES.FORBIDDEN, "This room is locked."),
+      );
+    const policy = getRoomPolicy(room);
+    if (
+      room.ownerId !== userId &&
+      !socket.isDev &&
+      !meetsAccountAge(policy, socket.handshake.session)
+    )
+      return socket.emit(
+        "error",
+        createErrorResponse(
+          ERROR_CODES.FORBIDDEN,
+          `This room is open to users who have been around for at least ${policy.minAccountAge} minutes.`,
+        ),
+      );
 
     let { username, location } = socket.handshake.session || {};
     if (!username || !location) {
@@ -1000,8 +2260,7 @@ function joinRoom(socket, roomId, userId) {
     if (!room.votes) room.votes = {};
 
     // Devs bypass room capacity; normal users check visible count
-    const joinableUserCount = getJoinableUserCount(room);
-    if (!socket.isDev && joinableUserCount >= CONFIG.LIMITS.MAX_ROOM_CAPACITY)
+    if (!socket.isDev && isRoomFull(room))
       return socket.emit(
         "room full",
         createErrorResponse(ERROR_CODES.ROOM_FULL, "Room is full."),
@@ -1015,17 +2274,23 @@ function joinRoom(socket, roomId, userId) {
       id: userId,
       username,
       location,
+      isVerified: !!socket.handshake.session?.isVerified,
       isDev: !!socket.isDev,
       isHidden: !!socket.isHidden,
       isVanished: !!socket.isVanished,
+      workerId: state.workerId,
     });
 
     if (socket.isDev) {
       state.devUsers.add(userId);
     }
+    if (room.direct && !room.direct.joined.includes(userId)) {
+      room.direct.joined.push(userId);
+    }
 
     room.lastActiveTime = Date.now();
     socket.roomId = roomId;
+    recordReplayJoin(roomId, userId, username);
     setupAFKTimers(socket, userId);
     updateRoomSoloTracking(roomId);
 
@@ -1076,6 +2341,7 @@ function emitJoinSuccess(socket, room, userId, username, location) {
     userId,
     username,
     location,
+    isVerified: !!socket.handshake.session?.isVerified,
     isDev: !!socket.isDev,
     isHidden: !!socket.isHidden,
     isVanished: !!socket.isVanished,
@@ -1083,6 +2349,11 @@ function emitJoinSuccess(socket, room, userId, username, location) {
     roomType: room.type,
     users: filterUsersForSocket(room.users || [], socket),
     layout: room.layout,
+    capacity: getRoomCapacity(room),
+    recordTranscript: !!room.recordTranscript,
+    recordReplay: !!room.recordReplay,
+    isDirect: !!room.direct,
+    ...formatModerationForSocket(room),
     votes: filterVotesForSocket(room, socket),
     currentMessages: filterCurrentMessagesForSocket(room, socket),
   });
@@ -1098,6 +2369,9 @@ function emitJoinSuccess(socket, room, userId, username, location) {
     state.roomDeletionTimers.delete(room.id);
   }
   sendDevRoomContext(room.id);
+  trackPresence(socket).catch((err) =>
+    console.error("trackPresence in emitJoinSuccess:", err),
+  );
 }
 
 function handleTyping(socket, userId, username, isTyping) {
@@ -1106,20 +2380,163 @@ function handleTyping(socket, userId, username, isTyping) {
     clearTimeout(state.typingTimeouts.get(userId));
 
   if (isTyping) {
-    emitRoomTyping(socket, userId, username, true);
+    emitRoomTyping(socket.roomId, socket.id, userId, username, true);
     state.typingTimeouts.set(
       userId,
       setTimeout(() => {
-        emitRoomTyping(socket, userId, username, false);
+        emitRoomTyping(socket.roomId, socket.id, userId, username, false);
         state.typingTimeouts.delete(userId);
       }, CONFIG.TIMING.TYPING_TIMEOUT),
     );
   } else {
-    emitRoomTyping(socket, userId, username, false);
+    emitRoomTyping(socket.roomId, socket.id, userId, username, false);
     state.typingTimeouts.delete(userId);
   }
 }
 
+// ── Room Owner ──────────────────────────────────────────────────────────────
+// The creator owns the room until they hand it over; ownership survives
+// leaving and rejoining (e.g. a page reload).
+
+function isMutedInRoom(roomId, userId) {
+  return !!state.rooms.get(roomId)?.mutedUserIds?.includes(userId);
+}
+
+// The caller's room if they own it, otherwise emits an error and returns null
+function getOwnedRoom(socket) {
+  const userId = socket.handshake.session?.userId;
+  const room = socket.roomId ? state.rooms.get(socket.roomId) : null;
+  if (!room || !userId) {
+    socket.emit(
+      "error",
+      createErrorResponse(ERROR_CODES.NOT_FOUND, "You are not in a room."),
+    );
+    return null;
+  }
+  if (room.ownerId !== userId) {
+    socket.emit(
+      "error",
+      createErrorResponse(
+        ERROR_CODES.FORBIDDEN,
+        "Only the room owner can do that.",
+      ),
+    );
+    return null;
+  }
+  return room;
+}
+
+// Another visible, non-dev user in the owner's room, otherwise emits an
+// error and returns null
+function getModerationTarget(socket, room, targetUserId) {
+  const target =
+    typeof targetUserId === "string" &&
+    room.users.find((u) => u.id === targetUserId);
+  if (!target || !canRecipientSeeDevUser(socket, target)) {
+    socket.emit(
+      "error",
+      createErrorResponse(ERROR_CODES.NOT_FOUND, "User not found in room."),
+    );
+    return null;
+  }
+  if (target.id === room.ownerId || target.isDev) {
+    socket.emit(
+      "error",
+      createErrorResponse(
+        ERROR_CODES.FORBIDDEN,
+        "You can't moderate this user.",
+      ),
+    );
+    return null;
+  }
+  return target;
+}
+
+// Clears a muted user's panel for everyone
+function clearUserMessage(roomId, user) {
+  const previous = state.userMessageBuffers.get(user.id) || "";
+  if (!previous) return;
+  state.userMessageBuffers.set(user.id, "");
+  recordChatHistory(roomId, user.id, user.username, previous, "");
+  emitRoomChatUpdate(roomId, null, {
+    userId: user.id,
+    username: user.username,
+    diff: { type: "full-replace", text: "" },
+  });
+}
+
+// ── Direct Chats ────────────────────────────────────────────────────────────
+// "request chat" asks someone for a one-on-one chat. Accepting opens a
+// private room of two that only the pair can join, is never saved, and
+// closes once both have left. A request is a signed token naming the
+// asking socket, so it can be answered on any cluster worker.
+
+// "fromUserId:toUserId" → last request time, per worker
+const lastChatRequests = new Map();
+// Answered request tokens → their expiry, so each is answered once. In
+// cluster mode the primary keeps them instead (claimChatRequest).
+const answeredChatRequests = new Map();
+
+function chatRequestValue(fromUserId, fromSocketId, toUserId) {
+  return `chat:${fromUserId}:${fromSocketId}:${toUserId}`;
+}
+
+function pruneChatRequests(now) {
+  for (const [key, at] of lastChatRequests) {
+    if (now - at >= CONFIG.TIMING.CHAT_REQUEST_COOLDOWN)
+      lastChatRequests.delete(key);
+  }
+  for (const [token, expires] of answeredChatRequests) {
+    if (expires <= now) answeredChatRequests.delete(token);
+  }
+}
+
+// Whether this answer is the first for the token (tokens start with their
+// expiry time)
+async function claimChatRequest(token) {
+  const expiresAt = Number(token.split(".")[0]);
+  if (state.shared) return state.shared.claim("chatRequests", token, expiresAt);
+  if (answeredChatRequests.has(token)) return false;
+  answeredChatRequests.set(token, expiresAt);
+  return true;
+}
+
+// Returns the new room's ID, or null if no ID could be found
+function createDirectRoom(from, to) {
+  let roomId,
+    attempts = 0;
+  do {
+    roomId = generateRoomId();
+    if (++attempts > CONFIG.LIMITS.MAX_ID_GEN_ATTEMPTS) return null;
+  } while (state.rooms.has(roomId));
+
+  const now = Date.now();
+  state.rooms.set(roomId, {
+    id: roomId,
+    name: enforceRoomNameLimit(`${from.username} & ${to.username}`),
+    type: "private",
+    layout: "horizontal",
+    users: [],
+    accessCode: null,
+    votes: {},
+    bans: {},
+    voteCooldowns: {},
+    recordTranscript: false,
+    recordReplay: false,
+    policy: getRoomPolicy({}),
+    ownerId: null,
+    locked: false,
+    mutedUserIds: [],
+    capacity: 2,
+    direct: { userIds: [from.userId, to.userId], joined: [] },
+    lastActiveTime: now,
+    createdAt: now,
+  });
+  // Deleted as usual if nobody turns up
+  startRoomDeletionTimer(roomId);
+  return roomId;
+}
+
 // ── Socket Event Registration ───────────────────────────────────────────────
 
 function registerSocketHandlers() {
@@ -1153,7 +2570,10 @@ function registerSocketHandlers() {
     socket.on(
       "check signin status",
       safe(async () => {
-        let { username, location, userId, isIPBased } =
+        if (await checkSessionAccount(socket.handshake.session)) {
+          await promisifySessionSave(socket.handshake.session).catch(() => {});
+        }
+        let { username, location, userId, isIPBased, isVerified } =
           socket.handshake.session || {};
         if (
           !username &&
@@ -1188,6 +2608,7 @@ function registerSocketHandlers() {
             location,
             userId,
             isIPBased: !!isIPBased,
+            isVerified: !!isVerified,
             isBot: !!socket.isBot,
             isDev: !!socket.isDev,
             isHidden: !!socket.isHidden,
@@ -1198,8 +2619,10 @@ function registerSocketHandlers() {
             username,
             location,
             isIPBased,
+            isVerified: !!isVerified,
           });
           updateLobby();
+          await trackPresence(socket);
         } else {
           socket.emit("signin status", {
             isSignedIn: false,
@@ -1222,6 +2645,7 @@ function registerSocketHandlers() {
         const valErr = validateObject(data, {
           username: { rule: "username" },
           location: { rule: "location" },
+          password: { rule: "password" },
         });
         if (valErr) return socket.emit("validation_error", valErr);
 
@@ -1264,8 +2688,8 @@ function registerSocketHandlers() {
             );
         }
 
-        const userId = socket.handshake.sessionID;
-        if (!socket.handshake.session)
+        const session = socket.handshake.session;
+        if (!session)
           return socket.emit(
             "error",
             createErrorResponse(
@@ -1273,14 +2697,34 @@ function registerSocketHandlers() {
               "Session not available.",
             ),
           );
-        Object.assign(socket.handshake.session, {
+
+        // Registered names need their password (server/accounts.js)
+        const { account, error } = await resolveAccount(session, {
+          username,
+          password: data.password || undefined,
+          register: data.register === true,
+        });
+        if (error)
+          return socket.emit(
+            "error",
+            createErrorResponse(error.code, error.message),
+          );
+        if (account) username = account.username;
+
+        const identity = getSessionIdentity(
+          session,
+          socket.handshake.sessionID,
+          account,
+        );
+        const { userId, isVerified } = identity;
+        Object.assign(session, {
           username,
           location,
-          userId,
           isIPBased: false,
+          ...identity,
         });
-        await promisifySessionSave(socket.handshake.session);
-        state.users.set(userId, { id: userId, username, location });
+        await promisifySessionSave(session);
+        state.users.set(userId, { id: userId, username, location, isVerified });
 
         if (socket.isDev) {
           state.devUsers.add(userId);
@@ -1294,75 +2738,77 @@ function registerSocketHandlers() {
           location,
           userId,
           isIPBased: false,
+          isVerified,
           isBot: !!socket.isBot,
           isDev: !!socket.isDev,
         });
+        await trackPresence(socket);
       }),
     );
 
+    // ── Leave Lobby (sign out) ──────────────────────────────────────────
+    // Forgets the identity, so a shared computer doesn't stay signed in to
+    // someone's account
+    socket.on(
+      "leave lobby",
+      safe(async () => {
+        const session = socket.handshake.session;
+        socket.leave("lobby");
+        if (!session?.username || socket.roomId) return;
+        await untrackPresence(socket);
+        Object.assign(session, {
+          username: null,
+          location: null,
+          userId: null,
+          accountId: null,
+          isVerified: false,
+        });
+        await promisifySessionSave(session).catch(() => {});
+      }),
+    );
+
+    // ── In-Room Games (server/games.js) ─────────────────────────────────
+    registerGameHandlers(socket, safe);
+
+    // ── Announcements (server/announcements.js) ─────────────────────────
+    registerAnnouncementHandlers(socket, safe);
+
+    // ── Friends and Presence (server/friends.js) ────────────────────────
+    registerFriendHandlers(socket, safe);
+
     // ── Talkoboard: stroke lifecycle + state sync ───────────────────────
 
+    // Opens the board on the page the client was last on, or the first
     socket.on(
       "board open",
-      safe(async () => {
+      safe(async (data) => {
         if (!socket.roomId || !socket.handshake.session?.userId) return;
         socket.boardOpen = true;
         clearAFKTimers(socket.handshake.session.userId);
 
-        const bs = getBoardState(socket.roomId);
-        const activeObj = {};
-        for (const [uid, stroke] of bs.active) {
-          activeObj[uid] = stroke;
-        }
-        socket.emit("board state", {
-          strokes: bs.strokes,
-          active: activeObj,
-        });
-
-        socket.to(socket.roomId).emit("board user status", {
-          userId: socket.handshake.session.userId,
-          open: true,
-        });
+        const board = getBoardState(socket.roomId);
+        const page =
+          board.pages.get(data?.pageId) || board.pages.values().next().value;
+        showBoardPage(socket, page, data);
       }),
     );
 
     socket.on(
-      "board stroke start",
+      "board page",
       safe(async (data) => {
         if (!socket.roomId || !socket.handshake.session?.userId) return;
-        const userId = socket.handshake.session.userId;
-
-        if (
-          !data ||
-          typeof data.color !== "string" ||
-          typeof data.size !== "number"
-        )
-          return;
-        if (
-          !data.point ||
-          typeof data.point.x !== "number" ||
-          typeof data.point.y !== "number"
-        )
-          return;
-
-        const stroke = {
-          points: [{ x: data.point.x, y: data.point.y }],
-          color: data.color.slice(0, 7),
-          size: Math.min(Math.max(data.size, 1), 50),
-          eraser: !!data.eraser,
-        };
-
-        const bs = getBoardState(socket.roomId);
-        finalizeBoardUserStroke(socket.roomId, userId);
-        bs.active.set(userId, stroke);
+        if (!socket.boardOpen) return;
+        const page = boardState.get(socket.roomId)?.pages.get(data?.pageId);
+        if (page) showBoardPage(socket, page, data);
+      }),
+    );
 
-        socket.to(socket.roomId).emit("board stroke start", {
-          userId,
-          color: stroke.color,
-          size: stroke.size,
-          eraser: stroke.eraser,
-          point: stroke.points[0],
-        });
+    // Acknowledged with { strokeId }, null when no stroke was started
+    socket.on(
+      "board stroke start",
+      safe(async (data, ack) => {
+        const strokeId = startBoardStroke(socket, data);
+        if (typeof ack === "function") ack({ strokeId });
       }),
     );
 
@@ -1372,31 +2818,29 @@ function registerSocketHandlers() {
         if (!socket.roomId || !socket.handshake.session?.userId) return;
         const userId = socket.handshake.session.userId;
 
-        if (!data?.points || !Array.isArray(data.points)) return;
-        if (data.points.length > 200) return;
+        // Encoded points (board-codec.js), passed on as they came
+        const points = BoardCodec.decodePoints(
+          data?.points,
+          MAX_POINTS_PER_MOVE,
+        );
+        if (!points?.length) return;
 
-        const bs = getBoardState(socket.roomId);
-        const active = bs.active.get(userId);
+        const page = getSocketBoardPage(socket);
+        const active = page?.active.get(userId);
         if (!active) return;
 
-        const validPoints = [];
-        for (const p of data.points) {
-          if (typeof p.x === "number" && typeof p.y === "number") {
-            validPoints.push({ x: p.x, y: p.y });
-          }
-        }
-        if (validPoints.length === 0) return;
-
-        active.points.push(...validPoints);
+        active.points.push(...points);
 
         if (active.points.length > MAX_POINTS_PER_STROKE) {
           active.points = active.points.slice(-MAX_POINTS_PER_STROKE);
         }
 
-        socket.to(socket.roomId).emit("board stroke move", {
-          userId,
-          points: validPoints,
-        });
+        socket
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board stroke move", {
+            userId,
+            points: data.points,
+          });
       }),
     );
 
@@ -1406,7 +2850,11 @@ function registerSocketHandlers() {
         if (!socket.roomId || !socket.handshake.session?.userId) return;
         const userId = socket.handshake.session.userId;
         finalizeBoardUserStroke(socket.roomId, userId);
-        socket.to(socket.roomId).emit("board stroke end", { userId });
+        if (socket.boardPageId != null)
+          socket
+            .to(boardChannel(socket.roomId, socket.boardPageId))
+            .emit("board stroke end", { userId });
+        saveBoardsSoon();
       }),
     );
 
@@ -1417,6 +2865,7 @@ function registerSocketHandlers() {
         const userId = socket.handshake.session.userId;
         socket.boardOpen = false;
         finalizeBoardUserStroke(socket.roomId, userId);
+        leaveBoardPage(socket);
         setupAFKTimers(socket, userId);
         socket.to(socket.roomId).emit("board user status", {
           userId,
@@ -1430,42 +2879,328 @@ function registerSocketHandlers() {
       safe(async (data) => {
         if (!socket.roomId || !socket.handshake.session?.userId) return;
         if (typeof data?.x !== "number" || typeof data?.y !== "number") return;
-        socket.to(socket.roomId).emit("board cursor", {
-          userId: socket.handshake.session.userId,
-          username: socket.handshake.session.username || "Anonymous",
-          x: data.x,
-          y: data.y,
+        if (socket.boardPageId == null) return;
+        socket
+          .to(boardChannel(socket.roomId, socket.boardPageId))
+          .emit("board cursor", {
+            userId: socket.handshake.session.userId,
+            username: socket.handshake.session.username || "Anonymous",
+            x: data.x,
+            y: data.y,
+          });
+      }),
+    );
+
+    socket.on(
+      "board chat",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        if (!data?.text || typeof data.text !== "string") return;
+        const text = data.text.slice(0, 200);
+        io()
+          .to(socket.roomId)
+          .emit("board chat", {
+            userId: socket.handshake.session.userId,
+            username: socket.handshake.session.username || "Anonymous",
+            text,
+            timestamp: Date.now(),
+          });
+      }),
+    );
+
+    // ── Talkoboard: shapes, text and sticky notes ───────────────────────
+
+    socket.on(
+      "board shape add",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        const shape = sanitizeBoardItem(data?.shape);
+        if (!shape?.type) return;
+        const page = getSocketBoardPage(socket);
+        if (!page) return;
+        if (!(await moderateBoardItems(socket, [shape])))
+          return socket.emit(
+            "board shape error",
+            createErrorResponse(
+              ERROR_CODES.VALIDATION_ERROR,
+              "That text isn't allowed in this room.",
+            ),
+          );
+        const userId = socket.handshake.session.userId;
+        claimStroke(page, shape, userId);
+        appendBoardStrokes(page, [shape]);
+        page.undone.delete(userId);
+        publishBoard(socket.roomId, "add", {
+          pageId: page.id,
+          strokes: [shape],
+        });
+        io()
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board shape add", {
+            userId,
+            ...BoardCodec.encodeStrokes([shape]),
+          });
+        saveBoardsSoon();
+      }),
+    );
+
+    socket.on(
+      "board shape move",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        if (!Number.isFinite(data?.dx) || !Number.isFinite(data?.dy)) return;
+        const shape = getEditableBoardShape(socket, data.id);
+        if (!shape) return;
+        const dx = clampBoardDelta(
+          shape.points.map((p) => p.x),
+          data.dx,
+        );
+        const dy = clampBoardDelta(
+          shape.points.map((p) => p.y),
+          data.dy,
+        );
+        for (const p of shape.points) {
+          p.x += dx;
+          p.y += dy;
+        }
+        touchStroke(getSocketBoardPage(socket), shape);
+        io()
+          .to(boardChannel(socket.roomId, socket.boardPageId))
+          .emit("board shape move", {
+            id: shape.id,
+            userId: shape.userId,
+            points: BoardCodec.encodePoints(shape.points),
+          });
+        publishBoard(socket.roomId, "move", {
+          pageId: socket.boardPageId,
+          strokeId: shape.id,
+          points: shape.points,
+        });
+        saveBoardsSoon();
+      }),
+    );
+
+    socket.on(
+      "board shape delete",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        const shape = getEditableBoardShape(socket, data?.id);
+        if (!shape) return;
+        const page = getSocketBoardPage(socket);
+        page.strokes = page.strokes.filter((s) => s !== shape);
+        io()
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board shape delete", { id: shape.id, userId: shape.userId });
+        publishBoard(socket.roomId, "remove", {
+          pageId: page.id,
+          strokeId: shape.id,
+        });
+        saveBoardsSoon();
+      }),
+    );
+
+    // ── Talkoboard: pages ───────────────────────────────────────────────
+
+    // Adds a page and takes the socket there
+    socket.on(
+      "board page add",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        if (!socket.boardOpen || !canManageBoard(socket)) return;
+        const board = getBoardState(socket.roomId);
+        if (board.pages.size >= MAX_BOARD_PAGES) return;
+        const template = data?.template ?? DEFAULT_BOARD_TEMPLATE;
+        if (!BOARD_TEMPLATES.includes(template)) return;
+        const page = addBoardPage(
+          board,
+          cleanBoardPageName(data?.name),
+          template,
+        );
+        publishBoard(socket.roomId, "addPage", {
+          pageId: page.id,
+          name: page.name,
+          template,
+        });
+        emitBoardPages(socket.roomId);
+        showBoardPage(socket, page);
+        saveBoardsSoon();
+      }),
+    );
+
+    // Renames a page and/or changes its template
+    socket.on(
+      "board page update",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        if (!canManageBoard(socket)) return;
+        const page = boardState.get(socket.roomId)?.pages.get(data?.pageId);
+        if (!page) return;
+        const name =
+          data.name === undefined ? page.name : cleanBoardPageName(data.name);
+        const template = data.template ?? page.template;
+        if (!name || !BOARD_TEMPLATES.includes(template)) return;
+        page.name = name;
+        page.template = template;
+        publishBoard(socket.roomId, "updatePage", {
+          pageId: page.id,
+          name,
+          template,
+        });
+        emitBoardPages(socket.roomId);
+        saveBoardsSoon();
+      }),
+    );
+
+    // Deletes a page (never the last one). Whoever was on it moves to
+    // another page when "board pages" no longer lists it.
+    socket.on(
+      "board page delete",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        if (!canManageBoard(socket)) return;
+        const board = boardState.get(socket.roomId);
+        if (!board?.pages.has(data?.pageId) || board.pages.size <= 1) return;
+        board.pages.delete(data.pageId);
+        publishBoard(socket.roomId, "deletePage", { pageId: data.pageId });
+        const channel = boardChannel(socket.roomId, data.pageId);
+        io().in(channel).socketsLeave(channel);
+        emitBoardPages(socket.roomId);
+        saveBoardsSoon();
+      }),
+    );
+
+    socket.on(
+      "board undo",
+      safe(async () => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        const userId = socket.handshake.session.userId;
+        const page = getSocketBoardPage(socket);
+        if (!page) return;
+        finalizeBoardUserStroke(socket.roomId, userId);
+        const stroke = undoBoardStroke(page, userId);
+        if (!stroke) return;
+        io()
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board undo", { userId, strokeId: stroke.id });
+        publishBoard(socket.roomId, "remove", {
+          pageId: page.id,
+          strokeId: stroke.id,
         });
+        saveBoardsSoon();
+      }),
+    );
+
+    socket.on(
+      "board redo",
+      safe(async () => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        const userId = socket.handshake.session.userId;
+        const page = getSocketBoardPage(socket);
+        const stroke = page && redoBoardStroke(page, userId);
+        if (!stroke) return;
+        io()
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board redo", {
+            userId,
+            ...BoardCodec.encodeStrokes([stroke]),
+          });
+        publishBoard(socket.roomId, "redo", { pageId: page.id, stroke });
+        saveBoardsSoon();
       }),
     );
 
-    socket.on(
-      "board chat",
-      safe(async (data) => {
-        if (!socket.roomId || !socket.handshake.session?.userId) return;
-        if (!data?.text || typeof data.text !== "string") return;
-        const text = data.text.slice(0, 200);
+    // Clears the page the socket is on. The owner (or a dev) clears it
+    // outright. Anyone else votes, and it clears once more than half the
+    // room agrees within BOARD_CLEAR_VOTE_TTL.
+    socket.on(
+      "board clear",
+      safe(async () => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        const userId = socket.handshake.session.userId;
+        const room = state.rooms.get(socket.roomId);
+        const page = getSocketBoardPage(socket);
+        if (!room || !page) return;
+        if (canManageBoard(socket)) return clearBoardPage(socket.roomId, page);
+
+        const now = Date.now();
+        page.clearVotes.set(userId, now);
+        publishBoard(socket.roomId, "vote", {
+          pageId: page.id,
+          userId,
+          castAt: now,
+        });
+        for (const [voterId, castAt] of page.clearVotes) {
+          if (
+            now - castAt >= BOARD_CLEAR_VOTE_TTL ||
+            !room.users.some((u) => u.id === voterId)
+          )
+            page.clearVotes.delete(voterId);
+        }
+        const needed = Math.floor(room.users.length / 2) + 1;
+        if (page.clearVotes.size >= needed)
+          return clearBoardPage(socket.roomId, page);
+        io()
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board clear vote", {
+            userId,
+            username: socket.handshake.session.username || "Anonymous",
+            votes: page.clearVotes.size,
+            needed,
+          });
+      }),
+    );
+
+    // Adds the strokes of an exported board document (talkoboard.js) on
+    // top of the socket's page; everyone on the page gets them. Failures come
+    // back as "board import error" for the board to show, since the room's
+    // error modal would open underneath it.
+    socket.on(
+      "board import",
+      safe(async (data) => {
+        if (!socket.roomId || !socket.handshake.session?.userId) return;
+        const page = getSocketBoardPage(socket);
+        if (!page) return;
+        const now = Date.now();
+        if (now - (socket.lastBoardImport || 0) < BOARD_IMPORT_COOLDOWN)
+          return socket.emit(
+            "board import error",
+            createErrorResponse(
+              ERROR_CODES.RATE_LIMITED,
+              "Wait a few seconds before importing another drawing.",
+            ),
+          );
+        const strokes = sanitizeBoardStrokes(data?.strokes, MAX_IMPORT_POINTS);
+        if (!strokes || strokes.length === 0)
+          return socket.emit(
+            "board import error",
+            createErrorResponse(
+              ERROR_CODES.VALIDATION_ERROR,
+              `That drawing can't be imported. Imports take up to ${MAX_BOARD_STROKES} strokes and ${MAX_IMPORT_POINTS} points.`,
+            ),
+          );
+        socket.lastBoardImport = now;
+        if (!(await moderateBoardItems(socket, strokes)))
+          return socket.emit(
+            "board import error",
+            createErrorResponse(
+              ERROR_CODES.VALIDATION_ERROR,
+              "That drawing has text that isn't allowed in this room.",
+            ),
+          );
+
+        const userId = socket.handshake.session.userId;
+        for (const stroke of strokes) claimStroke(page, stroke, userId);
+        appendBoardStrokes(page, strokes);
+        page.undone.delete(userId);
+        publishBoard(socket.roomId, "add", { pageId: page.id, strokes });
         io()
-          .to(socket.roomId)
-          .emit("board chat", {
-            userId: socket.handshake.session.userId,
+          .to(boardChannel(socket.roomId, page.id))
+          .emit("board import", {
+            userId,
             username: socket.handshake.session.username || "Anonymous",
-            text,
-            timestamp: Date.now(),
+            ...BoardCodec.encodeStrokes(strokes),
           });
-      }),
-    );
-
-    socket.on(
-      "board clear",
-      safe(async () => {
-        if (!socket.roomId || !socket.handshake.session?.userId) return;
-        const bs = boardState.get(socket.roomId);
-        if (bs) {
-          bs.strokes = [];
-          bs.active.clear();
-        }
-        io().to(socket.roomId).emit("board clear");
+        saveBoardsSoon();
       }),
     );
 
@@ -1492,7 +3227,9 @@ function registerSocketHandlers() {
           name: { rule: "roomName" },
           type: { rule: "roomType" },
           layout: { rule: "layout" },
+          capacity: { rule: "capacity" },
           accessCode: { rule: "accessCode", context: data.type },
+          policy: { rule: "roomPolicy" },
         });
         if (valErr) return socket.emit("validation_error", valErr);
 
@@ -1638,10 +3375,18 @@ function registerSocketHandlers() {
           name: roomName,
           type: data.type,
           layout: data.layout,
+          capacity: data.capacity || CONFIG.LIMITS.DEFAULT_ROOM_CAPACITY,
           users: [],
           accessCode: data.type === "semi-private" ? data.accessCode : null,
           votes: {},
-          bannedUserIds: new Set(),
+          bans: {},
+          voteCooldowns: {},
+          recordTranscript: data.recordTranscript === true,
+          recordReplay: data.recordReplay === true,
+          policy: getRoomPolicy({ policy: data.policy }),
+          ownerId: userId,
+          locked: false,
+          mutedUserIds: [],
           lastActiveTime: now,
           createdAt: now,
         });
@@ -1690,6 +3435,7 @@ function registerSocketHandlers() {
           userId = socket.handshake.sessionID;
           if (socket.handshake.session) {
             socket.handshake.session.userId = userId;
+            socket.handshake.session.firstSeenAt ||= Date.now();
             if (!username) socket.handshake.session.username = "Anonymous";
             if (!location) socket.handshake.session.location = "On The Web";
           } else
@@ -1720,10 +3466,21 @@ function registerSocketHandlers() {
 
         // Semi-private rooms: session-validated codes skip the prompt
         if (room.type === "semi-private") {
-          const validated =
+          let validated =
             socket.handshake.session.validatedRooms?.[data.roomId];
+          // The owner has changed the code since: ask for the new one
+          if (validated && validated !== room.accessCode) {
+            delete socket.handshake.session.validatedRooms[data.roomId];
+            await promisifySessionSave(socket.handshake.session).catch(
+              () => {},
+            );
+            validated = null;
+          }
           let code = data.accessCode;
           if (validated) code = validated;
+          // A friend's invite (server/friends.js) stands in for the code
+          else if (checkInvitePass(data.invite, data.roomId, userId))
+            code = room.accessCode;
           else if (!code) return socket.emit("access code required");
           if (
             typeof code !== "string" ||
@@ -1777,21 +3534,164 @@ function registerSocketHandlers() {
         if (room.users.length < CONFIG.LIMITS.MIN_USERS_FOR_VOTING) return;
         if (!room.users.find((u) => u.id === data.targetUserId)) return;
         if (!room.votes) room.votes = {};
-        if (room.votes[userId] === data.targetUserId) delete room.votes[userId];
-        else room.votes[userId] = data.targetUserId;
+        // Voting for the same user again withdraws the ballot
+        if (room.votes[userId]?.targetId === data.targetUserId) {
+          delete room.votes[userId];
+          emitRoomVoteUpdates(roomId);
+          return;
+        }
+        if (!CONFIG.LIMITS.VOTE_REASONS.includes(data.reason))
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.BAD_REQUEST,
+              "Pick a reason for the vote.",
+            ),
+          );
+        if ((room.voteCooldowns?.[data.targetUserId] || 0) > Date.now())
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.RATE_LIMITED,
+              "This user was voted on recently. Try again later.",
+            ),
+          );
+        room.votes[userId] = {
+          targetId: data.targetUserId,
+          reason: data.reason,
+          castAt: Date.now(),
+        };
         emitRoomVoteUpdates(roomId);
-        const votesAgainst = Object.values(room.votes).filter(
-          (v) => v === data.targetUserId,
-        ).length;
-        if (votesAgainst > Math.floor(room.users.length / 2)) {
-          const target = findSocketByUserId(data.targetUserId, roomId);
-          if (target) {
-            target.emit("kicked");
-            if (!room.bannedUserIds) room.bannedUserIds = new Set();
-            room.bannedUserIds.add(data.targetUserId);
-            await leaveRoom(target, data.targetUserId);
-          }
+        await enforceVoteKick(roomId, data.targetUserId);
+      }),
+    );
+
+    // ── Room Owner Moderation ───────────────────────────────────────────
+    socket.on(
+      "owner kick",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        const target = getModerationTarget(socket, room, data?.targetUserId);
+        if (!target) return;
+        await kickUserFromRoom(room.id, target.id, {
+          payload: { reason: "owner" },
+          audit: { method: "owner", by: room.ownerId },
+        });
+      }),
+    );
+
+    socket.on(
+      "owner ban",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        const target = getModerationTarget(socket, room, data?.targetUserId);
+        if (!target) return;
+        await kickUserFromRoom(room.id, target.id, {
+          ban: true,
+          payload: { reason: "owner", banned: true },
+          audit: { method: "owner", by: room.ownerId },
+        });
+      }),
+    );
+
+    socket.on(
+      "owner mute",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        const target = getModerationTarget(socket, room, data?.targetUserId);
+        if (!target) return;
+        const muted = (room.mutedUserIds || []).filter(
+          (id) => id !== target.id,
+        );
+        if (data.muted !== false) {
+          muted.push(target.id);
+          clearUserMessage(room.id, target);
+        }
+        room.mutedUserIds = muted;
+        updateRoom(room.id);
+        await debouncedSaveRooms();
+      }),
+    );
+
+    socket.on(
+      "owner transfer",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        const target = getModerationTarget(socket, room, data?.targetUserId);
+        if (!target) return;
+        room.ownerId = target.id;
+        room.mutedUserIds = (room.mutedUserIds || []).filter(
+          (id) => id !== target.id,
+        );
+        updateRoom(room.id);
+        await debouncedSaveRooms();
+      }),
+    );
+
+    socket.on(
+      "owner lock",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        room.locked = data?.locked === true;
+        updateRoom(room.id);
+        await debouncedSaveRooms();
+      }),
+    );
+
+    socket.on(
+      "owner set chat filter",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        if (!CONFIG.MODERATION.ACTIONS.includes(data?.action))
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.BAD_REQUEST,
+              `Chat filter must be one of: ${CONFIG.MODERATION.ACTIONS.join(", ")}.`,
+            ),
+          );
+        room.policy = { ...getRoomPolicy(room), wordFilter: data.action };
+        updateRoom(room.id);
+        await debouncedSaveRooms();
+      }),
+    );
+
+    // Members keep their seat; anyone joining later needs the new code
+    socket.on(
+      "owner set access code",
+      safe(async (data) => {
+        const room = getOwnedRoom(socket);
+        if (!room) return;
+        if (room.type !== "semi-private")
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.BAD_REQUEST,
+              "Only semi-private rooms have an access code.",
+            ),
+          );
+        const valErr = validateObject(data, {
+          accessCode: { rule: "accessCode", context: "semi-private" },
+        });
+        if (valErr) return socket.emit("validation_error", valErr);
+
+        room.accessCode = data.accessCode;
+        if (socket.handshake.session) {
+          if (!socket.handshake.session.validatedRooms)
+            socket.handshake.session.validatedRooms = {};
+          socket.handshake.session.validatedRooms[room.id] = data.accessCode;
+          await promisifySessionSave(socket.handshake.session).catch(() => {});
         }
+        socket.emit("access code changed", { accessCode: data.accessCode });
+        updateRoom(room.id);
+        updateLobby();
+        await debouncedSaveRooms();
       }),
     );
 
@@ -1806,6 +3706,140 @@ function registerSocketHandlers() {
       }),
     );
 
+    // ── Direct Chats ────────────────────────────────────────────────────
+    socket.on(
+      "request chat",
+      safe(async (data) => {
+        const session = socket.handshake.session;
+        const userId = session?.userId;
+        const targetId = data?.userId;
+        if (!userId)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.UNAUTHORIZED,
+              "Sign in to start a chat.",
+            ),
+          );
+        if (typeof targetId !== "string" || targetId === userId)
+          return socket.emit(
+            "error",
+            createErrorResponse(ERROR_CODES.BAD_REQUEST, "Invalid user."),
+          );
+
+        const now = Date.now();
+        pruneChatRequests(now);
+        const key = `${userId}:${targetId}`;
+        if (lastChatRequests.has(key))
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.RATE_LIMITED,
+              "You just asked them. Wait a moment before asking again.",
+            ),
+          );
+        const target = await getPresence(targetId);
+        if (!target.online)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.NOT_FOUND,
+              "That user isn't online.",
+            ),
+          );
+
+        lastChatRequests.set(key, now);
+        io()
+          .to(`user:${targetId}`)
+          .emit("chat request", {
+            from: {
+              userId,
+              socketId: socket.id,
+              username: session.username || "Anonymous",
+              location: session.location || "On The Web",
+            },
+            token: createExpiringToken(
+              chatRequestValue(userId, socket.id, targetId),
+              CONFIG.TIMING.CHAT_REQUEST_TTL,
+            ),
+          });
+        socket.emit("chat requested", {
+          userId: targetId,
+          username: target.username,
+        });
+      }),
+    );
+
+    // { fromUserId, fromSocketId, token, accept } from "chat request".
+    // "chat started" goes to the asking socket and this one, not to every
+    // tab either of them has open.
+    socket.on(
+      "answer chat",
+      safe(async (data) => {
+        const session = socket.handshake.session;
+        const userId = session?.userId;
+        const { fromUserId, fromSocketId, token } = data || {};
+        if (
+          !userId ||
+          typeof fromUserId !== "string" ||
+          typeof fromSocketId !== "string" ||
+          !checkExpiringToken(
+            token,
+            chatRequestValue(fromUserId, fromSocketId, userId),
+          )
+        )
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.NOT_FOUND,
+              "That chat request has expired.",
+            ),
+          );
+        pruneChatRequests(Date.now());
+        if (!(await claimChatRequest(token))) return;
+
+        const me = { userId, username: session.username || "Anonymous" };
+        if (data.accept !== true) {
+          io().to(fromSocketId).emit("chat declined", me);
+          return;
+        }
+
+        const [askerSocket] = await io().in(fromSocketId).fetchSockets();
+        if (!askerSocket)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.NOT_FOUND,
+              "They're not online anymore.",
+            ),
+          );
+        if (state.rooms.size >= CONFIG.LIMITS.HARD_MAX_ROOMS)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.ROOM_LIMIT_REACHED,
+              "Server is at maximum capacity. Please try again shortly.",
+            ),
+          );
+        const asker = {
+          userId: fromUserId,
+          username: askerSocket.data.presence?.username || "Anonymous",
+        };
+        const roomId = createDirectRoom(asker, me);
+        if (!roomId)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.SERVER_ERROR,
+              "Could not generate room ID.",
+            ),
+          );
+        io().to(fromSocketId).emit("chat started", { roomId, with: me });
+        socket.emit("chat started", { roomId, with: asker });
+        updateLobby();
+      }),
+    );
+
     // ── Chat Updates (diff-based, batched) ──────────────────────────────
     socket.on(
       "chat update",
@@ -1820,6 +3854,7 @@ function registerSocketHandlers() {
           );
         if (!socket.roomId || !socket.handshake.session?.userId) return;
         const userId = socket.handshake.session.userId;
+        if (isMutedInRoom(socket.roomId, userId) || isChatMuted(userId)) return;
         if (!data?.diff || typeof data.diff !== "object")
           return socket.emit(
             "error",
@@ -1896,6 +3931,62 @@ function registerSocketHandlers() {
       }),
     );
 
+    // ── Chat Transcript Download (participants of recorded rooms) ───────
+    socket.on(
+      "get transcript",
+      safe(async (data) => {
+        const userId = socket.handshake.session?.userId;
+        const room = socket.roomId ? state.rooms.get(socket.roomId) : null;
+        if (!userId || !room || !room.users.some((u) => u.id === userId))
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.FORBIDDEN,
+              "Only room participants can download the transcript.",
+            ),
+          );
+        if (!room.recordTranscript)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.NOT_FOUND,
+              "This room is not recording a transcript.",
+            ),
+          );
+        const format = data?.format === "json" ? "json" : "text";
+        socket.emit("room transcript", {
+          format,
+          ...formatTranscript(room, format),
+        });
+      }),
+    );
+
+    // ── Keystroke Replay (participants of recorded rooms) ───────────────
+    socket.on(
+      "get replay",
+      safe(async () => {
+        const userId = socket.handshake.session?.userId;
+        const room = socket.roomId ? state.rooms.get(socket.roomId) : null;
+        if (!userId || !room || !room.users.some((u) => u.id === userId))
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.FORBIDDEN,
+              "Only room participants can watch the replay.",
+            ),
+          );
+        if (!room.recordReplay)
+          return socket.emit(
+            "error",
+            createErrorResponse(
+              ERROR_CODES.NOT_FOUND,
+              "This room is not recording a replay.",
+            ),
+          );
+        socket.emit("room replay", getReplay(room.id));
+      }),
+    );
+
     socket.on(
       "get rooms",
       safe(async () => {
@@ -1977,8 +4068,14 @@ function registerSocketHandlers() {
           );
         }
 
-        const targetSocket = findSocketByUserId(targetUserId, targetRoomId);
-        if (!targetSocket) {
+        const targetUser = targetRoom.users.find((u) => u.id === targetUserId);
+        const targetName = targetUser?.username || "Unknown";
+        const roomName = targetRoom.name || targetRoomId;
+
+        const kicked = await kickUserFromRoom(targetRoomId, targetUserId, {
+          audit: { method: "dev", by: socket.handshake.session?.userId },
+        });
+        if (!kicked) {
           return socket.emit(
             "error",
             createErrorResponse(
@@ -1988,13 +4085,6 @@ function registerSocketHandlers() {
           );
         }
 
-        const targetUser = targetRoom.users.find((u) => u.id === targetUserId);
-        const targetName = targetUser?.username || "Unknown";
-        const roomName = targetRoom.name || targetRoomId;
-
-        targetSocket.emit("kicked");
-        await leaveRoom(targetSocket, targetUserId);
-
         console.log(
           `[DEV] Force-kicked "${targetName}" from "${roomName}" by dev user`,
         );
@@ -2008,6 +4098,27 @@ function registerSocketHandlers() {
       }),
     );
 
+    // ── Dev Mode: Kick Audit ────────────────────────────────────────────
+    socket.on(
+      "dev get kick audit",
+      safe(async (data) => {
+        if (!socket.isDev) {
+          return socket.emit(
+            "error",
+            createErrorResponse(ERROR_CODES.FORBIDDEN, "Access denied."),
+          );
+        }
+        socket.emit(
+          "dev kick audit",
+          await getKickAudit({
+            roomId: typeof data?.roomId === "string" ? data.roomId : null,
+            userId: typeof data?.userId === "string" ? data.userId : null,
+            limit: data?.limit,
+          }),
+        );
+      }),
+    );
+
     // ── Dev Mode: Set Username Color ────────────────────────────────────
     socket.on(
       "dev set color",
@@ -2052,6 +4163,7 @@ function registerSocketHandlers() {
           updateLobby();
           sendDevRoomContext(socket.roomId);
         }
+        await trackPresence(socket);
         socket.emit("dev vanish status", { isVanished: desired });
       }),
     );
@@ -2106,6 +4218,7 @@ function registerSocketHandlers() {
           clearAFKTimers(userId);
           await leaveRoom(socket, userId);
           state.userMessageBuffers.delete(userId);
+          state.rawMessageBuffers.delete(userId);
           state.devUsers.delete(userId);
           if (state.typingTimeouts.has(userId)) {
             clearTimeout(state.typingTimeouts.get(userId));
@@ -2118,6 +4231,7 @@ function registerSocketHandlers() {
           }
           state.users.delete(userId);
         }
+        await untrackPresence(socket);
         if (socket.clientIp) {
           const c = state.ipConnections.get(socket.clientIp) || 0;
           if (c > 1) state.ipConnections.set(socket.clientIp, c - 1);
@@ -2143,6 +4257,18 @@ function startCleanupIntervals() {
     }
   }, CONFIG.LIMITS.PRESSURE_CLEANUP_INTERVAL);
 
+  // Inactive game cleanup (5 min)
+  startGameCleanupInterval();
+
+  // Vote ballot, cool-down and ban expiry (15s)
+  setInterval(() => {
+    try {
+      expireVoteState();
+    } catch (err) {
+      console.error("Vote expiry error:", err);
+    }
+  }, 15000);
+
   // Bot detection cleanup (2 min)
   setInterval(() => {
     const now = Date.now();
@@ -2173,6 +4299,7 @@ function startCleanupIntervals() {
     for (const [token, data] of state.botTokens.entries()) {
       if (now - data.createdAt > CONFIG.TIMING.BOT_TOKEN_EXPIRY) {
         state.botTokens.delete(token);
+        persistDelete("botTokens", token);
         expired++;
         const c = state.ipBotTokenCounts.get(data.ip) || 0;
         if (c > 1) state.ipBotTokenCounts.set(data.ip, c - 1);
@@ -2204,6 +4331,9 @@ function startCleanupIntervals() {
     for (const id of state.userMessageBuffers.keys()) {
       if (!active.has(id)) state.userMessageBuffers.delete(id);
     }
+    for (const id of state.rawMessageBuffers.keys()) {
+      if (!active.has(id)) state.rawMessageBuffers.delete(id);
+    }
     for (const id of state.typingTimeouts.keys()) {
       if (!active.has(id)) {
         clearTimeout(state.typingTimeouts.get(id));
@@ -2262,16 +4392,7 @@ function startCleanupIntervals() {
       )
         toDelete.push(id);
     }
-    for (const id of toDelete) {
-      state.rooms.delete(id);
-      state.roomSoloSince.delete(id);
-      state.roomLastChatActivity.delete(id);
-      cleanupBoardState(id);
-      if (state.roomDeletionTimers.has(id)) {
-        clearTimeout(state.roomDeletionTimers.get(id));
-        state.roomDeletionTimers.delete(id);
-      }
-    }
+    for (const id of toDelete) destroyRoomState(id);
     if (toDelete.length > 0) {
       updateLobby();
       await debouncedSaveRooms();
@@ -2292,12 +4413,14 @@ function startCleanupIntervals() {
       if (!room.users || room.users.length === 0) continue;
       const before = room.users.length;
       room.users = room.users.filter((u) => {
-        if (!activeIds.has(u.id)) {
+        if (isLocalUser(u) && !activeIds.has(u.id)) {
           console.log(`Ghost removed: "${u.username}" from "${room.name}"`);
           state.userMessageBuffers.delete(u.id);
           clearAFKTimers(u.id);
           state.devUsers.delete(u.id);
           finalizeBoardUserStroke(roomId, u.id);
+          handleGameUserLeftRoom(roomId, u.id);
+          recordReplayLeave(roomId, u.id);
           if (state.typingTimeouts.has(u.id)) {
             clearTimeout(state.typingTimeouts.get(u.id));
             state.typingTimeouts.delete(u.id);
@@ -2364,23 +4487,26 @@ function startCleanupIntervals() {
 
 // ── Ghost Purge (Startup) ───────────────────────────────────────────────────
 
+// A cluster worker joining late leaves its peers' users alone
 function purgeAllGhostUsers() {
   let total = 0;
   for (const [roomId, room] of state.rooms) {
-    if (room.users && room.users.length > 0) {
+    const ghosts = (room.users || []).filter(isLocalUser);
+    if (ghosts.length > 0) {
       console.log(
-        `Startup purge: ${room.users.length} ghost(s) from "${room.name}"`,
+        `Startup purge: ${ghosts.length} ghost(s) from "${room.name}"`,
       );
-      total += room.users.length;
-      room.users.forEach((u) => {
+      total += ghosts.length;
+      ghosts.forEach((u) => {
         state.userMessageBuffers.delete(u.id);
         clearAFKTimers(u.id);
         state.devUsers.delete(u.id);
       });
-      room.users = [];
+      room.users = room.users.filter((u) => !isLocalUser(u));
+      if (room.users.length > 0) continue;
       room.votes = {};
       room.lastActiveTime = Date.now();
-      cleanupBoardState(roomId);
+      clearRoomState(roomId);
       startRoomDeletionTimer(roomId);
     }
   }
@@ -2399,11 +4525,16 @@ module.exports = {
   registerSocketHandlers,
   startCleanupIntervals,
   purgeAllGhostUsers,
+  startClusterSync,
   updateLobby,
   getRoomStatistics,
   calculateCurrentRoomLimit,
+  getRoomCapacity,
+  isRoomFull,
   roomNameExists,
   startRoomDeletionTimer,
   leaveRoom,
   joinRoom,
+  closeRoom,
+  updateRoom,
 };
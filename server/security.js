@@ -4,7 +4,11 @@
 // ╚═══════════════════════════════════════════════════════════════════════════╝
 
 const crypto = require("crypto");
-const { RateLimiterMemory } = require("rate-limiter-flexible");
+const cluster = require("cluster");
+const {
+  RateLimiterMemory,
+  RateLimiterCluster,
+} = require("rate-limiter-flexible");
 const {
   CONFIG,
   ERROR_CODES,
@@ -13,53 +17,69 @@ const {
   createErrorResponse,
   sendErrorResponse,
 } = require("./state");
+const { persistSet, persistDelete } = require("./storage");
 
 // ── Rate Limiters ───────────────────────────────────────────────────────────
 
-const socketRateLimiter = new RateLimiterMemory({
+// Cluster workers keep their counters in the primary, so a client can't get
+// a fresh budget from every worker it reaches. keyPrefix must be unique.
+function createRateLimiter(keyPrefix, opts) {
+  if (cluster.isWorker) {
+    return new RateLimiterCluster({ keyPrefix, timeoutMs: 3000, ...opts });
+  }
+  return new RateLimiterMemory(opts);
+}
+
+const socketRateLimiter = createRateLimiter("socket", {
   points: CONFIG.LIMITS.SOCKET_MAX_REQUESTS_PER_WINDOW,
   duration: CONFIG.LIMITS.SOCKET_MAX_REQUESTS_WINDOW,
   blockDuration: 5,
 });
 
-const chatUpdateLimiter = new RateLimiterMemory({
+const chatUpdateLimiter = createRateLimiter("chatUpdate", {
   points: CONFIG.LIMITS.CHAT_UPDATE_RATE_LIMIT,
   duration: 5,
   blockDuration: 1,
 });
 
-const typingLimiter = new RateLimiterMemory({
+const typingLimiter = createRateLimiter("typing", {
   points: CONFIG.LIMITS.TYPING_RATE_LIMIT,
   duration: 1,
 });
 
-const ipRateLimiter = new RateLimiterMemory({
+const ipRateLimiter = createRateLimiter("ip", {
   points: 20,
   duration: 15,
   blockDuration: 30,
 });
 
 const enhancedRateLimiters = {
-  suspicious: new RateLimiterMemory({
+  suspicious: createRateLimiter("suspicious", {
     points: 10,
     duration: 60,
     blockDuration: 300,
   }),
-  botTokenRequest: new RateLimiterMemory({
+  botTokenRequest: createRateLimiter("botTokenRequest", {
     points: 3,
     duration: 3600,
     blockDuration: 3600,
   }),
-  botApi: new RateLimiterMemory({
+  botApi: createRateLimiter("botApi", {
     points: CONFIG.LIMITS.MAX_BOT_REQUESTS_PER_MINUTE,
     duration: 60,
     blockDuration: 60,
   }),
-  humanApi: new RateLimiterMemory({
+  humanApi: createRateLimiter("humanApi", {
     points: CONFIG.LIMITS.MAX_REQUESTS_PER_MINUTE,
     duration: 60,
     blockDuration: 300,
   }),
+  // Wrong x-admin-key guesses (server/admin.js)
+  adminKey: createRateLimiter("adminKey", {
+    points: 5,
+    duration: 900,
+    blockDuration: 900,
+  }),
 };
 
 // ── Browser Detection ───────────────────────────────────────────────────────
@@ -101,6 +121,7 @@ function validateBotToken(token) {
   if (!data) return null;
   if (Date.now() - data.createdAt > CONFIG.TIMING.BOT_TOKEN_EXPIRY) {
     state.botTokens.delete(token);
+    persistDelete("botTokens", token);
     return null;
   }
   return data;
@@ -164,6 +185,8 @@ function detectBotBehavior(userId, clientIp) {
     if (validUser.length > threshold * 2) {
       state.botBlacklist.add(userId);
       state.botBlacklist.add(clientIp);
+      persistSet("botBlacklist", userId, { addedAt: now });
+      persistSet("botBlacklist", clientIp, { addedAt: now });
     }
     return true;
   }
@@ -174,6 +197,45 @@ function isBlacklisted(userId, clientIp) {
   return state.botBlacklist.has(userId) || state.botBlacklist.has(clientIp);
 }
 
+// ── Persistence ─────────────────────────────────────────────────────────────
+
+// Restores bot tokens, IP blocks and the blacklist from state.storage so a
+// restart doesn't hand every blocked client a clean slate. Expired entries
+// are dropped on the way in.
+async function loadSecurityState() {
+  const now = Date.now();
+
+  for (const [token, data] of await state.storage.load("botTokens")) {
+    if (now - data.createdAt > CONFIG.TIMING.BOT_TOKEN_EXPIRY) {
+      persistDelete("botTokens", token);
+      continue;
+    }
+    state.botTokens.set(token, data);
+    state.ipBotTokenCounts.set(
+      data.ip,
+      (state.ipBotTokenCounts.get(data.ip) || 0) + 1,
+    );
+  }
+
+  for (const [ip, block] of await state.storage.load("blockedIPs")) {
+    if (now >= block.expiry) {
+      persistDelete("blockedIPs", ip);
+      continue;
+    }
+    state.blockedIPs.set(ip, block);
+  }
+
+  for (const [id] of await state.storage.load("botBlacklist")) {
+    state.botBlacklist.add(id);
+  }
+
+  console.log(
+    `Loaded security state: ${state.botTokens.size} token(s), ` +
+      `${state.blockedIPs.size} IP block(s), ` +
+      `${state.botBlacklist.size} blacklist entr${state.botBlacklist.size === 1 ? "y" : "ies"}.`,
+  );
+}
+
 // ── Middleware ───────────────────────────────────────────────────────────────
 
 function antibotMiddleware(req, res, next) {
@@ -299,13 +361,15 @@ async function handleBotTokenRequest(req, res) {
       });
   }
   const token = generateBotToken();
-  state.botTokens.set(token, {
+  const tokenData = {
     ip: clientIp,
     userAgent: req.headers["user-agent"] || "",
     createdAt: Date.now(),
     lastUsed: Date.now(),
     uses: 0,
-  });
+  };
+  state.botTokens.set(token, tokenData);
+  persistSet("botTokens", token, tokenData);
   state.ipBotTokenCounts.set(clientIp, count + 1);
   console.log(
     `Bot token generated for ${clientIp}: ${token.substring(0, 10)}...`,
@@ -369,6 +433,44 @@ function apiAuth(req, res, next) {
   next();
 }
 
+// ── Signed Tokens ───────────────────────────────────────────────────────────
+
+// Friend codes, room invites and chat requests carry an HMAC instead of
+// server-side state, so any cluster worker can check them. Workers share
+// SESSION_SECRET; without it they stop verifying on restart, like sessions.
+const TOKEN_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+function signValue(value) {
+  return crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(value)
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+function verifySignedValue(value, signature) {
+  const expected = Buffer.from(signValue(value));
+  const actual = Buffer.from(String(signature));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// "<expires>.<signature>" for `value`, good for `ttl` ms
+function createExpiringToken(value, ttl) {
+  const expires = Date.now() + ttl;
+  return `${expires}.${signValue(`${value}:${expires}`)}`;
+}
+
+function checkExpiringToken(token, value) {
+  if (typeof token !== "string" || token.length > 64) return false;
+  const [expires, signature] = token.split(".");
+  if (!(Number(expires) > Date.now())) return false;
+  return verifySignedValue(`${value}:${expires}`, signature);
+}
+
 // ── Validation ──────────────────────────────────────────────────────────────
 
 const validationRules = {
@@ -386,6 +488,15 @@ const validationRules = {
       return `Location must be at most ${CONFIG.LIMITS.MAX_LOCATION_LENGTH} characters.`;
     return null;
   },
+  // Optional; only registered names need one (see server/accounts.js)
+  password: (v) => {
+    if (v === undefined || v === "") return null;
+    if (typeof v !== "string") return "Password must be a string.";
+    const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = CONFIG.ACCOUNTS;
+    if (v.length < MIN_PASSWORD_LENGTH || v.length > MAX_PASSWORD_LENGTH)
+      return `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`;
+    return null;
+  },
   roomName: (v) => {
     if (!v || typeof v !== "string")
       return "Room name is required and must be a string.";
@@ -406,6 +517,14 @@ const validationRules = {
       return "Room layout must be horizontal or vertical.";
     return null;
   },
+  // Optional; missing means DEFAULT_ROOM_CAPACITY
+  capacity: (v) => {
+    if (v === undefined) return null;
+    const { MIN_ROOM_CAPACITY, MAX_ROOM_CAPACITY } = CONFIG.LIMITS;
+    if (!Number.isInteger(v) || v < MIN_ROOM_CAPACITY || v > MAX_ROOM_CAPACITY)
+      return `Capacity must be a whole number from ${MIN_ROOM_CAPACITY} to ${MAX_ROOM_CAPACITY}.`;
+    return null;
+  },
   accessCode: (v, roomType) => {
     if (roomType === "semi-private") {
       if (!v) return "Access code is required for semi-private rooms.";
@@ -414,6 +533,49 @@ const validationRules = {
     }
     return null;
   },
+  // Optional; missing fields take the defaults (see server/moderation.js)
+  roomPolicy: (v) => {
+    if (v === undefined) return null;
+    if (typeof v !== "object" || v === null || Array.isArray(v))
+      return "Room policy must be an object.";
+    if (
+      v.wordFilter !== undefined &&
+      !CONFIG.MODERATION.ACTIONS.includes(v.wordFilter)
+    )
+      return `Word filter must be one of: ${CONFIG.MODERATION.ACTIONS.join(", ")}.`;
+    if (v.allowLinks !== undefined && typeof v.allowLinks !== "boolean")
+      return "allowLinks must be true or false.";
+    if (v.emojiOnly !== undefined && typeof v.emojiOnly !== "boolean")
+      return "emojiOnly must be true or false.";
+    if (
+      v.maxMessageLength !== undefined &&
+      !(
+        Number.isInteger(v.maxMessageLength) &&
+        v.maxMessageLength >= 1 &&
+        v.maxMessageLength <= CONFIG.LIMITS.MAX_MESSAGE_LENGTH
+      )
+    )
+      return `Max message length must be a whole number from 1 to ${CONFIG.LIMITS.MAX_MESSAGE_LENGTH}.`;
+    if (
+      v.minAccountAge !== undefined &&
+      !(
+        Number.isInteger(v.minAccountAge) &&
+        v.minAccountAge >= 0 &&
+        v.minAccountAge <= CONFIG.LIMITS.MAX_ROOM_MIN_ACCOUNT_AGE
+      )
+    )
+      return `Minimum account age must be a whole number of minutes from 0 to ${CONFIG.LIMITS.MAX_ROOM_MIN_ACCOUNT_AGE}.`;
+    if (
+      v.languages !== undefined &&
+      v.languages !== "auto" &&
+      !(
+        Array.isArray(v.languages) &&
+        v.languages.every((code) => CONFIG.MODERATION.LANGUAGES.includes(code))
+      )
+    )
+      return `Languages must be "auto" or a list of: ${CONFIG.MODERATION.LANGUAGES.join(", ")}.`;
+    return null;
+  },
 };
 
 function validate(field, value, context) {
@@ -459,6 +621,13 @@ module.exports = {
   // Handlers
   handleBotTokenRequest,
   handleBotTokenInfo,
+  // Signed tokens
+  signValue,
+  verifySignedValue,
+  createExpiringToken,
+  checkExpiringToken,
+  // Persistence
+  loadSecurityState,
   // Validation
   validate,
   validateObject,
@@ -4,11 +4,19 @@
 const path = require("path");
 const fs = require("fs").promises;
 const crypto = require("crypto");
+const os = require("os");
 const util = require("util");
+const { readFileSync } = require("fs");
 const WordFilter = require("../public/js/word-filter.js");
 
 // ── Config ──────────────────────────────────────────────────────────────────
 
+// MAX_ROOM_CAPACITY lowers the cap of 10 but never below the minimum of 2
+const MAX_ROOM_CAPACITY = Math.max(
+  Math.min(parseInt(process.env.MAX_ROOM_CAPACITY, 10) || 10, 10),
+  2,
+);
+
 const CONFIG = {
   LIMITS: {
     MAX_USERNAME_LENGTH: 15,
@@ -16,7 +24,11 @@ const CONFIG = {
     MAX_LOCATION_LENGTH: 20,
     MAX_ROOM_NAME_LENGTH: 25,
     MAX_MESSAGE_LENGTH: 5000,
-    MAX_ROOM_CAPACITY: 5,
+    // Creators pick a room's capacity between MIN and MAX; rooms saved
+    // before capacities existed hold DEFAULT, which never exceeds MAX
+    MIN_ROOM_CAPACITY: 2,
+    DEFAULT_ROOM_CAPACITY: Math.min(5, MAX_ROOM_CAPACITY),
+    MAX_ROOM_CAPACITY,
     BASE_MAX_ROOMS: 15,
     ROOM_SCALING_INCREMENT: 5,
     MAX_CONNECTIONS_PER_IP: 8,
@@ -38,6 +50,15 @@ const CONFIG = {
 
     // Minimum users in a room before the vote-kick system is active
     MIN_USERS_FOR_VOTING: 3,
+    // Every vote-kick ballot names one of these
+    VOTE_REASONS: ["spam", "harassment", "bot"],
+    // Kick audit entries kept in storage (oldest dropped first)
+    MAX_KICK_AUDIT_ENTRIES: 1000,
+    // Longest minimum account age (minutes) a room policy can ask for
+    MAX_ROOM_MIN_ACCOUNT_AGE: 10080,
+    // Custom word lists (server/wordlists.js): terms per list, term length
+    MAX_CUSTOM_WORDS: 500,
+    MAX_CUSTOM_WORD_LENGTH: 50,
 
     // Maximum consecutive combining marks allowed per base character
     MAX_COMBINING_MARKS: 2,
@@ -67,6 +88,9 @@ const CONFIG = {
     ENABLE_STRICT_ANTIBOT: true,
     ENABLE_BOT_TOKENS: true,
     ENABLE_IP_BASED_USERS: false,
+    ENABLE_ACCOUNTS: true,
+    ENABLE_FRIENDS: true,
+    PERSIST_BOARDS: false, // save Talkoboard pages with their rooms
     REQUIRE_USER_AGENT: true,
   },
   TIMING: {
@@ -78,6 +102,60 @@ const CONFIG = {
     BOT_BLOCK_DURATION: 300000,
     BOT_TOKEN_EXPIRY: 2592000000,
     BOT_TOKEN_CLEANUP_INTERVAL: 86400000,
+    // Vote-kick ballots expire after this long. A user whose ballots all
+    // expired can't be voted on again for VOTE_TARGET_COOLDOWN, and kicks
+    // (by vote or by the room owner) ban from the room for ROOM_BAN_DURATION.
+    VOTE_BALLOT_TTL: parseInt(process.env.VOTE_BALLOT_TTL, 10) || 300000,
+    VOTE_TARGET_COOLDOWN:
+      parseInt(process.env.VOTE_TARGET_COOLDOWN, 10) || 600000,
+    ROOM_BAN_DURATION: parseInt(process.env.ROOM_BAN_DURATION, 10) || 1800000,
+    // Direct chat requests (rooms.js) can be answered for CHAT_REQUEST_TTL;
+    // one user can ask the same user again after CHAT_REQUEST_COOLDOWN
+    CHAT_REQUEST_TTL: 120000,
+    CHAT_REQUEST_COOLDOWN: 30000,
+  },
+  // Server-side chat moderation (server/moderation.js). ACTION is what a
+  // room does with offensive words unless its owner picks another one.
+  // Offenses within OFFENSE_WINDOW escalate: a chat mute at MUTE_AFTER,
+  // a kick at KICK_AFTER.
+  MODERATION: {
+    ACTIONS: ["mask", "block", "flag"],
+    ACTION: process.env.CHAT_FILTER_ACTION || "mask",
+    OFFENSE_WINDOW: 600000,
+    MUTE_AFTER: 3,
+    MUTE_DURATION: 120000,
+    KICK_AFTER: 5,
+    MAX_TRACKED_USERS: 1000,
+    // Word filter language packs, public/js/filter-packs/<code>.json
+    LANGUAGES: ["es", "fr", "de", "pt", "ar", "tr"],
+    // How long a language seen in a room keeps its pack on (policy "auto")
+    LANGUAGE_TTL: 1800000,
+  },
+  // Optional registered accounts (server/accounts.js). MAX_FAILED_LOGINS
+  // wrong passwords for one name lock it for LOGIN_LOCKOUT.
+  ACCOUNTS: {
+    MIN_PASSWORD_LENGTH: 8,
+    MAX_PASSWORD_LENGTH: 128,
+    MAX_FAILED_LOGINS: 5,
+    LOGIN_LOCKOUT: 900000,
+  },
+  // Friend lists and presence (server/friends.js). One user can invite the
+  // same friend once per INVITE_COOLDOWN; an invite is good for INVITE_TTL.
+  FRIENDS: {
+    MAX_FRIENDS: 50,
+    INVITE_COOLDOWN: 30000,
+    INVITE_TTL: 600000,
+  },
+  // Persistence for rooms, bot tokens, IP blocks and the bot blacklist.
+  // "json" writes <collection>.json files, "sqlite" one embedded database.
+  STORAGE: {
+    BACKEND: process.env.STORAGE_BACKEND || "json",
+    DIR: process.env.STORAGE_DIR || path.join(__dirname, ".."),
+    SQLITE_FILE: process.env.SQLITE_FILE || "talkomatic.db",
+  },
+  // Cluster mode (npm run start:cluster): worker processes behind one port
+  CLUSTER: {
+    WORKERS: parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length,
   },
   VERSIONS: {
     API: "v1",
@@ -89,6 +167,12 @@ const CONFIG = {
   DEV: {
     KEY_HASH: process.env.DEV_KEY_HASH || "",
   },
+
+  // Admin API: SHA-256 hash of the admin key, set in .env as ADMIN_KEY_HASH.
+  // The API answers 404 until it is set.
+  ADMIN: {
+    KEY_HASH: process.env.ADMIN_KEY_HASH || "",
+  },
 };
 
 const ERROR_CODES = {
@@ -110,16 +194,20 @@ const ERROR_CODES = {
   INVALID_BOT_TOKEN: "INVALID_BOT_TOKEN",
   TOKEN_NOT_ALLOWED_IN_BROWSER: "TOKEN_NOT_ALLOWED_IN_BROWSER",
   AUTOMATED_ACCESS_BLOCKED: "AUTOMATED_ACCESS_BLOCKED",
+  NAME_RESERVED: "NAME_RESERVED",
 };
 
 // ── Word Filter ─────────────────────────────────────────────────────────────
 
+// The filter's JSON files, shared with the browser (public/js/word-filter.js)
+const WORD_FILTER_DIR = path.join(__dirname, "..", "public", "js");
+
 let wordFilter;
 try {
-  wordFilter = new WordFilter(
-    path.join(__dirname, "..", "public", "js", "offensive_words.json"),
-    path.join(__dirname, "..", "public", "js", "character_substitutions.json"),
+  wordFilter = new WordFilter((name) =>
+    JSON.parse(readFileSync(path.join(WORD_FILTER_DIR, name), "utf8")),
   );
+  wordFilter.reload();
 } catch (err) {
   console.error("Failed to initialize WordFilter:", err);
   wordFilter = {
@@ -135,6 +223,14 @@ const state = {
   // io reference (set by server.js after creation)
   io: null,
 
+  // Storage adapter (set by server.js at startup, see server/storage.js)
+  storage: null,
+
+  // Cluster mode: SharedState to the other workers and this worker's id
+  // (both null in a single process, see server/cluster.js)
+  shared: null,
+  workerId: null,
+
   // Room data
   rooms: new Map(),
   users: new Map(),
@@ -144,6 +240,9 @@ const state = {
   // Chat / typing
   typingTimeouts: new Map(),
   userMessageBuffers: new Map(),
+  // What each local user actually typed, when moderation changed what the
+  // room sees: userId → { text, shown } (see processPendingChatUpdates)
+  rawMessageBuffers: new Map(),
   pendingChatUpdates: new Map(),
   batchProcessingTimers: new Map(),
 
@@ -332,6 +431,7 @@ module.exports = {
   CONFIG,
   ERROR_CODES,
   wordFilter,
+  WORD_FILTER_DIR,
   state,
   getClientIP,
   createErrorResponse,
@@ -0,0 +1,277 @@
+// server/storage.js
+// Persistence backends for state that should survive a restart: rooms, bot
+// tokens, IP blocks, the bot blacklist, the kick audit log, operator
+// announcements, word lists, user accounts and their friend lists.
+// Everything is stored as keyed collections of plain JSON values behind one
+// small adapter interface:
+//
+//   init()                         open files / database
+//   load(collection)               → [[key, value], ...]
+//   get(collection, key)           → value, or null
+//   set(collection, key, value)    upsert one entry
+//   add(collection, key, value)    insert one entry unless the key exists;
+//                                  → whether it was inserted
+//   delete(collection, key)        remove one entry
+//   replace(collection, entries)   swap the whole collection at once
+//   close()
+//
+// Callers convert Sets/Maps to arrays before saving. Pick a backend with
+// STORAGE_BACKEND=json|sqlite (see CONFIG.STORAGE).
+
+const path = require("path");
+const fs = require("fs").promises;
+const { state } = require("./state");
+
+const COLLECTIONS = [
+  "rooms",
+  "botTokens",
+  "blockedIPs",
+  "botBlacklist",
+  "kickAudit",
+  "announcements",
+  "wordLists",
+  "accounts",
+  "friends",
+];
+
+function assertCollection(collection) {
+  if (!COLLECTIONS.includes(collection)) {
+    throw new Error(`Unknown storage collection: ${collection}`);
+  }
+}
+
+// ── JSON Files ──────────────────────────────────────────────────────────────
+
+// One <collection>.json file per collection, written via tmp+rename. The
+// rooms collection keeps the historical rooms.json name and format.
+class JsonFileStorage {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.collections = new Map(); // collection → Map<key, value>
+    this.writeQueues = new Map(); // collection → Promise (serializes writes)
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+    for (const collection of COLLECTIONS) {
+      this.collections.set(collection, new Map(await this.read(collection)));
+    }
+  }
+
+  filePath(collection) {
+    return path.join(this.dir, `${collection}.json`);
+  }
+
+  async read(collection) {
+    try {
+      const arr = JSON.parse(
+        await fs.readFile(this.filePath(collection), "utf8"),
+      );
+      return Array.isArray(arr) ? arr : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`Error reading ${collection}.json:`, err);
+      }
+      return [];
+    }
+  }
+
+  // Each write snapshots the collection when it runs, so queued writes
+  // never rename over a newer file with older data
+  write(collection) {
+    const previous = this.writeQueues.get(collection) || Promise.resolve();
+    const next = previous.then(async () => {
+      const final = this.filePath(collection);
+      const tmp = `${final}.tmp`;
+      const data = Array.from(this.collections.get(collection).entries());
+      try {
+        await fs.writeFile(tmp, JSON.stringify(data), "utf8");
+        await fs.rename(tmp, final);
+      } catch (err) {
+        await fs.unlink(tmp).catch(() => {});
+        throw err;
+      }
+    });
+    this.writeQueues.set(
+      collection,
+      next.catch(() => {}),
+    );
+    return next;
+  }
+
+  async load(collection) {
+    assertCollection(collection);
+    return Array.from(this.collections.get(collection).entries());
+  }
+
+  async get(collection, key) {
+    assertCollection(collection);
+    return this.collections.get(collection).get(key) ?? null;
+  }
+
+  async set(collection, key, value) {
+    assertCollection(collection);
+    this.collections.get(collection).set(key, value);
+    await this.write(collection);
+  }
+
+  async add(collection, key, value) {
+    assertCollection(collection);
+    if (this.collections.get(collection).has(key)) return false;
+    await this.set(collection, key, value);
+    return true;
+  }
+
+  async delete(collection, key) {
+    assertCollection(collection);
+    if (!this.collections.get(collection).delete(key)) return;
+    await this.write(collection);
+  }
+
+  async replace(collection, entries) {
+    assertCollection(collection);
+    this.collections.set(collection, new Map(entries));
+    await this.write(collection);
+  }
+
+  async close() {
+    await Promise.all(this.writeQueues.values());
+  }
+}
+
+// ── SQLite ──────────────────────────────────────────────────────────────────
+
+// A single key/value table in an embedded database. better-sqlite3 is
+// synchronous, which is fine at this size and keeps replace() atomic.
+class SqliteStorage {
+  constructor({ dir, sqliteFile }) {
+    this.file = path.isAbsolute(sqliteFile)
+      ? sqliteFile
+      : path.join(dir, sqliteFile);
+    this.db = null;
+  }
+
+  async init() {
+    const Database = require("better-sqlite3");
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entries (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      )
+    `);
+    this.statements = {
+      load: this.db.prepare(
+        "SELECT key, value FROM entries WHERE collection = ?",
+      ),
+      get: this.db.prepare(
+        "SELECT value FROM entries WHERE collection = ? AND key = ?",
+      ),
+      set: this.db.prepare(
+        "INSERT OR REPLACE INTO entries (collection, key, value) VALUES (?, ?, ?)",
+      ),
+      add: this.db.prepare(
+        "INSERT OR IGNORE INTO entries (collection, key, value) VALUES (?, ?, ?)",
+      ),
+      delete: this.db.prepare(
+        "DELETE FROM entries WHERE collection = ? AND key = ?",
+      ),
+      clear: this.db.prepare("DELETE FROM entries WHERE collection = ?"),
+    };
+    this.replaceTx = this.db.transaction((collection, entries) => {
+      this.statements.clear.run(collection);
+      for (const [key, value] of entries) {
+        this.statements.set.run(collection, String(key), JSON.stringify(value));
+      }
+    });
+  }
+
+  async load(collection) {
+    assertCollection(collection);
+    return this.statements.load
+      .all(collection)
+      .map((row) => [row.key, JSON.parse(row.value)]);
+  }
+
+  async get(collection, key) {
+    assertCollection(collection);
+    const row = this.statements.get.get(collection, String(key));
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(collection, key, value) {
+    assertCollection(collection);
+    this.statements.set.run(collection, String(key), JSON.stringify(value));
+  }
+
+  // The database decides, so this holds across cluster workers too
+  async add(collection, key, value) {
+    assertCollection(collection);
+    const { changes } = this.statements.add.run(
+      collection,
+      String(key),
+      JSON.stringify(value),
+    );
+    return changes > 0;
+  }
+
+  async delete(collection, key) {
+    assertCollection(collection);
+    this.statements.delete.run(collection, String(key));
+  }
+
+  async replace(collection, entries) {
+    assertCollection(collection);
+    this.replaceTx(collection, entries);
+  }
+
+  async close() {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+}
+
+// ── Factory ─────────────────────────────────────────────────────────────────
+
+function createStorage(config) {
+  const options = { dir: config.DIR, sqliteFile: config.SQLITE_FILE };
+  switch (config.BACKEND) {
+    case "json":
+      return new JsonFileStorage(options);
+    case "sqlite":
+      return new SqliteStorage(options);
+    default:
+      throw new Error(`Unknown storage backend: ${config.BACKEND}`);
+  }
+}
+
+// Fire-and-forget writes for request paths: failures are logged, never
+// thrown, so a storage hiccup can't break token checks or bot detection
+function persistSet(collection, key, value) {
+  if (!state.storage) return;
+  state.storage
+    .set(collection, key, value)
+    .catch((err) => console.error(`Storage set (${collection}):`, err));
+}
+
+function persistDelete(collection, key) {
+  if (!state.storage) return;
+  state.storage
+    .delete(collection, key)
+    .catch((err) => console.error(`Storage delete (${collection}):`, err));
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  COLLECTIONS,
+  JsonFileStorage,
+  SqliteStorage,
+  createStorage,
+  persistSet,
+  persistDelete,
+};
@@ -0,0 +1,326 @@
+// server/wordlists.js
+// Custom word lists layered over offensive_words.json (see WordFilter
+// setLayer): extra banned terms, and whitelisted ones like local place
+// names, for the whole deployment or for one room. The deployment list
+// lives in storage and applies to every check; a room's list is kept on the
+// room itself (room.wordList), so it replicates and goes away with the room,
+// and applies to that room's chat. Managed through the admin API
+// (server/admin.js).
+// Language packs (public/js/filter-packs) are layers too: a room's policy
+// picks some, or "auto" turns on the ones for languages seen in the room.
+// The JSON files hot-reload when they change on disk.
+
+const fs = require("fs");
+const path = require("path");
+const WordFilter = require("../public/js/word-filter.js");
+const { CONFIG, state, wordFilter, WORD_FILTER_DIR } = require("./state");
+const { persistSet } = require("./storage");
+
+const DEPLOYMENT = "deployment";
+const LISTS = ["offensive", "whitelisted"];
+const FILE_POLL_INTERVAL = 2000;
+const PACKS_DIR = path.join(WORD_FILTER_DIR, "filter-packs");
+
+// roomId → updatedAt of the list loaded into the room's layer
+const roomLayerVersions = new Map();
+// code → { name, detectWords: Set, detectLetters: [char] }
+const languagePacks = new Map();
+// roomId → Map(code → last seen), for rooms on language policy "auto"
+const roomLanguages = new Map();
+
+function roomLayerName(roomId) {
+  return `room:${roomId}`;
+}
+
+function emptyList() {
+  return { offensive: [], whitelisted: [], updatedAt: null };
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function normalizeTerm(term) {
+  return term.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Returns an error message, or null if `data` holds valid terms:
+// { offensive?: [term], whitelisted?: [term] }
+function validateWordListTerms(data) {
+  if (!CONFIG.FEATURES.ENABLE_WORD_FILTER) return "word filter is disabled";
+  if (!LISTS.some((list) => data?.[list] !== undefined))
+    return `one of ${LISTS.join(", ")} required`;
+  for (const list of LISTS) {
+    const terms = data[list];
+    if (terms === undefined) continue;
+    if (!Array.isArray(terms) || terms.length > CONFIG.LIMITS.MAX_CUSTOM_WORDS)
+      return `${list} must be an array of at most ${CONFIG.LIMITS.MAX_CUSTOM_WORDS} terms`;
+    for (const term of terms) {
+      if (
+        typeof term !== "string" ||
+        normalizeTerm(term).length > CONFIG.LIMITS.MAX_CUSTOM_WORD_LENGTH
+      )
+        return `${list} terms must be strings of at most ${CONFIG.LIMITS.MAX_CUSTOM_WORD_LENGTH} characters`;
+      // The filter never flags a match shorter than 3 characters
+      if (wordFilter.stringToAlphanumeric(term).length < 3)
+        return `"${term}" needs at least 3 letters or digits`;
+    }
+  }
+  return null;
+}
+
+// ── Lists ───────────────────────────────────────────────────────────────────
+
+async function loadDeploymentList() {
+  if (!state.storage) return emptyList();
+  const entries = await state.storage.load("wordLists");
+  return new Map(entries).get(DEPLOYMENT) || emptyList();
+}
+
+function applyDeploymentList(list) {
+  if (!CONFIG.FEATURES.ENABLE_WORD_FILTER) return;
+  wordFilter.setLayer(DEPLOYMENT, { ...list, global: true });
+}
+
+// Both scopes, for the admin API
+async function getWordLists() {
+  const rooms = [];
+  for (const room of state.rooms.values()) {
+    if (!room.wordList) continue;
+    rooms.push({ roomId: room.id, roomName: room.name, ...room.wordList });
+  }
+  return { deployment: await loadDeploymentList(), rooms };
+}
+
+// `list` with `terms` added (or removed), each list capped at the limit.
+// Returns null if an addition would go over it.
+function changeList(list, terms, remove) {
+  const next = { ...emptyList(), ...list, updatedAt: Date.now() };
+  for (const name of LISTS) {
+    const changed = (terms[name] || []).map(normalizeTerm);
+    if (remove) {
+      next[name] = next[name].filter((term) => !changed.includes(term));
+    } else {
+      next[name] = [...new Set([...next[name], ...changed])];
+      if (next[name].length > CONFIG.LIMITS.MAX_CUSTOM_WORDS) return null;
+    }
+  }
+  return next;
+}
+
+// Call validateWordListTerms first. `scope` is "deployment" or a room.
+// Returns the updated list, or null if it would grow past the limit; room
+// callers still have to replicate and save the room.
+async function updateWordList(scope, terms, remove = false) {
+  if (scope === DEPLOYMENT) {
+    const list = changeList(await loadDeploymentList(), terms, remove);
+    if (!list) return null;
+    applyDeploymentList(list);
+    persistSet("wordLists", DEPLOYMENT, list);
+    if (state.shared) state.shared.publish({ type: "wordListUpdated" });
+    return list;
+  }
+  const list = changeList(scope.wordList, terms, remove);
+  if (!list) return null;
+  scope.wordList =
+    list.offensive.length || list.whitelisted.length ? list : null;
+  return list;
+}
+
+// ── Room Layers ─────────────────────────────────────────────────────────────
+
+// Names of the layers a check in `room` should apply. Room lists are loaded
+// into the filter lazily, on the first check after they change, so peers'
+// edits (which arrive as room replicas) are picked up the same way.
+function getRoomFilterLayers(room) {
+  if (!room || !CONFIG.FEATURES.ENABLE_WORD_FILTER) return [];
+  const name = roomLayerName(room.id);
+  if (!room.wordList) {
+    if (roomLayerVersions.delete(room.id)) wordFilter.deleteLayer(name);
+    return [];
+  }
+  if (roomLayerVersions.get(room.id) !== room.wordList.updatedAt) {
+    wordFilter.setLayer(name, room.wordList);
+    roomLayerVersions.set(room.id, room.wordList.updatedAt);
+    // Drop the layers of rooms that are gone
+    for (const roomId of roomLayerVersions.keys()) {
+      if (state.rooms.has(roomId)) continue;
+      roomLayerVersions.delete(roomId);
+      wordFilter.deleteLayer(roomLayerName(roomId));
+    }
+  }
+  return [name];
+}
+
+// ── Language Packs ──────────────────────────────────────────────────────────
+
+function packLayerName(code) {
+  return `lang:${code}`;
+}
+
+function packFile(code) {
+  return path.join(PACKS_DIR, `${code}.json`);
+}
+
+// A broken pack file leaves the pack as it was
+function loadLanguagePack(code) {
+  try {
+    const data = JSON.parse(fs.readFileSync(packFile(code), "utf8"));
+    if (
+      !Array.isArray(data.offensive_words) ||
+      !Array.isArray(data.whitelisted_words)
+    ) {
+      throw new Error("offensive_words and whitelisted_words must be arrays");
+    }
+    wordFilter.setLayer(packLayerName(code), {
+      offensive: data.offensive_words,
+      whitelisted: data.whitelisted_words,
+    });
+    languagePacks.set(code, {
+      name: data.name || code,
+      detectWords: new Set(
+        (data.detect_words || []).map((w) => w.toLowerCase()),
+      ),
+      detectLetters: [...(data.detect_letters || "")],
+    });
+    return true;
+  } catch (err) {
+    console.error(`Error loading filter pack "${code}":`, err.message);
+    return false;
+  }
+}
+
+// Languages `text` looks written in: one of a pack's own letters (ñ, ß,
+// ğ...) or two of its common words
+function detectLanguages(text) {
+  const lower = text.toLowerCase();
+  const words = new Set(lower.match(/[\p{L}\p{N}']+/gu) || []);
+  const found = [];
+  for (const [code, pack] of languagePacks) {
+    let hits = pack.detectLetters.some((c) => lower.includes(c)) ? 2 : 0;
+    for (const word of words) {
+      if (hits >= 2) break;
+      if (pack.detectWords.has(word)) hits++;
+    }
+    if (hits >= 2) found.push(code);
+  }
+  return found;
+}
+
+// Pack codes in an Accept-Language header ("es-MX,es;q=0.9,en;q=0.8")
+function parseAcceptLanguage(header) {
+  if (typeof header !== "string") return [];
+  return header
+    .split(",")
+    .map((part) => part.trim().slice(0, 2).toLowerCase())
+    .filter((code) => languagePacks.has(code));
+}
+
+// Names of the pack layers a check in `room` should apply. `languages` is
+// the room policy's: pack codes, or "auto" for every language seen in the
+// room within CONFIG.MODERATION.LANGUAGE_TTL, in its chat or in the
+// sender's browser languages. Sightings are kept per worker.
+function getLanguageLayers(room, languages, text, acceptLanguage) {
+  if (!room || !CONFIG.FEATURES.ENABLE_WORD_FILTER) return [];
+  if (languages !== "auto") {
+    return languages
+      .filter((code) => languagePacks.has(code))
+      .map(packLayerName);
+  }
+
+  const now = Date.now();
+  let seen = roomLanguages.get(room.id);
+  if (!seen) {
+    // Forget the rooms that are gone
+    for (const roomId of roomLanguages.keys()) {
+      if (!state.rooms.has(roomId)) roomLanguages.delete(roomId);
+    }
+    seen = new Map();
+    roomLanguages.set(room.id, seen);
+  }
+  for (const code of detectLanguages(text || "")) seen.set(code, now);
+  for (const code of parseAcceptLanguage(acceptLanguage)) seen.set(code, now);
+
+  const layers = [];
+  for (const [code, at] of seen) {
+    if (now - at < CONFIG.MODERATION.LANGUAGE_TTL) {
+      layers.push(packLayerName(code));
+    } else {
+      seen.delete(code);
+    }
+  }
+  return layers;
+}
+
+// ── Hot Reload ──────────────────────────────────────────────────────────────
+
+// Re-reads offensive_words.json, character_substitutions.json and the
+// language packs. A broken offensive_words.json leaves the current lists
+// in place.
+function reloadWordFilter() {
+  if (!CONFIG.FEATURES.ENABLE_WORD_FILTER) return false;
+  try {
+    wordFilter.reload();
+    for (const code of languagePacks.keys()) loadLanguagePack(code);
+    return true;
+  } catch (err) {
+    console.error("Word filter reload failed, keeping current lists:", err);
+    return false;
+  }
+}
+
+// Every worker polls the files itself. watchFile survives editors that
+// replace the file instead of writing to it.
+function watchFile(file, onChange) {
+  fs.watchFile(
+    file,
+    { persistent: false, interval: FILE_POLL_INTERVAL },
+    (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      console.log(`${file} changed, reloading`);
+      onChange();
+    },
+  );
+}
+
+function watchWordFilterFiles() {
+  for (const name of WordFilter.FILES) {
+    watchFile(path.join(WORD_FILTER_DIR, name), reloadWordFilter);
+  }
+  for (const code of CONFIG.MODERATION.LANGUAGES) {
+    watchFile(packFile(code), () => loadLanguagePack(code));
+  }
+}
+
+// ── Startup ─────────────────────────────────────────────────────────────────
+
+function handlePeerMessage(message) {
+  if (message.type === "wordListUpdated") {
+    loadDeploymentList()
+      .then(applyDeploymentList)
+      .catch((err) => console.error("Error loading word list:", err));
+  } else if (message.type === "wordFilterReload") {
+    reloadWordFilter();
+  }
+}
+
+// Called once at startup, after storage is ready
+async function initWordLists() {
+  if (!CONFIG.FEATURES.ENABLE_WORD_FILTER) return;
+  for (const code of CONFIG.MODERATION.LANGUAGES) loadLanguagePack(code);
+  applyDeploymentList(await loadDeploymentList());
+  watchWordFilterFiles();
+  if (state.shared) state.shared.onMessage(handlePeerMessage);
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  DEPLOYMENT,
+  LISTS,
+  validateWordListTerms,
+  getWordLists,
+  updateWordList,
+  getRoomFilterLayers,
+  getLanguageLayers,
+  reloadWordFilter,
+  initWordLists,
+};
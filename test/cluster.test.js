@@ -0,0 +1,143 @@
+// test/cluster.test.js
+// The SharedState stand-in and what's built on it (server/cluster.js)
+
+const {
+  NamespaceStore,
+  MemorySharedHub,
+  MemorySharedState,
+  SharedSessionStore,
+} = require("../server/cluster");
+
+// Lets setImmediate deliveries run
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function workers(count) {
+  const hub = new MemorySharedHub();
+  return Array.from({ length: count }, () => new MemorySharedState(hub));
+}
+
+test("publish reaches every other worker, in order", async () => {
+  const [a, b, c] = workers(3);
+  const seen = { a: [], b: [], c: [] };
+  a.onMessage((m) => seen.a.push(m.n));
+  b.onMessage((m) => seen.b.push(m.n));
+  c.onMessage((m) => seen.c.push(m.n));
+
+  a.publish({ n: 1 });
+  a.publish({ n: 2 });
+  expect(seen.b).toEqual([]); // delivery is asynchronous
+  await flush();
+
+  expect(seen.a).toEqual([]);
+  expect(seen.b).toEqual([1, 2]);
+  expect(seen.c).toEqual([1, 2]);
+});
+
+test("a closed worker gets nothing more", async () => {
+  const [a, b] = workers(2);
+  const seen = [];
+  b.onMessage((m) => seen.push(m));
+  b.close();
+  a.publish({ type: "gone" });
+  await flush();
+  expect(seen).toEqual([]);
+});
+
+test("messages and values are copied like IPC copies them", async () => {
+  const [a, b] = workers(2);
+  let received;
+  b.onMessage((m) => (received = m));
+
+  const message = { points: Buffer.from([1, 2, 3]), list: [1] };
+  a.publish(message);
+  message.list.push(2);
+  await flush();
+  expect(received.list).toEqual([1]);
+  expect(Buffer.isBuffer(received.points)).toBe(true);
+
+  const room = { id: "r1", users: [] };
+  await a.set("rooms", "r1", room);
+  room.users.push("late");
+  const stored = await b.get("rooms", "r1");
+  expect(stored).toEqual({ id: "r1", users: [] });
+  stored.users.push("mine");
+  expect((await a.get("rooms", "r1")).users).toEqual([]);
+});
+
+test("get, set, delete and entries share one store", async () => {
+  const [a, b] = workers(2);
+  expect(await a.get("rooms", "r1")).toBeUndefined();
+  await a.set("rooms", "r1", { name: "One" });
+  await b.set("rooms", "r2", { name: "Two" });
+  expect(await b.entries("rooms")).toEqual([
+    ["r1", { name: "One" }],
+    ["r2", { name: "Two" }],
+  ]);
+  await b.delete("rooms", "r1");
+  expect(await a.entries("rooms")).toEqual([["r2", { name: "Two" }]]);
+  expect(await a.entries("boards")).toEqual([]);
+});
+
+test("claim goes to one worker until it expires", async () => {
+  const [a, b] = workers(2);
+  const until = Date.now() + 60000;
+  expect(await a.claim("answers", "req1", until)).toBe(true);
+  expect(await b.claim("answers", "req1", until)).toBe(false);
+  expect(await a.claim("answers", "req1", until)).toBe(false);
+  expect(await b.claim("answers", "req2", until)).toBe(true);
+
+  const expired = Date.now() - 1;
+  expect(await a.claim("answers", "old", expired)).toBe(true);
+  expect(await b.claim("answers", "old", until)).toBe(true);
+});
+
+test("prune drops expired sessions and claims", () => {
+  const store = new NamespaceStore();
+  const past = new Date(Date.now() - 1000).toISOString();
+  const future = new Date(Date.now() + 60000).toISOString();
+  store.set("sessions", "old", { cookie: { expires: past } });
+  store.set("sessions", "live", { cookie: { expires: future } });
+  store.set("sessions", "browser", { cookie: {} });
+  store.claim("answers", "done", Date.now() - 1);
+  store.claim("answers", "open", Date.now() + 60000);
+
+  store.prune();
+
+  expect(store.entries("sessions").map(([sid]) => sid)).toEqual([
+    "live",
+    "browser",
+  ]);
+  expect(store.entries("answers").map(([key]) => key)).toEqual(["open"]);
+});
+
+test("a session saved on one worker is read on another", async () => {
+  const [a, b] = workers(2);
+  const storeA = new SharedSessionStore(a);
+  const storeB = new SharedSessionStore(b);
+  const expires = new Date(Date.now() + 60000).toISOString();
+
+  await new Promise((resolve, reject) =>
+    storeA.set("sid1", { userId: "u1", cookie: { expires } }, (err) =>
+      err ? reject(err) : resolve(),
+    ),
+  );
+  const sess = await new Promise((resolve, reject) =>
+    storeB.get("sid1", (err, value) => (err ? reject(err) : resolve(value))),
+  );
+  expect(sess.userId).toBe("u1");
+});
+
+test("an expired session reads as missing and is removed", async () => {
+  const [a] = workers(1);
+  const store = new SharedSessionStore(a);
+  const expires = new Date(Date.now() - 1000).toISOString();
+  await a.set("sessions", "sid1", { userId: "u1", cookie: { expires } });
+
+  const sess = await new Promise((resolve, reject) =>
+    store.get("sid1", (err, value) => (err ? reject(err) : resolve(value))),
+  );
+  expect(sess).toBeNull();
+  expect(await a.get("sessions", "sid1")).toBeUndefined();
+});
@@ -0,0 +1,42 @@
+// test/games.test.js
+// Games copied between workers (games.js)
+
+const v8 = require("v8");
+const { GameManager, restoreGame, HangmanGame } = require("../games");
+
+// What a game looks like after crossing IPC
+function copy(game) {
+  return v8.deserialize(v8.serialize(game));
+}
+
+test("restoreGame brings back the game's class", () => {
+  const owner = new GameManager();
+  const game = owner.createGame("r1", "tictactoe", "u1", "Ann");
+  owner.joinGame(game.id, "u2", "Bob");
+  owner.makeMove(game.id, "u1", { position: 4 });
+
+  const restored = restoreGame(copy(game));
+  expect(restored).toBeInstanceOf(game.constructor);
+  expect(restored.getGameState()).toEqual(game.getGameState());
+  expect(() => restoreGame({ type: "chess" })).toThrow("Unknown game type");
+});
+
+test("putGame replaces the copy and its player index", () => {
+  const owner = new GameManager();
+  const replica = new GameManager();
+  const game = owner.createGame("r1", "hangman", "u1", "Ann", {
+    word: "cat",
+  });
+  replica.putGame(restoreGame(copy(game)));
+  expect(replica.getPlayerGame("u1").id).toBe(game.id);
+
+  owner.joinGame(game.id, "u2", "Bob");
+  replica.putGame(restoreGame(copy(game)));
+  expect(replica.getGame(game.id)).toBeInstanceOf(HangmanGame);
+  expect(replica.getPlayerGame("u2").id).toBe(game.id);
+  expect(replica.getRoomGames("r1")).toHaveLength(1);
+
+  replica.removeGame(game.id);
+  expect(replica.getPlayerGame("u1")).toBeFalsy();
+  expect(replica.getRoomGames("r1")).toHaveLength(0);
+});
@@ -0,0 +1,357 @@
+// tools/filter-eval.js
+// Offline evaluation of the word filter (public/js/word-filter.js). Runs it
+// the way the server does (required, fs loader) and the way room.html does
+// (a plain script in a vm sandbox, fetch loader) over a labeled corpus and
+// reports:
+//   - precision and recall per filter, with each false positive/negative
+//   - every entry where the two disagree (same code, so a difference means
+//     the browser loaded something else)
+//   - checkText throughput, cold (caches cleared) and warm
+//
+// Usage: node tools/filter-eval.js [corpus.jsonl] [options]
+//   --bench N          benchmark passes over the corpus (default 20, 0 = off)
+//   --min-precision P  exit 1 if either filter's precision is below P (0-1)
+//   --min-recall R     exit 1 if either filter's recall is below R (0-1)
+//   --json             print the report as JSON
+//   --quiet            totals only, no per-entry listing
+// Exits 1 as well when the filters disagree on any entry.
+//
+// Corpus format, one JSON object per line (blank lines and lines starting
+// with // are skipped):
+//   { "text": "hello fuck you", "expected": [[6, 10]],
+//     "languages": ["es"], "note": "why this case exists" }
+// `expected` holds the [start, end) code-unit ranges that should be
+// flagged; [] means the text is clean. `languages` (optional) applies those
+// packs from public/js/filter-packs, as a room with that policy would.
+// A detected range counts as correct if it overlaps an expected one, so
+// ranges don't have to match the filter's exact ends (it often takes the
+// space after a word).
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const WordFilter = require("../public/js/word-filter.js");
+
+const ROOT = path.join(__dirname, "..");
+const PUBLIC_JS = path.join(ROOT, "public", "js");
+const PACKS_DIR = path.join(PUBLIC_JS, "filter-packs");
+const DEFAULT_CORPUS = path.join(__dirname, "filter-corpus.jsonl");
+
+// ── Arguments ───────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const args = {
+    corpus: DEFAULT_CORPUS,
+    bench: 20,
+    minPrecision: null,
+    minRecall: null,
+    json: false,
+    quiet: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const number = () => {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+      return value;
+    };
+    if (arg === "--bench") args.bench = number();
+    else if (arg === "--min-precision") args.minPrecision = number();
+    else if (arg === "--min-recall") args.minRecall = number();
+    else if (arg === "--json") args.json = true;
+    else if (arg === "--quiet") args.quiet = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option: ${arg}`);
+    else args.corpus = path.resolve(arg);
+  }
+  return args;
+}
+
+// ── Corpus ──────────────────────────────────────────────────────────────────
+
+function isRange(range) {
+  return (
+    Array.isArray(range) &&
+    range.length === 2 &&
+    Number.isInteger(range[0]) &&
+    Number.isInteger(range[1]) &&
+    range[0] >= 0 &&
+    range[0] < range[1]
+  );
+}
+
+function loadCorpus(file) {
+  const entries = [];
+  fs.readFileSync(file, "utf8")
+    .split("\n")
+    .forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("//")) return;
+      const where = `${path.basename(file)}:${index + 1}`;
+      let entry;
+      try {
+        entry = JSON.parse(trimmed);
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+      if (typeof entry.text !== "string")
+        throw new Error(`${where}: text must be a string`);
+      if (
+        !Array.isArray(entry.expected) ||
+        !entry.expected.every((r) => isRange(r) && r[1] <= entry.text.length)
+      )
+        throw new Error(`${where}: expected must be a list of [start, end)`);
+      entries.push({ ...entry, languages: entry.languages || [], where });
+    });
+  return entries;
+}
+
+function loadPack(code) {
+  const file = path.join(PACKS_DIR, `${code}.json`);
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return {
+    offensive: data.offensive_words,
+    whitelisted: data.whitelisted_words,
+  };
+}
+
+// ── Filters ─────────────────────────────────────────────────────────────────
+
+function createServerFilter() {
+  const filter = new WordFilter((name) =>
+    JSON.parse(fs.readFileSync(path.join(PUBLIC_JS, name), "utf8")),
+  );
+  filter.reload();
+  return filter;
+}
+
+// In the browser the filter fetches its JSON from /js/...; serve it from disk
+async function createClientFilter() {
+  const fetch = async (url) => {
+    const file = path.join(PUBLIC_JS, path.basename(url));
+    const body = fs.readFileSync(file, "utf8");
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+  const sandbox = { window: {}, console, fetch, setTimeout };
+  vm.runInNewContext(
+    fs.readFileSync(path.join(PUBLIC_JS, "word-filter.js"), "utf8"),
+    sandbox,
+    { filename: "word-filter.js" },
+  );
+  const { WordFilter: BrowserWordFilter } = sandbox.window;
+  const filter = new BrowserWordFilter(BrowserWordFilter.fetchLoader("/js/"));
+  if (!(await filter.init())) throw new Error("browser filter failed to init");
+  return filter;
+}
+
+// Both filters log their word counts while loading; keep the report clean
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function addPacks(filter, entries) {
+  const codes = new Set(entries.flatMap((entry) => entry.languages));
+  for (const code of codes) filter.setLayer(`lang:${code}`, loadPack(code));
+}
+
+function check(filter, entry) {
+  const layers = entry.languages.map((code) => `lang:${code}`);
+  return filter.checkText(entry.text, layers).offensiveRanges;
+}
+
+// ── Scoring ─────────────────────────────────────────────────────────────────
+
+function overlaps(a, b) {
+  return a[0] < b[1] && b[0] < a[1];
+}
+
+function score(entries, results) {
+  const totals = { detected: 0, correct: 0, expected: 0, found: 0 };
+  const falsePositives = [];
+  const falseNegatives = [];
+
+  entries.forEach((entry, i) => {
+    const detected = results[i];
+    const wrong = detected.filter(
+      (r) => !entry.expected.some((e) => overlaps(r, e)),
+    );
+    const missed = entry.expected.filter(
+      (e) => !detected.some((r) => overlaps(r, e)),
+    );
+    totals.detected += detected.length;
+    totals.correct += detected.length - wrong.length;
+    totals.expected += entry.expected.length;
+    totals.found += entry.expected.length - missed.length;
+    const slice = ([s, e]) => entry.text.slice(s, e);
+    if (wrong.length) {
+      falsePositives.push({
+        where: entry.where,
+        text: entry.text,
+        ranges: wrong,
+        words: wrong.map(slice),
+      });
+    }
+    if (missed.length) {
+      falseNegatives.push({
+        where: entry.where,
+        text: entry.text,
+        ranges: missed,
+        words: missed.map(slice),
+      });
+    }
+  });
+
+  return {
+    precision: totals.detected ? totals.correct / totals.detected : 1,
+    recall: totals.expected ? totals.found / totals.expected : 1,
+    ...totals,
+    falsePositives,
+    falseNegatives,
+  };
+}
+
+function diffFilters(entries, serverResults, clientResults) {
+  const diffs = [];
+  entries.forEach((entry, i) => {
+    const server = JSON.stringify(serverResults[i]);
+    const client = JSON.stringify(clientResults[i]);
+    if (server !== client) {
+      diffs.push({
+        where: entry.where,
+        text: entry.text,
+        server: serverResults[i],
+        client: clientResults[i],
+      });
+    }
+  });
+  return diffs;
+}
+
+// ── Benchmark ───────────────────────────────────────────────────────────────
+
+// checkText calls per second over `passes` runs of the corpus. Cold clears
+// the caches before every call, like text nobody has typed yet; warm keeps
+// them, like a room re-rendering the same lines.
+function benchmark(filter, entries, passes) {
+  const run = (cold) => {
+    filter.clearCache();
+    const start = process.hrtime.bigint();
+    for (let p = 0; p < passes; p++) {
+      for (const entry of entries) {
+        if (cold) filter.clearCache();
+        check(filter, entry);
+      }
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return Math.round((passes * entries.length) / seconds);
+  };
+  return { cold: run(true), warm: run(false) };
+}
+
+// ── Report ──────────────────────────────────────────────────────────────────
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report, quiet) {
+  const { corpus, entries, filters, diffs } = report;
+  console.log(`Corpus: ${corpus} (${entries} entries)\n`);
+
+  for (const [name, result] of Object.entries(filters)) {
+    const { score: s, bench } = result;
+    console.log(
+      `${name}: precision ${percent(s.precision)} (${s.correct}/${s.detected}), recall ${percent(s.recall)} (${s.found}/${s.expected})`,
+    );
+    if (bench) {
+      console.log(
+        `  checkText: ${bench.cold} calls/s cold, ${bench.warm} calls/s warm`,
+      );
+    }
+    if (quiet) continue;
+    for (const fp of s.falsePositives) {
+      console.log(
+        `  false positive ${fp.where}: ${JSON.stringify(fp.words)} in ${JSON.stringify(fp.text)}`,
+      );
+    }
+    for (const fn of s.falseNegatives) {
+      console.log(
+        `  false negative ${fn.where}: ${JSON.stringify(fn.words)} in ${JSON.stringify(fn.text)}`,
+      );
+    }
+  }
+
+  console.log(
+    diffs.length
+      ? `\nServer and client disagree on ${diffs.length} entries:`
+      : "\nServer and client agree on every entry.",
+  );
+  if (!quiet) {
+    for (const d of diffs) {
+      console.log(`  ${d.where}: ${JSON.stringify(d.text)}`);
+      console.log(`    server ${JSON.stringify(d.server)}`);
+      console.log(`    client ${JSON.stringify(d.client)}`);
+    }
+  }
+  if (report.failures.length) console.log("");
+  for (const failure of report.failures) console.log(`FAIL: ${failure}`);
+}
+
+// ── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const entries = loadCorpus(args.corpus);
+
+  const { server, client } = await quietly(async () => ({
+    server: createServerFilter(),
+    client: await createClientFilter(),
+  }));
+  addPacks(server, entries);
+  addPacks(client, entries);
+
+  const filters = {};
+  const results = {};
+  for (const [name, filter] of Object.entries({ server, client })) {
+    results[name] = entries.map((entry) => check(filter, entry));
+    filters[name] = {
+      score: score(entries, results[name]),
+      bench: args.bench > 0 ? benchmark(filter, entries, args.bench) : null,
+    };
+  }
+  const diffs = diffFilters(entries, results.server, results.client);
+
+  const failures = [];
+  if (diffs.length) failures.push("server and client results differ");
+  for (const [name, { score: s }] of Object.entries(filters)) {
+    if (args.minPrecision !== null && s.precision < args.minPrecision)
+      failures.push(
+        `${name} precision ${percent(s.precision)} is below ${percent(args.minPrecision)}`,
+      );
+    if (args.minRecall !== null && s.recall < args.minRecall)
+      failures.push(
+        `${name} recall ${percent(s.recall)} is below ${percent(args.minRecall)}`,
+      );
+  }
+
+  const report = {
+    corpus: path.relative(process.cwd(), args.corpus) || args.corpus,
+    entries: entries.length,
+    filters,
+    diffs,
+    failures,
+  };
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report, args.quiet);
+  process.exitCode = failures.length ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 2;
+});